@@ -5,10 +5,14 @@ const Partitioners = require('./src/producer/partitioners')
 const Compression = require('./src/protocol/message/compression')
 const ConfigResourceTypes = require('./src/protocol/configResourceTypes')
 const ConfigSource = require('./src/protocol/configSource')
+const AlterConfigOpTypes = require('./src/protocol/alterConfigOpTypes')
+const ClientQuotaMatchTypes = require('./src/protocol/clientQuotaMatchTypes')
 const AclResourceTypes = require('./src/protocol/aclResourceTypes')
 const AclOperationTypes = require('./src/protocol/aclOperationTypes')
 const AclPermissionTypes = require('./src/protocol/aclPermissionTypes')
 const ResourcePatternTypes = require('./src/protocol/resourcePatternTypes')
+const SchemaRegistry = require('./src/schemaRegistry')
+const OAuthBearer = require('./src/oauthBearer')
 const { isRebalancing, isKafkaJSError, ...errors } = require('./src/errors')
 const { LEVELS } = require('./src/loggers')
 
@@ -26,5 +30,9 @@ module.exports = {
   AclPermissionTypes,
   ResourcePatternTypes,
   ConfigSource,
+  AlterConfigOpTypes,
+  ClientQuotaMatchTypes,
+  SchemaRegistry,
+  OAuthBearer,
   ...errors,
 }
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Generates the request definitions of Kafka APIs out of the message specs of Apache Kafka.
+ *
+ * Usage:
+ *   ./scripts/generateRequests.js <kafka>/clients/src/main/resources/common/message DescribeCluster [...]
+ *
+ * For each API, the request and response specs are copied to src/protocol/requests/<api>/ along
+ * with an index.js created by src/protocol/schema. The API must then be registered in
+ * src/protocol/requests/apiKeys.js and src/protocol/requests/index.js.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { compileMessage } = require('../src/protocol/schema')
+const apiKeys = require('../src/protocol/requests/apiKeys')
+const { requests } = require('../src/protocol/requests')
+
+const REQUESTS_DIR = path.join(__dirname, '../src/protocol/requests')
+
+const INDEX = `const { createRequestDefinitions } = require('../../schema')
+
+module.exports = createRequestDefinitions({
+  request: require('./request.json'),
+  response: require('./response.json'),
+})
+`
+
+// The message specs start with the license and have comments between the fields
+const readSpec = file => {
+  const json = fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('//'))
+    .join('\n')
+
+  const spec = JSON.parse(json)
+
+  // Fails on the types, versions or defaults that are not supported
+  compileMessage(spec)
+  return spec
+}
+
+const writeJSON = (file, data) => fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`)
+
+const generate = (specDir, apiName) => {
+  const dirName = apiName.charAt(0).toLowerCase() + apiName.slice(1)
+  const dir = path.join(REQUESTS_DIR, dirName)
+
+  if (fs.existsSync(dir) && !fs.existsSync(path.join(dir, 'request.json'))) {
+    console.error(`${apiName}: skipped, ${dir} is implemented by hand`)
+    return
+  }
+
+  const request = readSpec(path.join(specDir, `${apiName}Request.json`))
+  const response = readSpec(path.join(specDir, `${apiName}Response.json`))
+
+  fs.mkdirSync(dir, { recursive: true })
+  writeJSON(path.join(dir, 'request.json'), request)
+  writeJSON(path.join(dir, 'response.json'), response)
+
+  if (!fs.existsSync(path.join(dir, 'index.js'))) {
+    fs.writeFileSync(path.join(dir, 'index.js'), INDEX)
+  }
+
+  console.log(`${apiName}: versions ${request.validVersions} generated in ${dir}`)
+
+  if (apiKeys[apiName] == null) {
+    console.log(`  add to src/protocol/requests/apiKeys.js: ${apiName}: ${request.apiKey},`)
+  }
+
+  if (requests[apiName] == null) {
+    console.log(`  add to src/protocol/requests/index.js: ${apiName}: require('./${dirName}'),`)
+  }
+}
+
+const [specDir, ...apiNames] = process.argv.slice(2)
+
+if (!specDir || apiNames.length === 0) {
+  console.error('Usage: generateRequests.js <message specs directory> <api name>...')
+  process.exit(1)
+}
+
+apiNames.forEach(apiName => generate(specDir, apiName))
@@ -0,0 +1,116 @@
+const createAdmin = require('../index')
+const { KafkaJSAggregateError } = require('../../errors')
+
+const { secureRandom, createCluster, newLogger } = require('testHelpers')
+
+describe('Admin', () => {
+  let topicName, admin
+
+  beforeEach(() => {
+    topicName = `test-topic-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('alterReplicaLogDirs', () => {
+    test('throws an error if the replicas array is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.alterReplicaLogDirs({ replicas: 'this-is-not-an-array' })
+      ).rejects.toHaveProperty('message', 'Invalid replicas array this-is-not-an-array')
+
+      await expect(admin.alterReplicaLogDirs({ replicas: [] })).rejects.toHaveProperty(
+        'message',
+        'Invalid replicas array '
+      )
+    })
+
+    test('throws an error if a replica is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      const replica = { topic: topicName, partition: 0, broker: 0, logDir: '/var/lib/kafka' }
+
+      for (const invalidReplica of [
+        { ...replica, topic: 123 },
+        { ...replica, partition: -1 },
+        { ...replica, broker: '0' },
+        { ...replica, logDir: undefined },
+      ]) {
+        await expect(
+          admin.alterReplicaLogDirs({ replicas: [invalidReplica] })
+        ).rejects.toHaveProperty('message', `Invalid replica: ${JSON.stringify(invalidReplica)}`)
+      }
+    })
+
+    test('sends the replicas to the brokers hosting them', async () => {
+      const cluster = createCluster()
+      const brokers = [0, 1].map(nodeId => ({
+        nodeId,
+        alterReplicaLogDirs: jest.fn(() => ({ results: [] })),
+      }))
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findBroker = jest.fn(({ nodeId }) => brokers[Number(nodeId)])
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await admin.alterReplicaLogDirs({
+        replicas: [
+          { topic: 'topic-A', partition: 0, broker: 0, logDir: '/data-1' },
+          { topic: 'topic-A', partition: 1, broker: 1, logDir: '/data-1' },
+          { topic: 'topic-A', partition: 2, broker: 0, logDir: '/data-1' },
+          { topic: 'topic-B', partition: 0, broker: 0, logDir: '/data-2' },
+        ],
+      })
+
+      expect(brokers[0].alterReplicaLogDirs).toHaveBeenCalledWith({
+        dirs: [
+          { path: '/data-1', topics: [{ topic: 'topic-A', partitions: [0, 2] }] },
+          { path: '/data-2', topics: [{ topic: 'topic-B', partitions: [0] }] },
+        ],
+      })
+      expect(brokers[1].alterReplicaLogDirs).toHaveBeenCalledWith({
+        dirs: [{ path: '/data-1', topics: [{ topic: 'topic-A', partitions: [1] }] }],
+      })
+    })
+
+    test('move a replica to its current log dir', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.createTopics({
+        waitForLeaders: true,
+        topics: [{ topic: topicName, replicaAssignment: [{ partition: 0, replicas: [1] }] }],
+      })
+
+      const { brokers } = await admin.describeLogDirs({
+        brokers: [1],
+        topics: [{ topic: topicName, partitions: [0] }],
+      })
+      const { logDir } = brokers[0].logDirs.find(({ topics }) => topics.length > 0)
+
+      await expect(
+        admin.alterReplicaLogDirs({
+          replicas: [{ topic: topicName, partition: 0, broker: 1, logDir }],
+        })
+      ).resolves.not.toThrow()
+    })
+
+    test('throws an error if the log dir does not exist', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.createTopics({
+        waitForLeaders: true,
+        topics: [{ topic: topicName, replicaAssignment: [{ partition: 0, replicas: [1] }] }],
+      })
+
+      await expect(
+        admin.alterReplicaLogDirs({
+          replicas: [{ topic: topicName, partition: 0, broker: 1, logDir: '/does/not/exist' }],
+        })
+      ).rejects.toThrow(KafkaJSAggregateError)
+    })
+  })
+})
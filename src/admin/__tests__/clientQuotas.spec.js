@@ -0,0 +1,299 @@
+const createAdmin = require('../index')
+const { KafkaJSProtocolError, KafkaJSAggregateError } = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+const CLIENT_QUOTA_MATCH_TYPES = require('../../protocol/clientQuotaMatchTypes')
+
+const { secureRandom, createCluster, newLogger, testIfKafkaAtLeast_2_6 } = require('testHelpers')
+
+const NOT_CONTROLLER = 41
+
+describe('Admin', () => {
+  let user, clientId, admin
+
+  beforeEach(() => {
+    user = `test-user-${secureRandom()}`
+    clientId = `test-client-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('describeClientQuotas', () => {
+    test('throws an error if the components array is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.describeClientQuotas({ components: 'user' })).rejects.toHaveProperty(
+        'message',
+        'Invalid components array user'
+      )
+    })
+
+    test('throws an error if a component is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.describeClientQuotas({ components: [{ entityType: 'user' }] })
+      ).rejects.toHaveProperty(
+        'message',
+        'Invalid component: {"entityType":"user"}, only EXACT components have a match'
+      )
+
+      await expect(
+        admin.describeClientQuotas({
+          components: [
+            {
+              entityType: 'user',
+              matchType: CLIENT_QUOTA_MATCH_TYPES.DEFAULT,
+              match: user,
+            },
+          ],
+        })
+      ).rejects.toHaveProperty(
+        'message',
+        `Invalid component: {"entityType":"user","matchType":1,"match":"${user}"}, only EXACT components have a match`
+      )
+
+      await expect(
+        admin.describeClientQuotas({ components: [{ entityType: 'user', matchType: 5 }] })
+      ).rejects.toHaveProperty(
+        'message',
+        'Invalid component: {"entityType":"user","matchType":5}, only EXACT components have a match'
+      )
+    })
+
+    testIfKafkaAtLeast_2_6('describe the quotas of the matching entities', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.alterClientQuotas([
+        {
+          entity: [
+            { entityType: 'user', entityName: user },
+            { entityType: 'client-id', entityName: clientId },
+          ],
+          ops: [{ key: 'producer_byte_rate', value: 1024 }],
+        },
+        {
+          entity: [{ entityType: 'user', entityName: user }],
+          ops: [{ key: 'consumer_byte_rate', value: 2048 }],
+        },
+      ])
+
+      const { entries } = await admin.describeClientQuotas({
+        components: [{ entityType: 'user', match: user }],
+      })
+
+      expect(entries).toEqual(
+        expect.arrayContaining([
+          {
+            entity: expect.arrayContaining([
+              { entityType: 'user', entityName: user },
+              { entityType: 'client-id', entityName: clientId },
+            ]),
+            values: [{ key: 'producer_byte_rate', value: 1024 }],
+          },
+          {
+            entity: [{ entityType: 'user', entityName: user }],
+            values: [{ key: 'consumer_byte_rate', value: 2048 }],
+          },
+        ])
+      )
+      expect(entries).toHaveLength(2)
+
+      const { entries: strictEntries } = await admin.describeClientQuotas({
+        components: [{ entityType: 'user', match: user }],
+        strict: true,
+      })
+
+      expect(strictEntries).toEqual([
+        {
+          entity: [{ entityType: 'user', entityName: user }],
+          values: [{ key: 'consumer_byte_rate', value: 2048 }],
+        },
+      ])
+    })
+
+    test('retries if the controller has moved', async () => {
+      const cluster = createCluster()
+      const broker = { describeClientQuotas: jest.fn(() => ({ entries: [] })) }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_CONTROLLER))
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.describeClientQuotas({
+          components: [{ entityType: 'user', matchType: CLIENT_QUOTA_MATCH_TYPES.SPECIFIED }],
+        })
+      ).resolves.toEqual({ entries: [] })
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(2)
+      expect(cluster.findControllerBroker).toHaveBeenCalledTimes(2)
+      expect(broker.describeClientQuotas).toHaveBeenCalledWith({
+        components: [
+          { entityType: 'user', matchType: CLIENT_QUOTA_MATCH_TYPES.SPECIFIED, match: undefined },
+        ],
+        strict: false,
+      })
+    })
+  })
+
+  describe('alterClientQuotas', () => {
+    test('throws an error if the entries array is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.alterClientQuotas('this-is-not-an-array')).rejects.toHaveProperty(
+        'message',
+        'Invalid entries array this-is-not-an-array'
+      )
+
+      await expect(admin.alterClientQuotas([])).rejects.toHaveProperty(
+        'message',
+        'Entries array cannot be empty'
+      )
+    })
+
+    test('throws an error if an entity is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.alterClientQuotas([{ entity: [], ops: [{ key: 'producer_byte_rate', value: 1 }] }])
+      ).rejects.toHaveProperty('message', 'Invalid entity: []')
+
+      await expect(
+        admin.alterClientQuotas([
+          { entity: [{ entityName: user }], ops: [{ key: 'producer_byte_rate', value: 1 }] },
+        ])
+      ).rejects.toHaveProperty('message', `Invalid entity: [{"entityName":"${user}"}]`)
+    })
+
+    test('throws an error if an operation is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      const entity = [{ entityType: 'user', entityName: user }]
+
+      await expect(admin.alterClientQuotas([{ entity, ops: [] }])).rejects.toHaveProperty(
+        'message',
+        `Invalid ops array [] for entity: ${JSON.stringify(entity)}`
+      )
+
+      await expect(
+        admin.alterClientQuotas([{ entity, ops: [{ key: 'producer_byte_rate' }] }])
+      ).rejects.toHaveProperty(
+        'message',
+        'Invalid quota operation: {"key":"producer_byte_rate"}, a value is required unless the quota is removed'
+      )
+    })
+
+    testIfKafkaAtLeast_2_6('set and remove the quotas', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const entity = [{ entityType: 'client-id', entityName: clientId }]
+      const describeQuotas = async () => {
+        const { entries } = await admin.describeClientQuotas({
+          components: [{ entityType: 'client-id', match: clientId }],
+          strict: true,
+        })
+        return entries
+      }
+
+      await admin.alterClientQuotas([
+        {
+          entity,
+          ops: [
+            { key: 'producer_byte_rate', value: 1024 },
+            { key: 'consumer_byte_rate', value: 2048 },
+          ],
+        },
+      ])
+
+      expect(await describeQuotas()).toEqual([
+        {
+          entity,
+          values: expect.arrayContaining([
+            { key: 'producer_byte_rate', value: 1024 },
+            { key: 'consumer_byte_rate', value: 2048 },
+          ]),
+        },
+      ])
+
+      await admin.alterClientQuotas([
+        { entity, ops: [{ key: 'consumer_byte_rate', remove: true }] },
+      ])
+
+      expect(await describeQuotas()).toEqual([
+        { entity, values: [{ key: 'producer_byte_rate', value: 1024 }] },
+      ])
+    })
+
+    testIfKafkaAtLeast_2_6('does not alter the quotas with validateOnly', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.alterClientQuotas(
+        [
+          {
+            entity: [{ entityType: 'user', entityName: user }],
+            ops: [{ key: 'producer_byte_rate', value: 1024 }],
+          },
+        ],
+        { validateOnly: true }
+      )
+
+      const { entries } = await admin.describeClientQuotas({
+        components: [{ entityType: 'user', match: user }],
+      })
+
+      expect(entries).toEqual([])
+    })
+
+    testIfKafkaAtLeast_2_6('throws an aggregate error with the invalid entities', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const entity = [{ entityType: 'user', entityName: user }]
+      const error = await admin
+        .alterClientQuotas([{ entity, ops: [{ key: 'unknown_quota', value: 1 }] }])
+        .catch(e => e)
+
+      expect(error).toBeInstanceOf(KafkaJSAggregateError)
+      expect(error.errors[0]).toMatchObject({
+        name: 'KafkaJSAlterClientQuotasError',
+        type: 'INVALID_REQUEST',
+        entity,
+      })
+    })
+
+    test('retries if the controller has moved', async () => {
+      const cluster = createCluster()
+      const broker = { alterClientQuotas: jest.fn(() => ({ entries: [] })) }
+      const entries = [
+        {
+          entity: [{ entityType: 'user' }],
+          ops: [{ key: 'producer_byte_rate', value: 1024 }],
+        },
+      ]
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_CONTROLLER))
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(admin.alterClientQuotas(entries)).resolves.toBeUndefined()
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(2)
+      expect(cluster.findControllerBroker).toHaveBeenCalledTimes(2)
+      expect(broker.alterClientQuotas).toHaveBeenCalledWith({ entries, validateOnly: false })
+    })
+  })
+})
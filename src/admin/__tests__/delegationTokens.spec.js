@@ -0,0 +1,165 @@
+const createAdmin = require('../index')
+const Broker = require('../../broker')
+const { KafkaJSProtocolError } = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+
+const {
+  createCluster,
+  createConnectionPool,
+  newLogger,
+  saslBrokers,
+  saslSCRAM256ConnectionOpts,
+  describeIfOauthbearerDisabled,
+} = require('testHelpers')
+
+const NOT_CONTROLLER = 41
+
+describe('Admin', () => {
+  let admin
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('delegation tokens', () => {
+    test('throws an error if the renewers are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.createDelegationToken({ renewers: ['bob'] })).rejects.toHaveProperty(
+        'message',
+        'Invalid renewers array bob, the principals have to be in the format "type:name"'
+      )
+    })
+
+    test('throws an error if the owners are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.describeDelegationTokens({ owners: 'User:alice' })).rejects.toHaveProperty(
+        'message',
+        'Invalid owners array User:alice, the principals have to be in the format "type:name"'
+      )
+    })
+
+    test('throws an error if the hmac is not a buffer', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.renewDelegationToken({ hmac: 'hmac' })).rejects.toHaveProperty(
+        'message',
+        'Invalid hmac hmac, it has to be a Buffer'
+      )
+
+      await expect(admin.expireDelegationToken({ hmac: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid hmac null, it has to be a Buffer'
+      )
+    })
+
+    test('converts the principals of the tokens', async () => {
+      const cluster = createCluster()
+      const hmac = Buffer.from('hmac')
+      const broker = {
+        createDelegationToken: jest.fn(() => ({
+          principalType: 'User',
+          principalName: 'alice',
+          tokenId: 'token-id',
+          hmac,
+          issueTimestamp: '1600000000000',
+          expiryTimestamp: '1600086400000',
+          maxTimestamp: '1600604800000',
+        })),
+      }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest.fn(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.createDelegationToken({ renewers: ['User:bob'], maxLifetime: 86400000 })
+      ).resolves.toEqual({
+        owner: 'User:alice',
+        tokenId: 'token-id',
+        hmac,
+        issueTimestamp: '1600000000000',
+        expiryTimestamp: '1600086400000',
+        maxTimestamp: '1600604800000',
+        renewers: ['User:bob'],
+      })
+
+      expect(broker.createDelegationToken).toHaveBeenCalledWith({
+        renewers: [{ principalType: 'User', principalName: 'bob' }],
+        maxLifetime: 86400000,
+      })
+    })
+
+    test('retries if the controller has moved', async () => {
+      const cluster = createCluster()
+      const broker = { describeDelegationToken: jest.fn(() => ({ tokens: [] })) }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_CONTROLLER))
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(admin.describeDelegationTokens()).resolves.toEqual({ tokens: [] })
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(2)
+      expect(cluster.findControllerBroker).toHaveBeenCalledTimes(2)
+      expect(broker.describeDelegationToken).toHaveBeenCalledWith({ owners: [] })
+    })
+
+    describeIfOauthbearerDisabled('when SASL SCRAM is configured', () => {
+      let broker
+
+      afterEach(async () => {
+        broker && (await broker.disconnect())
+      })
+
+      test('create, describe, renew and expire a delegation token', async () => {
+        const cluster = createCluster(saslSCRAM256ConnectionOpts(), saslBrokers())
+        admin = createAdmin({ cluster, logger: newLogger() })
+        await admin.connect()
+
+        const token = await admin.createDelegationToken({ renewers: ['User:testscram'] })
+        expect(token).toEqual({
+          owner: 'User:testscram',
+          tokenId: expect.any(String),
+          hmac: expect.any(Buffer),
+          issueTimestamp: expect.any(String),
+          expiryTimestamp: expect.any(String),
+          maxTimestamp: expect.any(String),
+          renewers: ['User:testscram'],
+        })
+
+        const { tokens } = await admin.describeDelegationTokens({ owners: ['User:testscram'] })
+        expect(tokens).toContainEqual(token)
+
+        // Authenticate with the token
+        const { sasl, ...connectionOpts } = saslSCRAM256ConnectionOpts()
+        broker = new Broker({
+          connectionPool: createConnectionPool({
+            ...connectionOpts,
+            sasl: {
+              ...sasl,
+              username: token.tokenId,
+              password: token.hmac.toString('base64'),
+              tokenAuth: true,
+            },
+          }),
+          logger: newLogger(),
+        })
+        await broker.connect()
+        expect(broker.isConnected()).toEqual(true)
+
+        const renewed = await admin.renewDelegationToken({ hmac: token.hmac, renewPeriod: 3600000 })
+        expect(renewed).toEqual({ expiryTimestamp: expect.any(String) })
+
+        const expired = await admin.expireDelegationToken({ hmac: token.hmac })
+        expect(Number(expired.expiryTimestamp)).toBeLessThanOrEqual(Date.now())
+      })
+    })
+  })
+})
@@ -0,0 +1,163 @@
+const createAdmin = require('../index')
+const createConsumer = require('../../consumer')
+const { KafkaJSProtocolError, KafkaJSAggregateError } = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+
+const {
+  secureRandom,
+  createCluster,
+  newLogger,
+  createTopic,
+  waitForConsumerToJoinGroup,
+} = require('testHelpers')
+
+const NOT_COORDINATOR_FOR_GROUP = 16
+
+describe('Admin', () => {
+  let topicName, groupId, admin, consumer
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    groupId = `consumer-group-id-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+    consumer && (await consumer.disconnect())
+  })
+
+  describe('deleteConsumerGroupOffsets', () => {
+    test('throws an error if the groupId is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await expect(admin.deleteConsumerGroupOffsets({ groupId: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid groupId null'
+      )
+    })
+
+    test('throws an error if the topic name is not a valid string', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await expect(
+        admin.deleteConsumerGroupOffsets({ groupId: 'groupId', topic: null })
+      ).rejects.toHaveProperty('message', 'Invalid topic null')
+    })
+
+    test('throws an error if the partitions are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await expect(
+        admin.deleteConsumerGroupOffsets({ groupId: 'groupId', topic: topicName, partitions: 0 })
+      ).rejects.toHaveProperty('message', 'Invalid partitions array 0')
+
+      await expect(
+        admin.deleteConsumerGroupOffsets({
+          groupId: 'groupId',
+          topic: topicName,
+          partitions: [0, -1],
+        })
+      ).rejects.toHaveProperty('message', 'Invalid partitions array 0,-1')
+    })
+
+    test('delete the consumer group offsets of the partitions', async () => {
+      await createTopic({ topic: topicName, partitions: 2 })
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [
+          { partition: 0, offset: 13 },
+          { partition: 1, offset: 17 },
+        ],
+      })
+
+      await admin.deleteConsumerGroupOffsets({ groupId, topic: topicName, partitions: [1] })
+
+      const offsets = await admin.fetchOffsets({ groupId, topics: [topicName] })
+      expect(offsets).toEqual([
+        {
+          topic: topicName,
+          partitions: expect.arrayContaining([
+            { partition: 0, offset: '13', metadata: null },
+            { partition: 1, offset: '-1', metadata: null },
+          ]),
+        },
+      ])
+    })
+
+    test('delete the consumer group offsets of all the partitions by default', async () => {
+      await createTopic({ topic: topicName, partitions: 2 })
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [
+          { partition: 0, offset: 13 },
+          { partition: 1, offset: 17 },
+        ],
+      })
+
+      await admin.deleteConsumerGroupOffsets({ groupId, topic: topicName })
+
+      const offsets = await admin.fetchOffsets({ groupId, topics: [topicName] })
+      expect(offsets).toEqual([
+        {
+          topic: topicName,
+          partitions: expect.arrayContaining([
+            { partition: 0, offset: '-1', metadata: null },
+            { partition: 1, offset: '-1', metadata: null },
+          ]),
+        },
+      ])
+    })
+
+    test('throws an aggregate error if the group is subscribed to the topic', async () => {
+      await createTopic({ topic: topicName })
+      consumer = createConsumer({ groupId, cluster: createCluster(), logger: newLogger() })
+      await consumer.connect()
+      await consumer.subscribe({ topic: topicName })
+      consumer.run({ eachMessage: () => true })
+      await waitForConsumerToJoinGroup(consumer)
+
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const error = await admin
+        .deleteConsumerGroupOffsets({ groupId, topic: topicName })
+        .catch(e => e)
+
+      expect(error).toBeInstanceOf(KafkaJSAggregateError)
+      expect(error.errors[0]).toMatchObject({
+        name: 'KafkaJSOffsetDeleteError',
+        type: 'GROUP_SUBSCRIBED_TO_TOPIC',
+        topic: topicName,
+        partition: 0,
+      })
+    })
+
+    test('retries if the group coordinator has moved', async () => {
+      const cluster = createCluster()
+      const coordinator = { offsetDelete: jest.fn(() => ({ topics: [] })) }
+
+      cluster.findGroupCoordinator = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_COORDINATOR_FOR_GROUP))
+        })
+        .mockImplementationOnce(() => coordinator)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.deleteConsumerGroupOffsets({ groupId, topic: topicName, partitions: [0, 1] })
+      ).resolves.toBeUndefined()
+
+      expect(cluster.findGroupCoordinator).toHaveBeenCalledTimes(2)
+      expect(coordinator.offsetDelete).toHaveBeenCalledWith({
+        groupId,
+        topics: [{ topic: topicName, partitions: [0, 1] }],
+      })
+    })
+  })
+})
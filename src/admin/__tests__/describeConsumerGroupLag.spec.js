@@ -0,0 +1,303 @@
+const createAdmin = require('../index')
+const createConsumer = require('../../consumer')
+const createProducer = require('../../producer')
+const { MemberAssignment } = require('../../consumer/assignerProtocol')
+const { KafkaJSProtocolError } = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+
+const {
+  createCluster,
+  newLogger,
+  createTopic,
+  secureRandom,
+  createModPartitioner,
+  waitForConsumerToJoinGroup,
+} = require('testHelpers')
+
+const NOT_COORDINATOR_FOR_GROUP = 16
+
+describe('Admin', () => {
+  let topicName, groupId, admin, producer, consumer
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    groupId = `consumer-group-id-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+    producer && (await producer.disconnect())
+    consumer && (await consumer.disconnect())
+  })
+
+  const produceMessages = async ({ partition, count }) => {
+    producer = createProducer({
+      cluster: createCluster(),
+      createPartitioner: createModPartitioner,
+      logger: newLogger(),
+    })
+
+    await producer.connect()
+    await producer.send({
+      acks: 1,
+      topic: topicName,
+      messages: Array(count)
+        .fill()
+        .map(() => ({ partition, value: `value-${secureRandom()}` })),
+    })
+  }
+
+  describe('describeConsumerGroupLag', () => {
+    test('throws an error if the groupIds are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.describeConsumerGroupLag({ groupIds: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid groupIds array null'
+      )
+
+      await expect(admin.describeConsumerGroupLag({ groupIds: [] })).rejects.toHaveProperty(
+        'message',
+        'Invalid groupIds array '
+      )
+
+      await expect(
+        admin.describeConsumerGroupLag({ groupIds: [groupId, 1] })
+      ).rejects.toHaveProperty('message', `Invalid groupIds array ${groupId},1`)
+    })
+
+    test('throws an error if the topics are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.describeConsumerGroupLag({ groupIds: [groupId], topics: topicName })
+      ).rejects.toHaveProperty('message', `Invalid topics array ${topicName}`)
+    })
+
+    test('returns the lag of the partitions with committed offsets', async () => {
+      await createTopic({ topic: topicName, partitions: 2 })
+      await produceMessages({ partition: 0, count: 10 })
+
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+      await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [{ partition: 0, offset: 3 }],
+      })
+
+      const { groups } = await admin.describeConsumerGroupLag({ groupIds: [groupId] })
+      expect(groups).toEqual([
+        {
+          groupId,
+          state: 'Empty',
+          totalLag: '7',
+          topics: [
+            {
+              topic: topicName,
+              partitions: [
+                { partition: 0, committedOffset: '3', logEndOffset: '10', lag: '7', member: null },
+              ],
+            },
+          ],
+        },
+      ])
+    })
+
+    test('returns the partitions without committed offsets of the requested topics', async () => {
+      await createTopic({ topic: topicName, partitions: 2 })
+      await produceMessages({ partition: 0, count: 10 })
+
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+      await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [{ partition: 0, offset: 4 }],
+      })
+
+      const { groups } = await admin.describeConsumerGroupLag({
+        groupIds: [groupId],
+        topics: [topicName],
+      })
+
+      expect(groups[0].totalLag).toEqual('6')
+      expect(groups[0].topics).toEqual([
+        {
+          topic: topicName,
+          partitions: expect.arrayContaining([
+            { partition: 0, committedOffset: '4', logEndOffset: '10', lag: '6', member: null },
+            { partition: 1, committedOffset: '-1', logEndOffset: '0', lag: null, member: null },
+          ]),
+        },
+      ])
+    })
+
+    test('returns the members assigned to the partitions', async () => {
+      await createTopic({ topic: topicName })
+      await produceMessages({ partition: 0, count: 5 })
+
+      consumer = createConsumer({
+        cluster: createCluster(),
+        groupId,
+        maxWaitTimeInMs: 100,
+        logger: newLogger(),
+      })
+      await consumer.connect()
+      await consumer.subscribe({ topic: topicName, fromBeginning: true })
+      consumer.run({ autoCommit: false, eachMessage: async () => {} })
+      await waitForConsumerToJoinGroup(consumer)
+
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const { groups } = await admin.describeConsumerGroupLag({
+        groupIds: [groupId],
+        topics: [topicName],
+      })
+
+      expect(groups[0]).toMatchObject({ groupId, state: 'Stable' })
+      expect(groups[0].topics[0].partitions).toEqual([
+        {
+          partition: 0,
+          committedOffset: '-1',
+          logEndOffset: '5',
+          lag: null,
+          member: {
+            memberId: expect.any(String),
+            clientId: expect.any(String),
+            clientHost: expect.any(String),
+          },
+        },
+      ])
+    })
+
+    test('groups the requests by coordinator and retries if the coordinator has moved', async () => {
+      const otherGroupId = `consumer-group-id-${secureRandom()}`
+      const cluster = createCluster()
+      const memberAssignment = MemberAssignment.encode({
+        version: 0,
+        assignment: { [topicName]: [0] },
+      })
+
+      const coordinator = {
+        describeGroups: jest.fn(() => ({
+          groups: [
+            {
+              groupId,
+              state: 'Stable',
+              protocolType: 'consumer',
+              members: [
+                { memberId: 'member-1', clientId: 'client', clientHost: '/host', memberAssignment },
+              ],
+            },
+            { groupId: otherGroupId, state: 'Empty', protocolType: 'consumer', members: [] },
+          ],
+        })),
+        offsetFetch: jest.fn(({ groupId: fetchedGroupId }) => ({
+          responses: [
+            {
+              topic: topicName,
+              partitions: [
+                { partition: 0, offset: fetchedGroupId === groupId ? '8' : '2' },
+                { partition: 1, offset: '-1' },
+              ],
+            },
+          ],
+        })),
+      }
+
+      cluster.findGroupCoordinator = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_COORDINATOR_FOR_GROUP))
+        })
+        .mockImplementation(() => coordinator)
+      cluster.addMultipleTargetTopics = jest.fn()
+      cluster.refreshMetadataIfNecessary = jest.fn()
+      cluster.fetchTopicsOffset = jest.fn(() => [
+        {
+          topic: topicName,
+          partitions: [
+            { partition: 0, offset: '10' },
+            { partition: 1, offset: '3' },
+          ],
+        },
+      ])
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      const { groups } = await admin.describeConsumerGroupLag({
+        groupIds: [groupId, otherGroupId],
+      })
+
+      expect(groups).toEqual([
+        {
+          groupId,
+          state: 'Stable',
+          totalLag: '2',
+          topics: [
+            {
+              topic: topicName,
+              partitions: [
+                {
+                  partition: 0,
+                  committedOffset: '8',
+                  logEndOffset: '10',
+                  lag: '2',
+                  member: { memberId: 'member-1', clientId: 'client', clientHost: '/host' },
+                },
+                {
+                  partition: 1,
+                  committedOffset: '-1',
+                  logEndOffset: '3',
+                  lag: null,
+                  member: null,
+                },
+              ],
+            },
+          ],
+        },
+        {
+          groupId: otherGroupId,
+          state: 'Empty',
+          totalLag: '8',
+          topics: [
+            {
+              topic: topicName,
+              partitions: [
+                {
+                  partition: 0,
+                  committedOffset: '2',
+                  logEndOffset: '10',
+                  lag: '8',
+                  member: null,
+                },
+                {
+                  partition: 1,
+                  committedOffset: '-1',
+                  logEndOffset: '3',
+                  lag: null,
+                  member: null,
+                },
+              ],
+            },
+          ],
+        },
+      ])
+
+      expect(cluster.findGroupCoordinator).toHaveBeenCalledTimes(3)
+      expect(coordinator.describeGroups).toHaveBeenCalledTimes(1)
+      expect(coordinator.describeGroups).toHaveBeenCalledWith({
+        groupIds: [groupId, otherGroupId],
+      })
+      expect(coordinator.offsetFetch).toHaveBeenCalledTimes(2)
+      expect(cluster.fetchTopicsOffset).toHaveBeenCalledWith([
+        {
+          topic: topicName,
+          fromBeginning: false,
+          partitions: [{ partition: 0 }, { partition: 1 }],
+        },
+      ])
+    })
+  })
+})
@@ -0,0 +1,124 @@
+const createAdmin = require('../index')
+const { KafkaJSBrokerNotFound } = require('../../errors')
+
+const { secureRandom, createCluster, newLogger } = require('testHelpers')
+
+describe('Admin', () => {
+  let topicName, admin
+
+  beforeEach(() => {
+    topicName = `test-topic-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('describeLogDirs', () => {
+    test('throws an error if the brokers array is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.describeLogDirs({ brokers: 'this-is-not-an-array' })
+      ).rejects.toHaveProperty('message', 'Invalid brokers array this-is-not-an-array')
+
+      await expect(admin.describeLogDirs({ brokers: [0, '1'] })).rejects.toHaveProperty(
+        'message',
+        'Invalid brokers array 0,1'
+      )
+    })
+
+    test('throws an error if the topics array is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.describeLogDirs({ topics: 'this-is-not-an-array' })
+      ).rejects.toHaveProperty('message', 'Invalid topics array this-is-not-an-array')
+
+      await expect(
+        admin.describeLogDirs({ topics: [{ topic: 123, partitions: [0] }] })
+      ).rejects.toHaveProperty('message', 'Invalid topic 123')
+
+      await expect(
+        admin.describeLogDirs({ topics: [{ topic: topicName, partitions: [0, 'a'] }] })
+      ).rejects.toHaveProperty('message', `Invalid partition array: 0,a for topic: ${topicName}`)
+    })
+
+    test('describe the log dirs of all the brokers', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.createTopics({
+        waitForLeaders: true,
+        topics: [
+          {
+            topic: topicName,
+            replicaAssignment: [
+              { partition: 0, replicas: [0, 1] },
+              { partition: 1, replicas: [1, 2] },
+            ],
+          },
+        ],
+      })
+
+      const { brokers } = await admin.describeLogDirs({
+        topics: [{ topic: topicName, partitions: [0, 1] }],
+      })
+
+      const replicas = brokers
+        .map(({ nodeId, logDirs }) => ({
+          nodeId,
+          partitions: logDirs
+            .flatMap(({ topics }) => topics)
+            .flatMap(({ partitions }) => partitions.map(({ partition }) => partition)),
+        }))
+        .sort((a, b) => a.nodeId - b.nodeId)
+
+      expect(replicas).toEqual([
+        { nodeId: 0, partitions: [0] },
+        { nodeId: 1, partitions: expect.arrayContaining([0, 1]) },
+        { nodeId: 2, partitions: [1] },
+      ])
+
+      for (const { logDirs } of brokers) {
+        for (const logDir of logDirs) {
+          expect(logDir).toEqual({
+            errorCode: 0,
+            logDir: expect.any(String),
+            topics: expect.any(Array),
+          })
+        }
+      }
+    })
+
+    test('only describe the requested brokers', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const { brokers } = await admin.describeLogDirs({ brokers: [1] })
+      expect(brokers).toEqual([{ nodeId: 1, logDirs: expect.any(Array) }])
+    })
+
+    test('retries if the broker is not found', async () => {
+      const cluster = createCluster()
+      const broker = { describeLogDirs: jest.fn(() => ({ results: [] })) }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSBrokerNotFound('Broker 0 not found in the cached metadata')
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(admin.describeLogDirs({ brokers: [0] })).resolves.toEqual({
+        brokers: [{ nodeId: 0, logDirs: [] }],
+      })
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(2)
+      expect(cluster.findBroker).toHaveBeenCalledTimes(2)
+      expect(broker.describeLogDirs).toHaveBeenCalledWith({ topics: [] })
+    })
+  })
+})
@@ -0,0 +1,116 @@
+const createAdmin = require('../index')
+const { KafkaJSProtocolError, KafkaJSAggregateError } = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+
+const { secureRandom, createCluster, newLogger } = require('testHelpers')
+
+const NOT_CONTROLLER = 41
+
+describe('Admin', () => {
+  let topicName, admin
+
+  beforeEach(() => {
+    topicName = `test-topic-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('electLeaders', () => {
+    test('throws an error if the election type is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.electLeaders({ electionType: 'RANDOM' })).rejects.toHaveProperty(
+        'message',
+        'Invalid election type RANDOM, expected one of PREFERRED,UNCLEAN'
+      )
+    })
+
+    test('throws an error if the topic partitions are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.electLeaders({ topicPartitions: 'this-is-not-an-array' })
+      ).rejects.toHaveProperty('message', 'Invalid topics array this-is-not-an-array')
+
+      await expect(
+        admin.electLeaders({ topicPartitions: [{ topic: topicName, partitions: [-1] }] })
+      ).rejects.toHaveProperty('message', `Invalid partition array: -1 for topic: ${topicName}`)
+    })
+
+    test('elect the preferred leaders', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.createTopics({
+        waitForLeaders: true,
+        topics: [
+          {
+            topic: topicName,
+            replicaAssignment: [
+              { partition: 0, replicas: [0, 1] },
+              { partition: 1, replicas: [1, 2] },
+            ],
+          },
+        ],
+      })
+
+      const results = await admin.electLeaders({
+        topicPartitions: [{ topic: topicName, partitions: [0, 1] }],
+      })
+
+      const ELECTION_NOT_NEEDED = 84
+      expect(results).toEqual([
+        {
+          topic: topicName,
+          partitions: expect.arrayContaining([
+            { partition: 0, errorCode: ELECTION_NOT_NEEDED, errorMessage: expect.any(String) },
+            { partition: 1, errorCode: ELECTION_NOT_NEEDED, errorMessage: expect.any(String) },
+          ]),
+        },
+      ])
+    })
+
+    test('throws an aggregate error if the election failed', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const error = await admin
+        .electLeaders({ topicPartitions: [{ topic: topicName, partitions: [0] }] })
+        .catch(e => e)
+
+      expect(error).toBeInstanceOf(KafkaJSAggregateError)
+      expect(error.errors[0]).toMatchObject({
+        name: 'KafkaJSElectLeadersError',
+        type: 'UNKNOWN_TOPIC_OR_PARTITION',
+        topic: topicName,
+        partition: 0,
+      })
+    })
+
+    test('retries if the controller has moved', async () => {
+      const cluster = createCluster()
+      const broker = { electLeaders: jest.fn(() => ({ results: [] })) }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_CONTROLLER))
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(admin.electLeaders({ electionType: 'UNCLEAN' })).resolves.toEqual([])
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(2)
+      expect(cluster.findControllerBroker).toHaveBeenCalledTimes(2)
+      expect(broker.electLeaders).toHaveBeenCalledWith({
+        electionType: 1,
+        topicPartitions: [],
+        timeout: undefined,
+      })
+    })
+  })
+})
@@ -0,0 +1,244 @@
+const createAdmin = require('../index')
+const { KafkaJSProtocolError } = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+
+const { secureRandom, createCluster, newLogger, createTopic } = require('testHelpers')
+const CONFIG_RESOURCE_TYPES = require('../../protocol/configResourceTypes')
+const ALTER_CONFIG_OP_TYPES = require('../../protocol/alterConfigOpTypes')
+const NOT_CONTROLLER = 41
+
+describe('Admin', () => {
+  let topicName, admin
+
+  const describeTopicConfigs = async configNames => {
+    const { resources } = await admin.describeConfigs({
+      resources: [{ type: CONFIG_RESOURCE_TYPES.TOPIC, name: topicName, configNames }],
+    })
+
+    return resources[0].configEntries.reduce(
+      (configs, { configName, configValue }) => ({ ...configs, [configName]: configValue }),
+      {}
+    )
+  }
+
+  beforeEach(() => {
+    topicName = `test-topic-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('incrementalAlterConfigs', () => {
+    test('throws an error if the resources array is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await expect(admin.incrementalAlterConfigs({ resources: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid resources array null'
+      )
+
+      await expect(admin.incrementalAlterConfigs({ resources: [] })).rejects.toHaveProperty(
+        'message',
+        'Resources array cannot be empty'
+      )
+    })
+
+    test('throws an error if there are invalid resources', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.incrementalAlterConfigs({ resources: [{ type: 1999 }] })
+      ).rejects.toHaveProperty('message', 'Invalid resource type 1999: {"type":1999}')
+
+      await expect(
+        admin.incrementalAlterConfigs({ resources: [{ type: CONFIG_RESOURCE_TYPES.TOPIC }] })
+      ).rejects.toHaveProperty('message', 'Invalid resource name undefined: {"type":2}')
+
+      await expect(
+        admin.incrementalAlterConfigs({
+          resources: [{ type: CONFIG_RESOURCE_TYPES.TOPIC, name: 'abc', configEntries: 123 }],
+        })
+      ).rejects.toHaveProperty(
+        'message',
+        'Invalid resource configEntries 123: {"type":2,"name":"abc","configEntries":123}'
+      )
+    })
+
+    test('throws an error if there are invalid operations', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      const resources = [
+        {
+          type: CONFIG_RESOURCE_TYPES.TOPIC,
+          name: 'abc',
+          configEntries: [{ name: 'cleanup.policy', operation: 9, value: 'compact' }],
+        },
+      ]
+
+      await expect(admin.incrementalAlterConfigs({ resources })).rejects.toHaveProperty(
+        'message',
+        `Invalid resource config operation: ${JSON.stringify(resources[0])}`
+      )
+    })
+
+    test('throws an error if there are invalid resource configEntry values', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      const resources = [
+        {
+          type: CONFIG_RESOURCE_TYPES.TOPIC,
+          name: 'abc',
+          configEntries: [
+            { name: 'retention.ms', operation: ALTER_CONFIG_OP_TYPES.DELETE },
+            { name: 'cleanup.policy', operation: ALTER_CONFIG_OP_TYPES.APPEND },
+          ],
+        },
+      ]
+
+      await expect(admin.incrementalAlterConfigs({ resources })).rejects.toHaveProperty(
+        'message',
+        `Invalid resource config value: ${JSON.stringify(resources[0])}`
+      )
+    })
+
+    test('alter the configs without resetting the other entries', async () => {
+      await createTopic({
+        topic: topicName,
+        config: [{ name: 'retention.ms', value: '3600000' }],
+      })
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.incrementalAlterConfigs({
+        resources: [
+          {
+            type: CONFIG_RESOURCE_TYPES.TOPIC,
+            name: topicName,
+            configEntries: [
+              { name: 'cleanup.policy', operation: ALTER_CONFIG_OP_TYPES.APPEND, value: 'compact' },
+              { name: 'segment.ms', value: '1800000' },
+            ],
+          },
+        ],
+      })
+
+      expect(await describeTopicConfigs(['cleanup.policy', 'retention.ms', 'segment.ms'])).toEqual({
+        'cleanup.policy': 'delete,compact',
+        'retention.ms': '3600000',
+        'segment.ms': '1800000',
+      })
+
+      await admin.incrementalAlterConfigs({
+        resources: [
+          {
+            type: CONFIG_RESOURCE_TYPES.TOPIC,
+            name: topicName,
+            configEntries: [
+              {
+                name: 'cleanup.policy',
+                operation: ALTER_CONFIG_OP_TYPES.SUBTRACT,
+                value: 'delete',
+              },
+              { name: 'retention.ms', operation: ALTER_CONFIG_OP_TYPES.DELETE },
+            ],
+          },
+        ],
+      })
+
+      const configs = await describeTopicConfigs(['cleanup.policy', 'retention.ms'])
+      expect(configs['cleanup.policy']).toEqual('compact')
+      expect(configs['retention.ms']).not.toEqual('3600000')
+    })
+
+    test('does not alter configs with validateOnly=true', async () => {
+      await createTopic({ topic: topicName })
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.incrementalAlterConfigs({
+        validateOnly: true,
+        resources: [
+          {
+            type: CONFIG_RESOURCE_TYPES.TOPIC,
+            name: topicName,
+            configEntries: [{ name: 'cleanup.policy', value: 'compact' }],
+          },
+        ],
+      })
+
+      expect(await describeTopicConfigs(['cleanup.policy'])).toEqual({
+        'cleanup.policy': 'delete',
+      })
+    })
+
+    test('alter broker configs on the target broker', async () => {
+      await createTopic({ topic: topicName })
+
+      const cluster = createCluster()
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await admin.connect()
+
+      const metadata = await cluster.brokerPool.seedBroker.metadata()
+      const brokerToAlterConfig = metadata.brokers[1].nodeId.toString()
+
+      const response = await admin.incrementalAlterConfigs({
+        resources: [
+          {
+            type: CONFIG_RESOURCE_TYPES.TOPIC,
+            name: topicName,
+            configEntries: [{ name: 'cleanup.policy', value: 'compact' }],
+          },
+          {
+            type: CONFIG_RESOURCE_TYPES.BROKER,
+            name: brokerToAlterConfig,
+            configEntries: [
+              { name: 'log.cleaner.threads', operation: ALTER_CONFIG_OP_TYPES.DELETE },
+            ],
+          },
+        ],
+      })
+
+      expect(response.resources.length).toEqual(2)
+    })
+
+    test('retries if the controller has moved', async () => {
+      const cluster = createCluster()
+      const brokerResponse = { resources: [true] }
+      const broker = { incrementalAlterConfigs: jest.fn(() => brokerResponse) }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_CONTROLLER))
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.incrementalAlterConfigs({
+          resources: [
+            {
+              type: CONFIG_RESOURCE_TYPES.TOPIC,
+              name: topicName,
+              configEntries: [{ name: 'cleanup.policy', value: 'compact' }],
+            },
+          ],
+        })
+      ).resolves.toEqual(brokerResponse)
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(2)
+      expect(cluster.findControllerBroker).toHaveBeenCalledTimes(2)
+      expect(broker.incrementalAlterConfigs).toHaveBeenCalledWith({
+        validateOnly: false,
+        resources: [
+          {
+            type: CONFIG_RESOURCE_TYPES.TOPIC,
+            name: topicName,
+            configEntries: [
+              { name: 'cleanup.policy', operation: ALTER_CONFIG_OP_TYPES.SET, value: 'compact' },
+            ],
+          },
+        ],
+      })
+    })
+  })
+})
@@ -1,16 +1,18 @@
 const createAdmin = require('../index')
 const createConsumer = require('../../consumer')
+const createProducer = require('../../producer')
 
 const {
   secureRandom,
   createCluster,
   newLogger,
   createTopic,
+  createModPartitioner,
   waitForConsumerToJoinGroup,
 } = require('testHelpers')
 
 describe('Admin', () => {
-  let topicName, groupId, admin, consumer
+  let topicName, groupId, admin, consumer, producer
 
   beforeEach(async () => {
     topicName = `test-topic-${secureRandom()}`
@@ -22,8 +24,31 @@ describe('Admin', () => {
   afterEach(async () => {
     admin && (await admin.disconnect())
     consumer && (await consumer.disconnect())
+    producer && (await producer.disconnect())
   })
 
+  const produceMessages = async count => {
+    producer = createProducer({
+      cluster: createCluster(),
+      createPartitioner: createModPartitioner,
+      logger: newLogger(),
+    })
+
+    await producer.connect()
+    await producer.send({
+      acks: 1,
+      topic: topicName,
+      messages: Array(count)
+        .fill()
+        .map(() => ({ partition: 0, value: `value-${secureRandom()}` })),
+    })
+  }
+
+  const fetchCommittedOffsets = async () => {
+    const [{ partitions }] = await admin.fetchOffsets({ groupId, topics: [topicName] })
+    return partitions.map(({ partition, offset }) => ({ partition, offset }))
+  }
+
   describe('resetOffsets', () => {
     test('throws an error if the groupId is invalid', async () => {
       admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
@@ -114,5 +139,212 @@ describe('Admin', () => {
         'The consumer group must have no running instances, current state: Stable'
       )
     })
+
+    test('throws an error if more than one mode is set', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, earliest: true, shiftBy: -10 })
+      ).rejects.toHaveProperty(
+        'message',
+        'Invalid reset modes earliest, shiftBy, only one mode can be set'
+      )
+    })
+
+    test('throws an error if the mode values are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, toDatetime: 'yesterday' })
+      ).rejects.toHaveProperty('message', 'Invalid toDatetime yesterday')
+
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, byDuration: '2h' })
+      ).rejects.toHaveProperty('message', 'Invalid byDuration 2h')
+
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, byDuration: 'PT' })
+      ).rejects.toHaveProperty('message', 'Invalid byDuration PT')
+
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, shiftBy: 1.5 })
+      ).rejects.toHaveProperty('message', 'Invalid shiftBy 1.5')
+    })
+
+    test('shift the consumer group offsets within the earliest and latest offsets', async () => {
+      await produceMessages(10)
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await admin.connect()
+      await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [{ partition: 0, offset: 5 }],
+      })
+
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, shiftBy: -3 })
+      ).resolves.toEqual([{ partition: 0, offset: '2' }])
+      expect(await fetchCommittedOffsets()).toEqual([{ partition: 0, offset: '2' }])
+
+      await admin.resetOffsets({ groupId, topic: topicName, shiftBy: 100 })
+      expect(await fetchCommittedOffsets()).toEqual([{ partition: 0, offset: '10' }])
+
+      await admin.resetOffsets({ groupId, topic: topicName, shiftBy: -100 })
+      expect(await fetchCommittedOffsets()).toEqual([{ partition: 0, offset: '0' }])
+    })
+
+    test('throws an error when shifting a partition without committed offset', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await admin.connect()
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, shiftBy: 1 })
+      ).rejects.toHaveProperty(
+        'message',
+        'Cannot shift the offset of partition 0 since it has no committed offset'
+      )
+    })
+
+    test('set the consumer group offsets to the offsets at a datetime', async () => {
+      await produceMessages(10)
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await admin.connect()
+      await admin.resetOffsets({
+        groupId,
+        topic: topicName,
+        toDatetime: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      })
+      expect(await fetchCommittedOffsets()).toEqual([{ partition: 0, offset: '0' }])
+
+      await admin.resetOffsets({
+        groupId,
+        topic: topicName,
+        toDatetime: new Date(Date.now() + 60 * 60 * 1000),
+      })
+      expect(await fetchCommittedOffsets()).toEqual([{ partition: 0, offset: '10' }])
+    })
+
+    test('set the consumer group offsets to the offsets a duration ago', async () => {
+      await produceMessages(10)
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await admin.connect()
+      await admin.resetOffsets({ groupId, topic: topicName, byDuration: 'PT2H' })
+      expect(await fetchCommittedOffsets()).toEqual([{ partition: 0, offset: '0' }])
+    })
+
+    test('set the consumer group offsets to the current offsets', async () => {
+      await produceMessages(10)
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await admin.connect()
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, toCurrent: true })
+      ).resolves.toEqual([{ partition: 0, offset: '10' }])
+
+      await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [{ partition: 0, offset: 4 }],
+      })
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, toCurrent: true })
+      ).resolves.toEqual([{ partition: 0, offset: '4' }])
+    })
+
+    test('returns the offsets without committing them on dry runs', async () => {
+      await produceMessages(10)
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await admin.connect()
+      await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [{ partition: 0, offset: 5 }],
+      })
+
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, shiftBy: -5, dryRun: true })
+      ).resolves.toEqual([{ partition: 0, offset: '0' }])
+      expect(await fetchCommittedOffsets()).toEqual([{ partition: 0, offset: '5' }])
+    })
+
+    test('plans the shift from the committed and topic offsets on dry runs', async () => {
+      const cluster = createCluster()
+      const coordinator = {
+        offsetFetch: jest.fn(() => ({
+          responses: [
+            {
+              topic: topicName,
+              partitions: [
+                { partition: 0, offset: '20', metadata: null },
+                { partition: 1, offset: '3', metadata: null },
+              ],
+            },
+          ],
+        })),
+      }
+
+      cluster.addTargetTopic = jest.fn()
+      cluster.refreshMetadataIfNecessary = jest.fn()
+      cluster.findTopicPartitionMetadata = jest.fn(() => [{ partitionId: 0 }, { partitionId: 1 }])
+      cluster.findGroupCoordinator = jest.fn(() => coordinator)
+      cluster.fetchTopicsOffset = jest.fn(([{ fromBeginning }]) => [
+        {
+          topic: topicName,
+          partitions: [
+            { partition: 0, offset: fromBeginning ? '10' : '50' },
+            { partition: 1, offset: fromBeginning ? '0' : '4' },
+          ],
+        },
+      ])
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, shiftBy: -15, dryRun: true })
+      ).resolves.toEqual([
+        { partition: 0, offset: '10' },
+        { partition: 1, offset: '0' },
+      ])
+
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, shiftBy: 2, dryRun: true })
+      ).resolves.toEqual([
+        { partition: 0, offset: '22' },
+        { partition: 1, offset: '4' },
+      ])
+    })
+
+    test('plans the earliest and latest offsets on dry runs', async () => {
+      const cluster = createCluster()
+      cluster.addTargetTopic = jest.fn()
+      cluster.refreshMetadataIfNecessary = jest.fn()
+      cluster.findTopicPartitionMetadata = jest.fn(() => [{ partitionId: 0 }, { partitionId: 1 }])
+      cluster.fetchTopicsOffset = jest.fn(([{ fromBeginning }]) => [
+        {
+          topic: topicName,
+          partitions: [
+            { partition: 0, offset: fromBeginning ? '10' : '50' },
+            { partition: 1, offset: fromBeginning ? '0' : '4' },
+          ],
+        },
+      ])
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, dryRun: true })
+      ).resolves.toEqual([
+        { partition: 0, offset: '50' },
+        { partition: 1, offset: '4' },
+      ])
+
+      await expect(
+        admin.resetOffsets({ groupId, topic: topicName, earliest: true, dryRun: true })
+      ).resolves.toEqual([
+        { partition: 0, offset: '10' },
+        { partition: 1, offset: '0' },
+      ])
+    })
   })
 })
@@ -0,0 +1,394 @@
+const createAdmin = require('../index')
+const createProducer = require('../../producer')
+const { KafkaJSProtocolError, KafkaJSAggregateError } = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+
+const {
+  secureRandom,
+  createCluster,
+  createTopic,
+  newLogger,
+  testIfKafkaAtLeast_3_0,
+} = require('testHelpers')
+
+const NOT_COORDINATOR_FOR_GROUP = 16
+const NOT_LEADER_FOR_PARTITION = 6
+
+describe('Admin', () => {
+  let topicName, transactionalId, admin, producer
+
+  beforeEach(() => {
+    topicName = `test-topic-${secureRandom()}`
+    transactionalId = `transactional-id-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+    producer && (await producer.disconnect())
+  })
+
+  const startTransaction = async () => {
+    await createTopic({ topic: topicName, partitions: 2 })
+    producer = createProducer({
+      cluster: createCluster(),
+      logger: newLogger(),
+      transactionalId,
+    })
+
+    await producer.connect()
+    const transaction = await producer.transaction()
+    await transaction.send({ topic: topicName, messages: [{ partition: 0, value: 'value' }] })
+    return transaction
+  }
+
+  describe('listTransactions', () => {
+    test('throws an error if the states are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.listTransactions({ states: 'Ongoing' })).rejects.toHaveProperty(
+        'message',
+        'Invalid states array Ongoing'
+      )
+
+      await expect(admin.listTransactions({ states: [1] })).rejects.toHaveProperty(
+        'message',
+        'Invalid states array 1'
+      )
+    })
+
+    test('throws an error if the producer ids are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.listTransactions({ producerIds: [null] })).rejects.toHaveProperty(
+        'message',
+        'Invalid producerIds array '
+      )
+    })
+
+    testIfKafkaAtLeast_3_0('list the ongoing transactions', async () => {
+      await startTransaction()
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const { transactions } = await admin.listTransactions({ states: ['Ongoing'] })
+      expect(transactions).toEqual(
+        expect.arrayContaining([
+          {
+            transactionalId,
+            producerId: expect.any(String),
+            state: 'Ongoing',
+            coordinatorId: expect.any(Number),
+          },
+        ])
+      )
+    })
+
+    testIfKafkaAtLeast_3_0('filters the transactions by state', async () => {
+      const transaction = await startTransaction()
+      await transaction.commit()
+
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const { transactions } = await admin.listTransactions({ states: ['Ongoing'] })
+      expect(transactions.map(t => t.transactionalId)).not.toContain(transactionalId)
+    })
+
+    test('retries if a broker is not found', async () => {
+      const cluster = createCluster()
+      const broker = {
+        listTransactions: jest.fn(() => ({
+          unknownStateFilters: [],
+          transactionStates: [{ transactionalId, producerId: '1000', transactionState: 'Ongoing' }],
+        })),
+      }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.metadata = jest.fn(() => ({ brokers: [{ nodeId: 0 }] }))
+      cluster.findBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          const error = new Error('Broker not found')
+          error.name = 'KafkaJSBrokerNotFound'
+          throw error
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(admin.listTransactions()).resolves.toEqual({
+        transactions: [{ transactionalId, producerId: '1000', state: 'Ongoing', coordinatorId: 0 }],
+      })
+
+      expect(cluster.findBroker).toHaveBeenCalledTimes(2)
+      expect(broker.listTransactions).toHaveBeenCalledWith({
+        stateFilters: [],
+        producerIdFilters: [],
+      })
+    })
+  })
+
+  describe('describeTransactions', () => {
+    test('throws an error if the transactional ids are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.describeTransactions()).rejects.toHaveProperty(
+        'message',
+        'Invalid transactionalIds array undefined'
+      )
+
+      await expect(admin.describeTransactions([])).rejects.toHaveProperty(
+        'message',
+        'Invalid transactionalIds array '
+      )
+
+      await expect(admin.describeTransactions(['id', 1])).rejects.toHaveProperty(
+        'message',
+        'Invalid transactionalIds array id,1'
+      )
+    })
+
+    testIfKafkaAtLeast_3_0('describe the ongoing transaction', async () => {
+      await startTransaction()
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const { transactions } = await admin.describeTransactions([transactionalId])
+      expect(transactions).toEqual([
+        {
+          transactionalId,
+          state: 'Ongoing',
+          timeout: expect.any(Number),
+          startTimestamp: expect.any(String),
+          producerId: expect.any(String),
+          producerEpoch: expect.any(Number),
+          topics: [{ topic: topicName, partitions: [0] }],
+          coordinatorId: expect.any(Number),
+        },
+      ])
+    })
+
+    testIfKafkaAtLeast_3_0('throws an aggregate error for unknown transactional ids', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const error = await admin.describeTransactions([transactionalId]).catch(e => e)
+      expect(error).toBeInstanceOf(KafkaJSAggregateError)
+      expect(error.errors[0]).toMatchObject({
+        name: 'KafkaJSDescribeTransactionsError',
+        type: 'TRANSACTIONAL_ID_NOT_FOUND',
+        transactionalId,
+      })
+    })
+
+    test('retries if the transaction coordinator has moved', async () => {
+      const cluster = createCluster()
+      const coordinator = {
+        nodeId: 1,
+        describeTransactions: jest.fn(() => ({ transactionStates: [] })),
+      }
+
+      cluster.findGroupCoordinator = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_COORDINATOR_FOR_GROUP))
+        })
+        .mockImplementationOnce(() => coordinator)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(admin.describeTransactions([transactionalId])).resolves.toEqual({
+        transactions: [],
+      })
+
+      expect(cluster.findGroupCoordinator).toHaveBeenCalledTimes(2)
+      expect(cluster.findGroupCoordinator).toHaveBeenCalledWith({
+        groupId: transactionalId,
+        coordinatorType: 1,
+      })
+      expect(coordinator.describeTransactions).toHaveBeenCalledWith({
+        transactionalIds: [transactionalId],
+      })
+    })
+  })
+
+  describe('describeProducers', () => {
+    test('throws an error if the topics are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.describeProducers({ topics: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid topics array null'
+      )
+
+      await expect(admin.describeProducers({ topics: [] })).rejects.toHaveProperty(
+        'message',
+        'Topics array cannot be empty'
+      )
+
+      await expect(
+        admin.describeProducers({ topics: [{ topic: topicName, partitions: [-1] }] })
+      ).rejects.toHaveProperty('message', `Invalid partition array: -1 for topic: ${topicName}`)
+    })
+
+    testIfKafkaAtLeast_3_0('describe the producers of the partitions', async () => {
+      await startTransaction()
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const { topics } = await admin.describeProducers({
+        topics: [{ topic: topicName, partitions: [0, 1] }],
+      })
+
+      expect(topics).toEqual([
+        {
+          topic: topicName,
+          partitions: expect.arrayContaining([
+            {
+              partition: 0,
+              activeProducers: [
+                {
+                  producerId: expect.any(String),
+                  producerEpoch: expect.any(Number),
+                  lastSequence: expect.any(Number),
+                  lastTimestamp: expect.any(String),
+                  coordinatorEpoch: expect.any(Number),
+                  currentTransactionStartOffset: '0',
+                },
+              ],
+            },
+            { partition: 1, activeProducers: [] },
+          ]),
+        },
+      ])
+    })
+
+    test('retries if the leader has moved', async () => {
+      const cluster = createCluster()
+      const broker = {
+        describeProducers: jest
+          .fn()
+          .mockImplementationOnce(() => {
+            throw new KafkaJSAggregateError('Errors describing producers', [
+              new KafkaJSProtocolError(createErrorFromCode(NOT_LEADER_FOR_PARTITION)),
+            ])
+          })
+          .mockImplementationOnce(() => ({
+            topics: [{ topic: topicName, partitions: [{ partition: 0, activeProducers: [] }] }],
+          })),
+      }
+
+      cluster.addMultipleTargetTopics = jest.fn()
+      cluster.refreshMetadataIfNecessary = jest.fn()
+      cluster.refreshMetadata = jest.fn()
+      cluster.findLeaderForPartitions = jest.fn(() => ({ 1: [0] }))
+      cluster.findBroker = jest.fn(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.describeProducers({ topics: [{ topic: topicName, partitions: [0] }] })
+      ).resolves.toEqual({
+        topics: [{ topic: topicName, partitions: [{ partition: 0, activeProducers: [] }] }],
+      })
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(1)
+      expect(cluster.findBroker).toHaveBeenCalledWith({ nodeId: '1' })
+      expect(broker.describeProducers).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('abortTransaction', () => {
+    test('throws an error if the options are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      const options = {
+        topic: topicName,
+        partition: 0,
+        producerId: '1000',
+        producerEpoch: 0,
+        coordinatorEpoch: 0,
+      }
+
+      await expect(admin.abortTransaction({ ...options, topic: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid topic null'
+      )
+
+      await expect(admin.abortTransaction({ ...options, partition: -1 })).rejects.toHaveProperty(
+        'message',
+        'Invalid partition -1'
+      )
+
+      await expect(
+        admin.abortTransaction({ ...options, producerId: undefined })
+      ).rejects.toHaveProperty('message', 'Invalid producerId undefined')
+
+      await expect(
+        admin.abortTransaction({ ...options, producerEpoch: '1' })
+      ).rejects.toHaveProperty('message', 'Invalid producerEpoch 1')
+
+      await expect(
+        admin.abortTransaction({ ...options, coordinatorEpoch: null })
+      ).rejects.toHaveProperty('message', 'Invalid coordinatorEpoch null')
+    })
+
+    testIfKafkaAtLeast_3_0('abort the hanging transaction of a partition', async () => {
+      await startTransaction()
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const { topics } = await admin.describeProducers({
+        topics: [{ topic: topicName, partitions: [0] }],
+      })
+      const [
+        { producerId, producerEpoch, coordinatorEpoch },
+      ] = topics[0].partitions[0].activeProducers
+
+      await admin.abortTransaction({
+        topic: topicName,
+        partition: 0,
+        producerId,
+        producerEpoch,
+        coordinatorEpoch,
+      })
+
+      const { topics: afterAbort } = await admin.describeProducers({
+        topics: [{ topic: topicName, partitions: [0] }],
+      })
+      expect(afterAbort[0].partitions[0].activeProducers).toEqual([
+        expect.objectContaining({ producerId, currentTransactionStartOffset: '-1' }),
+      ])
+    })
+
+    test('sends the abort marker to the leader of the partition', async () => {
+      const cluster = createCluster()
+      const broker = { writeTxnMarkers: jest.fn(() => ({ markers: [] })) }
+
+      cluster.addTargetTopic = jest.fn()
+      cluster.refreshMetadataIfNecessary = jest.fn()
+      cluster.findLeaderForPartitions = jest.fn(() => ({ 2: [1] }))
+      cluster.findBroker = jest.fn(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.abortTransaction({
+          topic: topicName,
+          partition: 1,
+          producerId: '1000',
+          producerEpoch: 3,
+          coordinatorEpoch: 5,
+        })
+      ).resolves.toBeUndefined()
+
+      expect(cluster.findBroker).toHaveBeenCalledWith({ nodeId: '2' })
+      expect(broker.writeTxnMarkers).toHaveBeenCalledWith({
+        markers: [
+          {
+            producerId: '1000',
+            producerEpoch: 3,
+            transactionResult: false,
+            topics: [{ topic: topicName, partitions: [1] }],
+            coordinatorEpoch: 5,
+          },
+        ],
+      })
+    })
+  })
+})
@@ -0,0 +1,281 @@
+const crypto = require('crypto')
+const createAdmin = require('../index')
+const Broker = require('../../broker')
+const { KafkaJSProtocolError, KafkaJSAggregateError } = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+
+const {
+  secureRandom,
+  createCluster,
+  createConnectionPool,
+  newLogger,
+  saslSCRAM512ConnectionOpts,
+  testIfKafkaAtLeast_2_7,
+  describeIfOauthbearerDisabled,
+} = require('testHelpers')
+
+const NOT_CONTROLLER = 41
+
+describe('Admin', () => {
+  let user, admin
+
+  beforeEach(() => {
+    user = `test-user-${secureRandom()}`
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('describeUserScramCredentials', () => {
+    test('throws an error if the users array is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.describeUserScramCredentials('alice')).rejects.toHaveProperty(
+        'message',
+        'Invalid users array alice'
+      )
+
+      await expect(admin.describeUserScramCredentials([1])).rejects.toHaveProperty(
+        'message',
+        'Invalid users array 1'
+      )
+    })
+
+    testIfKafkaAtLeast_2_7('describe the credentials of the users', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await admin.alterUserScramCredentials({
+        upsertions: [
+          { user, mechanism: 'scram-sha-256', password: 'secret' },
+          { user, mechanism: 'scram-sha-512', password: 'secret', iterations: 8192 },
+        ],
+      })
+
+      const { users } = await admin.describeUserScramCredentials([user])
+      expect(users).toEqual([
+        {
+          user,
+          credentialInfos: expect.arrayContaining([
+            { mechanism: 'scram-sha-256', iterations: 4096 },
+            { mechanism: 'scram-sha-512', iterations: 8192 },
+          ]),
+        },
+      ])
+
+      const { users: allUsers } = await admin.describeUserScramCredentials()
+      expect(allUsers.map(({ user }) => user)).toContain(user)
+    })
+
+    testIfKafkaAtLeast_2_7('throws an aggregate error for unknown users', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const error = await admin.describeUserScramCredentials([user]).catch(e => e)
+
+      expect(error).toBeInstanceOf(KafkaJSAggregateError)
+      expect(error.errors[0]).toMatchObject({
+        name: 'KafkaJSUserScramCredentialsError',
+        type: 'RESOURCE_NOT_FOUND',
+        user,
+      })
+    })
+
+    test('retries if the controller has moved', async () => {
+      const cluster = createCluster()
+      const broker = {
+        describeUserScramCredentials: jest.fn(() => ({
+          results: [{ user, credentialInfos: [{ mechanism: 2, iterations: 4096 }] }],
+        })),
+      }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_CONTROLLER))
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(admin.describeUserScramCredentials([user])).resolves.toEqual({
+        users: [{ user, credentialInfos: [{ mechanism: 'scram-sha-512', iterations: 4096 }] }],
+      })
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(2)
+      expect(cluster.findControllerBroker).toHaveBeenCalledTimes(2)
+      expect(broker.describeUserScramCredentials).toHaveBeenCalledWith({ users: [user] })
+    })
+  })
+
+  describe('alterUserScramCredentials', () => {
+    test('throws an error if the upsertions or deletions are invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(admin.alterUserScramCredentials({})).rejects.toHaveProperty(
+        'message',
+        'Upsertions and deletions cannot both be empty'
+      )
+
+      await expect(admin.alterUserScramCredentials({ upsertions: 'alice' })).rejects.toHaveProperty(
+        'message',
+        'Invalid upsertions array alice'
+      )
+
+      await expect(admin.alterUserScramCredentials({ deletions: 'alice' })).rejects.toHaveProperty(
+        'message',
+        'Invalid deletions array alice'
+      )
+
+      await expect(
+        admin.alterUserScramCredentials({
+          deletions: [{ user, mechanism: 'plain' }],
+        })
+      ).rejects.toHaveProperty(
+        'message',
+        `Invalid SCRAM mechanism plain for user ${user}, expected one of scram-sha-256,scram-sha-512`
+      )
+    })
+
+    test('throws an error if an upsertion is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      await expect(
+        admin.alterUserScramCredentials({
+          upsertions: [{ mechanism: 'scram-sha-256', password: 'secret' }],
+        })
+      ).rejects.toHaveProperty('message', 'Invalid user undefined')
+
+      await expect(
+        admin.alterUserScramCredentials({ upsertions: [{ user, mechanism: 'scram-sha-256' }] })
+      ).rejects.toHaveProperty('message', `Invalid password for user ${user}`)
+
+      await expect(
+        admin.alterUserScramCredentials({
+          upsertions: [{ user, mechanism: 'scram-sha-512', password: 'secret', iterations: 10 }],
+        })
+      ).rejects.toHaveProperty(
+        'message',
+        `Invalid iterations 10 for user ${user}, the minimum is 4096`
+      )
+
+      await expect(
+        admin.alterUserScramCredentials({
+          upsertions: [{ user, mechanism: 'scram-sha-512', password: 'secret', salt: 'salt' }],
+        })
+      ).rejects.toHaveProperty('message', `Invalid salt for user ${user}, it has to be a Buffer`)
+    })
+
+    test('salts the passwords client-side', async () => {
+      const cluster = createCluster()
+      const broker = { alterUserScramCredentials: jest.fn(() => ({ results: [] })) }
+      const salt = crypto.randomBytes(32)
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest.fn(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await admin.alterUserScramCredentials({
+        upsertions: [
+          { user, mechanism: 'scram-sha-256', password: 'secret', salt },
+          { user, mechanism: 'scram-sha-512', password: 'secret', iterations: 8192 },
+        ],
+        deletions: [{ user: 'bob', mechanism: 'scram-sha-512' }],
+      })
+
+      const [{ upsertions, deletions }] = broker.alterUserScramCredentials.mock.calls[0]
+      expect(deletions).toEqual([{ name: 'bob', mechanism: 2 }])
+      expect(upsertions).toEqual([
+        {
+          name: user,
+          mechanism: 1,
+          iterations: 4096,
+          salt,
+          saltedPassword: crypto.pbkdf2Sync('secret', salt, 4096, 32, 'sha256'),
+        },
+        {
+          name: user,
+          mechanism: 2,
+          iterations: 8192,
+          salt: expect.any(Buffer),
+          saltedPassword: crypto.pbkdf2Sync('secret', upsertions[1].salt, 8192, 64, 'sha512'),
+        },
+      ])
+      expect(upsertions[1].salt).toHaveLength(32)
+    })
+
+    test('retries if the controller has moved', async () => {
+      const cluster = createCluster()
+      const broker = { alterUserScramCredentials: jest.fn(() => ({ results: [] })) }
+
+      cluster.refreshMetadata = jest.fn()
+      cluster.findControllerBroker = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw new KafkaJSProtocolError(createErrorFromCode(NOT_CONTROLLER))
+        })
+        .mockImplementationOnce(() => broker)
+
+      admin = createAdmin({ cluster, logger: newLogger() })
+      await expect(
+        admin.alterUserScramCredentials({ deletions: [{ user, mechanism: 'scram-sha-256' }] })
+      ).resolves.toBeUndefined()
+
+      expect(cluster.refreshMetadata).toHaveBeenCalledTimes(2)
+      expect(cluster.findControllerBroker).toHaveBeenCalledTimes(2)
+      expect(broker.alterUserScramCredentials).toHaveBeenCalledWith({
+        upsertions: [],
+        deletions: [{ name: user, mechanism: 1 }],
+      })
+    })
+
+    testIfKafkaAtLeast_2_7('throws an aggregate error for unknown credentials', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const error = await admin
+        .alterUserScramCredentials({ deletions: [{ user, mechanism: 'scram-sha-256' }] })
+        .catch(e => e)
+
+      expect(error).toBeInstanceOf(KafkaJSAggregateError)
+      expect(error.errors[0]).toMatchObject({
+        name: 'KafkaJSUserScramCredentialsError',
+        type: 'RESOURCE_NOT_FOUND',
+        user,
+      })
+    })
+
+    describeIfOauthbearerDisabled('when SASL SCRAM is configured', () => {
+      let broker
+
+      afterEach(async () => {
+        broker && (await broker.disconnect())
+      })
+
+      testIfKafkaAtLeast_2_7('authenticate with the created credentials', async () => {
+        admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+        await admin.connect()
+
+        await admin.alterUserScramCredentials({
+          upsertions: [{ user, mechanism: 'scram-sha-512', password: 'secret' }],
+        })
+
+        const { sasl, ...connectionOpts } = saslSCRAM512ConnectionOpts()
+        broker = new Broker({
+          connectionPool: createConnectionPool({
+            ...connectionOpts,
+            sasl: { ...sasl, username: user, password: 'secret' },
+          }),
+          logger: newLogger(),
+        })
+        await broker.connect()
+        expect(broker.isConnected()).toEqual(true)
+
+        await admin.alterUserScramCredentials({
+          deletions: [{ user, mechanism: 'scram-sha-512' }],
+        })
+      })
+    })
+  })
+})
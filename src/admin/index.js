@@ -1,7 +1,11 @@
+const crypto = require('crypto')
 const createRetry = require('../retry')
 const waitFor = require('../utils/waitFor')
 const groupBy = require('../utils/groupBy')
+const uniq = require('../utils/uniq')
+const Long = require('../utils/long')
 const createConsumer = require('../consumer')
+const { MemberAssignment } = require('../consumer/assignerProtocol')
 const InstrumentationEventEmitter = require('../instrumentation/emitter')
 const { events, wrap: wrapEvent, unwrap: unwrapEvent } = require('./instrumentationEvents')
 const { LEVELS } = require('../loggers')
@@ -14,10 +18,16 @@ const {
 } = require('../errors')
 const { staleMetadata } = require('../protocol/error')
 const CONFIG_RESOURCE_TYPES = require('../protocol/configResourceTypes')
+const ALTER_CONFIG_OP_TYPES = require('../protocol/alterConfigOpTypes')
 const ACL_RESOURCE_TYPES = require('../protocol/aclResourceTypes')
 const ACL_OPERATION_TYPES = require('../protocol/aclOperationTypes')
 const ACL_PERMISSION_TYPES = require('../protocol/aclPermissionTypes')
 const RESOURCE_PATTERN_TYPES = require('../protocol/resourcePatternTypes')
+const ELECTION_TYPES = require('../protocol/electionTypes')
+const COORDINATOR_TYPES = require('../protocol/coordinatorTypes')
+const CLIENT_QUOTA_MATCH_TYPES = require('../protocol/clientQuotaMatchTypes')
+const SCRAM_MECHANISM_TYPES = require('../protocol/scramMechanisms')
+const { SCRAM, DIGESTS } = require('../broker/saslAuthenticator/scram')
 const { EARLIEST_OFFSET, LATEST_OFFSET } = require('../constants')
 
 const { CONNECT, DISCONNECT } = events
@@ -61,6 +71,44 @@ const indexByPartition = array =>
     {}
   )
 
+// Principals are exposed as strings, e.g. "User:alice", as in the ACL operations
+const isValidPrincipal = principal => typeof principal === 'string' && /^[^:]+:.+$/.test(principal)
+const toPrincipal = principal => {
+  const separator = principal.indexOf(':')
+  return {
+    principalType: principal.slice(0, separator),
+    principalName: principal.slice(separator + 1),
+  }
+}
+const fromPrincipal = ({ principalType, principalName }) => `${principalType}:${principalName}`
+
+// Durations are ISO-8601 as in the --by-duration option of kafka-consumer-groups.sh, e.g. PT2H
+const ISO_8601_DURATION = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+const durationToMs = duration => {
+  if (typeof duration === 'number') {
+    return duration >= 0 ? duration : NaN
+  }
+
+  const match = typeof duration === 'string' && ISO_8601_DURATION.exec(duration)
+  if (!match || match.slice(1).every(value => value === undefined)) {
+    return NaN
+  }
+
+  const [days, hours, minutes, seconds] = match.slice(1).map(value => Number(value || 0))
+  return Math.round((((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000)
+}
+
+// SCRAM mechanisms are named as in the SASL options
+const SCRAM_MECHANISMS = {
+  'scram-sha-256': { type: SCRAM_MECHANISM_TYPES.SCRAM_SHA_256, digest: DIGESTS.SHA256 },
+  'scram-sha-512': { type: SCRAM_MECHANISM_TYPES.SCRAM_SHA_512, digest: DIGESTS.SHA512 },
+}
+const SCRAM_SALT_LENGTH = 32
+const isValidScramMechanism = mechanism =>
+  Object.prototype.hasOwnProperty.call(SCRAM_MECHANISMS, mechanism)
+const scramMechanismName = type =>
+  keys(SCRAM_MECHANISMS).find(name => SCRAM_MECHANISMS[name].type === type) || 'unknown'
+
 /**
  *
  * @param {Object} params
@@ -478,12 +526,34 @@ module.exports = ({
   }
 
   /**
-   * @param {string} groupId
-   * @param {string} topic
-   * @param {boolean} [earliest=false]
-   * @return {Promise}
+   * Reset the consumer group offsets of a topic, the modes match the ones of
+   * kafka-consumer-groups.sh. At most one mode can be set, the latest offsets are used by default.
+   *
+   * @param {Object} options
+   * @param {string} options.groupId
+   * @param {string} options.topic
+   * @param {boolean} [options.earliest=false] Reset to the earliest offsets
+   * @param {Date|string|number} [options.toDatetime] Reset to the first offsets at or after the
+   *                                                  date
+   * @param {string|number} [options.byDuration] Reset to the first offsets at or after the
+   *                                             duration ago, e.g. "PT2H" or in milliseconds
+   * @param {number} [options.shiftBy] Shift the committed offsets, bounded by the earliest and
+   *                                   latest offsets
+   * @param {boolean} [options.toCurrent=false] Reset to the committed offsets, the latest offsets
+   *                                            for the partitions without committed offsets
+   * @param {boolean} [options.dryRun=false] Return the offsets without committing them
+   * @return {Promise<import("../../types").SeekEntry[]>} The offsets of the reset
    */
-  const resetOffsets = async ({ groupId, topic, earliest = false }) => {
+  const resetOffsets = async ({
+    groupId,
+    topic,
+    earliest = false,
+    toDatetime,
+    byDuration,
+    shiftBy,
+    toCurrent = false,
+    dryRun = false,
+  }) => {
     if (!groupId) {
       throw new KafkaJSNonRetriableError(`Invalid groupId ${groupId}`)
     }
@@ -492,13 +562,104 @@ module.exports = ({
       throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
     }
 
+    const modes = entries({ earliest, toDatetime, byDuration, shiftBy, toCurrent })
+      .filter(([, value]) => value != null && value !== false)
+      .map(([mode]) => mode)
+
+    if (modes.length > 1) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid reset modes ${modes.join(', ')}, only one mode can be set`
+      )
+    }
+
+    if (toDatetime != null && isNaN(new Date(toDatetime).getTime())) {
+      throw new KafkaJSNonRetriableError(`Invalid toDatetime ${toDatetime}`)
+    }
+
+    if (byDuration != null && isNaN(durationToMs(byDuration))) {
+      throw new KafkaJSNonRetriableError(`Invalid byDuration ${byDuration}`)
+    }
+
+    if (shiftBy != null && !Number.isInteger(shiftBy)) {
+      throw new KafkaJSNonRetriableError(`Invalid shiftBy ${shiftBy}`)
+    }
+
+    const partitionsToSeek = await planOffsetsReset({
+      groupId,
+      topic,
+      earliest,
+      toDatetime,
+      byDuration,
+      shiftBy,
+      toCurrent,
+      dryRun,
+    })
+
+    if (!dryRun) {
+      await setOffsets({ groupId, topic, partitions: partitionsToSeek })
+    }
+
+    return partitionsToSeek
+  }
+
+  /**
+   * Resolve the offsets of a reset without committing them. The earliest and latest offsets are
+   * only resolved on dry runs, otherwise the consumers resolve them when they start
+   */
+  const planOffsetsReset = async ({
+    groupId,
+    topic,
+    earliest,
+    toDatetime,
+    byDuration,
+    shiftBy,
+    toCurrent,
+    dryRun,
+  }) => {
+    if (toDatetime != null || byDuration != null) {
+      const timestamp =
+        toDatetime != null ? new Date(toDatetime).getTime() : Date.now() - durationToMs(byDuration)
+
+      return fetchTopicOffsetsByTimestamp(topic, timestamp)
+    }
+
+    if (shiftBy != null || toCurrent) {
+      const [{ partitions: committedOffsets }] = await fetchOffsets({ groupId, topics: [topic] })
+      const topicOffsets = indexByPartition(await fetchTopicOffsets(topic))
+
+      return committedOffsets.map(({ partition, offset }) => {
+        const { low, high } = topicOffsets[partition]
+        const hasCommittedOffset = Long.fromValue(offset).gte(0)
+
+        if (toCurrent) {
+          return { partition, offset: hasCommittedOffset ? offset : high }
+        }
+
+        if (!hasCommittedOffset) {
+          throw new KafkaJSNonRetriableError(
+            `Cannot shift the offset of partition ${partition} since it has no committed offset`
+          )
+        }
+
+        const shifted = Long.fromValue(offset).add(shiftBy)
+        const bounded = shifted.lessThan(low) ? low : shifted.gte(high) ? high : shifted
+        return { partition, offset: bounded.toString() }
+      })
+    }
+
+    if (dryRun) {
+      const topicOffsets = await fetchTopicOffsets(topic)
+      return topicOffsets.map(({ partition, low, high }) => ({
+        partition,
+        offset: earliest ? low : high,
+      }))
+    }
+
     const partitions = await findTopicPartitions(cluster, topic)
-    const partitionsToSeek = partitions.map(partition => ({
+    return partitions.map(partition => ({
       partition,
-      offset: cluster.defaultOffset({ fromBeginning: earliest }),
+      offset: String(cluster.defaultOffset({ fromBeginning: earliest })),
     }))
-
-    return setOffsets({ groupId, topic, partitions: partitionsToSeek })
   }
 
   /**
@@ -563,6 +724,237 @@ module.exports = ({
     })
   }
 
+  /**
+   * Delete the committed offsets of a topic for a group, e.g. after the group stopped consuming it.
+   * The group must not be subscribed to the topic
+   *
+   * @param {Object} options
+   * @param {string} options.groupId
+   * @param {string} options.topic
+   * @param {number[]} [options.partitions] All the partitions of the topic if not provided
+   * @return {Promise<void>}
+   */
+  const deleteConsumerGroupOffsets = async ({ groupId, topic, partitions }) => {
+    if (!groupId) {
+      throw new KafkaJSNonRetriableError(`Invalid groupId ${groupId}`)
+    }
+
+    if (!topic) {
+      throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+    }
+
+    if (
+      typeof partitions !== 'undefined' &&
+      (!Array.isArray(partitions) ||
+        partitions.length === 0 ||
+        partitions.some(partition => !Number.isInteger(partition) || partition < 0))
+    ) {
+      throw new KafkaJSNonRetriableError(`Invalid partitions array ${partitions}`)
+    }
+
+    const partitionsToDelete = partitions || (await findTopicPartitions(cluster, topic))
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        const coordinator = await cluster.findGroupCoordinator({ groupId })
+        await coordinator.offsetDelete({
+          groupId,
+          topics: [{ topic, partitions: partitionsToDelete }],
+        })
+      } catch (e) {
+        if (
+          [
+            'NOT_COORDINATOR_FOR_GROUP',
+            'GROUP_COORDINATOR_NOT_AVAILABLE',
+            'GROUP_LOAD_IN_PROGRESS',
+          ].includes(e.type)
+        ) {
+          logger.warn('Could not delete consumer group offsets', {
+            groupId,
+            topic,
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Describe the lag of consumer groups, joining their committed offsets with the log-end
+   * offsets of the partitions. OffsetFetch and DescribeGroups are sent to the coordinator of
+   * each group, ListOffsets to the leaders of the partitions.
+   *
+   * @param {Object} options
+   * @param {string[]} options.groupIds
+   * @param {string[]} [options.topics] Only describe these topics, all the topics with committed
+   *                                    offsets by default
+   * @returns {Promise<{ groups: import("../../types").ConsumerGroupLag[] }>}
+   */
+  const describeConsumerGroupLag = async ({ groupIds, topics }) => {
+    if (
+      !Array.isArray(groupIds) ||
+      groupIds.length === 0 ||
+      groupIds.some(groupId => !groupId || typeof groupId !== 'string')
+    ) {
+      throw new KafkaJSNonRetriableError(`Invalid groupIds array ${groupIds}`)
+    }
+
+    if (
+      typeof topics !== 'undefined' &&
+      (!Array.isArray(topics) || topics.some(topic => !topic || typeof topic !== 'string'))
+    ) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topics}`)
+    }
+
+    // Assigned partitions indexed by "topic:partition", only consumer groups can be decoded
+    const indexAssignedMembers = ({ protocolType, members = [] } = {}) =>
+      protocolType !== 'consumer'
+        ? {}
+        : members.reduce((assigned, { memberId, clientId, clientHost, memberAssignment }) => {
+            const decoded = MemberAssignment.decode(memberAssignment)
+            entries((decoded && decoded.assignment) || {}).forEach(([topic, partitions]) =>
+              partitions.forEach(partition => {
+                assigned[`${topic}:${partition}`] = { memberId, clientId, clientHost }
+              })
+            )
+            return assigned
+          }, {})
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        const topicsToFetch = await Promise.all(
+          uniq(topics || []).map(async topic => {
+            const partitions = await findTopicPartitions(cluster, topic)
+            return { topic, partitions: partitions.map(partition => ({ partition })) }
+          })
+        )
+
+        const groupIdsByCoordinator = await groupBy(uniq(groupIds), groupId =>
+          cluster.findGroupCoordinator({ groupId })
+        )
+
+        const fetchCoordinatorGroups = async coordinator => {
+          const coordinatorGroupIds = groupIdsByCoordinator.get(coordinator)
+          const [{ groups: descriptions }, offsets] = await Promise.all([
+            coordinator.describeGroups({ groupIds: coordinatorGroupIds }),
+            Promise.all(
+              coordinatorGroupIds.map(groupId =>
+                coordinator.offsetFetch({ groupId, topics: topicsToFetch })
+              )
+            ),
+          ])
+
+          return coordinatorGroupIds.map((groupId, index) => ({
+            groupId,
+            description: descriptions.find(description => description.groupId === groupId),
+            committedOffsets: offsets[index].responses,
+          }))
+        }
+
+        const coordinators = Array.from(groupIdsByCoordinator.keys())
+        const groups = (await Promise.all(coordinators.map(fetchCoordinatorGroups))).flat()
+
+        // Fetch the log-end offsets of every partition with committed offsets in a single pass,
+        // fetchTopicsOffset sends one ListOffsets request per leader
+        const partitionsByTopic = groups.reduce((acc, { committedOffsets }) => {
+          committedOffsets.forEach(({ topic, partitions }) => {
+            acc[topic] = uniq([...(acc[topic] || []), ...partitions.map(p => p.partition)])
+          })
+          return acc
+        }, {})
+
+        const topicNames = keys(partitionsByTopic)
+        let logEndOffsets = []
+        if (topicNames.length > 0) {
+          await cluster.addMultipleTargetTopics(topicNames)
+          await cluster.refreshMetadataIfNecessary()
+          logEndOffsets = await cluster.fetchTopicsOffset(
+            entries(partitionsByTopic).map(([topic, partitions]) => ({
+              topic,
+              fromBeginning: false,
+              partitions: partitions.map(partition => ({ partition })),
+            }))
+          )
+        }
+
+        const findLogEndOffset = (topic, partition) => {
+          const topicOffsets = logEndOffsets.find(offsets => offsets.topic === topic)
+          const partitionOffset =
+            topicOffsets && topicOffsets.partitions.find(p => p.partition === partition)
+          return partitionOffset ? partitionOffset.offset : null
+        }
+
+        return {
+          groups: groups.map(({ groupId, description, committedOffsets }) => {
+            const assignedMembers = indexAssignedMembers(description)
+            let totalLag = Long.fromValue(0)
+
+            const groupTopics = committedOffsets.map(({ topic, partitions }) => ({
+              topic,
+              partitions: partitions.map(({ partition, offset }) => {
+                const logEndOffset = findLogEndOffset(topic, partition)
+                const lag =
+                  logEndOffset !== null && Long.fromValue(offset).gte(0)
+                    ? Long.fromValue(logEndOffset).subtract(offset)
+                    : null
+
+                if (lag !== null) {
+                  totalLag = totalLag.add(lag)
+                }
+
+                return {
+                  partition,
+                  committedOffset: offset,
+                  logEndOffset,
+                  lag: lag !== null ? lag.toString() : null,
+                  member: assignedMembers[`${topic}:${partition}`] || null,
+                }
+              }),
+            }))
+
+            return {
+              groupId,
+              state: description ? description.state : null,
+              topics: groupTopics,
+              totalLag: totalLag.toString(),
+            }
+          }),
+        }
+      } catch (e) {
+        if (
+          [
+            'NOT_COORDINATOR_FOR_GROUP',
+            'GROUP_COORDINATOR_NOT_AVAILABLE',
+            'GROUP_LOAD_IN_PROGRESS',
+          ].includes(e.type)
+        ) {
+          logger.warn('Could not describe consumer group lag', {
+            groupIds,
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        if (staleMetadata(e)) {
+          await cluster.refreshMetadata()
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
   const isBrokerConfig = type =>
     [CONFIG_RESOURCE_TYPES.BROKER, CONFIG_RESOURCE_TYPES.BROKER_LOGGER].includes(type)
 
@@ -764,6 +1156,132 @@ module.exports = ({
     })
   }
 
+  /**
+   * Alter the configs of the resources one entry at a time, the entries that are not part of the
+   * request keep their current value, unlike with `alterConfigs`.
+   *
+   * @param {Array<IncrementalResourceConfig>} resources
+   * @param {boolean} [validateOnly=false]
+   * @return {Promise}
+   *
+   * @typedef {Object} IncrementalResourceConfig
+   * @property {ConfigResourceType} type
+   * @property {string} name
+   * @property {Array<IncrementalResourceConfigEntry>} configEntries
+   *
+   * @typedef {Object} IncrementalResourceConfigEntry
+   * @property {string} name
+   * @property {number} [operation=AlterConfigOpTypes.SET]
+   * @property {string} [value] Not used by the DELETE operation
+   */
+  const incrementalAlterConfigs = async ({ resources, validateOnly }) => {
+    if (!resources || !Array.isArray(resources)) {
+      throw new KafkaJSNonRetriableError(`Invalid resources array ${resources}`)
+    }
+
+    if (resources.length === 0) {
+      throw new KafkaJSNonRetriableError('Resources array cannot be empty')
+    }
+
+    const validResourceTypes = Object.values(CONFIG_RESOURCE_TYPES)
+    const invalidType = resources.find(r => !validResourceTypes.includes(r.type))
+
+    if (invalidType) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid resource type ${invalidType.type}: ${JSON.stringify(invalidType)}`
+      )
+    }
+
+    const invalidName = resources.find(r => !r.name || typeof r.name !== 'string')
+
+    if (invalidName) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid resource name ${invalidName.name}: ${JSON.stringify(invalidName)}`
+      )
+    }
+
+    const invalidConfigs = resources.find(r => !Array.isArray(r.configEntries))
+
+    if (invalidConfigs) {
+      const { configEntries } = invalidConfigs
+      throw new KafkaJSNonRetriableError(
+        `Invalid resource configEntries ${configEntries}: ${JSON.stringify(invalidConfigs)}`
+      )
+    }
+
+    const validOperations = Object.values(ALTER_CONFIG_OP_TYPES)
+    const invalidOperation = resources.find(r =>
+      r.configEntries.some(e => e.operation != null && !validOperations.includes(e.operation))
+    )
+
+    if (invalidOperation) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid resource config operation: ${JSON.stringify(invalidOperation)}`
+      )
+    }
+
+    const invalidConfigValue = resources.find(r =>
+      r.configEntries.some(
+        e =>
+          typeof e.name !== 'string' ||
+          (e.operation !== ALTER_CONFIG_OP_TYPES.DELETE && typeof e.value !== 'string')
+      )
+    )
+
+    if (invalidConfigValue) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid resource config value: ${JSON.stringify(invalidConfigValue)}`
+      )
+    }
+
+    const resourcesWithOperations = resources.map(resource => ({
+      ...resource,
+      configEntries: resource.configEntries.map(
+        ({ operation = ALTER_CONFIG_OP_TYPES.SET, ...entry }) => ({
+          ...entry,
+          operation,
+        })
+      ),
+    }))
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const controller = await cluster.findControllerBroker()
+        const resourcerByBroker = await groupResourcesByBroker({
+          resources: resourcesWithOperations,
+          defaultBroker: controller,
+        })
+
+        const incrementalAlterConfigsAction = async broker => {
+          const targetBroker = broker || controller
+          return targetBroker.incrementalAlterConfigs({
+            resources: resourcerByBroker.get(targetBroker),
+            validateOnly: !!validateOnly,
+          })
+        }
+
+        const brokers = Array.from(resourcerByBroker.keys())
+        const responses = await Promise.all(brokers.map(incrementalAlterConfigsAction))
+        const responseResources = responses.reduce(
+          (result, { resources }) => [...result, ...resources],
+          []
+        )
+
+        return { resources: responseResources }
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not alter configs', { error: e.message, retryCount, retryTime })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
   /**
    * Fetch metadata for provided topics.
    *
@@ -1552,6 +2070,971 @@ module.exports = ({
     })
   }
 
+  /**
+   * @param {import("../../types").TopicPartitions[]} topics
+   */
+  const validateTopicPartitions = topics => {
+    if (!Array.isArray(topics)) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topics}`)
+    }
+
+    for (const { topic, partitions } of topics) {
+      if (!topic || typeof topic !== 'string') {
+        throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+      }
+
+      if (
+        !Array.isArray(partitions) ||
+        partitions.some(partition => typeof partition !== 'number' || partition < 0)
+      ) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid partition array: ${partitions} for topic: ${topic}`
+        )
+      }
+    }
+  }
+
+  /**
+   * Describe the log dirs of the brokers, with the size and the offset lag of the replicas they
+   * host. The brokers are queried in parallel, errors of log dirs, e.g. offline disks, are returned
+   * with their description.
+   *
+   * @param {Object} [options]
+   * @param {number[]} [options.brokers] Ids of the brokers to describe, all of them by default
+   * @param {import("../../types").TopicPartitions[]} [options.topics] The replicas to describe,
+   *                                                   all of them by default
+   * @returns {Promise<import("../../types").DescribeLogDirsResponse>}
+   */
+  const describeLogDirs = async ({ brokers: nodeIds, topics = [] } = {}) => {
+    if (
+      nodeIds != null &&
+      (!Array.isArray(nodeIds) || nodeIds.some(nodeId => typeof nodeId !== 'number'))
+    ) {
+      throw new KafkaJSNonRetriableError(`Invalid brokers array ${nodeIds}`)
+    }
+
+    validateTopicPartitions(topics)
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+
+        const targetNodeIds =
+          nodeIds || (await cluster.metadata({ topics: [] })).brokers.map(({ nodeId }) => nodeId)
+
+        const describeLogDirsAction = async nodeId => {
+          const broker = await cluster.findBroker({ nodeId: String(nodeId) })
+          const { results } = await broker.describeLogDirs({ topics })
+          return { nodeId, logDirs: results }
+        }
+
+        const brokers = await Promise.all(uniq(targetNodeIds).map(describeLogDirsAction))
+        return { brokers }
+      } catch (e) {
+        if (e.name === 'KafkaJSBrokerNotFound' || e.name === 'KafkaJSConnectionError') {
+          logger.warn('Could not describe log dirs', { error: e.message, retryCount, retryTime })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Move replicas between the log dirs of their broker, e.g. to balance the disks of a JBOD
+   * broker. The requests are sent in parallel to the brokers hosting the replicas.
+   *
+   * @param {Object} options
+   * @param {import("../../types").ReplicaLogDirAssignment[]} options.replicas
+   * @returns {Promise<void>}
+   */
+  const alterReplicaLogDirs = async ({ replicas }) => {
+    if (!Array.isArray(replicas) || replicas.length === 0) {
+      throw new KafkaJSNonRetriableError(`Invalid replicas array ${replicas}`)
+    }
+
+    for (const replica of replicas) {
+      const { topic, partition, broker, logDir } = replica
+
+      if (
+        !topic ||
+        typeof topic !== 'string' ||
+        typeof partition !== 'number' ||
+        partition < 0 ||
+        typeof broker !== 'number' ||
+        !logDir ||
+        typeof logDir !== 'string'
+      ) {
+        throw new KafkaJSNonRetriableError(`Invalid replica: ${JSON.stringify(replica)}`)
+      }
+    }
+
+    // Replicas grouped per log dir and topic, as expected by the protocol
+    const toDirs = brokerReplicas => {
+      const partitionsByDir = brokerReplicas.reduce((dirs, { logDir, topic, partition }) => {
+        dirs[logDir] = dirs[logDir] || {}
+        dirs[logDir][topic] = [...(dirs[logDir][topic] || []), partition]
+        return dirs
+      }, {})
+
+      return entries(partitionsByDir).map(([path, partitionsByTopic]) => ({
+        path,
+        topics: entries(partitionsByTopic).map(([topic, partitions]) => ({ topic, partitions })),
+      }))
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const replicasByBroker = await groupBy(replicas, ({ broker }) =>
+          cluster.findBroker({ nodeId: String(broker) })
+        )
+
+        const alterReplicaLogDirsAction = async broker =>
+          broker.alterReplicaLogDirs({ dirs: toDirs(replicasByBroker.get(broker)) })
+
+        const brokers = Array.from(replicasByBroker.keys())
+        await Promise.all(brokers.map(alterReplicaLogDirsAction))
+      } catch (e) {
+        if (e.name === 'KafkaJSBrokerNotFound' || e.name === 'KafkaJSConnectionError') {
+          logger.warn('Could not alter replica log dirs', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Elect the leaders of the partitions, e.g. to move the leadership back to the preferred
+   * replicas after a broker restart. The partitions already led by the expected replica are
+   * returned with the ELECTION_NOT_NEEDED error code instead of failing the election.
+   *
+   * @param {Object} [options]
+   * @param {"PREFERRED"|"UNCLEAN"} [options.electionType="PREFERRED"]
+   * @param {import("../../types").TopicPartitions[]} [options.topicPartitions] The partitions to
+   *                                                   elect, all of them by default
+   * @param {number} [options.timeout]
+   * @returns {Promise<import("../../types").ElectLeadersResult[]>}
+   */
+  const electLeaders = async ({
+    electionType = 'PREFERRED',
+    topicPartitions = [],
+    timeout,
+  } = {}) => {
+    if (!Object.prototype.hasOwnProperty.call(ELECTION_TYPES, electionType)) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid election type ${electionType}, expected one of ${keys(ELECTION_TYPES)}`
+      )
+    }
+
+    validateTopicPartitions(topicPartitions)
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const { results } = await broker.electLeaders({
+          electionType: ELECTION_TYPES[electionType],
+          topicPartitions,
+          timeout,
+        })
+
+        return results
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not elect leaders', { error: e.message, retryCount, retryTime })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Create a delegation token for the principal of the connection, the token can then be used to
+   * authenticate with SCRAM. Tokens cannot be created on a connection authenticated with a token.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.renewers] Principals allowed to renew the token, e.g. "User:bob"
+   * @param {number} [options.maxLifetime] Maximum lifetime of the token in milliseconds, the
+   *                                       broker default is used if not provided
+   * @returns {Promise<import("../../types").DelegationToken>}
+   */
+  const createDelegationToken = async ({ renewers = [], maxLifetime = -1 } = {}) => {
+    if (!Array.isArray(renewers) || renewers.some(renewer => !isValidPrincipal(renewer))) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid renewers array ${renewers}, the principals have to be in the format "type:name"`
+      )
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const token = await broker.createDelegationToken({
+          renewers: renewers.map(toPrincipal),
+          maxLifetime,
+        })
+
+        return {
+          owner: fromPrincipal(token),
+          tokenId: token.tokenId,
+          hmac: token.hmac,
+          issueTimestamp: token.issueTimestamp,
+          expiryTimestamp: token.expiryTimestamp,
+          maxTimestamp: token.maxTimestamp,
+          renewers,
+        }
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not create delegation token', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Extend the expiry time of a delegation token, up to its max timestamp
+   *
+   * @param {Object} options
+   * @param {Buffer} options.hmac
+   * @param {number} [options.renewPeriod] Renewal period in milliseconds, the broker default is
+   *                                       used if not provided
+   * @returns {Promise<{ expiryTimestamp: string }>}
+   */
+  const renewDelegationToken = async ({ hmac, renewPeriod = -1 }) => {
+    if (!Buffer.isBuffer(hmac)) {
+      throw new KafkaJSNonRetriableError(`Invalid hmac ${hmac}, it has to be a Buffer`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const { expiryTimestamp } = await broker.renewDelegationToken({ hmac, renewPeriod })
+
+        return { expiryTimestamp }
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not renew delegation token', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Change the expiry time of a delegation token, the token is expired immediately by default
+   *
+   * @param {Object} options
+   * @param {Buffer} options.hmac
+   * @param {number} [options.expiryTimePeriod] Period in milliseconds until the token expires
+   * @returns {Promise<{ expiryTimestamp: string }>}
+   */
+  const expireDelegationToken = async ({ hmac, expiryTimePeriod = -1 }) => {
+    if (!Buffer.isBuffer(hmac)) {
+      throw new KafkaJSNonRetriableError(`Invalid hmac ${hmac}, it has to be a Buffer`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const { expiryTimestamp } = await broker.expireDelegationToken({ hmac, expiryTimePeriod })
+
+        return { expiryTimestamp }
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not expire delegation token', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Describe the delegation tokens the principal of the connection owns or is allowed to renew
+   * or describe
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.owners] Owners of the tokens, e.g. "User:alice", all of them if
+   *                                    not provided
+   * @returns {Promise<{ tokens: import("../../types").DelegationToken[] }>}
+   */
+  const describeDelegationTokens = async ({ owners = [] } = {}) => {
+    if (!Array.isArray(owners) || owners.some(owner => !isValidPrincipal(owner))) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid owners array ${owners}, the principals have to be in the format "type:name"`
+      )
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const { tokens } = await broker.describeDelegationToken({
+          owners: owners.map(toPrincipal),
+        })
+
+        return {
+          tokens: tokens.map(token => ({
+            owner: fromPrincipal(token),
+            tokenId: token.tokenId,
+            hmac: token.hmac,
+            issueTimestamp: token.issueTimestamp,
+            expiryTimestamp: token.expiryTimestamp,
+            maxTimestamp: token.maxTimestamp,
+            renewers: token.renewers.map(fromPrincipal),
+          })),
+        }
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not describe delegation tokens', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Describe the client quotas of the entities matching all the filter components
+   *
+   * @param {Object} options
+   * @param {import("../../types").ClientQuotaFilterComponent[]} options.components e.g.
+   *                                 [{ entityType: 'user', matchType: CLIENT_QUOTA_MATCH_TYPES.EXACT, match: 'alice' }]
+   * @param {boolean} [options.strict=false] Only return the entities without other components
+   *                                         than the ones of the filter
+   * @returns {Promise<{ entries: import("../../types").ClientQuotaEntry[] }>}
+   */
+  const describeClientQuotas = async ({ components, strict = false }) => {
+    if (!components || !Array.isArray(components)) {
+      throw new KafkaJSNonRetriableError(`Invalid components array ${components}`)
+    }
+
+    const validMatchTypes = values(CLIENT_QUOTA_MATCH_TYPES)
+    const invalidComponent = components.find(
+      ({ entityType, matchType = CLIENT_QUOTA_MATCH_TYPES.EXACT, match }) =>
+        typeof entityType !== 'string' ||
+        !validMatchTypes.includes(matchType) ||
+        (matchType === CLIENT_QUOTA_MATCH_TYPES.EXACT) !== (typeof match === 'string')
+    )
+
+    if (invalidComponent) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid component: ${JSON.stringify(invalidComponent)}, only EXACT components have a match`
+      )
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const { entries } = await broker.describeClientQuotas({
+          components: components.map(
+            ({ entityType, matchType = CLIENT_QUOTA_MATCH_TYPES.EXACT, match }) => ({
+              entityType,
+              matchType,
+              match,
+            })
+          ),
+          strict,
+        })
+
+        return { entries }
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not describe client quotas', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Set or remove the client quotas of the entities, an entity without name is the default entity
+   * of its type
+   *
+   * @param {import("../../types").ClientQuotaAlteration[]} entries e.g.
+   *                                 [{
+   *                                  entity: [{ entityType: 'user', entityName: 'alice' }],
+   *                                  ops: [{ key: 'producer_byte_rate', value: 1024 }]
+   *                                 }]
+   * @param {Object} [options]
+   * @param {boolean} [options.validateOnly=false]
+   * @returns {Promise<void>}
+   */
+  const alterClientQuotas = async (entries, { validateOnly = false } = {}) => {
+    if (!entries || !Array.isArray(entries)) {
+      throw new KafkaJSNonRetriableError(`Invalid entries array ${entries}`)
+    }
+
+    if (entries.length === 0) {
+      throw new KafkaJSNonRetriableError(`Entries array cannot be empty`)
+    }
+
+    for (const { entity, ops } of entries) {
+      const isValidEntity =
+        Array.isArray(entity) &&
+        entity.length > 0 &&
+        entity.every(
+          ({ entityType, entityName }) =>
+            typeof entityType === 'string' && (entityName == null || typeof entityName === 'string')
+        )
+
+      if (!isValidEntity) {
+        throw new KafkaJSNonRetriableError(`Invalid entity: ${JSON.stringify(entity)}`)
+      }
+
+      if (!Array.isArray(ops) || ops.length === 0) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid ops array ${JSON.stringify(ops)} for entity: ${JSON.stringify(entity)}`
+        )
+      }
+
+      const invalidOp = ops.find(
+        ({ key, value, remove }) =>
+          typeof key !== 'string' || (!remove && (typeof value !== 'number' || isNaN(value)))
+      )
+
+      if (invalidOp) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid quota operation: ${JSON.stringify(
+            invalidOp
+          )}, a value is required unless the quota is removed`
+        )
+      }
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        await broker.alterClientQuotas({ entries, validateOnly })
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not alter client quotas', { error: e.message, retryCount, retryTime })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Describe the SCRAM credentials of the users, only the mechanisms and iterations are returned
+   *
+   * @param {string[]} [users] All the users with SCRAM credentials if not provided
+   * @returns {Promise<{ users: import("../../types").UserScramCredentialsDescription[] }>}
+   */
+  const describeUserScramCredentials = async users => {
+    if (
+      typeof users !== 'undefined' &&
+      (!Array.isArray(users) || users.some(user => typeof user !== 'string'))
+    ) {
+      throw new KafkaJSNonRetriableError(`Invalid users array ${users}`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const { results } = await broker.describeUserScramCredentials({
+          users: users && users.length > 0 ? users : null,
+        })
+
+        return {
+          users: results.map(({ user, credentialInfos }) => ({
+            user,
+            credentialInfos: credentialInfos.map(({ mechanism, iterations }) => ({
+              mechanism: scramMechanismName(mechanism),
+              iterations,
+            })),
+          })),
+        }
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not describe user SCRAM credentials', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Create, update or delete the SCRAM credentials of users. The passwords are salted
+   * client-side and never sent to the brokers
+   *
+   * @param {Object} options
+   * @param {import("../../types").UserScramCredentialUpsertion[]} [options.upsertions]
+   * @param {import("../../types").UserScramCredentialDeletion[]} [options.deletions]
+   * @returns {Promise<void>}
+   */
+  const alterUserScramCredentials = async ({ upsertions = [], deletions = [] }) => {
+    if (!Array.isArray(upsertions)) {
+      throw new KafkaJSNonRetriableError(`Invalid upsertions array ${upsertions}`)
+    }
+
+    if (!Array.isArray(deletions)) {
+      throw new KafkaJSNonRetriableError(`Invalid deletions array ${deletions}`)
+    }
+
+    if (upsertions.length === 0 && deletions.length === 0) {
+      throw new KafkaJSNonRetriableError('Upsertions and deletions cannot both be empty')
+    }
+
+    for (const { user, mechanism, password, iterations, salt } of upsertions) {
+      if (typeof user !== 'string' || user.length === 0) {
+        throw new KafkaJSNonRetriableError(`Invalid user ${user}`)
+      }
+
+      if (!isValidScramMechanism(mechanism)) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid SCRAM mechanism ${mechanism} for user ${user}, expected one of ${keys(
+            SCRAM_MECHANISMS
+          )}`
+        )
+      }
+
+      if (typeof password !== 'string' || password.length === 0) {
+        throw new KafkaJSNonRetriableError(`Invalid password for user ${user}`)
+      }
+
+      const { minIterations } = SCRAM_MECHANISMS[mechanism].digest
+      if (typeof iterations !== 'undefined' && !(iterations >= minIterations)) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid iterations ${iterations} for user ${user}, the minimum is ${minIterations}`
+        )
+      }
+
+      if (typeof salt !== 'undefined' && !Buffer.isBuffer(salt)) {
+        throw new KafkaJSNonRetriableError(`Invalid salt for user ${user}, it has to be a Buffer`)
+      }
+    }
+
+    for (const { user, mechanism } of deletions) {
+      if (typeof user !== 'string' || user.length === 0) {
+        throw new KafkaJSNonRetriableError(`Invalid user ${user}`)
+      }
+
+      if (!isValidScramMechanism(mechanism)) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid SCRAM mechanism ${mechanism} for user ${user}, expected one of ${keys(
+            SCRAM_MECHANISMS
+          )}`
+        )
+      }
+    }
+
+    const saltedUpsertions = await Promise.all(
+      upsertions.map(async ({ user, mechanism, password, iterations, salt }) => {
+        const { type, digest } = SCRAM_MECHANISMS[mechanism]
+        const credentialSalt = salt || crypto.randomBytes(SCRAM_SALT_LENGTH)
+        const credentialIterations = iterations || digest.minIterations
+
+        return {
+          name: user,
+          mechanism: type,
+          iterations: credentialIterations,
+          salt: credentialSalt,
+          saltedPassword: await SCRAM.hi(password, credentialSalt, credentialIterations, digest),
+        }
+      })
+    )
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        await broker.alterUserScramCredentials({
+          upsertions: saltedUpsertions,
+          deletions: deletions.map(({ user, mechanism }) => ({
+            name: user,
+            mechanism: SCRAM_MECHANISMS[mechanism].type,
+          })),
+        })
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not alter user SCRAM credentials', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * List the transactions known by the transaction coordinators of the cluster. The request is
+   * sent to every broker, as each of them coordinates a part of the transactional ids.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.states] Only list the transactions in these states, e.g. "Ongoing"
+   * @param {Array<string|number>} [options.producerIds] Only list the transactions of these
+   *                                                      producers
+   * @returns {Promise<{ transactions: import("../../types").TransactionListing[] }>}
+   */
+  const listTransactions = async ({ states = [], producerIds = [] } = {}) => {
+    if (!Array.isArray(states) || states.some(state => typeof state !== 'string')) {
+      throw new KafkaJSNonRetriableError(`Invalid states array ${states}`)
+    }
+
+    if (
+      !Array.isArray(producerIds) ||
+      producerIds.some(
+        producerId => typeof producerId !== 'string' && typeof producerId !== 'number'
+      )
+    ) {
+      throw new KafkaJSNonRetriableError(`Invalid producerIds array ${producerIds}`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const { brokers } = await cluster.metadata({ topics: [] })
+
+        const listTransactionsAction = async ({ nodeId }) => {
+          const broker = await cluster.findBroker({ nodeId: String(nodeId) })
+          const { unknownStateFilters, transactionStates } = await broker.listTransactions({
+            stateFilters: states,
+            producerIdFilters: producerIds,
+          })
+
+          if (unknownStateFilters.length > 0) {
+            logger.warn('Unknown transaction states ignored by the broker', {
+              nodeId,
+              states: unknownStateFilters,
+            })
+          }
+
+          return transactionStates.map(({ transactionalId, producerId, transactionState }) => ({
+            transactionalId,
+            producerId,
+            state: transactionState,
+            coordinatorId: nodeId,
+          }))
+        }
+
+        const transactions = await Promise.all(brokers.map(listTransactionsAction))
+        return { transactions: transactions.flat() }
+      } catch (e) {
+        if (e.name === 'KafkaJSBrokerNotFound' || e.name === 'KafkaJSConnectionError') {
+          logger.warn('Could not list transactions', { error: e.message, retryCount, retryTime })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Describe the transactions, the requests are sent to the transaction coordinator of each
+   * transactional id
+   *
+   * @param {string[]} transactionalIds
+   * @returns {Promise<{ transactions: import("../../types").TransactionDescription[] }>}
+   */
+  const describeTransactions = async transactionalIds => {
+    if (
+      !Array.isArray(transactionalIds) ||
+      transactionalIds.length === 0 ||
+      transactionalIds.some(
+        transactionalId => !transactionalId || typeof transactionalId !== 'string'
+      )
+    ) {
+      throw new KafkaJSNonRetriableError(`Invalid transactionalIds array ${transactionalIds}`)
+    }
+
+    const isCoordinatorError = e =>
+      [
+        'NOT_COORDINATOR_FOR_GROUP',
+        'GROUP_COORDINATOR_NOT_AVAILABLE',
+        'GROUP_LOAD_IN_PROGRESS',
+      ].includes(e.type)
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        const transactionalIdsByCoordinator = await groupBy(uniq(transactionalIds), groupId =>
+          cluster.findGroupCoordinator({ groupId, coordinatorType: COORDINATOR_TYPES.TRANSACTION })
+        )
+
+        const describeTransactionsAction = async coordinator => {
+          const { transactionStates } = await coordinator.describeTransactions({
+            transactionalIds: transactionalIdsByCoordinator.get(coordinator),
+          })
+
+          return transactionStates.map(state => ({
+            transactionalId: state.transactionalId,
+            state: state.transactionState,
+            timeout: state.transactionTimeout,
+            startTimestamp: state.transactionStartTime,
+            producerId: state.producerId,
+            producerEpoch: state.producerEpoch,
+            topics: state.topics,
+            coordinatorId: coordinator.nodeId,
+          }))
+        }
+
+        const coordinators = Array.from(transactionalIdsByCoordinator.keys())
+        const transactions = await Promise.all(coordinators.map(describeTransactionsAction))
+        return { transactions: transactions.flat() }
+      } catch (e) {
+        if (
+          isCoordinatorError(e) ||
+          (e.name === 'KafkaJSAggregateError' && e.errors.some(isCoordinatorError))
+        ) {
+          logger.warn('Could not describe transactions', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Describe the producers writing to the partitions, including the offset at which their
+   * ongoing transaction started. The requests are sent to the leaders of the partitions.
+   *
+   * @param {Object} options
+   * @param {import("../../types").TopicPartitions[]} options.topics
+   * @returns {Promise<{ topics: import("../../types").TopicProducersDescription[] }>}
+   */
+  const describeProducers = async ({ topics }) => {
+    validateTopicPartitions(topics)
+
+    if (topics.length === 0) {
+      throw new KafkaJSNonRetriableError(`Topics array cannot be empty`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.addMultipleTargetTopics(uniq(topics.map(({ topic }) => topic)))
+        await cluster.refreshMetadataIfNecessary()
+
+        const topicsByLeader = {}
+        for (const { topic, partitions } of topics) {
+          const partitionsByLeader = cluster.findLeaderForPartitions(topic, partitions)
+          const partitionsFound = values(partitionsByLeader).flat()
+
+          if (partitions.some(partition => !partitionsFound.includes(partition))) {
+            throw new KafkaJSBrokerNotFound(`Could not find the leaders of topic ${topic}`)
+          }
+
+          for (const [nodeId, leaderPartitions] of entries(partitionsByLeader)) {
+            topicsByLeader[nodeId] = [
+              ...(topicsByLeader[nodeId] || []),
+              { topic, partitions: leaderPartitions },
+            ]
+          }
+        }
+
+        const describeProducersAction = async ([nodeId, leaderTopics]) => {
+          const broker = await cluster.findBroker({ nodeId })
+          const response = await broker.describeProducers({ topics: leaderTopics })
+          return response.topics
+        }
+
+        const responses = await Promise.all(entries(topicsByLeader).map(describeProducersAction))
+        const results = responses.flat()
+
+        return {
+          topics: uniq(topics.map(({ topic }) => topic)).map(topic => ({
+            topic,
+            partitions: results
+              .filter(result => result.topic === topic)
+              .flatMap(({ partitions }) =>
+                partitions.map(({ partition, activeProducers }) => ({ partition, activeProducers }))
+              ),
+          })),
+        }
+      } catch (e) {
+        const retriable =
+          e.name === 'KafkaJSAggregateError'
+            ? e.errors.some(staleMetadata)
+            : e.name === 'KafkaJSBrokerNotFound' || e.name === 'KafkaJSConnectionError'
+
+        if (retriable) {
+          logger.warn('Could not describe producers', { error: e.message, retryCount, retryTime })
+          await cluster.refreshMetadata()
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Abort a hanging transaction by writing the abort marker to the partition, e.g. when the
+   * producer is gone and the transaction blocks the consumers reading committed messages.
+   * The producer and coordinator epochs can be found with `describeProducers`.
+   *
+   * @param {Object} options
+   * @param {string} options.topic
+   * @param {number} options.partition
+   * @param {string|number} options.producerId
+   * @param {number} options.producerEpoch
+   * @param {number} options.coordinatorEpoch
+   * @returns {Promise<void>}
+   */
+  const abortTransaction = async ({
+    topic,
+    partition,
+    producerId,
+    producerEpoch,
+    coordinatorEpoch,
+  }) => {
+    if (!topic || typeof topic !== 'string') {
+      throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+    }
+
+    if (!Number.isInteger(partition) || partition < 0) {
+      throw new KafkaJSNonRetriableError(`Invalid partition ${partition}`)
+    }
+
+    if (typeof producerId !== 'string' && typeof producerId !== 'number') {
+      throw new KafkaJSNonRetriableError(`Invalid producerId ${producerId}`)
+    }
+
+    if (!Number.isInteger(producerEpoch) || producerEpoch < 0) {
+      throw new KafkaJSNonRetriableError(`Invalid producerEpoch ${producerEpoch}`)
+    }
+
+    if (!Number.isInteger(coordinatorEpoch) || coordinatorEpoch < 0) {
+      throw new KafkaJSNonRetriableError(`Invalid coordinatorEpoch ${coordinatorEpoch}`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.addTargetTopic(topic)
+        await cluster.refreshMetadataIfNecessary()
+
+        const [nodeId] = keys(cluster.findLeaderForPartitions(topic, [partition]))
+
+        if (!nodeId) {
+          throw new KafkaJSBrokerNotFound(`Could not find the leader of partition ${partition}`)
+        }
+
+        const broker = await cluster.findBroker({ nodeId })
+        await broker.writeTxnMarkers({
+          markers: [
+            {
+              producerId,
+              producerEpoch,
+              transactionResult: false,
+              topics: [{ topic, partitions: [partition] }],
+              coordinatorEpoch,
+            },
+          ],
+        })
+      } catch (e) {
+        const retriable =
+          e.name === 'KafkaJSAggregateError'
+            ? e.errors.some(staleMetadata)
+            : e.name === 'KafkaJSBrokerNotFound' || e.name === 'KafkaJSConnectionError'
+
+        if (retriable) {
+          logger.warn('Could not abort transaction', {
+            topic,
+            partition,
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          await cluster.refreshMetadata()
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
   /** @type {import("../../types").Admin["on"]} */
   const on = (eventName, listener) => {
     if (!eventNames.includes(eventName)) {
@@ -1589,8 +3072,11 @@ module.exports = ({
     fetchTopicOffsetsByTimestamp,
     setOffsets,
     resetOffsets,
+    deleteConsumerGroupOffsets,
+    describeConsumerGroupLag,
     describeConfigs,
     alterConfigs,
+    incrementalAlterConfigs,
     on,
     logger: getLogger,
     listGroups,
@@ -1602,5 +3088,20 @@ module.exports = ({
     deleteTopicRecords,
     alterPartitionReassignments,
     listPartitionReassignments,
+    describeLogDirs,
+    alterReplicaLogDirs,
+    electLeaders,
+    createDelegationToken,
+    renewDelegationToken,
+    expireDelegationToken,
+    describeDelegationTokens,
+    describeClientQuotas,
+    alterClientQuotas,
+    describeUserScramCredentials,
+    alterUserScramCredentials,
+    listTransactions,
+    describeTransactions,
+    describeProducers,
+    abortTransaction,
   }
 }
@@ -0,0 +1,79 @@
+const {
+  createConnectionPool,
+  connectionOpts,
+  secureRandom,
+  newLogger,
+  testIfKafkaAtLeast_2_6,
+} = require('testHelpers')
+
+const Broker = require('../index')
+
+describe('Broker > alterClientQuotas', () => {
+  let seedBroker, broker, user
+
+  beforeEach(async () => {
+    user = `test-user-${secureRandom()}`
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(connectionOpts()),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+
+    const metadata = await seedBroker.metadata()
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === metadata.controllerId)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+    })
+
+    await broker.connect()
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  testIfKafkaAtLeast_2_6('request', async () => {
+    const response = await broker.alterClientQuotas({
+      entries: [
+        {
+          entity: [{ entityType: 'user', entityName: user }],
+          ops: [
+            { key: 'producer_byte_rate', value: 1024 },
+            { key: 'consumer_byte_rate', value: 2048 },
+          ],
+        },
+      ],
+    })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      entries: [
+        {
+          errorCode: 0,
+          errorMessage: null,
+          entity: [{ entityType: 'user', entityName: user }],
+        },
+      ],
+    })
+  })
+
+  testIfKafkaAtLeast_2_6('request with validateOnly', async () => {
+    const response = await broker.alterClientQuotas({
+      entries: [
+        {
+          entity: [{ entityType: 'user', entityName: user }],
+          ops: [{ key: 'producer_byte_rate', value: 1024 }],
+        },
+      ],
+      validateOnly: true,
+    })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      entries: [expect.objectContaining({ errorCode: 0 })],
+    })
+  })
+})
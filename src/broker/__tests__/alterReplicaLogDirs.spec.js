@@ -0,0 +1,68 @@
+const { createConnectionPool, connectionOpts, secureRandom, newLogger } = require('testHelpers')
+
+const Broker = require('../index')
+const { KafkaJSAggregateError } = require('../../errors')
+
+describe('Broker > alterReplicaLogDirs', () => {
+  let seedBroker, broker, topicName
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(connectionOpts()),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+
+    const metadata = await seedBroker.metadata()
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === metadata.controllerId)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+      allowAutoTopicCreation: false,
+    })
+
+    await broker.connect()
+    await broker.createTopics({
+      topics: [
+        {
+          topic: topicName,
+          replicaAssignment: [{ partition: 0, replicas: [metadata.controllerId] }],
+        },
+      ],
+    })
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  test('request', async () => {
+    const { results } = await broker.describeLogDirs({
+      topics: [{ topic: topicName, partitions: [0] }],
+    })
+    const { logDir } = results.find(({ topics }) => topics.length > 0)
+
+    const response = await broker.alterReplicaLogDirs({
+      dirs: [{ path: logDir, topics: [{ topic: topicName, partitions: [0] }] }],
+    })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      clientSideThrottleTime: expect.optional(0),
+      results: [{ topic: topicName, partitions: [{ partition: 0, errorCode: 0 }] }],
+    })
+  })
+
+  test('throws an error if the log dir does not exist', async () => {
+    await expect(
+      broker.alterReplicaLogDirs({
+        dirs: [
+          { path: '/this/dir/does/not/exist', topics: [{ topic: topicName, partitions: [0] }] },
+        ],
+      })
+    ).rejects.toThrow(KafkaJSAggregateError)
+  })
+})
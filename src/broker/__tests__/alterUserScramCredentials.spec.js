@@ -0,0 +1,67 @@
+const {
+  createConnectionPool,
+  connectionOpts,
+  secureRandom,
+  newLogger,
+  testIfKafkaAtLeast_2_7,
+} = require('testHelpers')
+const crypto = require('crypto')
+
+const Broker = require('../index')
+const ScramMechanisms = require('../../protocol/scramMechanisms')
+
+describe('Broker > alterUserScramCredentials', () => {
+  let seedBroker, broker, user
+
+  beforeEach(async () => {
+    user = `test-user-${secureRandom()}`
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(connectionOpts()),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+
+    const metadata = await seedBroker.metadata()
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === metadata.controllerId)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+    })
+
+    await broker.connect()
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  testIfKafkaAtLeast_2_7('request', async () => {
+    const response = await broker.alterUserScramCredentials({
+      upsertions: [
+        {
+          name: user,
+          mechanism: ScramMechanisms.SCRAM_SHA_512,
+          iterations: 8192,
+          salt: crypto.randomBytes(32),
+          saltedPassword: crypto.randomBytes(64),
+        },
+      ],
+    })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      results: [{ user, errorCode: 0, errorMessage: null }],
+    })
+
+    await expect(
+      broker.alterUserScramCredentials({
+        deletions: [{ name: user, mechanism: ScramMechanisms.SCRAM_SHA_512 }],
+      })
+    ).resolves.toEqual({
+      throttleTime: 0,
+      results: [{ user, errorCode: 0, errorMessage: null }],
+    })
+  })
+})
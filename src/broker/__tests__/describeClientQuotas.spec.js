@@ -0,0 +1,58 @@
+const {
+  createConnectionPool,
+  connectionOpts,
+  secureRandom,
+  newLogger,
+  testIfKafkaAtLeast_2_6,
+} = require('testHelpers')
+
+const Broker = require('../index')
+const ClientQuotaMatchTypes = require('../../protocol/clientQuotaMatchTypes')
+
+describe('Broker > describeClientQuotas', () => {
+  let seedBroker, broker, clientId
+
+  beforeEach(async () => {
+    clientId = `test-client-${secureRandom()}`
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(connectionOpts()),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+
+    const metadata = await seedBroker.metadata()
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === metadata.controllerId)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+    })
+
+    await broker.connect()
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  testIfKafkaAtLeast_2_6('request', async () => {
+    const entity = [{ entityType: 'client-id', entityName: clientId }]
+    await broker.alterClientQuotas({
+      entries: [{ entity, ops: [{ key: 'producer_byte_rate', value: 1024 }] }],
+    })
+
+    const response = await broker.describeClientQuotas({
+      components: [
+        { entityType: 'client-id', matchType: ClientQuotaMatchTypes.EXACT, match: clientId },
+      ],
+    })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      errorMessage: null,
+      entries: [{ entity, values: [{ key: 'producer_byte_rate', value: 1024 }] }],
+    })
+  })
+})
@@ -0,0 +1,70 @@
+const { createConnectionPool, connectionOpts, secureRandom, newLogger } = require('testHelpers')
+
+const Broker = require('../index')
+
+describe('Broker > describeLogDirs', () => {
+  let seedBroker, broker, topicName
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(connectionOpts()),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+
+    const metadata = await seedBroker.metadata()
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === metadata.controllerId)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+      allowAutoTopicCreation: false,
+    })
+
+    await broker.connect()
+    await broker.createTopics({
+      topics: [
+        {
+          topic: topicName,
+          replicaAssignment: [{ partition: 0, replicas: [metadata.controllerId] }],
+        },
+      ],
+    })
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  test('request', async () => {
+    const response = await broker.describeLogDirs({
+      topics: [{ topic: topicName, partitions: [0] }],
+    })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      clientSideThrottleTime: expect.optional(0),
+      results: [
+        {
+          errorCode: 0,
+          logDir: expect.any(String),
+          topics: [
+            {
+              topic: topicName,
+              partitions: [{ partition: 0, size: '0', offsetLag: '0', isFuture: false }],
+            },
+          ],
+        },
+      ],
+    })
+  })
+
+  test('describes all the replicas when no topics are provided', async () => {
+    const { results } = await broker.describeLogDirs()
+    const topics = results.flatMap(({ topics }) => topics.map(({ topic }) => topic))
+
+    expect(topics).toContain(topicName)
+  })
+})
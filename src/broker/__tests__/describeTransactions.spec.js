@@ -0,0 +1,101 @@
+const Broker = require('../index')
+const COORDINATOR_TYPES = require('../../protocol/coordinatorTypes')
+const { KafkaJSAggregateError } = require('../../errors')
+const {
+  secureRandom,
+  createTopic,
+  createConnectionPool,
+  newLogger,
+  retryProtocol,
+  testIfKafkaAtLeast_3_0,
+} = require('testHelpers')
+
+describe('Broker > DescribeTransactions', () => {
+  let broker, seedBroker, transactionalId, producerId, producerEpoch, topicName
+
+  beforeEach(async () => {
+    transactionalId = `transactional-id-${secureRandom()}`
+    topicName = `test-topic-${secureRandom()}`
+
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(),
+      logger: newLogger(),
+    })
+
+    await seedBroker.connect()
+    await createTopic({ topic: topicName, partitions: 2 })
+
+    const {
+      coordinator: { host, port },
+    } = await retryProtocol(
+      'GROUP_COORDINATOR_NOT_AVAILABLE',
+      async () =>
+        await seedBroker.findGroupCoordinator({
+          groupId: transactionalId,
+          coordinatorType: COORDINATOR_TYPES.TRANSACTION,
+        })
+    )
+
+    broker = new Broker({
+      connectionPool: createConnectionPool({ host, port }),
+      logger: newLogger(),
+    })
+
+    await broker.connect()
+    const result = await broker.initProducerId({
+      transactionalId,
+      transactionTimeout: 30000,
+    })
+
+    producerId = result.producerId
+    producerEpoch = result.producerEpoch
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  testIfKafkaAtLeast_3_0('request', async () => {
+    await broker.addPartitionsToTxn({
+      transactionalId,
+      producerId,
+      producerEpoch,
+      topics: [{ topic: topicName, partitions: [0, 1] }],
+    })
+
+    const response = await broker.describeTransactions({ transactionalIds: [transactionalId] })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      transactionStates: [
+        {
+          errorCode: 0,
+          transactionalId,
+          transactionState: 'Ongoing',
+          transactionTimeout: 30000,
+          transactionStartTime: expect.any(String),
+          producerId,
+          producerEpoch,
+          topics: [{ topic: topicName, partitions: expect.arrayContaining([0, 1]) }],
+        },
+      ],
+    })
+  })
+
+  testIfKafkaAtLeast_3_0('rejects unknown transactional ids', async () => {
+    const unknownTransactionalId = `transactional-id-${secureRandom()}`
+    const error = await broker
+      .describeTransactions({ transactionalIds: [unknownTransactionalId] })
+      .catch(e => e)
+
+    expect(error).toBeInstanceOf(KafkaJSAggregateError)
+    expect(error.errors).toEqual([
+      expect.objectContaining({
+        name: 'KafkaJSDescribeTransactionsError',
+        type: 'TRANSACTIONAL_ID_NOT_FOUND',
+        transactionalId: unknownTransactionalId,
+      }),
+    ])
+  })
+})
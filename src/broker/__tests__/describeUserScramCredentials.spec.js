@@ -0,0 +1,69 @@
+const {
+  createConnectionPool,
+  connectionOpts,
+  secureRandom,
+  newLogger,
+  testIfKafkaAtLeast_2_7,
+} = require('testHelpers')
+const crypto = require('crypto')
+
+const Broker = require('../index')
+const ScramMechanisms = require('../../protocol/scramMechanisms')
+
+describe('Broker > describeUserScramCredentials', () => {
+  let seedBroker, broker, user
+
+  beforeEach(async () => {
+    user = `test-user-${secureRandom()}`
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(connectionOpts()),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+
+    const metadata = await seedBroker.metadata()
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === metadata.controllerId)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+    })
+
+    await broker.connect()
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  testIfKafkaAtLeast_2_7('request', async () => {
+    await broker.alterUserScramCredentials({
+      upsertions: [
+        {
+          name: user,
+          mechanism: ScramMechanisms.SCRAM_SHA_256,
+          iterations: 4096,
+          salt: crypto.randomBytes(32),
+          saltedPassword: crypto.randomBytes(32),
+        },
+      ],
+    })
+
+    const response = await broker.describeUserScramCredentials({ users: [user] })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      errorMessage: null,
+      results: [
+        {
+          user,
+          errorCode: 0,
+          errorMessage: null,
+          credentialInfos: [{ mechanism: ScramMechanisms.SCRAM_SHA_256, iterations: 4096 }],
+        },
+      ],
+    })
+  })
+})
@@ -0,0 +1,55 @@
+const { createConnectionPool, connectionOpts, secureRandom, newLogger } = require('testHelpers')
+
+const Broker = require('../index')
+const ElectionTypes = require('../../protocol/electionTypes')
+
+describe('Broker > electLeaders', () => {
+  let seedBroker, broker, topicName
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(connectionOpts()),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+
+    const metadata = await seedBroker.metadata()
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === metadata.controllerId)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+      allowAutoTopicCreation: false,
+    })
+
+    await broker.connect()
+    await broker.createTopics({
+      topics: [{ topic: topicName, replicaAssignment: [{ partition: 0, replicas: [0, 1] }] }],
+    })
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  test('request', async () => {
+    const response = await broker.electLeaders({
+      electionType: ElectionTypes.PREFERRED,
+      topicPartitions: [{ topic: topicName, partitions: [0] }],
+    })
+
+    // The preferred replica is already the leader of the new partition
+    expect(response).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      results: [
+        {
+          topic: topicName,
+          partitions: [{ partition: 0, errorCode: 84, errorMessage: expect.any(String) }],
+        },
+      ],
+    })
+  })
+})
@@ -11,6 +11,7 @@ const {
   retryProtocol,
   testIfKafkaAtMost_0_10,
   testIfKafkaAtLeast_0_11,
+  testIfKafkaAtLeast_1_1_0,
   generateMessages,
 } = require('testHelpers')
 const { Types: Compression } = require('../../protocol/message/compression')
@@ -530,6 +531,54 @@ describe('Broker > Fetch', () => {
     })
   })
 
+  describe('Fetch sessions', () => {
+    const fetchTopics = fetchOffset => [
+      {
+        topic: topicName,
+        partitions: [{ partition: 0, fetchOffset, maxBytes: maxBytesPerPartition }],
+      },
+    ]
+
+    testIfKafkaAtLeast_1_1_0('creates a session and fetches incrementally', async () => {
+      await broker.produce({ topicData: createTopicData(0, createMessages()) })
+
+      const fullResponse = await broker.fetch({
+        maxWaitTime,
+        minBytes,
+        maxBytes,
+        topics: fetchTopics(0),
+        sessionId: 0,
+        sessionEpoch: 0,
+      })
+
+      expect(fullResponse.sessionId).toBeGreaterThan(0)
+      expect(fullResponse.responses[0].partitions[0].messages).toHaveLength(3)
+
+      const incrementalResponse = await broker.fetch({
+        maxWaitTime,
+        minBytes,
+        maxBytes,
+        topics: fetchTopics(3),
+        sessionId: fullResponse.sessionId,
+        sessionEpoch: 1,
+      })
+
+      expect(incrementalResponse.sessionId).toEqual(fullResponse.sessionId)
+      expect(incrementalResponse.responses).toEqual([])
+
+      await expect(
+        broker.fetch({
+          maxWaitTime,
+          minBytes,
+          maxBytes,
+          topics: [],
+          sessionId: fullResponse.sessionId,
+          sessionEpoch: 5,
+        })
+      ).rejects.toHaveProperty('type', 'INVALID_FETCH_SESSION_EPOCH')
+    })
+  })
+
   describe('transactional', () => {
     let transactionalId, producer, retry
 
@@ -0,0 +1,82 @@
+const { createConnectionPool, connectionOpts, secureRandom, newLogger } = require('testHelpers')
+const CONFIG_RESOURCE_TYPES = require('../../protocol/configResourceTypes')
+const ALTER_CONFIG_OP_TYPES = require('../../protocol/alterConfigOpTypes')
+const Broker = require('../index')
+
+describe('Broker > incrementalAlterConfigs', () => {
+  let seedBroker, broker
+
+  const getConfigEntries = response =>
+    response.resources.find(r => r.resourceType === CONFIG_RESOURCE_TYPES.TOPIC).configEntries
+
+  const getConfigValue = (configEntries, name) =>
+    configEntries.find(c => c.configName === name).configValue
+
+  beforeEach(async () => {
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(connectionOpts()),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+
+    const metadata = await seedBroker.metadata()
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === metadata.controllerId)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+    })
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  test('request', async () => {
+    await broker.connect()
+    const topicName = `test-topic-${secureRandom()}`
+
+    await broker.createTopics({
+      topics: [{ topic: topicName, configEntries: [{ name: 'retention.ms', value: '3600000' }] }],
+    })
+
+    const response = await broker.incrementalAlterConfigs({
+      resources: [
+        {
+          type: CONFIG_RESOURCE_TYPES.TOPIC,
+          name: topicName,
+          configEntries: [
+            { name: 'cleanup.policy', operation: ALTER_CONFIG_OP_TYPES.APPEND, value: 'compact' },
+          ],
+        },
+      ],
+    })
+
+    expect(response).toEqual({
+      resources: [
+        {
+          errorCode: 0,
+          errorMessage: null,
+          resourceName: topicName,
+          resourceType: CONFIG_RESOURCE_TYPES.TOPIC,
+        },
+      ],
+      throttleTime: 0,
+    })
+
+    const describeResponse = await broker.describeConfigs({
+      resources: [
+        {
+          type: CONFIG_RESOURCE_TYPES.TOPIC,
+          name: topicName,
+          configNames: ['cleanup.policy', 'retention.ms'],
+        },
+      ],
+    })
+
+    const configEntries = getConfigEntries(describeResponse)
+    expect(getConfigValue(configEntries, 'cleanup.policy')).toEqual('delete,compact')
+    expect(getConfigValue(configEntries, 'retention.ms')).toEqual('3600000')
+  })
+})
@@ -63,4 +63,27 @@ describe('Broker > JoinGroup', () => {
       ]),
     })
   })
+
+  test('request with groupInstanceId', async () => {
+    const groupInstanceId = `instance-${secureRandom()}`
+    const response = await broker.joinGroup({
+      groupId,
+      groupInstanceId,
+      sessionTimeout: 30000,
+      rebalanceTimeout: 60000,
+      groupProtocols: [
+        {
+          name: 'AssignerName',
+          metadata: MemberMetadata.encode({ version: 1, topics: [topicName] }),
+        },
+      ],
+    })
+
+    expect(response.members).toEqual([
+      expect.objectContaining({
+        memberId: response.memberId,
+        groupInstanceId,
+      }),
+    ])
+  })
 })
@@ -0,0 +1,78 @@
+const Broker = require('../index')
+const COORDINATOR_TYPES = require('../../protocol/coordinatorTypes')
+const {
+  secureRandom,
+  createTopic,
+  createConnectionPool,
+  newLogger,
+  retryProtocol,
+  testIfKafkaAtLeast_3_0,
+} = require('testHelpers')
+
+describe('Broker > ListTransactions', () => {
+  let broker, seedBroker, transactionalId, producerId, producerEpoch, topicName
+
+  beforeEach(async () => {
+    transactionalId = `transactional-id-${secureRandom()}`
+    topicName = `test-topic-${secureRandom()}`
+
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(),
+      logger: newLogger(),
+    })
+
+    await seedBroker.connect()
+    await createTopic({ topic: topicName })
+
+    const {
+      coordinator: { host, port },
+    } = await retryProtocol(
+      'GROUP_COORDINATOR_NOT_AVAILABLE',
+      async () =>
+        await seedBroker.findGroupCoordinator({
+          groupId: transactionalId,
+          coordinatorType: COORDINATOR_TYPES.TRANSACTION,
+        })
+    )
+
+    broker = new Broker({
+      connectionPool: createConnectionPool({ host, port }),
+      logger: newLogger(),
+    })
+
+    await broker.connect()
+    const result = await broker.initProducerId({
+      transactionalId,
+      transactionTimeout: 30000,
+    })
+
+    producerId = result.producerId
+    producerEpoch = result.producerEpoch
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+  })
+
+  testIfKafkaAtLeast_3_0('request', async () => {
+    await broker.addPartitionsToTxn({
+      transactionalId,
+      producerId,
+      producerEpoch,
+      topics: [{ topic: topicName, partitions: [0] }],
+    })
+
+    const response = await broker.listTransactions({
+      stateFilters: ['Ongoing', 'Unknown'],
+      producerIdFilters: [producerId],
+    })
+
+    expect(response).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      unknownStateFilters: ['Unknown'],
+      transactionStates: [{ transactionalId, producerId, transactionState: 'Ongoing' }],
+    })
+  })
+})
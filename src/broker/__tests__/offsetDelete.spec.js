@@ -0,0 +1,86 @@
+const Broker = require('../index')
+const {
+  secureRandom,
+  createConnectionPool,
+  newLogger,
+  createTopic,
+  retryProtocol,
+} = require('testHelpers')
+
+describe('Broker > OffsetDelete', () => {
+  let topicName, groupId, seedBroker, groupCoordinator
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    groupId = `consumer-group-id-${secureRandom()}`
+
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(),
+      logger: newLogger(),
+    })
+    await seedBroker.connect()
+    await createTopic({ topic: topicName, partitions: 2 })
+
+    const {
+      coordinator: { host, port },
+    } = await retryProtocol(
+      'GROUP_COORDINATOR_NOT_AVAILABLE',
+      async () => await seedBroker.findGroupCoordinator({ groupId })
+    )
+
+    groupCoordinator = new Broker({
+      connectionPool: createConnectionPool({ host, port }),
+      logger: newLogger(),
+    })
+    await groupCoordinator.connect()
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    groupCoordinator && (await groupCoordinator.disconnect())
+  })
+
+  test('request', async () => {
+    // Commit offsets without a generation, as the admin client does
+    await groupCoordinator.offsetCommit({
+      groupId,
+      groupGenerationId: -1,
+      memberId: '',
+      topics: [
+        {
+          topic: topicName,
+          partitions: [
+            { partition: 0, offset: '5' },
+            { partition: 1, offset: '7' },
+          ],
+        },
+      ],
+    })
+
+    const response = await groupCoordinator.offsetDelete({
+      groupId,
+      topics: [{ topic: topicName, partitions: [0] }],
+    })
+
+    expect(response).toEqual({
+      errorCode: 0,
+      throttleTime: 0,
+      topics: [{ topic: topicName, partitions: [{ partition: 0, errorCode: 0 }] }],
+    })
+
+    const { responses } = await groupCoordinator.offsetFetch({
+      groupId,
+      topics: [{ topic: topicName, partitions: [{ partition: 0 }, { partition: 1 }] }],
+    })
+
+    expect(responses).toEqual([
+      {
+        topic: topicName,
+        partitions: expect.arrayContaining([
+          expect.objectContaining({ partition: 0, offset: '-1' }),
+          expect.objectContaining({ partition: 1, offset: '7' }),
+        ]),
+      },
+    ])
+  })
+})
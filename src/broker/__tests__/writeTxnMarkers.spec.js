@@ -0,0 +1,93 @@
+const Broker = require('../index')
+const createProducer = require('../../producer')
+const {
+  secureRandom,
+  createCluster,
+  createTopic,
+  createConnectionPool,
+  newLogger,
+  retryProtocol,
+  testIfKafkaAtLeast_3_0,
+} = require('testHelpers')
+
+describe('Broker > WriteTxnMarkers', () => {
+  let topicName, seedBroker, broker, producer
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+
+    seedBroker = new Broker({
+      connectionPool: createConnectionPool(),
+      logger: newLogger(),
+    })
+
+    producer = createProducer({
+      cluster: createCluster(),
+      logger: newLogger(),
+      transactionalId: `transactional-id-${secureRandom()}`,
+    })
+
+    await createTopic({ topic: topicName })
+    await Promise.all([seedBroker.connect(), producer.connect()])
+
+    const metadata = await retryProtocol(
+      'LEADER_NOT_AVAILABLE',
+      async () => await seedBroker.metadata([topicName])
+    )
+    const partitionLeader = metadata.topicMetadata[0].partitionMetadata[0].leader
+    const newBrokerData = metadata.brokers.find(b => b.nodeId === partitionLeader)
+
+    broker = new Broker({
+      connectionPool: createConnectionPool(newBrokerData),
+      logger: newLogger(),
+    })
+
+    await broker.connect()
+  })
+
+  afterEach(async () => {
+    seedBroker && (await seedBroker.disconnect())
+    broker && (await broker.disconnect())
+    producer && (await producer.disconnect())
+  })
+
+  testIfKafkaAtLeast_3_0('request', async () => {
+    const transaction = await producer.transaction()
+    await transaction.send({ topic: topicName, messages: [{ value: 'value' }] })
+
+    const { topics } = await broker.describeProducers({
+      topics: [{ topic: topicName, partitions: [0] }],
+    })
+    const [
+      { producerId, producerEpoch, coordinatorEpoch },
+    ] = topics[0].partitions[0].activeProducers
+
+    const response = await broker.writeTxnMarkers({
+      markers: [
+        {
+          producerId,
+          producerEpoch,
+          transactionResult: false,
+          topics: [{ topic: topicName, partitions: [0] }],
+          coordinatorEpoch,
+        },
+      ],
+    })
+
+    expect(response).toEqual({
+      markers: [
+        {
+          producerId,
+          topics: [{ topic: topicName, partitions: [{ partition: 0, errorCode: 0 }] }],
+        },
+      ],
+    })
+
+    const { topics: afterAbort } = await broker.describeProducers({
+      topics: [{ topic: topicName, partitions: [0] }],
+    })
+    expect(afterAbort[0].partitions[0].activeProducers).toEqual([
+      expect.objectContaining({ producerId, currentTransactionStartOffset: '-1' }),
+    ])
+  })
+})
@@ -3,6 +3,7 @@ const { Types: Compression } = require('../protocol/message/compression')
 const { requests, lookup } = require('../protocol/requests')
 const { KafkaJSNonRetriableError } = require('../errors')
 const apiKeys = require('../protocol/requests/apiKeys')
+const ElectionTypes = require('../protocol/electionTypes')
 const shuffle = require('../utils/shuffle')
 
 const PRIVATE = {
@@ -277,6 +278,10 @@ module.exports = class Broker {
    *                        ]
    * @param {string} [request.rackId=''] A rack identifier for this client. This can be any string value which indicates where this
    *                           client is physically located. It corresponds with the broker config `broker.rack`.
+   * @param {number} [request.sessionId=0] The fetch session id (KIP-227), 0 when not using a session
+   * @param {number} [request.sessionEpoch=-1] The fetch session epoch, 0 creates a new session
+   * @param {Array} [request.forgottenTopics=[]] Partitions to remove from the fetch session
+   *                        [{ topic: 'topic-name', partitions: [0] }]
    * @returns {Promise}
    */
   async fetch({
@@ -287,6 +292,9 @@ module.exports = class Broker {
     maxBytes = 10485760,
     topics,
     rackId = '',
+    sessionId,
+    sessionEpoch,
+    forgottenTopics,
   }) {
     // TODO: validate topics not null/empty
     const fetch = this.lookupRequest(apiKeys.Fetch, requests.Fetch)
@@ -326,6 +334,9 @@ module.exports = class Broker {
         maxBytes,
         topics: consolidatedTopicPartitions,
         rackId,
+        sessionId,
+        sessionEpoch,
+        forgottenTopics,
       })
     )
   }
@@ -336,11 +347,14 @@ module.exports = class Broker {
    * @param {string} request.groupId The group id
    * @param {number} request.groupGenerationId The generation of the group
    * @param {string} request.memberId The member id assigned by the group coordinator
+   * @param {string} [request.groupInstanceId] The static member id (Heartbeat >= v3)
    * @returns {Promise}
    */
-  async heartbeat({ groupId, groupGenerationId, memberId }) {
+  async heartbeat({ groupId, groupGenerationId, memberId, groupInstanceId }) {
     const heartbeat = this.lookupRequest(apiKeys.Heartbeat, requests.Heartbeat)
-    return await this[PRIVATE.SEND_REQUEST](heartbeat({ groupId, groupGenerationId, memberId }))
+    return await this[PRIVATE.SEND_REQUEST](
+      heartbeat({ groupId, groupGenerationId, memberId, groupInstanceId })
+    )
   }
 
   /**
@@ -365,6 +379,8 @@ module.exports = class Broker {
    * @param {number} request.rebalanceTimeout The maximum time that the coordinator will wait for each member
    *                                  to rejoin when rebalancing the group
    * @param {string} [request.memberId=""] The assigned consumer id or an empty string for a new consumer
+   * @param {string} [request.groupInstanceId] The static member id, identifies the consumer across
+   *                                           restarts (JoinGroup >= v5)
    * @param {string} [request.protocolType="consumer"] Unique name for class of protocols implemented by group
    * @param {Array} request.groupProtocols List of protocols that the member supports (assignment strategy)
    *                                [{ name: 'AssignerName', metadata: '{"version": 1, "topics": []}' }]
@@ -375,6 +391,7 @@ module.exports = class Broker {
     sessionTimeout,
     rebalanceTimeout,
     memberId = '',
+    groupInstanceId,
     protocolType = 'consumer',
     groupProtocols,
   }) {
@@ -386,6 +403,7 @@ module.exports = class Broker {
           sessionTimeout,
           rebalanceTimeout,
           memberId: assignedMemberId,
+          groupInstanceId,
           protocolType,
           groupProtocols,
         })
@@ -407,11 +425,12 @@ module.exports = class Broker {
    * @param {object} request
    * @param {string} request.groupId
    * @param {string} request.memberId
+   * @param {string} [request.groupInstanceId] The static member id (LeaveGroup >= v3)
    * @returns {Promise}
    */
-  async leaveGroup({ groupId, memberId }) {
+  async leaveGroup({ groupId, memberId, groupInstanceId }) {
     const leaveGroup = this.lookupRequest(apiKeys.LeaveGroup, requests.LeaveGroup)
-    return await this[PRIVATE.SEND_REQUEST](leaveGroup({ groupId, memberId }))
+    return await this[PRIVATE.SEND_REQUEST](leaveGroup({ groupId, memberId, groupInstanceId }))
   }
 
   /**
@@ -420,16 +439,18 @@ module.exports = class Broker {
    * @param {string} request.groupId
    * @param {number} request.generationId
    * @param {string} request.memberId
+   * @param {string} [request.groupInstanceId] The static member id (SyncGroup >= v3)
    * @param {object} request.groupAssignment
    * @returns {Promise}
    */
-  async syncGroup({ groupId, generationId, memberId, groupAssignment }) {
+  async syncGroup({ groupId, generationId, memberId, groupInstanceId, groupAssignment }) {
     const syncGroup = this.lookupRequest(apiKeys.SyncGroup, requests.SyncGroup)
     return await this[PRIVATE.SEND_REQUEST](
       syncGroup({
         groupId,
         generationId,
         memberId,
+        groupInstanceId,
         groupAssignment,
       })
     )
@@ -476,6 +497,7 @@ module.exports = class Broker {
    * @param {string} request.groupId
    * @param {number} request.groupGenerationId
    * @param {string} request.memberId
+   * @param {string} [request.groupInstanceId] The static member id (OffsetCommit >= v7)
    * @param {number} [request.retentionTime=-1] -1 signals to the broker that its default configuration
    *                                    should be used.
    * @param {object} request.topics Topics to commit offsets, e.g:
@@ -489,13 +511,21 @@ module.exports = class Broker {
    *                  ]
    * @returns {Promise}
    */
-  async offsetCommit({ groupId, groupGenerationId, memberId, retentionTime, topics }) {
+  async offsetCommit({
+    groupId,
+    groupGenerationId,
+    memberId,
+    groupInstanceId,
+    retentionTime,
+    topics,
+  }) {
     const offsetCommit = this.lookupRequest(apiKeys.OffsetCommit, requests.OffsetCommit)
     return await this[PRIVATE.SEND_REQUEST](
       offsetCommit({
         groupId,
         groupGenerationId,
         memberId,
+        groupInstanceId,
         retentionTime,
         topics,
       })
@@ -631,6 +661,32 @@ module.exports = class Broker {
     return await this[PRIVATE.SEND_REQUEST](alterConfigs({ resources, validateOnly }))
   }
 
+  /**
+   * @public
+   * @param {object} request
+   * @param {import("../../types").IncrementalResourceConfig[]} request.resources
+   *                                 [{
+   *                                  type: RESOURCE_TYPES.TOPIC,
+   *                                  name: 'topic-name',
+   *                                  configEntries: [
+   *                                    {
+   *                                      name: 'cleanup.policy',
+   *                                      operation: ALTER_CONFIG_OP_TYPES.APPEND,
+   *                                      value: 'compact'
+   *                                    }
+   *                                  ]
+   *                                 }]
+   * @param {boolean} [request.validateOnly=false]
+   * @returns {Promise}
+   */
+  async incrementalAlterConfigs({ resources, validateOnly = false }) {
+    const incrementalAlterConfigs = this.lookupRequest(
+      apiKeys.IncrementalAlterConfigs,
+      requests.IncrementalAlterConfigs
+    )
+    return await this[PRIVATE.SEND_REQUEST](incrementalAlterConfigs({ resources, validateOnly }))
+  }
+
   /**
    * Send an `InitProducerId` request to fetch a PID and bump the producer epoch.
    *
@@ -764,6 +820,22 @@ module.exports = class Broker {
     return await this[PRIVATE.SEND_REQUEST](deleteGroups(groupIds))
   }
 
+  /**
+   * Send request to delete the committed offsets of a group
+   *
+   * Request should be made to the group coordinator.
+   * @public
+   * @param {object} request
+   * @param {string} request.groupId
+   * @param {import("../../types").TopicPartitions[]} request.topics
+   *                          [{ topic: 'topic-name', partitions: [0, 1] }]
+   * @returns {Promise}
+   */
+  async offsetDelete({ groupId, topics }) {
+    const offsetDelete = this.lookupRequest(apiKeys.OffsetDelete, requests.OffsetDelete)
+    return await this[PRIVATE.SEND_REQUEST](offsetDelete({ groupId, topics }))
+  }
+
   /**
    * Send request to delete records
    * @public
@@ -896,6 +968,240 @@ module.exports = class Broker {
     return await this[PRIVATE.SEND_REQUEST](listPartitionReassignments({ topics, timeout }))
   }
 
+  /**
+   * @public
+   * @param {Object} request
+   * @param {import("../protocol/electionTypes")} [request.electionType=ElectionTypes.PREFERRED]
+   * @param {import("../../types").TopicPartitions[]} [request.topicPartitions] The partitions to
+   *                                                   elect, all of them when empty
+   * @param {number} [request.timeout]
+   * @returns {Promise}
+   */
+  async electLeaders({ electionType = ElectionTypes.PREFERRED, topicPartitions = [], timeout }) {
+    const electLeaders = this.lookupRequest(apiKeys.ElectLeaders, requests.ElectLeaders)
+    return await this[PRIVATE.SEND_REQUEST](
+      electLeaders({ electionType, topicPartitions, timeout })
+    )
+  }
+
+  /**
+   * @public
+   * @param {Object} request
+   * @param {Array<{ principalType: string, principalName: string }>} [request.renewers]
+   * @param {number} [request.maxLifetime=-1] Maximum lifetime in milliseconds, -1 to use the
+   *                                          broker default
+   * @returns {Promise}
+   */
+  async createDelegationToken({ renewers = [], maxLifetime = -1 }) {
+    const createDelegationToken = this.lookupRequest(
+      apiKeys.CreateDelegationToken,
+      requests.CreateDelegationToken
+    )
+    return await this[PRIVATE.SEND_REQUEST](createDelegationToken({ renewers, maxLifetime }))
+  }
+
+  /**
+   * @public
+   * @param {Object} request
+   * @param {Buffer} request.hmac
+   * @param {number} [request.renewPeriod=-1] Renewal period in milliseconds, -1 to use the
+   *                                          broker default
+   * @returns {Promise}
+   */
+  async renewDelegationToken({ hmac, renewPeriod = -1 }) {
+    const renewDelegationToken = this.lookupRequest(
+      apiKeys.RenewDelegationToken,
+      requests.RenewDelegationToken
+    )
+    return await this[PRIVATE.SEND_REQUEST](renewDelegationToken({ hmac, renewPeriod }))
+  }
+
+  /**
+   * @public
+   * @param {Object} request
+   * @param {Buffer} request.hmac
+   * @param {number} [request.expiryTimePeriod=-1] Period in milliseconds until the token expires,
+   *                                               a negative value expires it immediately
+   * @returns {Promise}
+   */
+  async expireDelegationToken({ hmac, expiryTimePeriod = -1 }) {
+    const expireDelegationToken = this.lookupRequest(
+      apiKeys.ExpireDelegationToken,
+      requests.ExpireDelegationToken
+    )
+    return await this[PRIVATE.SEND_REQUEST](expireDelegationToken({ hmac, expiryTimePeriod }))
+  }
+
+  /**
+   * @public
+   * @param {Object} [request]
+   * @param {Array<{ principalType: string, principalName: string }>} [request.owners] The owners
+   *                                                          of the tokens, all of them when empty
+   * @returns {Promise}
+   */
+  async describeDelegationToken({ owners = [] } = {}) {
+    const describeDelegationToken = this.lookupRequest(
+      apiKeys.DescribeDelegationToken,
+      requests.DescribeDelegationToken
+    )
+    return await this[PRIVATE.SEND_REQUEST](describeDelegationToken({ owners }))
+  }
+
+  /**
+   * @public
+   * @param {Object} [request]
+   * @param {import("../../types").TopicPartitions[]} [request.topics] The topic partitions to
+   *                                                   describe, all of them when empty
+   * @returns {Promise}
+   */
+  async describeLogDirs({ topics = [] } = {}) {
+    const describeLogDirs = this.lookupRequest(apiKeys.DescribeLogDirs, requests.DescribeLogDirs)
+    return await this[PRIVATE.SEND_REQUEST](describeLogDirs({ topics }))
+  }
+
+  /**
+   * @public
+   * @param {Object} request
+   * @param {Array<{ path: string, topics: import("../../types").TopicPartitions[] }>} request.dirs
+   *                                              The log dirs the replicas are moved to
+   * @returns {Promise}
+   */
+  async alterReplicaLogDirs({ dirs }) {
+    const alterReplicaLogDirs = this.lookupRequest(
+      apiKeys.AlterReplicaLogDirs,
+      requests.AlterReplicaLogDirs
+    )
+    return await this[PRIVATE.SEND_REQUEST](alterReplicaLogDirs({ dirs }))
+  }
+
+  /**
+   * @public
+   * @param {Object} request
+   * @param {import("../../types").ClientQuotaFilterComponent[]} request.components
+   *                                 [{ entityType: 'user', matchType: CLIENT_QUOTA_MATCH_TYPES.EXACT, match: 'alice' }]
+   * @param {boolean} [request.strict=false]
+   * @returns {Promise}
+   */
+  async describeClientQuotas({ components, strict = false }) {
+    const describeClientQuotas = this.lookupRequest(
+      apiKeys.DescribeClientQuotas,
+      requests.DescribeClientQuotas
+    )
+    return await this[PRIVATE.SEND_REQUEST](describeClientQuotas({ components, strict }))
+  }
+
+  /**
+   * @public
+   * @param {Object} request
+   * @param {import("../../types").ClientQuotaAlteration[]} request.entries
+   *                                 [{
+   *                                  entity: [{ entityType: 'user', entityName: 'alice' }],
+   *                                  ops: [{ key: 'producer_byte_rate', value: 1024 }]
+   *                                 }]
+   * @param {boolean} [request.validateOnly=false]
+   * @returns {Promise}
+   */
+  async alterClientQuotas({ entries, validateOnly = false }) {
+    const alterClientQuotas = this.lookupRequest(
+      apiKeys.AlterClientQuotas,
+      requests.AlterClientQuotas
+    )
+    return await this[PRIVATE.SEND_REQUEST](alterClientQuotas({ entries, validateOnly }))
+  }
+
+  /**
+   * @public
+   * @param {Object} [request]
+   * @param {string[]|null} [request.users=null] The users to describe, all of them when null
+   * @returns {Promise}
+   */
+  async describeUserScramCredentials({ users = null } = {}) {
+    const describeUserScramCredentials = this.lookupRequest(
+      apiKeys.DescribeUserScramCredentials,
+      requests.DescribeUserScramCredentials
+    )
+    return await this[PRIVATE.SEND_REQUEST](describeUserScramCredentials({ users }))
+  }
+
+  /**
+   * @public
+   * @param {Object} request
+   * @param {Array<{ name: string, mechanism: number }>} [request.deletions=[]]
+   * @param {Array<{ name: string, mechanism: number, iterations: number, salt: Buffer, saltedPassword: Buffer }>} [request.upsertions=[]]
+   * @returns {Promise}
+   */
+  async alterUserScramCredentials({ deletions = [], upsertions = [] }) {
+    const alterUserScramCredentials = this.lookupRequest(
+      apiKeys.AlterUserScramCredentials,
+      requests.AlterUserScramCredentials
+    )
+    return await this[PRIVATE.SEND_REQUEST](alterUserScramCredentials({ deletions, upsertions }))
+  }
+
+  /**
+   * Request should be made to each broker, a broker only lists the transactions it coordinates.
+   * @public
+   * @param {Object} [request]
+   * @param {string[]} [request.stateFilters=[]] e.g. ['Ongoing', 'PrepareAbort']
+   * @param {string[]} [request.producerIdFilters=[]]
+   * @returns {Promise}
+   */
+  async listTransactions({ stateFilters = [], producerIdFilters = [] } = {}) {
+    const listTransactions = this.lookupRequest(apiKeys.ListTransactions, requests.ListTransactions)
+    return await this[PRIVATE.SEND_REQUEST](listTransactions({ stateFilters, producerIdFilters }))
+  }
+
+  /**
+   * Request should be made to the transaction coordinator.
+   * @public
+   * @param {Object} request
+   * @param {string[]} request.transactionalIds
+   * @returns {Promise}
+   */
+  async describeTransactions({ transactionalIds }) {
+    const describeTransactions = this.lookupRequest(
+      apiKeys.DescribeTransactions,
+      requests.DescribeTransactions
+    )
+    return await this[PRIVATE.SEND_REQUEST](describeTransactions({ transactionalIds }))
+  }
+
+  /**
+   * Request should be made to the leader of the partitions.
+   * @public
+   * @param {Object} request
+   * @param {import("../../types").TopicPartitions[]} request.topics
+   *                          [{ topic: 'topic-name', partitions: [0, 1] }]
+   * @returns {Promise}
+   */
+  async describeProducers({ topics }) {
+    const describeProducers = this.lookupRequest(
+      apiKeys.DescribeProducers,
+      requests.DescribeProducers
+    )
+    return await this[PRIVATE.SEND_REQUEST](describeProducers({ topics }))
+  }
+
+  /**
+   * Write the markers completing transactions, the request is normally sent by the transaction
+   * coordinator. Request should be made to the leader of the partitions.
+   * @public
+   * @param {Object} request
+   * @param {Array<Object>} request.markers
+   *                          [{
+   *                            producerId: '4000',
+   *                            producerEpoch: 2,
+   *                            transactionResult: false,
+   *                            topics: [{ topic: 'topic-name', partitions: [0] }],
+   *                            coordinatorEpoch: 5,
+   *                          }]
+   * @returns {Promise}
+   */
+  async writeTxnMarkers({ markers }) {
+    const writeTxnMarkers = this.lookupRequest(apiKeys.WriteTxnMarkers, requests.WriteTxnMarkers)
+    return await this[PRIVATE.SEND_REQUEST](writeTxnMarkers({ markers }))
+  }
+
   /**
    * @private
    */
@@ -0,0 +1,83 @@
+/**
+ * The sasl object must include a property named gssapiClient, a function
+ * that creates the GSS-API client of a broker. The Kerberos credentials are
+ * resolved by the client, from a keytab or the ticket cache.
+ *
+ * The client must implement step, which processes the token sent by the server
+ * and returns the next token of the security context establishment, isComplete,
+ * which tells if the security context is established, and wrap/unwrap to
+ * exchange the security layers once it is.
+ */
+
+const { request, response } = require('../../protocol/sasl/gssapi')
+const { KafkaJSSASLAuthenticationError } = require('../../errors')
+
+const DEFAULT_SERVICE_NAME = 'kafka'
+
+// Security layers of RFC 4752, Kafka does not support integrity or confidentiality protection
+const NO_SECURITY_LAYER = 1
+const SECURITY_LAYERS_LENGTH = 4
+
+const gssapiAuthenticatorProvider = sasl => ({ host, port, logger, saslAuthenticate }) => {
+  return {
+    authenticate: async () => {
+      const {
+        gssapiClient,
+        serviceName = DEFAULT_SERVICE_NAME,
+        principal,
+        keytab,
+        authorizationIdentity = '',
+      } = sasl
+
+      if (gssapiClient == null) {
+        throw new KafkaJSSASLAuthenticationError('SASL GSSAPI: Missing GSS-API client')
+      }
+
+      const broker = `${host}:${port}`
+      const sendToken = async token => saslAuthenticate({ request: request({ token }), response })
+      let client
+
+      try {
+        logger.debug('Authenticate with SASL GSSAPI', { broker, serviceName })
+        client = await gssapiClient({ host, port, serviceName, principal, keytab })
+
+        let token = await client.step(Buffer.alloc(0))
+        while (!client.isComplete()) {
+          token = await client.step(await sendToken(token))
+        }
+
+        // The last token of the context establishment is sent even if empty, the server then
+        // answers with the security layers it supports
+        const securityLayers = await client.unwrap(await sendToken(token))
+
+        if (
+          securityLayers.length !== SECURITY_LAYERS_LENGTH ||
+          (securityLayers[0] & NO_SECURITY_LAYER) === 0
+        ) {
+          throw new Error('The server requires a security layer, which is not supported')
+        }
+
+        // No security layer, so the maximum message size is 0
+        const selectedSecurityLayer = Buffer.concat([
+          Buffer.from([NO_SECURITY_LAYER, 0, 0, 0]),
+          Buffer.from(authorizationIdentity),
+        ])
+
+        await sendToken(await client.wrap(selectedSecurityLayer))
+        logger.debug('SASL GSSAPI authentication successful', { broker })
+      } catch (e) {
+        const error = new KafkaJSSASLAuthenticationError(
+          `SASL GSSAPI authentication failed: ${e.message}`
+        )
+        logger.error(error.message, { broker })
+        throw error
+      } finally {
+        if (client && client.dispose) {
+          await client.dispose()
+        }
+      }
+    },
+  }
+}
+
+module.exports = gssapiAuthenticatorProvider
@@ -0,0 +1,161 @@
+const { newLogger } = require('testHelpers')
+const Encoder = require('../../protocol/encoder')
+const Decoder = require('../../protocol/decoder')
+const gssapiAuthenticatorProvider = require('./gssapi')
+
+describe('Broker > SASL Authenticator > GSSAPI', () => {
+  const AP_REQ = Buffer.from('ap-req')
+  const AP_REP = Buffer.from('ap-rep')
+  const WRAP_PREFIX = Buffer.from('wrapped:')
+
+  const wrap = message => Buffer.concat([WRAP_PREFIX, message])
+  const unwrap = token => token.slice(WRAP_PREFIX.length)
+
+  /**
+   * Stand-in of the KDC and Kerberos mechanism, the tokens are wrapped with a prefix
+   */
+  const createGssapiClient = ({ mutualAuthentication = true } = {}) => {
+    let complete = false
+
+    return {
+      step: jest.fn(async token => {
+        if (token.length === 0) {
+          complete = !mutualAuthentication
+          return AP_REQ
+        }
+
+        expect(token).toEqual(AP_REP)
+        complete = true
+        return Buffer.alloc(0)
+      }),
+      isComplete: () => complete,
+      wrap: jest.fn(async message => wrap(message)),
+      unwrap: jest.fn(async token => unwrap(token)),
+      dispose: jest.fn(async () => {}),
+    }
+  }
+
+  /**
+   * Stand-in of the broker, answering each token as sent over SaslAuthenticate
+   */
+  const createServer = ({
+    mutualAuthentication = true,
+    securityLayers = [0x07, 0x00, 0x10, 0x00],
+  }) => {
+    const tokens = []
+
+    const respond = token => {
+      if (token.equals(AP_REQ)) {
+        return mutualAuthentication ? AP_REP : wrap(Buffer.from(securityLayers))
+      }
+
+      if (token.length === 0) {
+        return wrap(Buffer.from(securityLayers))
+      }
+
+      return Buffer.alloc(0)
+    }
+
+    const saslAuthenticate = jest.fn(async ({ request, response }) => {
+      const token = new Decoder(await request.encode()).readBytes()
+      tokens.push(token)
+
+      const authBytes = new Encoder().writeBytes(respond(token)).buffer
+      return response.parse(await response.decode(authBytes))
+    })
+
+    return { saslAuthenticate, tokens }
+  }
+
+  const authenticate = ({ sasl, server }) =>
+    gssapiAuthenticatorProvider(sasl)({
+      host: 'kafka1.example.com',
+      port: 9092,
+      logger: newLogger(),
+      saslAuthenticate: server.saslAuthenticate,
+    }).authenticate()
+
+  it('throws KafkaJSSASLAuthenticationError for missing gssapiClient', async () => {
+    const gssapi = gssapiAuthenticatorProvider({})({ host: '', port: 0, logger: newLogger() })
+    await expect(gssapi.authenticate()).rejects.toThrow('Missing GSS-API client')
+  })
+
+  it('establishes the security context with mutual authentication', async () => {
+    const client = createGssapiClient()
+    const gssapiClient = jest.fn(async () => client)
+    const server = createServer({})
+
+    await authenticate({
+      sasl: {
+        gssapiClient,
+        principal: 'kafkajs@EXAMPLE.COM',
+        keytab: '/etc/security/kafkajs.keytab',
+        authorizationIdentity: 'kafkajs',
+      },
+      server,
+    })
+
+    expect(gssapiClient).toHaveBeenCalledWith({
+      host: 'kafka1.example.com',
+      port: 9092,
+      serviceName: 'kafka',
+      principal: 'kafkajs@EXAMPLE.COM',
+      keytab: '/etc/security/kafkajs.keytab',
+    })
+
+    expect(server.tokens).toEqual([
+      AP_REQ,
+      Buffer.alloc(0),
+      wrap(Buffer.concat([Buffer.from([0x01, 0x00, 0x00, 0x00]), Buffer.from('kafkajs')])),
+    ])
+
+    expect(client.unwrap).toHaveBeenCalledWith(wrap(Buffer.from([0x07, 0x00, 0x10, 0x00])))
+    expect(client.dispose).toHaveBeenCalled()
+  })
+
+  it('establishes the security context without mutual authentication', async () => {
+    const client = createGssapiClient({ mutualAuthentication: false })
+    const gssapiClient = jest.fn(async () => client)
+    const server = createServer({ mutualAuthentication: false })
+
+    await authenticate({ sasl: { gssapiClient, serviceName: 'kafka-service' }, server })
+
+    expect(gssapiClient).toHaveBeenCalledWith(
+      expect.objectContaining({ serviceName: 'kafka-service' })
+    )
+    expect(client.step).toHaveBeenCalledTimes(1)
+    expect(server.tokens).toEqual([AP_REQ, wrap(Buffer.from([0x01, 0x00, 0x00, 0x00]))])
+  })
+
+  it('throws KafkaJSSASLAuthenticationError if the server requires a security layer', async () => {
+    const client = createGssapiClient()
+    const server = createServer({ securityLayers: [0x06, 0x00, 0x10, 0x00] })
+
+    await expect(
+      authenticate({ sasl: { gssapiClient: async () => client }, server })
+    ).rejects.toMatchObject({
+      name: 'KafkaJSSASLAuthenticationError',
+      message:
+        'SASL GSSAPI authentication failed: The server requires a security layer, which is not supported',
+    })
+
+    expect(server.tokens).toHaveLength(2)
+    expect(client.dispose).toHaveBeenCalled()
+  })
+
+  it('throws KafkaJSSASLAuthenticationError if the security context cannot be established', async () => {
+    const client = createGssapiClient()
+    client.step.mockImplementationOnce(async () => {
+      throw new Error('No Kerberos credentials available')
+    })
+
+    await expect(
+      authenticate({ sasl: { gssapiClient: async () => client }, server: createServer({}) })
+    ).rejects.toMatchObject({
+      name: 'KafkaJSSASLAuthenticationError',
+      message: 'SASL GSSAPI authentication failed: No Kerberos credentials available',
+    })
+
+    expect(client.dispose).toHaveBeenCalled()
+  })
+})
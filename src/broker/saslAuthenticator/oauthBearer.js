@@ -4,7 +4,8 @@
  *
  * The OAuth bearer token must be an object with properties value and
  * (optionally) extensions, that will be sent during the SASL/OAUTHBEARER
- * request.
+ * request. The extensions (KIP-342) are key-value pairs, such as the
+ * logicalCluster and identityPoolId of Confluent Cloud.
  *
  * The implementation of the oauthBearerProvider must take care that tokens are
  * reused and refreshed when appropriate.
@@ -13,6 +14,16 @@
 const { request } = require('../../protocol/sasl/oauthBearer')
 const { KafkaJSSASLAuthenticationError } = require('../../errors')
 
+// "auth" is reserved for the token, https://tools.ietf.org/html/rfc7628#section-3.1
+const RESERVED_EXTENSION_KEY = 'auth'
+const EXTENSION_KEY_REGEX = /^[A-Za-z]+$/
+const EXTENSION_VALUE_REGEX = /^[\x21-\x7E \t\r\n]+$/
+
+const isValidExtension = (key, value) =>
+  key !== RESERVED_EXTENSION_KEY &&
+  EXTENSION_KEY_REGEX.test(key) &&
+  EXTENSION_VALUE_REGEX.test(String(value))
+
 const oauthBearerAuthenticatorProvider = sasl => ({ host, port, logger, saslAuthenticate }) => {
   return {
     authenticate: async () => {
@@ -30,6 +41,17 @@ const oauthBearerAuthenticatorProvider = sasl => ({ host, port, logger, saslAuth
         throw new KafkaJSSASLAuthenticationError('SASL OAUTHBEARER: Invalid OAuth bearer token')
       }
 
+      const { extensions = {} } = oauthBearerToken
+      const invalidExtension = Object.keys(extensions).find(
+        key => !isValidExtension(key, extensions[key])
+      )
+
+      if (invalidExtension !== undefined) {
+        throw new KafkaJSSASLAuthenticationError(
+          `SASL OAUTHBEARER: Invalid SASL extension ${invalidExtension}`
+        )
+      }
+
       const broker = `${host}:${port}`
 
       try {
@@ -1,4 +1,5 @@
 const { newLogger } = require('testHelpers')
+const Decoder = require('../../protocol/decoder')
 const oauthBearerAuthenticatorProvider = require('./oauthBearer')
 
 describe('Broker > SASL Authenticator > OAUTHBEARER', () => {
@@ -23,4 +24,39 @@ describe('Broker > SASL Authenticator > OAUTHBEARER', () => {
     })
     await expect(oauthBearer.authenticate()).rejects.toThrow('Invalid OAuth bearer token')
   })
+
+  it('throws KafkaJSSASLAuthenticationError for invalid SASL extensions', async () => {
+    const saslAuthenticate = jest.fn()
+    const authenticate = extensions =>
+      oauthBearerAuthenticatorProvider({
+        oauthBearerProvider: async () => ({ value: 'token', extensions }),
+      })({ host: '', port: 0, logger: newLogger(), saslAuthenticate }).authenticate()
+
+    await expect(authenticate({ auth: 'value' })).rejects.toThrow('Invalid SASL extension auth')
+    await expect(authenticate({ 'logical-cluster': 'lkc' })).rejects.toThrow(
+      'Invalid SASL extension logical-cluster'
+    )
+    await expect(authenticate({ logicalCluster: 'lkc\u0001' })).rejects.toThrow(
+      'Invalid SASL extension logicalCluster'
+    )
+    expect(saslAuthenticate).not.toHaveBeenCalled()
+  })
+
+  it('sends the token with its SASL extensions', async () => {
+    const saslAuthenticate = jest.fn(async () => {})
+    const oauthBearer = oauthBearerAuthenticatorProvider({
+      oauthBearerProvider: async () => ({
+        value: 'token',
+        extensions: { logicalCluster: 'lkc-abc123', identityPoolId: 'pool-xyz' },
+      }),
+    })({ host: '', port: 0, logger: newLogger(), saslAuthenticate })
+
+    await oauthBearer.authenticate()
+
+    const { request } = saslAuthenticate.mock.calls[0][0]
+    const authBytes = new Decoder(await request.encode()).readBytes().toString()
+    expect(authBytes).toEqual(
+      'n,,\u0001auth=Bearer token\u0001logicalCluster=lkc-abc123\u0001identityPoolId=pool-xyz\u0001\u0001'
+    )
+  })
 })
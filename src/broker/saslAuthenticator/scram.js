@@ -271,7 +271,19 @@ class SCRAM {
    * @private
    */
   firstMessageBare() {
-    return `n=${this.encodedUsername()},r=${this.currentNonce}`
+    return `n=${this.encodedUsername()},r=${this.currentNonce}${this.extensions()}`
+  }
+
+  /**
+   * SCRAM extensions sent with the client first message. The `tokenauth` extension authenticates
+   * with a delegation token, the username being the token id and the password the base64 encoded
+   * HMAC of the token.
+   *
+   * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-48+Delegation+token+support+for+Kafka
+   * @private
+   */
+  extensions() {
+    return this.sasl.tokenAuth ? ',tokenauth=true' : ''
   }
 
   /**
@@ -117,6 +117,19 @@ describe('Broker > SASL Authenticator > SCRAM', () => {
         const decoder = new Decoder(buffer)
         expect(decoder.readBytes().toString()).toEqual(`n,,n=bob=3D,r=${scram.currentNonce}`)
       })
+
+      test('delegation token', async () => {
+        sasl.username = 'H2Jm1Z3yTHmyIJ6wYW4eTQ'
+        sasl.tokenAuth = true
+        await scram.sendClientFirstMessage()
+
+        const { request } = saslAuthenticate.mock.calls[0][0]
+        const buffer = await request.encode()
+        const decoder = new Decoder(buffer)
+        expect(decoder.readBytes().toString()).toEqual(
+          `n,,n=H2Jm1Z3yTHmyIJ6wYW4eTQ,r=${scram.currentNonce},tokenauth=true`
+        )
+      })
     })
 
     describe('second message', () => {
@@ -143,6 +156,24 @@ describe('Broker > SASL Authenticator > SCRAM', () => {
           'c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ='
         )
       })
+
+      test('includes the extensions in the auth message', () => {
+        scram.currentNonce = 'rOprNGfwEbeRWgbNEkqO'
+        sasl.tokenAuth = true
+        const clientMessageResponse = {
+          original:
+            'r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096',
+          r: 'rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0',
+        }
+
+        expect(scram.authMessage(clientMessageResponse)).toEqual(
+          [
+            'n=user,r=rOprNGfwEbeRWgbNEkqO,tokenauth=true',
+            clientMessageResponse.original,
+            'c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0',
+          ].join(',')
+        )
+      })
     })
   })
 })
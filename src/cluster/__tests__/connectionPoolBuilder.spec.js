@@ -1,6 +1,7 @@
 const { newLogger } = require('testHelpers')
 const connectionPoolBuilder = require('../connectionPoolBuilder')
 const ConnectionPool = require('../../network/connectionPool')
+const apiKeys = require('../../protocol/requests/apiKeys')
 const { KafkaJSConnectionError, KafkaJSNonRetriableError } = require('../../errors')
 
 describe('Cluster > ConnectionBuilder', () => {
@@ -169,4 +170,73 @@ describe('Cluster > ConnectionBuilder', () => {
     expect(connectionPool.host).toBe('host.test')
     expect(connectionPool.port).toBe(7777)
   })
+
+  it('creates connection pools with the configured connections', async () => {
+    const builder = connectionPoolBuilder({
+      socketFactory,
+      brokers,
+      clientId,
+      connectionTimeout,
+      logger,
+      connectionPool: {
+        size: 2,
+        routes: [{ apis: ['Produce'], size: 3 }],
+        maxIdleMs: 540000,
+      },
+    })
+
+    const connectionPool = await builder.build()
+    expect(connectionPool.pool).toHaveLength(5)
+    expect(connectionPool.routing.routes).toEqual([
+      [0, 1],
+      [2, 3, 4],
+    ])
+    expect(connectionPool.maxIdleMs).toEqual(540000)
+  })
+
+  it('sends the Produce requests of idempotent producers on a single connection', async () => {
+    const builder = connectionPoolBuilder({
+      socketFactory,
+      brokers,
+      clientId,
+      connectionTimeout,
+      logger,
+      connectionPool: { routes: [{ apis: ['Produce'], size: 3 }] },
+      idempotent: true,
+    })
+
+    const { pool, routing } = await builder.build()
+    expect(pool).toHaveLength(4)
+    expect(routing.routes[routing.routeByApiKey.get(apiKeys.Produce)]).toEqual([1])
+  })
+
+  it('throws an exception if the connection pool is invalid', () => {
+    expect(() =>
+      connectionPoolBuilder({
+        socketFactory,
+        brokers,
+        clientId,
+        connectionTimeout,
+        logger,
+        connectionPool: { routes: [{ apis: ['Fecth'] }] },
+      })
+    ).toThrow(
+      new KafkaJSNonRetriableError('Invalid connection pool route at index 0: unknown API "Fecth"')
+    )
+
+    expect(() =>
+      connectionPoolBuilder({
+        socketFactory,
+        brokers,
+        clientId,
+        connectionTimeout,
+        logger,
+        connectionPool: { maxIdleMs: 0 },
+      })
+    ).toThrow(
+      new KafkaJSNonRetriableError(
+        'Invalid connection pool maxIdleMs "0", it should be a positive number'
+      )
+    )
+  })
 })
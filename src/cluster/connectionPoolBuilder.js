@@ -1,5 +1,6 @@
 const { KafkaJSConnectionError, KafkaJSNonRetriableError } = require('../errors')
 const ConnectionPool = require('../network/connectionPool')
+const createRouting = require('../network/connectionPoolRouting')
 
 /**
  * @typedef {Object} ConnectionPoolBuilder
@@ -21,6 +22,9 @@ const ConnectionPool = require('../network/connectionPool')
  * @param {import("../../types").Logger} options.logger
  * @param {import("../instrumentation/emitter")} [options.instrumentationEmitter]
  * @param {number} [options.reauthenticationThreshold]
+ * @param {import("../../types").ConnectionPoolConfig} [options.connectionPool]
+ * @param {boolean} [options.idempotent=false] Send the Produce requests on a single connection,
+ *                                             to keep the sequence numbers of the batches in order
  * @returns {ConnectionPoolBuilder}
  */
 module.exports = ({
@@ -36,8 +40,17 @@ module.exports = ({
   logger,
   instrumentationEmitter = null,
   reauthenticationThreshold,
+  connectionPool: { size, routes, maxIdleMs } = {},
+  idempotent = false,
 }) => {
   let index = 0
+  const routing = createRouting({ size, routes, orderedApis: idempotent ? ['Produce'] : [] })
+
+  if (maxIdleMs != null && !(maxIdleMs > 0)) {
+    throw new KafkaJSNonRetriableError(
+      `Invalid connection pool maxIdleMs "${maxIdleMs}", it should be a positive number`
+    )
+  }
 
   const isValidBroker = broker => {
     return broker && typeof broker === 'string' && broker.length > 0
@@ -111,6 +124,8 @@ module.exports = ({
         instrumentationEmitter,
         logger,
         reauthenticationThreshold,
+        routing,
+        maxIdleMs,
       })
     },
   }
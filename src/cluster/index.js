@@ -47,6 +47,9 @@ module.exports = class Cluster {
    * @param {import("../../types").Logger} options.logger
    * @param {import("../../types").ISocketFactory} options.socketFactory
    * @param {Map} [options.offsets]
+   * @param {import("../../types").ConnectionPoolConfig} [options.connectionPool]
+   * @param {boolean} [options.idempotent=false] Whether the cluster is used by an idempotent or
+   *                                             transactional producer
    * @param {import("../instrumentation/emitter")} [options.instrumentationEmitter=null]
    */
   constructor({
@@ -68,6 +71,8 @@ module.exports = class Cluster {
     isolationLevel,
     instrumentationEmitter = null,
     offsets = new Map(),
+    connectionPool,
+    idempotent = false,
   }) {
     this.rootLogger = rootLogger
     this.logger = rootLogger.namespace('Cluster')
@@ -85,6 +90,8 @@ module.exports = class Cluster {
       enforceRequestTimeout,
       maxInFlightRequests,
       reauthenticationThreshold,
+      connectionPool,
+      idempotent,
     })
 
     this.targetTopics = new Set()
@@ -0,0 +1,117 @@
+const createAdmin = require('../../admin')
+const createProducer = require('../../producer')
+const createConsumer = require('../index')
+
+const {
+  secureRandom,
+  createCluster,
+  createTopic,
+  createModPartitioner,
+  newLogger,
+  waitForMessages,
+} = require('testHelpers')
+
+describe('Consumer', () => {
+  let topicName, cluster, producer, consumer
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    await createTopic({ topic: topicName, partitions: 2 })
+
+    cluster = createCluster()
+    producer = createProducer({
+      cluster: createCluster(),
+      createPartitioner: createModPartitioner,
+      logger: newLogger(),
+    })
+  })
+
+  afterEach(async () => {
+    consumer && (await consumer.disconnect())
+    producer && (await producer.disconnect())
+  })
+
+  describe('when assigning partitions', () => {
+    beforeEach(async () => {
+      await producer.connect()
+      await producer.send({
+        acks: 1,
+        topic: topicName,
+        messages: [
+          { key: 'key-0', value: 'value-0', partition: 0 },
+          { key: 'key-1', value: 'value-1', partition: 1 },
+          { key: 'key-2', value: 'value-2', partition: 1 },
+        ],
+      })
+    })
+
+    it('consumes the assigned partitions without groupId', async () => {
+      consumer = createConsumer({ cluster, logger: newLogger() })
+      await consumer.connect()
+      await consumer.assign([{ topic: topicName, partitions: [1], fromBeginning: true }])
+
+      const messagesConsumed = []
+      consumer.run({ eachMessage: async event => messagesConsumed.push(event) })
+
+      await expect(waitForMessages(messagesConsumed, { number: 2 })).resolves.toEqual([
+        expect.objectContaining({
+          topic: topicName,
+          partition: 1,
+          message: expect.objectContaining({ offset: '0' }),
+        }),
+        expect.objectContaining({
+          topic: topicName,
+          partition: 1,
+          message: expect.objectContaining({ offset: '1' }),
+        }),
+      ])
+    })
+
+    it('starts from the offset given to seek', async () => {
+      consumer = createConsumer({ cluster, logger: newLogger() })
+      await consumer.connect()
+      await consumer.assign([{ topic: topicName, partitions: [1] }])
+
+      const messagesConsumed = []
+      consumer.run({ eachMessage: async event => messagesConsumed.push(event) })
+      consumer.seek({ topic: topicName, partition: 1, offset: '1' })
+
+      await expect(waitForMessages(messagesConsumed, { number: 1 })).resolves.toEqual([
+        expect.objectContaining({
+          topic: topicName,
+          partition: 1,
+          message: expect.objectContaining({ offset: '1' }),
+        }),
+      ])
+    })
+
+    it('commits the offsets of the assigned partitions with a groupId', async () => {
+      const groupId = `consumer-group-id-${secureRandom()}`
+      consumer = createConsumer({ cluster, groupId, logger: newLogger() })
+      await consumer.connect()
+      await consumer.assign([{ topic: topicName, partitions: [0], fromBeginning: true }])
+
+      const messagesConsumed = []
+      consumer.run({ eachMessage: async event => messagesConsumed.push(event) })
+      await waitForMessages(messagesConsumed, { number: 1 })
+      await consumer.disconnect()
+
+      const admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      try {
+        await expect(admin.fetchOffsets({ groupId, topics: [topicName] })).resolves.toEqual([
+          {
+            topic: topicName,
+            partitions: expect.arrayContaining([
+              expect.objectContaining({ partition: 0, offset: '1' }),
+              expect.objectContaining({ partition: 1, offset: '-1' }),
+            ]),
+          },
+        ])
+      } finally {
+        await admin.disconnect()
+      }
+    })
+  })
+})
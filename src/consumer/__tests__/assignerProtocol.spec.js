@@ -1,4 +1,4 @@
-const { MemberMetadata, MemberAssignment } = require('../assignerProtocol')
+const { MemberMetadata, MemberAssignment, StickyAssignerUserData } = require('../assignerProtocol')
 
 const FIXTURE_ROUND_ROBIN_METADATA = Buffer.from(
   require('./fixtures/roundRobinAssigner/memberMetadata.json')
@@ -6,6 +6,7 @@ const FIXTURE_ROUND_ROBIN_METADATA = Buffer.from(
 const FIXTURE_ROUND_ROBIN_ASSIGNER = Buffer.from(
   require('./fixtures/roundRobinAssigner/memberAssignment.json')
 )
+const FIXTURE_STICKY_USER_DATA = Buffer.from(require('./fixtures/stickyAssigner/userData.json'))
 
 describe('Consumer > assignerProtocol', () => {
   describe('MemberMetadata', () => {
@@ -25,6 +26,31 @@ describe('Consumer > assignerProtocol', () => {
         userData: Buffer.alloc(0),
       })
     })
+
+    test('encode and decode the owned partitions', () => {
+      const buffer = MemberMetadata.encode({
+        version: 1,
+        topics: ['topic-test'],
+        ownedPartitions: [{ topic: 'topic-test', partitions: [0, 2] }],
+      })
+
+      expect(MemberMetadata.decode(buffer)).toEqual({
+        version: 1,
+        topics: ['topic-test'],
+        userData: Buffer.alloc(0),
+        ownedPartitions: [{ topic: 'topic-test', partitions: [0, 2] }],
+      })
+    })
+
+    test('does not encode the owned partitions in version 0', () => {
+      const buffer = MemberMetadata.encode({
+        version: 0,
+        topics: ['topic-test'],
+        ownedPartitions: [{ topic: 'topic-test', partitions: [0, 2] }],
+      })
+
+      expect(buffer).toEqual(MemberMetadata.encode({ version: 0, topics: ['topic-test'] }))
+    })
   })
 
   describe('MemberAssignment', () => {
@@ -49,4 +75,32 @@ describe('Consumer > assignerProtocol', () => {
       expect(MemberAssignment.decode(Buffer.from([]))).toBe(null)
     })
   })
+
+  describe('StickyAssignerUserData', () => {
+    test('encode', () => {
+      const buffer = StickyAssignerUserData.encode({
+        previousAssignment: [{ topic: 'topic-test', partitions: [0, 3] }],
+        generation: 5,
+      })
+
+      expect(buffer).toEqual(FIXTURE_STICKY_USER_DATA)
+    })
+
+    test('decode', () => {
+      expect(StickyAssignerUserData.decode(FIXTURE_STICKY_USER_DATA)).toEqual({
+        previousAssignment: [{ topic: 'topic-test', partitions: [0, 3] }],
+        generation: 5,
+      })
+    })
+
+    test('decode V0 user data without generation', () => {
+      expect(StickyAssignerUserData.decode(FIXTURE_STICKY_USER_DATA.slice(0, -4))).toEqual({
+        previousAssignment: [{ topic: 'topic-test', partitions: [0, 3] }],
+      })
+    })
+
+    test('decode empty user data', () => {
+      expect(StickyAssignerUserData.decode(Buffer.alloc(0))).toBe(null)
+    })
+  })
 })
@@ -1,4 +1,5 @@
 const Batch = require('../batch')
+const { KafkaJSSerializationError } = require('../../errors')
 
 describe('Consumer > Batch', () => {
   const topic = 'topic-name'
@@ -183,4 +184,80 @@ describe('Consumer > Batch', () => {
       expect(batch.isEmptyControlRecord()).toEqual(true)
     })
   })
+
+  describe('#deserialize', () => {
+    let batch
+
+    beforeEach(() => {
+      batch = new Batch(topic, 0, {
+        partition: 1,
+        highWatermark: '100',
+        messages: [
+          {
+            offset: '0',
+            key: Buffer.from('key-0'),
+            value: Buffer.from('{"a":0}'),
+            headers: { 'content-type': Buffer.from('json') },
+          },
+          { offset: '1', key: null, value: null, headers: {} },
+        ],
+      })
+    })
+
+    it('deserializes the key, value and headers of the messages', async () => {
+      const deserializers = {
+        key: jest.fn(async key => key.toString()),
+        value: jest.fn(async value => JSON.parse(value)),
+        headers: jest.fn(async value => value.toString()),
+      }
+
+      await batch.deserialize(deserializers)
+
+      expect(batch.messages).toEqual([
+        { offset: '0', key: 'key-0', value: { a: 0 }, headers: { 'content-type': 'json' } },
+        { offset: '1', key: null, value: null, headers: {} },
+      ])
+
+      const headers = { 'content-type': Buffer.from('json') }
+      expect(deserializers.key).toHaveBeenCalledTimes(1)
+      expect(deserializers.key).toHaveBeenCalledWith(Buffer.from('key-0'), {
+        topic,
+        partition: 1,
+        headers,
+      })
+      expect(deserializers.value).toHaveBeenCalledTimes(1)
+      expect(deserializers.headers).toHaveBeenCalledWith(Buffer.from('json'), {
+        topic,
+        partition: 1,
+        header: 'content-type',
+      })
+    })
+
+    it('only applies the configured deserializers', async () => {
+      await batch.deserialize({ value: value => value.toString() })
+
+      expect(batch.messages[0]).toEqual({
+        offset: '0',
+        key: Buffer.from('key-0'),
+        value: '{"a":0}',
+        headers: { 'content-type': Buffer.from('json') },
+      })
+    })
+
+    it('throws a serialization error when a deserializer fails', async () => {
+      const error = await batch
+        .deserialize({ value: value => JSON.parse(`invalid-${value}`) })
+        .catch(e => e)
+
+      expect(error).toBeInstanceOf(KafkaJSSerializationError)
+      expect(error).toMatchObject({
+        topic,
+        partition: 1,
+        offset: '0',
+        retriable: false,
+        cause: expect.any(SyntaxError),
+      })
+      expect(error.message).toMatch(/^Failed to deserialize message: /)
+    })
+  })
 })
@@ -1,4 +1,8 @@
 const ConsumerGroup = require('../consumerGroup')
+const RoundRobinAssigner = require('../assigners/roundRobinAssigner')
+const CooperativeStickyAssigner = require('../assigners/cooperativeStickyAssigner')
+const FetchSession = require('../fetchSession')
+const { MemberAssignment, MemberMetadata } = require('../assignerProtocol')
 const { newLogger } = require('testHelpers')
 
 describe('ConsumerGroup', () => {
@@ -32,4 +36,274 @@ describe('ConsumerGroup', () => {
       expect(consumerGroup.offsetManager.commitOffsets).toHaveBeenCalledWith(offsets)
     })
   })
+
+  describe('joinAndSync with the cooperative rebalance protocol', () => {
+    let cluster, coordinator, committedOffsets, generationId
+
+    const memberAssignment = assignment => MemberAssignment.encode({ version: 0, assignment })
+
+    const ownedPartitions = call =>
+      MemberMetadata.decode(coordinator.joinGroup.mock.calls[call][0].groupProtocols[0].metadata)
+        .ownedPartitions
+
+    beforeEach(() => {
+      generationId = 0
+      committedOffsets = {}
+      coordinator = {
+        isConnected: () => true,
+        joinGroup: jest.fn(async () => ({
+          generationId: ++generationId,
+          leaderId: 'member-2',
+          memberId: 'member-1',
+          members: [],
+          groupProtocol: 'cooperative-sticky',
+        })),
+        syncGroup: jest.fn(async () => ({
+          memberAssignment: memberAssignment({ topic1: [0, 1] }),
+        })),
+        offsetCommit: jest.fn(async () => {}),
+      }
+      cluster = {
+        findGroupCoordinator: async () => coordinator,
+        findTopicPartitionMetadata: () => [{ partitionId: 0 }, { partitionId: 1 }],
+        committedOffsets: () => committedOffsets,
+      }
+
+      consumerGroup = new ConsumerGroup({
+        logger: newLogger(),
+        retry: { retries: 0 },
+        groupId: 'group-id',
+        topics: ['topic1'],
+        cluster,
+        instrumentationEmitter: { emit: jest.fn() },
+        assigners: [CooperativeStickyAssigner({ cluster })],
+        autoCommit: true,
+      })
+    })
+
+    it('keeps the retained partitions and rejoins after revoking partitions', async () => {
+      await consumerGroup.joinAndSync()
+      expect(ownedPartitions(0)).toEqual([])
+
+      consumerGroup.resolveOffset({ topic: 'topic1', partition: 0, offset: '9' })
+      consumerGroup.resolveOffset({ topic: 'topic1', partition: 1, offset: '19' })
+
+      coordinator.syncGroup.mockImplementation(async () => ({
+        memberAssignment: memberAssignment({ topic1: [0] }),
+      }))
+      await consumerGroup.joinAndSync()
+
+      expect(coordinator.joinGroup).toHaveBeenCalledTimes(3)
+      expect(ownedPartitions(1)).toEqual([{ topic: 'topic1', partitions: [0, 1] }])
+      expect(ownedPartitions(2)).toEqual([{ topic: 'topic1', partitions: [0] }])
+
+      expect(coordinator.offsetCommit).toHaveBeenCalledTimes(1)
+      expect(coordinator.offsetCommit).toHaveBeenCalledWith({
+        groupId: 'group-id',
+        memberId: 'member-1',
+        groupGenerationId: 2,
+        topics: [{ topic: 'topic1', partitions: [{ partition: '1', offset: '20' }] }],
+      })
+
+      expect(consumerGroup.assigned()).toEqual([{ topic: 'topic1', partitions: [0] }])
+      expect(consumerGroup.offsetManager.nextOffset('topic1', 0).toString()).toEqual('10')
+    })
+
+    it('pauses the revoked partitions until their offsets are committed', async () => {
+      await consumerGroup.joinAndSync()
+
+      coordinator.syncGroup.mockImplementation(async () => ({
+        memberAssignment: memberAssignment({ topic1: [0] }),
+      }))
+
+      const onPartitionsRevoked = jest.fn(async () => {
+        expect(consumerGroup.isActive('topic1', 0)).toBe(true)
+        expect(consumerGroup.isActive('topic1', 1)).toBe(false)
+        consumerGroup.resolveOffset({ topic: 'topic1', partition: 1, offset: '29' })
+      })
+      await consumerGroup.joinAndSync({ onPartitionsRevoked })
+
+      expect(onPartitionsRevoked).toHaveBeenCalledTimes(1)
+      expect(onPartitionsRevoked).toHaveBeenCalledWith([{ topic: 'topic1', partitions: [1] }])
+      expect(coordinator.offsetCommit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          topics: [{ topic: 'topic1', partitions: [{ partition: '1', offset: '30' }] }],
+        })
+      )
+      expect(consumerGroup.isPaused('topic1', 1)).toBe(false)
+    })
+  })
+
+  describe('with groupInstanceId', () => {
+    let coordinator
+
+    beforeEach(() => {
+      coordinator = {
+        joinGroup: jest.fn(async () => ({
+          generationId: 1,
+          leaderId: 'member-2',
+          memberId: 'member-1',
+          members: [],
+          groupProtocol: 'RoundRobinAssigner',
+        })),
+        syncGroup: jest.fn(async () => ({
+          memberAssignment: MemberAssignment.encode({ version: 0, assignment: { topic1: [0] } }),
+        })),
+        heartbeat: jest.fn(async () => {}),
+        leaveGroup: jest.fn(async () => {}),
+      }
+
+      const cluster = {
+        findGroupCoordinator: async () => coordinator,
+        findTopicPartitionMetadata: () => [{ partitionId: 0 }],
+        committedOffsets: () => ({}),
+      }
+
+      consumerGroup = new ConsumerGroup({
+        logger: newLogger(),
+        retry: { retries: 0 },
+        groupId: 'group-id',
+        groupInstanceId: 'instance-1',
+        topics: ['topic1'],
+        cluster,
+        instrumentationEmitter: { emit: jest.fn() },
+        assigners: [RoundRobinAssigner({ cluster })],
+      })
+    })
+
+    it('identifies the member with its groupInstanceId', async () => {
+      await consumerGroup.joinAndSync()
+      await consumerGroup.heartbeat({ interval: 0 })
+
+      const groupInstanceId = 'instance-1'
+      expect(coordinator.joinGroup).toHaveBeenCalledWith(
+        expect.objectContaining({ groupId: 'group-id', memberId: '', groupInstanceId })
+      )
+      expect(coordinator.syncGroup).toHaveBeenCalledWith(
+        expect.objectContaining({ groupId: 'group-id', memberId: 'member-1', groupInstanceId })
+      )
+      expect(coordinator.heartbeat).toHaveBeenCalledWith(
+        expect.objectContaining({ groupId: 'group-id', memberId: 'member-1', groupInstanceId })
+      )
+      expect(consumerGroup.offsetManager.groupInstanceId).toEqual(groupInstanceId)
+    })
+
+    it('does not leave the group', async () => {
+      await consumerGroup.joinAndSync()
+      await consumerGroup.leave()
+
+      expect(coordinator.leaveGroup).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('with manualAssignment', () => {
+    let cluster
+
+    beforeEach(() => {
+      cluster = {
+        refreshMetadataIfNecessary: jest.fn(async () => {}),
+        findGroupCoordinator: jest.fn(),
+        findTopicPartitionMetadata: () => [{ partitionId: 0 }, { partitionId: 1 }],
+      }
+
+      consumerGroup = new ConsumerGroup({
+        logger: newLogger(),
+        retry: { retries: 0 },
+        manualAssignment: [{ topic: 'topic1', partitions: [1] }],
+        topics: ['topic1'],
+        topicConfigurations: { topic1: { fromBeginning: true } },
+        cluster,
+        instrumentationEmitter: { emit: jest.fn() },
+        assigners: [RoundRobinAssigner({ cluster })],
+        autoCommit: false,
+      })
+    })
+
+    it('assigns the partitions without joining a group', async () => {
+      await consumerGroup.joinAndSync()
+
+      expect(cluster.findGroupCoordinator).not.toHaveBeenCalled()
+      expect(consumerGroup.assigned()).toEqual([{ topic: 'topic1', partitions: [1] }])
+      expect(consumerGroup.offsetManager.memberAssignment).toEqual({ topic1: [1] })
+      expect(consumerGroup.offsetManager.groupId).toBeUndefined()
+    })
+
+    it('keeps the offset manager when assigning the partitions again', async () => {
+      await consumerGroup.joinAndSync()
+      const { offsetManager } = consumerGroup
+
+      await consumerGroup.joinAndSync()
+      expect(consumerGroup.offsetManager).toBe(offsetManager)
+    })
+
+    it('throws when assigning unknown partitions', async () => {
+      consumerGroup.manualAssignment = [{ topic: 'topic1', partitions: [1, 2, 3] }]
+
+      await expect(consumerGroup.joinAndSync()).rejects.toThrow(
+        'Cannot assign unknown partitions 2, 3 of topic topic1'
+      )
+    })
+  })
+
+  describe('fetch with deserializers', () => {
+    let broker, fetchSession
+
+    const partitionData = (partition, value) => ({
+      partition,
+      highWatermark: '1',
+      messages: [{ offset: '0', key: null, value: Buffer.from(value), headers: {} }],
+    })
+
+    beforeEach(async () => {
+      broker = {
+        fetch: jest.fn(async () => ({
+          responses: [
+            { topicName: 'topic1', partitions: [partitionData(0, '{}'), partitionData(1, '{')] },
+          ],
+        })),
+      }
+      const cluster = {
+        refreshMetadataIfNecessary: jest.fn(async () => {}),
+        findTopicPartitionMetadata: () => [
+          { partitionId: 0, leader: 1 },
+          { partitionId: 1, leader: 1 },
+        ],
+        findBroker: async () => broker,
+      }
+
+      consumerGroup = new ConsumerGroup({
+        logger: newLogger(),
+        retry: { retries: 0 },
+        manualAssignment: [{ topic: 'topic1', partitions: [0, 1] }],
+        topics: ['topic1'],
+        cluster,
+        instrumentationEmitter: { emit: jest.fn() },
+        assigners: [RoundRobinAssigner({ cluster })],
+        autoCommit: false,
+        deserializers: { value: async value => JSON.parse(value) },
+      })
+
+      await consumerGroup.joinAndSync()
+      consumerGroup.offsetManager.committedOffsets = () => ({ topic1: { 0: '0', 1: '0' } })
+
+      fetchSession = new FetchSession()
+      jest.spyOn(fetchSession, 'reset')
+      consumerGroup.fetchSessions.set(1, fetchSession)
+    })
+
+    it('returns the batches of all the partitions when a partition fails to deserialize', async () => {
+      const [batch0, batch1] = await consumerGroup.fetch(1)
+
+      expect(batch0.messages[0].value).toEqual({})
+      expect(batch0.deserializationError).toBeUndefined()
+      expect(batch1.deserializationError).toEqual(
+        expect.objectContaining({
+          name: 'KafkaJSSerializationError',
+          topic: 'topic1',
+          partition: 1,
+        })
+      )
+      expect(fetchSession.reset).not.toHaveBeenCalled()
+    })
+  })
 })
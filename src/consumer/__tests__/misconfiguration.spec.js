@@ -19,14 +19,60 @@ describe('Consumer', () => {
     ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
   })
 
-  it('throws when groupId is missing', () => {
+  it('throws when groupId is an empty string', () => {
     const errorMessage = 'Consumer groupId must be a non-empty string.'
 
     expect(() =>
       createConsumer({
         cluster: createCluster(),
         logger: newLogger(),
+        groupId: '',
       })
     ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
   })
+
+  it('throws when subscribing to topics without groupId', async () => {
+    const errorMessage = 'Consumer groupId must be a non-empty string to subscribe to topics'
+    const consumer = createConsumer({
+      cluster: createCluster(),
+      logger: newLogger(),
+    })
+
+    await expect(consumer.subscribe({ topic: 'topic-name' })).rejects.toThrow(
+      KafkaJSNonRetriableError,
+      errorMessage
+    )
+  })
+
+  it('throws when assigning partitions to a consumer subscribed to topics', async () => {
+    const cluster = createCluster()
+    cluster.addMultipleTargetTopics = jest.fn()
+    const consumer = createConsumer({
+      cluster,
+      logger: newLogger(),
+      groupId: 'test-group-id',
+    })
+
+    await consumer.subscribe({ topic: 'topic-name' })
+    await expect(consumer.assign([{ topic: 'topic-name', partitions: [0] }])).rejects.toThrow(
+      KafkaJSNonRetriableError,
+      'Cannot assign partitions to a consumer subscribed to topics'
+    )
+  })
+
+  it('throws when assigning invalid partitions', async () => {
+    const consumer = createConsumer({
+      cluster: createCluster(),
+      logger: newLogger(),
+    })
+
+    await expect(consumer.assign([])).rejects.toThrow(
+      KafkaJSNonRetriableError,
+      'Argument "topicPartitions" must be a non-empty array'
+    )
+    await expect(consumer.assign([{ topic: 'topic-name', partitions: ['ABC'] }])).rejects.toThrow(
+      KafkaJSNonRetriableError,
+      'Array of valid partitions required to assign topic topic-name instead of ABC'
+    )
+  })
 })
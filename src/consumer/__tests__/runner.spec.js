@@ -7,11 +7,13 @@ const {
   KafkaJSProtocolError,
   KafkaJSNotImplemented,
   KafkaJSNumberOfRetriesExceeded,
+  KafkaJSSerializationError,
 } = require('../../errors')
 const { createErrorFromCode } = require('../../protocol/error')
 
 const UNKNOWN = -1
 const REBALANCE_IN_PROGRESS = 27
+const FENCED_INSTANCE_ID = 82
 const rebalancingError = () => new KafkaJSProtocolError(createErrorFromCode(REBALANCE_IN_PROGRESS))
 
 describe('Consumer > Runner', () => {
@@ -63,6 +65,8 @@ describe('Consumer > Runner', () => {
       assigned: jest.fn(() => []),
       isLeader: jest.fn(() => true),
       isPaused: jest.fn().mockReturnValue(false),
+      isActive: jest.fn().mockReturnValue(true),
+      isCooperative: jest.fn().mockReturnValue(false),
     }
     instrumentationEmitter = new InstrumentationEventEmitter()
 
@@ -230,6 +234,112 @@ describe('Consumer > Runner', () => {
     expect(onCrash).toHaveBeenCalledWith(notImplementedError)
   })
 
+  it('crashes when another consumer with the same groupInstanceId joins the group', async () => {
+    const fencedError = new KafkaJSProtocolError(createErrorFromCode(FENCED_INSTANCE_ID))
+    consumerGroup.fetch.mockImplementationOnce(() => Promise.reject(fencedError))
+
+    await runner.start()
+
+    await waitFor(() => onCrash.mock.calls.length > 0)
+    expect(onCrash).toHaveBeenCalledWith(fencedError)
+    expect(consumerGroup.joinAndSync).toHaveBeenCalledTimes(1)
+  })
+
+  it('crashes when the messages of a batch could not be deserialized', async () => {
+    const batch = new Batch(topicName, 0, {
+      partition,
+      highWatermark: 5,
+      messages: [{ offset: 4, key: '1', value: '2' }],
+    })
+    const serializationError = new KafkaJSSerializationError('Failed to deserialize message', {
+      topic: topicName,
+      partition,
+      offset: '4',
+    })
+    batch.deserializationError = serializationError
+    consumerGroup.fetch.mockImplementationOnce(async () => [batch])
+
+    await runner.start()
+
+    await waitFor(() => onCrash.mock.calls.length > 0)
+    expect(onCrash).toHaveBeenCalledWith(serializationError)
+    expect(eachBatch).not.toHaveBeenCalled()
+  })
+
+  describe('with the cooperative rebalance protocol', () => {
+    let offset, rejoin, revokePartitions
+
+    const nextBatch = async () => {
+      await sleep(10)
+      return [
+        new Batch(topicName, offset, {
+          partition,
+          highWatermark: 100,
+          messages: [{ offset: String(offset++), key: '1', value: '2' }],
+        }),
+      ]
+    }
+
+    beforeEach(() => {
+      offset = 0
+      rejoin = null
+      revokePartitions = null
+      consumerGroup.isCooperative.mockReturnValue(true)
+      consumerGroup.fetch.mockImplementation(nextBatch)
+      consumerGroup.heartbeat.mockImplementationOnce(async () => {
+        throw rebalancingError()
+      })
+      consumerGroup.joinAndSync
+        .mockImplementationOnce(async () => {})
+        .mockImplementationOnce(({ onPartitionsRevoked }) => {
+          revokePartitions = onPartitionsRevoked
+          return new Promise(resolve => (rejoin = resolve))
+        })
+    })
+
+    afterEach(() => {
+      rejoin && rejoin()
+    })
+
+    it('keeps consuming the assigned partitions while rejoining the group', async () => {
+      await runner.start()
+      await waitFor(() => consumerGroup.joinAndSync.mock.calls.length === 2)
+
+      const batchesBeforeRejoining = eachBatch.mock.calls.length
+      const commitsBeforeRejoining = consumerGroup.commitOffsets.mock.calls.length
+      await waitFor(() => eachBatch.mock.calls.length > batchesBeforeRejoining + 2)
+
+      // The offsets are committed once the member has rejoined the group
+      expect(consumerGroup.joinAndSync).toHaveBeenCalledTimes(2)
+      expect(consumerGroup.commitOffsets).toHaveBeenCalledTimes(commitsBeforeRejoining)
+
+      rejoin()
+      await waitFor(() => consumerGroup.commitOffsets.mock.calls.length > commitsBeforeRejoining)
+      expect(onCrash).not.toHaveBeenCalled()
+    })
+
+    it('waits for the batches of the revoked partitions being processed', async () => {
+      let finishBatch
+      eachBatch.mockImplementation(({ batch }) =>
+        batch.firstOffset() === '1' ? new Promise(resolve => (finishBatch = resolve)) : undefined
+      )
+
+      await runner.start()
+      await waitFor(() => finishBatch != null && revokePartitions != null)
+
+      const revoked = jest.fn()
+      const revoking = revokePartitions([{ topic: topicName, partitions: [partition] }]).then(
+        revoked
+      )
+
+      await sleep(50)
+      expect(revoked).not.toHaveBeenCalled()
+
+      finishBatch()
+      await revoking
+    })
+  })
+
   describe('commitOffsets', () => {
     let offsets
 
@@ -0,0 +1,91 @@
+const createProducer = require('../../producer')
+const createConsumer = require('../index')
+const { createSerializer, createDeserializer } = require('../../schemaRegistry')
+
+const {
+  secureRandom,
+  createCluster,
+  createTopic,
+  createModPartitioner,
+  newLogger,
+  waitForMessages,
+  waitForConsumerToJoinGroup,
+} = require('testHelpers')
+
+describe('Consumer', () => {
+  let topicName, groupId, registry, producer, consumer
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    groupId = `consumer-group-id-${secureRandom()}`
+
+    await createTopic({ topic: topicName })
+
+    // In-memory stub of the schema registry
+    const schemas = []
+    registry = {
+      register: async ({ schema, schemaType }) => schemas.push({ schema, schemaType }),
+      getSchema: async id => schemas[id - 1],
+    }
+
+    producer = createProducer({
+      cluster: createCluster(),
+      createPartitioner: createModPartitioner,
+      logger: newLogger(),
+      serializers: {
+        key: async key => `key-${key}`,
+        value: createSerializer({ registry, schema: { type: 'object' } }),
+        headers: async value => JSON.stringify(value),
+      },
+    })
+
+    consumer = createConsumer({
+      cluster: createCluster(),
+      groupId,
+      maxWaitTimeInMs: 100,
+      logger: newLogger(),
+      deserializers: {
+        key: async key => key.toString(),
+        value: createDeserializer({ registry }),
+        headers: async value => JSON.parse(value),
+      },
+    })
+  })
+
+  afterEach(async () => {
+    consumer && (await consumer.disconnect())
+    producer && (await producer.disconnect())
+  })
+
+  it('consumes messages with the configured serializers and deserializers', async () => {
+    await consumer.connect()
+    await producer.connect()
+    await consumer.subscribe({ topic: topicName, fromBeginning: true })
+
+    const messagesConsumed = []
+    consumer.run({ eachMessage: async event => messagesConsumed.push(event) })
+    await waitForConsumerToJoinGroup(consumer)
+
+    await producer.send({
+      acks: 1,
+      topic: topicName,
+      messages: [
+        { key: 1, value: { id: 1 }, headers: { trace: { id: 'trace-1' } } },
+        { key: 2, value: null },
+      ],
+    })
+
+    await expect(waitForMessages(messagesConsumed, { number: 2 })).resolves.toEqual([
+      expect.objectContaining({
+        message: expect.objectContaining({
+          key: 'key-1',
+          value: { id: 1 },
+          headers: { trace: { id: 'trace-1' } },
+        }),
+      }),
+      expect.objectContaining({
+        message: expect.objectContaining({ key: 'key-2', value: null }),
+      }),
+    ])
+  })
+})
@@ -7,14 +7,27 @@ const MemberMetadata = {
    * @param {number} metadata.version
    * @param {Array<string>} metadata.topics
    * @param {Buffer} [metadata.userData=Buffer.alloc(0)]
+   * @param {Array<{ topic: string, partitions: number[] }>} [metadata.ownedPartitions] Partitions
+   *                          currently owned by the member, used by the cooperative rebalance
+   *                          protocol (KIP-429). Added in version 1, omitted when undefined
    *
    * @returns Buffer
    */
-  encode({ version, topics, userData = Buffer.alloc(0) }) {
-    return new Encoder()
+  encode({ version, topics, userData = Buffer.alloc(0), ownedPartitions }) {
+    const encoder = new Encoder()
       .writeInt16(version)
       .writeArray(topics)
-      .writeBytes(userData).buffer
+      .writeBytes(userData)
+
+    if (version >= 1 && ownedPartitions) {
+      encoder.writeArray(
+        ownedPartitions.map(({ topic, partitions }) =>
+          new Encoder().writeString(topic).writeArray(partitions)
+        )
+      )
+    }
+
+    return encoder.buffer
   },
 
   /**
@@ -23,11 +36,20 @@ const MemberMetadata = {
    */
   decode(buffer) {
     const decoder = new Decoder(buffer)
-    return {
+    const metadata = {
       version: decoder.readInt16(),
       topics: decoder.readArray(d => d.readString()),
       userData: decoder.readBytes(),
     }
+
+    if (metadata.version >= 1 && decoder.canReadInt32()) {
+      metadata.ownedPartitions = decoder.readArray(d => ({
+        topic: d.readString(),
+        partitions: d.readArray(p => p.readInt32()),
+      }))
+    }
+
+    return metadata
   },
 }
 
@@ -81,7 +103,87 @@ const MemberAssignment = {
   },
 }
 
+/**
+ * User data of the sticky assigner, compatible with the `StickyAssignorUserData` schema of the
+ * Java client. V0 only contains the previous assignment of the member, V1 adds its generation
+ */
+const StickyAssignerUserData = {
+  /**
+   * @param {object} userData
+   * @param {Array<{ topic: string, partitions: number[] }>} userData.previousAssignment
+   * @param {number} userData.generation
+   *
+   * @returns Buffer
+   */
+  encode({ previousAssignment, generation }) {
+    return new Encoder()
+      .writeArray(
+        previousAssignment.map(({ topic, partitions }) =>
+          new Encoder().writeString(topic).writeArray(partitions)
+        )
+      )
+      .writeInt32(generation).buffer
+  },
+
+  /**
+   * @param {Buffer} buffer
+   * @returns {Object|null}
+   */
+  decode(buffer) {
+    const decoder = new Decoder(buffer)
+
+    if (!decoder.canReadInt32()) {
+      return null
+    }
+
+    const userData = {
+      previousAssignment: decoder.readArray(d => ({
+        topic: d.readString(),
+        partitions: d.readArray(p => p.readInt32()),
+      })),
+    }
+
+    if (decoder.canReadInt32()) {
+      userData.generation = decoder.readInt32()
+    }
+
+    return userData
+  },
+}
+
+/**
+ * User data of the cooperative sticky assigner, compatible with the Java client: the generation
+ * of the partitions owned by the member
+ */
+const CooperativeStickyAssignerUserData = {
+  /**
+   * @param {object} userData
+   * @param {number} userData.generation
+   *
+   * @returns Buffer
+   */
+  encode({ generation }) {
+    return new Encoder().writeInt32(generation).buffer
+  },
+
+  /**
+   * @param {Buffer} buffer
+   * @returns {Object|null}
+   */
+  decode(buffer) {
+    const decoder = new Decoder(buffer)
+
+    if (!decoder.canReadInt32()) {
+      return null
+    }
+
+    return { generation: decoder.readInt32() }
+  },
+}
+
 module.exports = {
   MemberMetadata,
   MemberAssignment,
+  StickyAssignerUserData,
+  CooperativeStickyAssignerUserData,
 }
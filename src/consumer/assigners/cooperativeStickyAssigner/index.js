@@ -0,0 +1,87 @@
+const {
+  MemberMetadata,
+  MemberAssignment,
+  CooperativeStickyAssignerUserData,
+} = require('../../assignerProtocol')
+const RebalanceProtocol = require('../../rebalanceProtocol')
+const { DEFAULT_GENERATION, stickyAssignment, toAssignment } = require('../stickyAssignment')
+
+/**
+ * CooperativeStickyAssigner
+ *
+ * Balances the partitions between the members while keeping as many partitions as possible with
+ * their current owner. A partition moving to another member is left unassigned until its current
+ * owner has revoked it, the owner then rejoins the group and the partition is assigned in the
+ * follow-up rebalance (KIP-429).
+ *
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-429%3A+Kafka+Consumer+Incremental+Rebalance+Protocol
+ * @type {import('types').PartitionAssigner}
+ */
+module.exports = ({ cluster }) => ({
+  name: 'cooperative-sticky',
+  // Version 1 of the subscription adds the owned partitions
+  version: 1,
+  rebalanceProtocol: RebalanceProtocol.COOPERATIVE,
+
+  /**
+   * Assign the topics to the provided members.
+   *
+   * The members array contains information about each member, `memberMetadata` is the result of the
+   * `protocol` operation and includes the partitions currently owned by the member.
+   *
+   * @param {object} group
+   * @param {import('types').GroupMember[]} group.members array of members, e.g:
+                              [{ memberId: 'test-5f93f5a3', memberMetadata: Buffer }]
+   * @param {string[]} group.topics
+   * @returns {Promise<import('types').GroupMemberAssignment[]>} object partitions per topic per member
+   */
+  async assign({ members, topics }) {
+    const { assignment, currentOwner } = stickyAssignment({
+      members: members.map(({ memberId, memberMetadata }) => {
+        const { topics, userData, ownedPartitions } = MemberMetadata.decode(memberMetadata)
+        const { generation } = CooperativeStickyAssignerUserData.decode(userData) || {}
+
+        return { memberId, topics, ownedPartitions, generation }
+      }),
+      topicPartitions: topics.flatMap(topic =>
+        cluster
+          .findTopicPartitionMetadata(topic)
+          .map(({ partitionId }) => ({ topic, partition: partitionId }))
+      ),
+    })
+
+    return [...assignment.keys()].map(memberId => ({
+      memberId,
+      memberAssignment: MemberAssignment.encode({
+        version: this.version,
+        // Partitions still owned by another member are assigned once they are revoked
+        assignment: toAssignment(
+          assignment.get(memberId).filter(({ topic, partition }) => {
+            const owner = currentOwner(topic, partition)
+            return owner === undefined || owner === memberId
+          })
+        ),
+      }),
+    }))
+  },
+
+  /**
+   * @param {object} subscription
+   * @param {string[]} subscription.topics
+   * @param {import('types').TopicPartitions[]} [subscription.ownedPartitions=[]]
+   * @param {number} [subscription.generationId] generation of the owned partitions
+   */
+  protocol({ topics, ownedPartitions = [], generationId }) {
+    return {
+      name: this.name,
+      metadata: MemberMetadata.encode({
+        version: this.version,
+        topics,
+        userData: CooperativeStickyAssignerUserData.encode({
+          generation: generationId == null ? DEFAULT_GENERATION : generationId,
+        }),
+        ownedPartitions,
+      }),
+    }
+  },
+})
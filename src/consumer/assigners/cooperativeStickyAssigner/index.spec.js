@@ -0,0 +1,243 @@
+const CooperativeStickyAssigner = require('./index')
+const {
+  MemberAssignment,
+  MemberMetadata,
+  CooperativeStickyAssignerUserData,
+} = require('../../assignerProtocol')
+
+describe('Consumer > assigners > CooperativeStickyAssigner', () => {
+  let cluster, topics, metadata, assigner
+
+  const partitions = count =>
+    Array(count)
+      .fill()
+      .map((_, i) => ({ partitionId: i }))
+
+  const member = (memberId, ownedPartitions = [], subscribedTopics = topics, generationId) => ({
+    memberId,
+    memberMetadata: assigner.protocol({ topics: subscribedTopics, ownedPartitions, generationId })
+      .metadata,
+  })
+
+  const decode = assignment =>
+    assignment.reduce(
+      (result, { memberId, memberAssignment }) => ({
+        ...result,
+        [memberId]: { ...MemberAssignment.decode(memberAssignment).assignment },
+      }),
+      {}
+    )
+
+  beforeEach(() => {
+    metadata = {}
+    cluster = { findTopicPartitionMetadata: topic => metadata[topic] }
+    assigner = CooperativeStickyAssigner({ cluster })
+    topics = ['topic-A', 'topic-B']
+  })
+
+  test('uses the cooperative rebalance protocol', () => {
+    expect(assigner.rebalanceProtocol).toEqual('cooperative')
+  })
+
+  test('assign all topic-partitions evenly to new members', async () => {
+    metadata['topic-A'] = partitions(5)
+    metadata['topic-B'] = partitions(2)
+
+    const assignment = await assigner.assign({
+      members: [member('member-2'), member('member-1'), member('member-3')],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 3], 'topic-B': [1] },
+      'member-2': { 'topic-A': [1, 4] },
+      'member-3': { 'topic-A': [2], 'topic-B': [0] },
+    })
+  })
+
+  test('keeps the partitions with their current owner', async () => {
+    metadata['topic-A'] = partitions(4)
+    metadata['topic-B'] = partitions(2)
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', [{ topic: 'topic-A', partitions: [3, 1] }]),
+        member('member-2', [
+          { topic: 'topic-A', partitions: [0, 2] },
+          { topic: 'topic-B', partitions: [1] },
+        ]),
+        member('member-3', [{ topic: 'topic-B', partitions: [0] }]),
+      ],
+      topics,
+    })
+
+    // member-2 is above its quota and revokes topic-B 1 before it moves to member-3
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [1, 3] },
+      'member-2': { 'topic-A': [0, 2] },
+      'member-3': { 'topic-B': [0] },
+    })
+  })
+
+  test('does not assign partitions that still have to be revoked by their owner', async () => {
+    metadata['topic-A'] = partitions(4)
+    topics = ['topic-A']
+
+    const owner = member('member-1', [{ topic: 'topic-A', partitions: [0, 1, 2, 3] }])
+    const firstAssignment = await assigner.assign({
+      members: [owner, member('member-2')],
+      topics,
+    })
+
+    // member-1 gives up two partitions, member-2 has to wait for the revocation
+    expect(decode(firstAssignment)).toEqual({
+      'member-1': { 'topic-A': [0, 1] },
+      'member-2': {},
+    })
+
+    const secondAssignment = await assigner.assign({
+      members: [member('member-1', [{ topic: 'topic-A', partitions: [0, 1] }]), member('member-2')],
+      topics,
+    })
+
+    expect(decode(secondAssignment)).toEqual({
+      'member-1': { 'topic-A': [0, 1] },
+      'member-2': { 'topic-A': [2, 3] },
+    })
+  })
+
+  test('reassigns the partitions of members that left the group', async () => {
+    metadata['topic-A'] = partitions(6)
+    topics = ['topic-A']
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', [{ topic: 'topic-A', partitions: [0, 1] }]),
+        member('member-3', [{ topic: 'topic-A', partitions: [4, 5] }]),
+      ],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 1, 2] },
+      'member-3': { 'topic-A': [3, 4, 5] },
+    })
+  })
+
+  test('only assigns topics to the members subscribed to them', async () => {
+    metadata['topic-A'] = partitions(2)
+    metadata['topic-B'] = partitions(2)
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', [], ['topic-A']),
+        member('member-2', [{ topic: 'topic-A', partitions: [0] }], ['topic-B']),
+      ],
+      topics,
+    })
+
+    // member-2 unsubscribed from topic-A, the partition is assigned once revoked
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [1] },
+      'member-2': { 'topic-B': [0, 1] },
+    })
+  })
+
+  test('ignores partitions that no longer exist or are claimed by several members', async () => {
+    metadata['topic-A'] = partitions(2)
+    topics = ['topic-A']
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', [{ topic: 'topic-A', partitions: [0, 7] }]),
+        member('member-2', [{ topic: 'topic-A', partitions: [0] }]),
+      ],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0] },
+      'member-2': { 'topic-A': [1] },
+    })
+  })
+
+  test('keeps the partitions claimed by several members with the member of the highest generation', async () => {
+    metadata['topic-A'] = partitions(2)
+    topics = ['topic-A']
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', [{ topic: 'topic-A', partitions: [0] }], topics, 3),
+        member('member-2', [{ topic: 'topic-A', partitions: [0] }], topics, 4),
+      ],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [1] },
+      'member-2': { 'topic-A': [0] },
+    })
+  })
+
+  test('supports members without user data', async () => {
+    metadata['topic-A'] = partitions(2)
+    topics = ['topic-A']
+
+    const assignment = await assigner.assign({
+      members: [
+        {
+          memberId: 'member-1',
+          memberMetadata: MemberMetadata.encode({
+            version: 1,
+            topics,
+            ownedPartitions: [{ topic: 'topic-A', partitions: [0, 1] }],
+          }),
+        },
+        member('member-2'),
+      ],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0] },
+      'member-2': {},
+    })
+  })
+
+  describe('#protocol', () => {
+    test('returns the assigner name and metadata with the owned partitions', () => {
+      const ownedPartitions = [{ topic: 'topic-A', partitions: [0, 1] }]
+
+      expect(assigner.protocol({ topics, ownedPartitions, generationId: 3 })).toEqual({
+        name: assigner.name,
+        metadata: MemberMetadata.encode({
+          version: assigner.version,
+          topics,
+          userData: CooperativeStickyAssignerUserData.encode({ generation: 3 }),
+          ownedPartitions,
+        }),
+      })
+    })
+
+    test('uses the protocol name and the subscription version of the Java client', () => {
+      const ownedPartitions = [{ topic: 'topic-A', partitions: [0, 1] }]
+      const { name, metadata } = assigner.protocol({ topics, ownedPartitions })
+
+      expect(name).toEqual('cooperative-sticky')
+      expect(MemberMetadata.decode(metadata)).toEqual({
+        version: 1,
+        topics,
+        userData: CooperativeStickyAssignerUserData.encode({ generation: -1 }),
+        ownedPartitions,
+      })
+    })
+
+    test('sends the generation of the owned partitions as user data', () => {
+      const { metadata } = assigner.protocol({ topics, generationId: 7 })
+      const { userData } = MemberMetadata.decode(metadata)
+
+      expect(CooperativeStickyAssignerUserData.decode(userData)).toEqual({ generation: 7 })
+      expect(userData).toEqual(Buffer.from([0, 0, 0, 7]))
+    })
+  })
+})
@@ -0,0 +1,95 @@
+const { MemberMetadata, MemberAssignment } = require('../../assignerProtocol')
+
+/**
+ * RangeAssigner
+ *
+ * Assigns a range of consecutive partitions of each topic to the members subscribed to it, the
+ * first members get one extra partition when the partitions can't be split evenly. Uses the
+ * same protocol name as the `RangeAssignor` of the Java client.
+ *
+ * @type {import('types').PartitionAssigner}
+ */
+module.exports = ({ cluster }) => ({
+  name: 'range',
+  version: 0,
+
+  /**
+   * Assign the topics to the provided members.
+   *
+   * The members array contains information about each member, `memberMetadata` is the result of the
+   * `protocol` operation.
+   *
+   * @param {object} group
+   * @param {import('types').GroupMember[]} group.members array of members, e.g:
+                              [{ memberId: 'test-5f93f5a3', memberMetadata: Buffer }]
+   * @param {string[]} group.topics
+   * @returns {Promise<import('types').GroupMemberAssignment[]>} object partitions per topic per member, e.g:
+   *                   [
+   *                     {
+   *                       memberId: 'test-3d3d5341',
+   *                       memberAssignment: {
+   *                         'topic-A': [0, 1, 2],
+   *                         'topic-B': [0],
+   *                       },
+   *                     },
+   *                     {
+   *                       memberId: 'test-5f93f5a3',
+   *                       memberAssignment: {
+   *                         'topic-A': [3, 4],
+   *                         'topic-B': [1],
+   *                       },
+   *                     }
+   *                   ]
+   */
+  async assign({ members, topics }) {
+    const subscriptions = members
+      .map(({ memberId, memberMetadata }) => ({
+        memberId,
+        topics: MemberMetadata.decode(memberMetadata).topics,
+      }))
+      .sort((a, b) => (a.memberId < b.memberId ? -1 : 1))
+
+    const assignment = subscriptions.reduce(
+      (result, { memberId }) => Object.assign(result, { [memberId]: Object.create(null) }),
+      {}
+    )
+
+    for (const topic of topics) {
+      const partitions = cluster
+        .findTopicPartitionMetadata(topic)
+        .map(({ partitionId }) => partitionId)
+        .sort((a, b) => a - b)
+
+      const subscribers = subscriptions.filter(({ topics }) => topics.includes(topic))
+      const partitionsPerMember = Math.floor(partitions.length / subscribers.length)
+      const membersWithExtraPartition = partitions.length % subscribers.length
+
+      subscribers.forEach(({ memberId }, i) => {
+        const start = partitionsPerMember * i + Math.min(i, membersWithExtraPartition)
+        const length = partitionsPerMember + (i < membersWithExtraPartition ? 1 : 0)
+
+        if (length > 0) {
+          assignment[memberId][topic] = partitions.slice(start, start + length)
+        }
+      })
+    }
+
+    return subscriptions.map(({ memberId }) => ({
+      memberId,
+      memberAssignment: MemberAssignment.encode({
+        version: this.version,
+        assignment: assignment[memberId],
+      }),
+    }))
+  },
+
+  protocol({ topics }) {
+    return {
+      name: this.name,
+      metadata: MemberMetadata.encode({
+        version: this.version,
+        topics,
+      }),
+    }
+  },
+})
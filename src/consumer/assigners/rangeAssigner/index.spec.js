@@ -0,0 +1,102 @@
+const RangeAssigner = require('./index')
+const { MemberAssignment, MemberMetadata } = require('../../assignerProtocol')
+
+describe('Consumer > assigners > RangeAssigner', () => {
+  let cluster, topics, metadata, assignPartitions
+
+  const partitions = count =>
+    Array(count)
+      .fill()
+      .map((_, i) => ({ partitionId: i }))
+
+  const member = (memberId, subscribedTopics = topics) => ({
+    memberId,
+    memberMetadata: MemberMetadata.encode({ version: 0, topics: subscribedTopics }),
+  })
+
+  const decode = assignment =>
+    assignment.reduce(
+      (result, { memberId, memberAssignment }) => ({
+        ...result,
+        [memberId]: { ...MemberAssignment.decode(memberAssignment).assignment },
+      }),
+      {}
+    )
+
+  beforeEach(() => {
+    metadata = {}
+    topics = ['topic-A', 'topic-B']
+    cluster = { findTopicPartitionMetadata: topic => metadata[topic] }
+    assignPartitions = members => RangeAssigner({ cluster }).assign({ members, topics })
+  })
+
+  test('assign a range of partitions of each topic to each member', async () => {
+    metadata['topic-A'] = partitions(5)
+    metadata['topic-B'] = partitions(3)
+
+    const assignment = await assignPartitions([member('member-2'), member('member-1')])
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 1, 2], 'topic-B': [0, 1] },
+      'member-2': { 'topic-A': [3, 4], 'topic-B': [2] },
+    })
+  })
+
+  test('gives the extra partitions to the first members', async () => {
+    metadata['topic-A'] = partitions(8)
+    topics = ['topic-A']
+
+    const assignment = await assignPartitions([
+      member('member-1'),
+      member('member-2'),
+      member('member-3'),
+    ])
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 1, 2] },
+      'member-2': { 'topic-A': [3, 4, 5] },
+      'member-3': { 'topic-A': [6, 7] },
+    })
+  })
+
+  test('only assigns topics to the members subscribed to them', async () => {
+    metadata['topic-A'] = partitions(2)
+    metadata['topic-B'] = partitions(2)
+
+    const assignment = await assignPartitions([
+      member('member-1', ['topic-A']),
+      member('member-2', ['topic-A', 'topic-B']),
+      member('member-3', ['topic-B']),
+    ])
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0] },
+      'member-2': { 'topic-A': [1], 'topic-B': [0] },
+      'member-3': { 'topic-B': [1] },
+    })
+  })
+
+  test('returns an empty assignment for members without partitions', async () => {
+    metadata['topic-A'] = partitions(1)
+    topics = ['topic-A']
+
+    const assignment = await assignPartitions([member('member-1'), member('member-2')])
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0] },
+      'member-2': {},
+    })
+  })
+
+  describe('#protocol', () => {
+    test('returns the assigner name and metadata', () => {
+      const assigner = RangeAssigner({ cluster })
+
+      expect(assigner.name).toEqual('range')
+      expect(assigner.protocol({ topics })).toEqual({
+        name: 'range',
+        metadata: MemberMetadata.encode({ version: assigner.version, topics }),
+      })
+    })
+  })
+})
@@ -0,0 +1,77 @@
+const {
+  MemberMetadata,
+  MemberAssignment,
+  StickyAssignerUserData,
+} = require('../../assignerProtocol')
+const { DEFAULT_GENERATION, stickyAssignment, toAssignment } = require('../stickyAssignment')
+
+/**
+ * StickyAssigner
+ *
+ * Balances the partitions between the members while keeping as many partitions as possible with
+ * their current owner. The previous assignment of each member is sent as user data, using the same
+ * schema and protocol name as the `StickyAssignor` of the Java client.
+ *
+ * @type {import('types').PartitionAssigner}
+ */
+module.exports = ({ cluster }) => ({
+  name: 'sticky',
+  version: 0,
+
+  /**
+   * Assign the topics to the provided members.
+   *
+   * The members array contains information about each member, `memberMetadata` is the result of the
+   * `protocol` operation and includes the previous assignment of the member as user data.
+   *
+   * @param {object} group
+   * @param {import('types').GroupMember[]} group.members array of members, e.g:
+                              [{ memberId: 'test-5f93f5a3', memberMetadata: Buffer }]
+   * @param {string[]} group.topics
+   * @returns {Promise<import('types').GroupMemberAssignment[]>} object partitions per topic per member
+   */
+  async assign({ members, topics }) {
+    const { assignment } = stickyAssignment({
+      members: members.map(({ memberId, memberMetadata }) => {
+        const { topics, userData } = MemberMetadata.decode(memberMetadata)
+        const { previousAssignment = [], generation } =
+          StickyAssignerUserData.decode(userData) || {}
+
+        return { memberId, topics, ownedPartitions: previousAssignment, generation }
+      }),
+      topicPartitions: topics.flatMap(topic =>
+        cluster
+          .findTopicPartitionMetadata(topic)
+          .map(({ partitionId }) => ({ topic, partition: partitionId }))
+      ),
+    })
+
+    return [...assignment.keys()].map(memberId => ({
+      memberId,
+      memberAssignment: MemberAssignment.encode({
+        version: this.version,
+        assignment: toAssignment(assignment.get(memberId)),
+      }),
+    }))
+  },
+
+  /**
+   * @param {object} subscription
+   * @param {string[]} subscription.topics
+   * @param {import('types').TopicPartitions[]} [subscription.ownedPartitions=[]]
+   * @param {number} [subscription.generationId] generation of the owned partitions
+   */
+  protocol({ topics, ownedPartitions = [], generationId }) {
+    return {
+      name: this.name,
+      metadata: MemberMetadata.encode({
+        version: this.version,
+        topics,
+        userData: StickyAssignerUserData.encode({
+          previousAssignment: ownedPartitions,
+          generation: generationId == null ? DEFAULT_GENERATION : generationId,
+        }),
+      }),
+    }
+  },
+})
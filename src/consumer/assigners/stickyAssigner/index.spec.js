@@ -0,0 +1,172 @@
+const StickyAssigner = require('./index')
+const {
+  MemberAssignment,
+  MemberMetadata,
+  StickyAssignerUserData,
+} = require('../../assignerProtocol')
+
+describe('Consumer > assigners > StickyAssigner', () => {
+  let cluster, topics, metadata, assigner
+
+  const partitions = count =>
+    Array(count)
+      .fill()
+      .map((_, i) => ({ partitionId: i }))
+
+  const member = (memberId, ownedPartitions, generationId, subscribedTopics = topics) => ({
+    memberId,
+    memberMetadata: assigner.protocol({ topics: subscribedTopics, ownedPartitions, generationId })
+      .metadata,
+  })
+
+  const decode = assignment =>
+    assignment.reduce(
+      (result, { memberId, memberAssignment }) => ({
+        ...result,
+        [memberId]: { ...MemberAssignment.decode(memberAssignment).assignment },
+      }),
+      {}
+    )
+
+  beforeEach(() => {
+    metadata = {}
+    cluster = { findTopicPartitionMetadata: topic => metadata[topic] }
+    assigner = StickyAssigner({ cluster })
+    topics = ['topic-A']
+  })
+
+  test('assign all topic-partitions evenly to new members', async () => {
+    metadata['topic-A'] = partitions(5)
+
+    const assignment = await assigner.assign({
+      members: [member('member-2'), member('member-1')],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 2, 4] },
+      'member-2': { 'topic-A': [1, 3] },
+    })
+  })
+
+  test('moves as few partitions as possible when a member joins', async () => {
+    metadata['topic-A'] = partitions(6)
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', [{ topic: 'topic-A', partitions: [0, 2, 4] }], 1),
+        member('member-2', [{ topic: 'topic-A', partitions: [1, 3, 5] }], 1),
+        member('member-3'),
+      ],
+      topics,
+    })
+
+    // Partitions are assigned right away, unlike with the cooperative sticky assigner
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 2] },
+      'member-2': { 'topic-A': [1, 3] },
+      'member-3': { 'topic-A': [4, 5] },
+    })
+  })
+
+  test('keeps the partitions with the member of the highest generation', async () => {
+    metadata['topic-A'] = partitions(4)
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', [{ topic: 'topic-A', partitions: [0, 1] }], 1),
+        member('member-2', [{ topic: 'topic-A', partitions: [1, 2] }], 2),
+      ],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 3] },
+      'member-2': { 'topic-A': [1, 2] },
+    })
+  })
+
+  test('balances the partitions between members subscribed to different topics', async () => {
+    metadata['topic-A'] = partitions(2)
+    metadata['topic-B'] = partitions(2)
+    topics = ['topic-A', 'topic-B']
+
+    const ownedPartitions = [
+      { topic: 'topic-A', partitions: [0, 1] },
+      { topic: 'topic-B', partitions: [0, 1] },
+    ]
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', ownedPartitions, 1),
+        member('member-2', undefined, undefined, ['topic-A']),
+      ],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-B': [0, 1] },
+      'member-2': { 'topic-A': [0, 1] },
+    })
+  })
+
+  test('only assigns the partitions of the subscribed topics', async () => {
+    metadata['topic-A'] = partitions(3)
+    metadata['topic-B'] = partitions(3)
+    topics = ['topic-A', 'topic-B']
+
+    const assignment = await assigner.assign({
+      members: [
+        member('member-1', undefined, undefined, ['topic-A']),
+        member('member-2', undefined, undefined, ['topic-A', 'topic-B']),
+        member('member-3', undefined, undefined, ['topic-B']),
+      ],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 2] },
+      'member-2': { 'topic-A': [1], 'topic-B': [1] },
+      'member-3': { 'topic-B': [0, 2] },
+    })
+  })
+
+  test('supports members without user data', async () => {
+    metadata['topic-A'] = partitions(2)
+
+    const assignment = await assigner.assign({
+      members: [
+        { memberId: 'member-1', memberMetadata: MemberMetadata.encode({ version: 0, topics }) },
+        member('member-2', [{ topic: 'topic-A', partitions: [0] }], 1),
+      ],
+      topics,
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [1] },
+      'member-2': { 'topic-A': [0] },
+    })
+  })
+
+  describe('#protocol', () => {
+    test('returns the previous assignment and generation as user data', () => {
+      const ownedPartitions = [{ topic: 'topic-A', partitions: [0, 1] }]
+      const { name, metadata } = assigner.protocol({ topics, ownedPartitions, generationId: 3 })
+
+      expect(name).toEqual('sticky')
+      expect(StickyAssignerUserData.decode(MemberMetadata.decode(metadata).userData)).toEqual({
+        previousAssignment: ownedPartitions,
+        generation: 3,
+      })
+    })
+
+    test('uses the default generation when the member has not joined the group yet', () => {
+      const { metadata } = assigner.protocol({ topics })
+
+      expect(StickyAssignerUserData.decode(MemberMetadata.decode(metadata).userData)).toEqual({
+        previousAssignment: [],
+        generation: -1,
+      })
+    })
+  })
+})
@@ -0,0 +1,202 @@
+const DEFAULT_GENERATION = -1
+
+const getKey = (topic, partition) => JSON.stringify([topic, partition])
+
+const byTopicAndPartition = (a, b) =>
+  a.topic === b.topic ? a.partition - b.partition : a.topic < b.topic ? -1 : 1
+
+const hasSameSubscriptions = ([first, ...subscriptions]) =>
+  subscriptions.every(
+    ({ topics }) =>
+      topics.size === first.topics.size && [...topics].every(topic => first.topics.has(topic))
+  )
+
+/**
+ * The partitions not kept by their owner go to the subscribed member with the fewest partitions
+ */
+const assignRemainingPartitions = ({ subscriptions, sortedTopicPartitions, assignment }) => {
+  const assigned = new Set(
+    [...assignment.values()].flat().map(({ topic, partition }) => getKey(topic, partition))
+  )
+
+  for (const topicPartition of sortedTopicPartitions) {
+    const { topic, partition } = topicPartition
+    if (assigned.has(getKey(topic, partition))) {
+      continue
+    }
+
+    const candidates = subscriptions.filter(({ topics }) => topics.has(topic))
+    if (candidates.length === 0) {
+      continue
+    }
+
+    const { memberId } = candidates.reduce((selected, candidate) =>
+      assignment.get(candidate.memberId).length < assignment.get(selected.memberId).length
+        ? candidate
+        : selected
+    )
+
+    assignment.get(memberId).push(topicPartition)
+  }
+}
+
+/**
+ * When all members are subscribed to the same topics, each member keeps its partitions up to its
+ * share of all the partitions
+ */
+const assignWithQuotas = ({ subscriptions, ownedPerMember, sortedTopicPartitions }) => {
+  const membersCount = subscriptions.length
+  const minQuota = Math.floor(sortedTopicPartitions.length / membersCount)
+  const maxQuota = Math.ceil(sortedTopicPartitions.length / membersCount)
+  let membersAtMaxQuota = sortedTopicPartitions.length - minQuota * membersCount
+
+  // Members keep their partitions up to their quota, the ones owning the most partitions
+  // are the first to keep the extra partition
+  const assignment = new Map(subscriptions.map(({ memberId }) => [memberId, []]))
+  const membersByOwnedPartitions = [...subscriptions].sort(
+    (a, b) => ownedPerMember.get(b.memberId).length - ownedPerMember.get(a.memberId).length
+  )
+
+  for (const { memberId } of membersByOwnedPartitions) {
+    const owned = ownedPerMember.get(memberId)
+    let quota = minQuota
+
+    if (owned.length > minQuota && membersAtMaxQuota > 0) {
+      quota = maxQuota
+      membersAtMaxQuota--
+    }
+
+    assignment.set(memberId, owned.slice(0, quota))
+  }
+
+  assignRemainingPartitions({ subscriptions, sortedTopicPartitions, assignment })
+  return assignment
+}
+
+/**
+ * When the members are subscribed to different topics, each member keeps all its partitions and
+ * partitions are then moved to the subscribed members having at least two partitions less than
+ * their owner, like the general assignment of the Java `StickyAssignor`
+ */
+const assignAndBalance = ({ subscriptions, ownedPerMember, sortedTopicPartitions }) => {
+  const assignment = new Map(
+    subscriptions.map(({ memberId }) => [memberId, [...ownedPerMember.get(memberId)]])
+  )
+
+  assignRemainingPartitions({ subscriptions, sortedTopicPartitions, assignment })
+
+  // Each move reduces the difference between the members, so the loop ends
+  let moved = true
+  while (moved) {
+    moved = false
+
+    for (const [ownerId, partitions] of assignment) {
+      for (const topicPartition of [...partitions]) {
+        const owned = assignment.get(ownerId)
+        const candidates = subscriptions.filter(
+          ({ memberId, topics }) =>
+            topics.has(topicPartition.topic) && assignment.get(memberId).length < owned.length - 1
+        )
+
+        if (candidates.length === 0) {
+          continue
+        }
+
+        const { memberId } = candidates.reduce((selected, candidate) =>
+          assignment.get(candidate.memberId).length < assignment.get(selected.memberId).length
+            ? candidate
+            : selected
+        )
+
+        owned.splice(owned.indexOf(topicPartition), 1)
+        assignment.get(memberId).push(topicPartition)
+        moved = true
+      }
+    }
+  }
+
+  return assignment
+}
+
+/**
+ * Balanced assignment keeping as many partitions as possible with their current owner, shared by
+ * the sticky assigners.
+ *
+ * When several members claim the same partition, the member with the highest generation keeps it,
+ * ties are broken by member id.
+ *
+ * @param {object} options
+ * @param {Array<{ memberId: string, topics: string[], ownedPartitions: import("../../../types").TopicPartitions[], generation?: number }>} options.members
+ * @param {Array<{ topic: string, partition: number }>} options.topicPartitions All the partitions
+ *                                                      of the subscribed topics
+ * @returns {{
+ *   assignment: Map<string, Array<{ topic: string, partition: number }>>,
+ *   currentOwner: (topic: string, partition: number) => string | undefined
+ * }}
+ */
+const stickyAssignment = ({ members, topicPartitions }) => {
+  const subscriptions = members
+    .map(({ memberId, topics, ownedPartitions = [], generation = DEFAULT_GENERATION }) => ({
+      memberId,
+      topics: new Set(topics),
+      ownedPartitions,
+      generation,
+    }))
+    .sort((a, b) => (a.memberId < b.memberId ? -1 : 1))
+
+  const sortedTopicPartitions = [...topicPartitions].sort(byTopicAndPartition)
+  const existingPartitions = new Set(
+    sortedTopicPartitions.map(({ topic, partition }) => getKey(topic, partition))
+  )
+
+  // A member still owns the partitions of the topics it unsubscribed from until it revokes them
+  const currentOwners = new Map()
+  const ownedPerMember = new Map(subscriptions.map(({ memberId }) => [memberId, []]))
+  const claimants = [...subscriptions].sort((a, b) => b.generation - a.generation)
+
+  for (const { memberId, topics, ownedPartitions } of claimants) {
+    const owned = ownedPartitions
+      .flatMap(({ topic, partitions }) => partitions.map(partition => ({ topic, partition })))
+      .filter(({ topic, partition }) => {
+        const key = getKey(topic, partition)
+        if (!existingPartitions.has(key) || currentOwners.has(key)) {
+          return false
+        }
+
+        currentOwners.set(key, memberId)
+        return topics.has(topic)
+      })
+      .sort(byTopicAndPartition)
+
+    ownedPerMember.set(memberId, owned)
+  }
+
+  const assignment = hasSameSubscriptions(subscriptions)
+    ? assignWithQuotas({ subscriptions, ownedPerMember, sortedTopicPartitions })
+    : assignAndBalance({ subscriptions, ownedPerMember, sortedTopicPartitions })
+
+  for (const [memberId, topicPartitions] of assignment) {
+    assignment.set(memberId, topicPartitions.sort(byTopicAndPartition))
+  }
+
+  return {
+    assignment,
+    currentOwner: (topic, partition) => currentOwners.get(getKey(topic, partition)),
+  }
+}
+
+/**
+ * @param {Array<{ topic: string, partition: number }>} topicPartitions
+ * @returns {import("../../../types").Assignment}
+ */
+const toAssignment = topicPartitions =>
+  topicPartitions.reduce((assignment, { topic, partition }) => {
+    assignment[topic] = [...(assignment[topic] || []), partition]
+    return assignment
+  }, Object.create(null))
+
+module.exports = {
+  DEFAULT_GENERATION,
+  stickyAssignment,
+  toAssignment,
+}
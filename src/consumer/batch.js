@@ -1,5 +1,7 @@
 const Long = require('../utils/long')
+const mapHeaders = require('../utils/mapHeaders')
 const filterAbortedMessages = require('./filterAbortedMessages')
+const { KafkaJSSerializationError } = require('../errors')
 
 /**
  * A batch collects messages returned from a single fetch call.
@@ -33,6 +35,45 @@ module.exports = class Batch {
     }).filter(message => !message.isControlRecord)
   }
 
+  /**
+   * Applies the deserializers configured on the consumer to the messages of the batch. The key and
+   * value deserializers receive the raw headers, null keys and values are not deserialized.
+   *
+   * @param {import('../../types').Deserializers} deserializers
+   */
+  async deserialize({ key: deserializeKey, value: deserializeValue, headers: deserializeHeader }) {
+    const { topic, partition } = this
+
+    const deserialize = (deserializer, data, context) =>
+      deserializer && data != null ? deserializer(data, context) : data
+
+    this.messages = await Promise.all(
+      this.messages.map(async message => {
+        try {
+          const context = { topic, partition, headers: message.headers }
+          const [key, value, headers] = await Promise.all([
+            deserialize(deserializeKey, message.key, context),
+            deserialize(deserializeValue, message.value, context),
+            deserializeHeader && message.headers
+              ? mapHeaders(message.headers, (value, header) =>
+                  deserializeHeader(value, { topic, partition, header })
+                )
+              : message.headers,
+          ])
+
+          return { ...message, key, value, headers }
+        } catch (e) {
+          throw new KafkaJSSerializationError(`Failed to deserialize message: ${e.message}`, {
+            topic,
+            partition,
+            offset: message.offset,
+            cause: e,
+          })
+        }
+      })
+    )
+  }
+
   isEmpty() {
     return this.messages.length === 0
   }
@@ -8,6 +8,8 @@ const OffsetManager = require('./offsetManager')
 const Batch = require('./batch')
 const SeekOffsets = require('./seekOffsets')
 const SubscriptionState = require('./subscriptionState')
+const FetchSession = require('./fetchSession')
+const RebalanceProtocol = require('./rebalanceProtocol')
 const {
   events: { GROUP_JOIN, HEARTBEAT, CONNECT, RECEIVED_UNSUBSCRIBED_TOPICS },
 } = require('./instrumentationEvents')
@@ -31,9 +33,12 @@ const STALE_METADATA_ERRORS = [
   'UNKNOWN_TOPIC_OR_PARTITION',
 ]
 
+const FETCH_SESSION_ERRORS = ['FETCH_SESSION_ID_NOT_FOUND', 'INVALID_FETCH_SESSION_EPOCH']
+
 const PRIVATE = {
   JOIN: Symbol('private:ConsumerGroup:join'),
   SYNC: Symbol('private:ConsumerGroup:sync'),
+  ASSIGN: Symbol('private:ConsumerGroup:assign'),
   SHARED_HEARTBEAT: Symbol('private:ConsumerGroup:sharedHeartbeat'),
 }
 
@@ -43,6 +48,10 @@ module.exports = class ConsumerGroup {
    * @param {import('../../types').RetryOptions} options.retry
    * @param {import('../../types').Cluster} options.cluster
    * @param {string} options.groupId
+   * @param {string} [options.groupInstanceId]
+   * @param {import('../../types').TopicPartitions[]} [options.manualAssignment] Partitions assigned
+   *                                                  with `consumer.assign`, the consumer fetches
+   *                                                  them without joining the group
    * @param {string[]} options.topics
    * @param {Record<string, { fromBeginning?: boolean }>} options.topicConfigurations
    * @param {import('../../types').Logger} options.logger
@@ -60,11 +69,14 @@ module.exports = class ConsumerGroup {
    * @param {number} options.isolationLevel
    * @param {string} options.rackId
    * @param {number} options.metadataMaxAge
+   * @param {import('../../types').Deserializers} [options.deserializers]
    */
   constructor({
     retry,
     cluster,
     groupId,
+    groupInstanceId,
+    manualAssignment,
     topics,
     topicConfigurations,
     logger,
@@ -82,10 +94,13 @@ module.exports = class ConsumerGroup {
     isolationLevel,
     rackId,
     metadataMaxAge,
+    deserializers,
   }) {
     /** @type {import("../../types").Cluster} */
     this.cluster = cluster
     this.groupId = groupId
+    this.groupInstanceId = groupInstanceId
+    this.manualAssignment = manualAssignment
     this.topics = topics
     this.topicsSubscribed = topics
     this.topicConfigurations = topicConfigurations
@@ -105,6 +120,7 @@ module.exports = class ConsumerGroup {
     this.isolationLevel = isolationLevel
     this.rackId = rackId
     this.metadataMaxAge = metadataMaxAge
+    this.deserializers = deserializers
 
     this.seekOffset = new SeekOffsets()
     this.coordinator = null
@@ -114,6 +130,14 @@ module.exports = class ConsumerGroup {
     this.members = null
     this.groupProtocol = null
 
+    /**
+     * Partitions owned when joining the group, sent to the assigners so the sticky
+     * assigners can keep them with this member
+     *
+     * @type {import("../../types").TopicPartitions[]}
+     */
+    this.ownedPartitions = []
+
     this.partitionsPerSubscribedTopic = null
     /**
      * Preferred read replica per topic and partition
@@ -124,13 +148,20 @@ module.exports = class ConsumerGroup {
      * @type {{[topicName: string]: {[partition: number]: {nodeId: number, expireAt: number}}}}
      */
     this.preferredReadReplicasPerTopicPartition = {}
+
+    /**
+     * Fetch session per broker (KIP-227)
+     *
+     * @type {Map<number, FetchSession>}
+     */
+    this.fetchSessions = new Map()
     this.offsetManager = null
     this.subscriptionState = new SubscriptionState()
 
     this.lastRequest = Date.now()
 
     this[PRIVATE.SHARED_HEARTBEAT] = sharedPromiseTo(async ({ interval }) => {
-      const { groupId, generationId, memberId } = this
+      const { groupId, groupInstanceId, generationId, memberId } = this
       const now = Date.now()
 
       if (memberId && now >= this.lastRequest + interval) {
@@ -140,13 +171,21 @@ module.exports = class ConsumerGroup {
           groupGenerationId: generationId,
         }
 
-        await this.coordinator.heartbeat(payload)
+        await this.coordinator.heartbeat({ ...payload, groupInstanceId })
         this.instrumentationEmitter.emit(HEARTBEAT, payload)
         this.lastRequest = Date.now()
       }
     })
   }
 
+  /**
+   * @returns {boolean} whether the partitions are assigned with the cooperative rebalance protocol
+   */
+  isCooperative() {
+    const assigner = this.assigners.find(({ name }) => name === this.groupProtocol)
+    return assigner != null && assigner.rebalanceProtocol === RebalanceProtocol.COOPERATIVE
+  }
+
   isLeader() {
     return this.leaderId && this.memberId === this.leaderId
   }
@@ -162,18 +201,24 @@ module.exports = class ConsumerGroup {
   }
 
   async [PRIVATE.JOIN]() {
-    const { groupId, sessionTimeout, rebalanceTimeout } = this
+    const { groupId, groupInstanceId, sessionTimeout, rebalanceTimeout } = this
 
     this.coordinator = await this.cluster.findGroupCoordinator({ groupId })
 
+    // A member without member id has lost its partitions, it doesn't own anything anymore
+    this.ownedPartitions = this.memberId ? this.assigned() : []
+
     const groupData = await this.coordinator.joinGroup({
       groupId,
       sessionTimeout,
       rebalanceTimeout,
       memberId: this.memberId || '',
+      groupInstanceId,
       groupProtocols: this.assigners.map(assigner =>
         assigner.protocol({
           topics: this.topicsSubscribed,
+          ownedPartitions: this.ownedPartitions,
+          generationId: this.generationId,
         })
       ),
     })
@@ -186,17 +231,27 @@ module.exports = class ConsumerGroup {
   }
 
   async leave() {
-    const { groupId, memberId } = this
-    if (memberId) {
+    const { groupId, memberId, groupInstanceId } = this
+
+    // Static members don't leave the group, the coordinator keeps their partitions until the
+    // session timeout expires so the instance gets them back after a restart without rebalance
+    if (memberId && !groupInstanceId) {
       await this.coordinator.leaveGroup({ groupId, memberId })
       this.memberId = null
     }
   }
 
-  async [PRIVATE.SYNC]() {
+  /**
+   * @param {object} options
+   * @param {(revokedPartitions: import("../../types").TopicPartitions[]) => Promise<void>} [options.onPartitionsRevoked]
+   * @returns {Promise<import("../../types").TopicPartitions[]>} the partitions revoked by the
+   *                                                           cooperative rebalance protocol
+   */
+  async [PRIVATE.SYNC]({ onPartitionsRevoked }) {
     let assignment = []
     const {
       groupId,
+      groupInstanceId,
       generationId,
       memberId,
       members,
@@ -234,6 +289,7 @@ module.exports = class ConsumerGroup {
       groupId,
       generationId,
       memberId,
+      groupInstanceId,
       groupAssignment: assignment,
     })
 
@@ -305,6 +361,55 @@ module.exports = class ConsumerGroup {
       }
     }
 
+    // With the cooperative protocol the member keeps consuming the partitions it retains from
+    // their current position, and only gives up the partitions assigned to other members
+    let retainedOffsets = []
+    let revokedOffsets = []
+    let revokedPartitions = []
+
+    if (this.isCooperative() && this.offsetManager) {
+      const isAssigned = (topic, partition) =>
+        currentMemberAssignment.some(
+          assignment => assignment.topic === topic && assignment.partitions.includes(partition)
+        )
+
+      revokedPartitions = this.ownedPartitions
+        .map(({ topic, partitions }) => ({
+          topic,
+          partitions: partitions.filter(partition => !isAssigned(topic, partition)),
+        }))
+        .filter(({ partitions }) => partitions.length > 0)
+
+      // The revoked partitions are no longer fetched, their offsets are committed once the
+      // batches being processed are done
+      if (revokedPartitions.length > 0) {
+        this.pause(revokedPartitions)
+
+        if (onPartitionsRevoked) {
+          await onPartitionsRevoked(revokedPartitions)
+        }
+      }
+
+      retainedOffsets = this.offsetManager
+        .getOffsets(this.ownedPartitions)
+        .filter(({ topic, partition }) => isAssigned(topic, partition))
+
+      if (this.autoCommit) {
+        const isRevoked = (topic, partition) =>
+          revokedPartitions.some(
+            revoked => revoked.topic === topic && revoked.partitions.includes(partition)
+          )
+
+        revokedOffsets = this.offsetManager
+          .uncommittedOffsets()
+          .topics.map(({ topic, partitions }) => ({
+            topic,
+            partitions: partitions.filter(({ partition }) => isRevoked(topic, Number(partition))),
+          }))
+          .filter(({ partitions }) => partitions.length > 0)
+      }
+    }
+
     this.topics = currentMemberAssignment.map(({ topic }) => topic)
     this.subscriptionState.assign(currentMemberAssignment)
     this.offsetManager = new OffsetManager({
@@ -323,17 +428,114 @@ module.exports = class ConsumerGroup {
       autoCommitThreshold: this.autoCommitThreshold,
       coordinator,
       groupId,
+      groupInstanceId,
       generationId,
       memberId,
     })
+
+    this.offsetManager.restoreOffsets(retainedOffsets)
+
+    try {
+      if (revokedOffsets.length > 0) {
+        await this.offsetManager.commitOffsets({ topics: revokedOffsets })
+      }
+    } finally {
+      // Partitions assigned to this member again in a later rebalance shouldn't be paused
+      if (revokedPartitions.length > 0) {
+        this.resume(revokedPartitions)
+      }
+    }
+
+    return revokedPartitions
   }
 
-  joinAndSync() {
+  async [PRIVATE.ASSIGN]() {
+    const { groupId, manualAssignment } = this
+
+    await this.cluster.refreshMetadataIfNecessary()
+
+    for (const { topic, partitions } of manualAssignment) {
+      const knownPartitions = this.cluster
+        .findTopicPartitionMetadata(topic)
+        .map(({ partitionId }) => partitionId)
+      const unknownPartitions = arrayDiff(partitions, knownPartitions)
+
+      if (unknownPartitions.length > 0) {
+        throw new KafkaJSNonRetriableError(
+          `Cannot assign unknown partitions ${unknownPartitions.join(', ')} of topic ${topic}`
+        )
+      }
+    }
+
+    this.partitionsPerSubscribedTopic = this.generatePartitionsPerSubscribedTopic()
+    this.topics = manualAssignment.map(({ topic }) => topic)
+    this.subscriptionState.assign(manualAssignment)
+
+    // The assignment never changes, keep the current position of the partitions when called
+    // again to recover from stale metadata
+    if (this.offsetManager) {
+      return
+    }
+
+    // Consumers without a group keep their offsets in memory
+    this.coordinator = groupId ? await this.cluster.findGroupCoordinator({ groupId }) : null
+    this.offsetManager = new OffsetManager({
+      cluster: this.cluster,
+      topicConfigurations: this.topicConfigurations,
+      instrumentationEmitter: this.instrumentationEmitter,
+      memberAssignment: manualAssignment.reduce(
+        (partitionsByTopic, { topic, partitions }) => ({
+          ...partitionsByTopic,
+          [topic]: partitions,
+        }),
+        {}
+      ),
+      autoCommit: this.autoCommit,
+      autoCommitInterval: this.autoCommitInterval,
+      autoCommitThreshold: this.autoCommitThreshold,
+      coordinator: this.coordinator,
+      groupId,
+      // Offsets committed outside of the group generations, accepted by the coordinator
+      // as long as the group doesn't have any members
+      generationId: -1,
+      memberId: '',
+    })
+
+    this.logger.info('Consumer has been assigned partitions', {
+      groupId,
+      assignment: manualAssignment,
+    })
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {(revokedPartitions: import("../../types").TopicPartitions[]) => Promise<void>} [options.onPartitionsRevoked]
+   *        Called with the partitions revoked by the cooperative rebalance protocol once they are
+   *        paused, before their offsets are committed
+   */
+  joinAndSync({ onPartitionsRevoked } = {}) {
+    if (this.manualAssignment) {
+      return this.retrier(async () => this[PRIVATE.ASSIGN]())
+    }
+
     const startJoin = Date.now()
     return this.retrier(async bail => {
       try {
         await this[PRIVATE.JOIN]()
-        await this[PRIVATE.SYNC]()
+        let revokedPartitions = await this[PRIVATE.SYNC]({ onPartitionsRevoked })
+
+        // The partitions revoked by the cooperative protocol are assigned to their
+        // new owners in a follow-up rebalance
+        while (revokedPartitions.length > 0) {
+          this.logger.info('Revoked partitions, rejoining the group', {
+            groupId: this.groupId,
+            memberId: this.memberId,
+            revokedPartitions,
+          })
+
+          await this[PRIVATE.JOIN]()
+          revokedPartitions = await this[PRIVATE.SYNC]({ onPartitionsRevoked })
+        }
 
         const memberAssignment = this.assigned().reduce(
           (result, { topic, partitions }) => ({ ...result, [topic]: partitions }),
@@ -418,6 +620,17 @@ module.exports = class ConsumerGroup {
     return this.subscriptionState.paused()
   }
 
+  /**
+   * @param {string} topic
+   * @param {number} partition
+   * @returns {boolean} whether the partition is assigned to the member and isn't paused
+   */
+  isActive(topic, partition) {
+    return this.subscriptionState
+      .active()
+      .some(active => active.topic === topic && active.partitions.includes(partition))
+  }
+
   /**
    * @param {string} topic
    * @param {string} partition
@@ -444,6 +657,8 @@ module.exports = class ConsumerGroup {
   }
 
   async fetch(nodeId) {
+    let batches
+
     try {
       await this.cluster.refreshMetadataIfNecessary()
       this.checkForStaleAssignment()
@@ -494,16 +709,30 @@ module.exports = class ConsumerGroup {
 
       const broker = await this.cluster.findBroker({ nodeId })
 
-      const { responses } = await broker.fetch({
+      if (!this.fetchSessions.has(nodeId)) {
+        this.fetchSessions.set(nodeId, new FetchSession())
+      }
+
+      // The request only includes the partitions that changed since the last fetch,
+      // `requests` still has the fetch offsets of all the partitions
+      const fetchSession = this.fetchSessions.get(nodeId)
+      const { sessionId, sessionEpoch, topics, forgottenTopics } = fetchSession.build(requests)
+
+      const { responses, sessionId: responseSessionId } = await broker.fetch({
         maxWaitTime: this.maxWaitTime,
         minBytes: this.minBytes,
         maxBytes: this.maxBytes,
         isolationLevel: this.isolationLevel,
-        topics: requests,
+        topics,
         rackId: this.rackId,
+        sessionId,
+        sessionEpoch,
+        forgottenTopics,
       })
 
-      return responses.flatMap(({ topicName, partitions }) => {
+      fetchSession.handleResponse({ sessionId: responseSessionId })
+
+      batches = responses.flatMap(({ topicName, partitions }) => {
         const topicRequestData = requests.find(({ topic }) => topic === topicName)
 
         let preferredReadReplicas = this.preferredReadReplicasPerTopicPartition[topicName]
@@ -545,9 +774,38 @@ module.exports = class ConsumerGroup {
           })
       })
     } catch (e) {
+      const fetchSession = this.fetchSessions.get(nodeId)
+      if (fetchSession) {
+        fetchSession.reset()
+      }
+
+      if (FETCH_SESSION_ERRORS.includes(e.type)) {
+        this.logger.debug(`${e.message}, creating a new fetch session`, {
+          groupId: this.groupId,
+          memberId: this.memberId,
+          nodeId,
+        })
+
+        return []
+      }
+
       await this.recoverFromFetch(e)
       return []
     }
+
+    // The fetch succeeded even if messages can't be deserialized, the error is only thrown when
+    // the batch of the partition is processed
+    if (this.deserializers) {
+      await Promise.all(
+        batches.map(batch =>
+          batch.deserialize(this.deserializers).catch(e => {
+            batch.deserializationError = e
+          })
+        )
+      )
+    }
+
+    return batches
   }
 
   async recoverFromFetch(e) {
@@ -0,0 +1,114 @@
+/**
+ * Incremental fetch requests
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-227%3A+Introduce+Incremental+FetchRequests+to+Increase+Partition+Scalability
+ */
+
+// Used without a session id to create a new session, with the id of an existing session
+// it closes that session and creates a new one
+const INITIAL_EPOCH = 0
+const MAX_EPOCH = 2147483647
+
+const getKey = (topic, partition) => JSON.stringify([topic, partition])
+
+const groupByTopic = topicPartitions =>
+  topicPartitions.reduce((topics, { topic, ...partitionData }) => {
+    const entry = topics.find(entry => entry.topic === topic)
+
+    if (entry) {
+      entry.partitions.push(partitionData)
+    } else {
+      topics.push({ topic, partitions: [partitionData] })
+    }
+
+    return topics
+  }, [])
+
+/**
+ * Tracks the fetch session of a broker, based on the FetchSessionHandler of the Java client.
+ *
+ * Once the broker has created a session, the fetch requests only include the partitions that were
+ * added or changed (fetch offset or max bytes) since the previous request, and the partitions that
+ * are no longer fetched are listed as forgotten topics. Brokers without support for fetch sessions
+ * (Fetch < v7) always receive the full list of partitions.
+ */
+module.exports = class FetchSession {
+  constructor() {
+    this.sessionId = 0
+    this.epoch = INITIAL_EPOCH
+
+    /** Partitions of the session, as known by the broker */
+    this.partitions = new Map()
+
+    /** Partitions of the request in flight, they become part of the session once it succeeds */
+    this.nextPartitions = new Map()
+  }
+
+  /**
+   * @param {Array<{ topic: string, partitions: Array<{ partition: number, fetchOffset: string, maxBytes: number }>}>} topics
+   *        All the partitions to fetch from the broker
+   * @returns {{ sessionId: number, sessionEpoch: number, topics: Array, forgottenTopics: Array }}
+   */
+  build(topics) {
+    this.nextPartitions = new Map()
+    for (const { topic, partitions } of topics) {
+      for (const partitionData of partitions) {
+        this.nextPartitions.set(getKey(topic, partitionData.partition), { topic, ...partitionData })
+      }
+    }
+
+    if (this.isFull()) {
+      return { sessionId: this.sessionId, sessionEpoch: this.epoch, topics, forgottenTopics: [] }
+    }
+
+    const changed = [...this.nextPartitions.entries()]
+      .filter(([key, { fetchOffset, maxBytes }]) => {
+        const previous = this.partitions.get(key)
+        return !previous || previous.fetchOffset !== fetchOffset || previous.maxBytes !== maxBytes
+      })
+      .map(([_, topicPartition]) => topicPartition)
+
+    const forgotten = [...this.partitions.entries()]
+      .filter(([key]) => !this.nextPartitions.has(key))
+      .map(([_, { topic, partition }]) => ({ topic, partition }))
+
+    return {
+      sessionId: this.sessionId,
+      sessionEpoch: this.epoch,
+      topics: groupByTopic(changed),
+      forgottenTopics: groupByTopic(forgotten).map(({ topic, partitions }) => ({
+        topic,
+        partitions: partitions.map(({ partition }) => partition),
+      })),
+    }
+  }
+
+  /**
+   * @param {object} response
+   * @param {number} [response.sessionId] Undefined for brokers without support for fetch sessions
+   */
+  handleResponse({ sessionId = 0 }) {
+    if (sessionId === 0) {
+      // The broker did not create a session or closed it, keep sending full requests
+      this.sessionId = 0
+      this.epoch = INITIAL_EPOCH
+      this.partitions = new Map()
+      return
+    }
+
+    this.sessionId = sessionId
+    this.epoch = this.epoch === MAX_EPOCH ? 1 : this.epoch + 1
+    this.partitions = this.nextPartitions
+  }
+
+  /**
+   * The next request creates a new session, closing the current one on the broker
+   */
+  reset() {
+    this.epoch = INITIAL_EPOCH
+    this.partitions = new Map()
+  }
+
+  isFull() {
+    return this.epoch === INITIAL_EPOCH
+  }
+}
@@ -0,0 +1,93 @@
+const FetchSession = require('./fetchSession')
+
+describe('Consumer > FetchSession', () => {
+  const topic = 'topic-name'
+  const maxBytes = 1048576
+  let fetchSession
+
+  const fetchRequest = offsets => [
+    {
+      topic,
+      partitions: Object.entries(offsets).map(([partition, fetchOffset]) => ({
+        partition: Number(partition),
+        fetchOffset,
+        maxBytes,
+      })),
+    },
+  ]
+
+  beforeEach(() => {
+    fetchSession = new FetchSession()
+  })
+
+  test('sends a full request to create the session', () => {
+    const topics = fetchRequest({ 0: '10', 1: '20' })
+    expect(fetchSession.build(topics)).toEqual({
+      sessionId: 0,
+      sessionEpoch: 0,
+      topics,
+      forgottenTopics: [],
+    })
+  })
+
+  test('only sends the partitions that changed once the session is created', () => {
+    fetchSession.build(fetchRequest({ 0: '10', 1: '20', 2: '30' }))
+    fetchSession.handleResponse({ sessionId: 123 })
+
+    expect(fetchSession.build(fetchRequest({ 0: '10', 1: '25', 2: '30', 3: '0' }))).toEqual({
+      sessionId: 123,
+      sessionEpoch: 1,
+      topics: fetchRequest({ 1: '25', 3: '0' }),
+      forgottenTopics: [],
+    })
+    fetchSession.handleResponse({ sessionId: 123 })
+
+    expect(fetchSession.build(fetchRequest({ 0: '10', 1: '25', 3: '0' }))).toEqual({
+      sessionId: 123,
+      sessionEpoch: 2,
+      topics: [],
+      forgottenTopics: [{ topic, partitions: [2] }],
+    })
+  })
+
+  test('sends the changes again if the request failed', () => {
+    fetchSession.build(fetchRequest({ 0: '10' }))
+    fetchSession.handleResponse({ sessionId: 123 })
+
+    fetchSession.build(fetchRequest({ 0: '15' }))
+    fetchSession.reset()
+
+    expect(fetchSession.build(fetchRequest({ 0: '15' }))).toEqual({
+      sessionId: 123,
+      sessionEpoch: 0,
+      topics: fetchRequest({ 0: '15' }),
+      forgottenTopics: [],
+    })
+  })
+
+  test('keeps sending full requests if the broker does not create a session', () => {
+    const topics = fetchRequest({ 0: '10' })
+
+    fetchSession.build(topics)
+    fetchSession.handleResponse({ sessionId: 0 })
+    expect(fetchSession.build(topics)).toEqual(
+      expect.objectContaining({ sessionId: 0, sessionEpoch: 0, topics })
+    )
+
+    // Fetch < v7
+    fetchSession.handleResponse({})
+    expect(fetchSession.build(topics)).toEqual(
+      expect.objectContaining({ sessionId: 0, sessionEpoch: 0, topics })
+    )
+  })
+
+  test('wraps the epoch', () => {
+    fetchSession.build(fetchRequest({ 0: '10' }))
+    fetchSession.handleResponse({ sessionId: 123 })
+    fetchSession.epoch = 2147483647
+
+    fetchSession.build(fetchRequest({ 0: '10' }))
+    fetchSession.handleResponse({ sessionId: 123 })
+    expect(fetchSession.epoch).toEqual(1)
+  })
+})
@@ -27,7 +27,9 @@ const specialOffsets = [
 /**
  * @param {Object} params
  * @param {import("../../types").Cluster} params.cluster
- * @param {String} params.groupId
+ * @param {String} [params.groupId] Required to subscribe to topics, consumers using
+ *                                   `consumer#assign` can omit it
+ * @param {String} [params.groupInstanceId]
  * @param {import('../../types').RetryOptions} [params.retry]
  * @param {import('../../types').Logger} params.logger
  * @param {import('../../types').PartitionAssigner[]} [params.partitionAssigners]
@@ -42,12 +44,15 @@ const specialOffsets = [
  * @param {string} [params.rackId]
  * @param {InstrumentationEventEmitter} [params.instrumentationEmitter]
  * @param {number} params.metadataMaxAge
+ * @param {import('../../types').Deserializers} [params.deserializers] Deserialize the key, value
+ *                                                                     and headers of the messages
  *
  * @returns {import("../../types").Consumer}
  */
 module.exports = ({
   cluster,
   groupId,
+  groupInstanceId,
   retry,
   logger: rootLogger,
   partitionAssigners = [roundRobin],
@@ -62,8 +67,9 @@ module.exports = ({
   rackId = '',
   instrumentationEmitter: rootInstrumentationEmitter,
   metadataMaxAge,
+  deserializers,
 }) => {
-  if (!groupId) {
+  if (groupId !== undefined && (typeof groupId !== 'string' || groupId.length === 0)) {
     throw new KafkaJSNonRetriableError('Consumer groupId must be a non-empty string.')
   }
 
@@ -75,6 +81,8 @@ module.exports = ({
 
   /** @type {Record<string, { fromBeginning?: boolean }>} */
   const topics = {}
+  /** @type {import("../../types").TopicPartitions[]} */
+  let manualAssignment = null
   let runner = null
   /** @type {ConsumerGroup} */
   let consumerGroup = null
@@ -136,6 +144,18 @@ module.exports = ({
       throw new KafkaJSNonRetriableError('Cannot subscribe to topic while consumer is running')
     }
 
+    if (!groupId) {
+      throw new KafkaJSNonRetriableError(
+        'Consumer groupId must be a non-empty string to subscribe to topics'
+      )
+    }
+
+    if (manualAssignment) {
+      throw new KafkaJSNonRetriableError(
+        'Cannot subscribe to topics, partitions were assigned with consumer#assign'
+      )
+    }
+
     if (!topic && !subscriptionTopics) {
       throw new KafkaJSNonRetriableError('Missing required argument "topics"')
     }
@@ -185,6 +205,61 @@ module.exports = ({
     await cluster.addMultipleTargetTopics(topicsToSubscribe)
   }
 
+  /**
+   * @type {import("../../types").Consumer["assign"]}
+   * @param topicPartitions
+   *   Example: [{ topic: 'topic-name', partitions: [0, 1], fromBeginning: true }]
+   */
+  const assign = async (topicPartitions = []) => {
+    if (consumerGroup) {
+      throw new KafkaJSNonRetriableError('Cannot assign partitions while consumer is running')
+    }
+
+    if (keys(topics).length > 0 && !manualAssignment) {
+      throw new KafkaJSNonRetriableError(
+        'Cannot assign partitions to a consumer subscribed to topics'
+      )
+    }
+
+    if (!Array.isArray(topicPartitions) || topicPartitions.length === 0) {
+      throw new KafkaJSNonRetriableError('Argument "topicPartitions" must be a non-empty array')
+    }
+
+    for (const topicPartition of topicPartitions) {
+      if (!topicPartition || !topicPartition.topic) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid topic ${(topicPartition && topicPartition.topic) || topicPartition}`
+        )
+      }
+
+      if (
+        !Array.isArray(topicPartition.partitions) ||
+        topicPartition.partitions.length === 0 ||
+        topicPartition.partitions.some(isNaN)
+      ) {
+        throw new KafkaJSNonRetriableError(
+          `Array of valid partitions required to assign topic ${topicPartition.topic} instead of ${topicPartition.partitions}`
+        )
+      }
+    }
+
+    // Assigning partitions again replaces the previous assignment
+    for (const topic of keys(topics)) {
+      delete topics[topic]
+    }
+
+    manualAssignment = topicPartitions.map(({ topic, partitions }) => ({
+      topic,
+      partitions: [...new Set(partitions.map(Number))],
+    }))
+
+    for (const { topic, fromBeginning = false } of topicPartitions) {
+      topics[topic] = { fromBeginning }
+    }
+
+    await cluster.addMultipleTargetTopics(keys(topics))
+  }
+
   /** @type {import("../../types").Consumer["run"]} */
   const run = async ({
     autoCommit = true,
@@ -200,6 +275,13 @@ module.exports = ({
       return
     }
 
+    // Without group, the offsets are only kept in memory
+    if (!groupId) {
+      autoCommit = false
+      autoCommitInterval = null
+      autoCommitThreshold = null
+    }
+
     const start = async onCrash => {
       logger.info('Starting', { groupId })
 
@@ -210,6 +292,8 @@ module.exports = ({
         retry,
         cluster,
         groupId,
+        groupInstanceId,
+        manualAssignment,
         assigners,
         sessionTimeout,
         rebalanceTimeout,
@@ -221,6 +305,7 @@ module.exports = ({
         isolationLevel,
         rackId,
         metadataMaxAge,
+        deserializers,
         autoCommit,
         autoCommitInterval,
         autoCommitThreshold,
@@ -417,6 +502,10 @@ module.exports = ({
 
   /** @type {import("../../types").Consumer["describeGroup"]} */
   const describeGroup = async () => {
+    if (!groupId) {
+      throw new KafkaJSNonRetriableError('Cannot describe the group of a consumer without groupId')
+    }
+
     const coordinator = await cluster.findGroupCoordinator({ groupId })
     const retrier = createRetry(retry)
     return retrier(async () => {
@@ -507,6 +596,7 @@ module.exports = ({
     connect,
     disconnect,
     subscribe,
+    assign,
     stop,
     run,
     commitOffsets,
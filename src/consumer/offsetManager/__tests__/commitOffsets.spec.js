@@ -119,6 +119,37 @@ describe('Consumer > OffsetMananger > commitOffsets', () => {
     })
   })
 
+  it('commits the offsets with the groupInstanceId of static members', async () => {
+    offsetManager.groupInstanceId = 'instance-1'
+
+    const offset = Math.random().toString()
+    const offsets = { topics: [{ topic: topic1, partitions: [{ partition: '0', offset }] }] }
+    await offsetManager.commitOffsets(offsets)
+
+    expect(mockCoordinator.offsetCommit).toHaveBeenCalledWith({
+      groupId,
+      memberId,
+      groupInstanceId: 'instance-1',
+      groupGenerationId: generationId,
+      topics: [
+        {
+          topic: topic1,
+          partitions: [{ partition: '0', offset }],
+        },
+      ],
+    })
+  })
+
+  it('throws when the consumer does not have a groupId', async () => {
+    offsetManager.groupId = undefined
+
+    const offsets = { topics: [{ topic: topic1, partitions: [{ partition: '0', offset: '1' }] }] }
+    await expect(offsetManager.commitOffsets(offsets)).rejects.toThrow(
+      'Cannot commit offsets without a groupId'
+    )
+    expect(mockCoordinator.offsetCommit).not.toHaveBeenCalled()
+  })
+
   it('refreshes metadata on NOT_COORDINATOR_FOR_GROUP protocol error', async () => {
     mockCoordinator.offsetCommit.mockImplementation(() => {
       throw createErrorFromCode(NOT_COORDINATOR_FOR_GROUP_CODE)
@@ -0,0 +1,83 @@
+const OffsetManager = require('../index')
+const InstrumentationEventEmitter = require('../../../instrumentation/emitter')
+
+describe('Consumer > OffsetMananger > resolveOffsets', () => {
+  let offsetManager, committedOffsets, mockCluster, mockCoordinator, topicConfigurations
+
+  const createOffsetManager = ({ groupId }) => {
+    const offsetManager = new OffsetManager({
+      cluster: mockCluster,
+      topicConfigurations,
+      memberAssignment: { 'topic-1': [0, 1] },
+      groupId,
+      generationId: 1,
+      memberId: 'memberId',
+      instrumentationEmitter: new InstrumentationEventEmitter(),
+    })
+
+    offsetManager.getCoordinator = jest.fn(() => mockCoordinator)
+    return offsetManager
+  }
+
+  beforeEach(() => {
+    committedOffsets = {}
+    topicConfigurations = { 'topic-1': { fromBeginning: true } }
+
+    mockCluster = {
+      committedOffsets: jest.fn(() => committedOffsets),
+      fetchTopicsOffset: jest.fn(async () => [
+        { topic: 'topic-1', partitions: [{ partition: 0, offset: '0' }] },
+      ]),
+    }
+
+    mockCoordinator = {
+      offsetFetch: jest.fn(async () => ({
+        responses: [
+          {
+            topic: 'topic-1',
+            partitions: [
+              { partition: 0, offset: '-1' },
+              { partition: 1, offset: '5' },
+            ],
+          },
+        ],
+      })),
+    }
+  })
+
+  it('resolves the offsets committed by the group', async () => {
+    offsetManager = createOffsetManager({ groupId: 'groupId' })
+    await offsetManager.resolveOffsets()
+
+    expect(mockCoordinator.offsetFetch).toHaveBeenCalledWith({
+      groupId: 'groupId',
+      topics: [{ topic: 'topic-1', partitions: [{ partition: 0 }, { partition: 1 }] }],
+    })
+    expect(mockCluster.fetchTopicsOffset).toHaveBeenCalledWith([
+      { topic: 'topic-1', partitions: [{ partition: 0 }], fromBeginning: true },
+    ])
+    expect(committedOffsets).toEqual({ 'topic-1': { 0: '0', 1: '5' } })
+  })
+
+  it('resolves the default offsets without groupId', async () => {
+    mockCluster.fetchTopicsOffset.mockImplementation(async () => [
+      {
+        topic: 'topic-1',
+        partitions: [
+          { partition: 0, offset: '0' },
+          { partition: 1, offset: '3' },
+        ],
+      },
+    ])
+
+    offsetManager = createOffsetManager({ groupId: undefined })
+    await offsetManager.resolveOffsets()
+
+    expect(mockCoordinator.offsetFetch).not.toHaveBeenCalled()
+    expect(mockCluster.committedOffsets).not.toHaveBeenCalled()
+    expect(mockCluster.fetchTopicsOffset).toHaveBeenCalledWith([
+      { topic: 'topic-1', partitions: [{ partition: 0 }, { partition: 1 }], fromBeginning: true },
+    ])
+    expect(offsetManager.committedOffsets()).toEqual({ 'topic-1': { 0: '0', 1: '3' } })
+  })
+})
@@ -1,6 +1,7 @@
 const Long = require('../../utils/long')
 const isInvalidOffset = require('./isInvalidOffset')
 const initializeConsumerOffsets = require('./initializeConsumerOffsets')
+const { KafkaJSNonRetriableError } = require('../../errors')
 const {
   events: { COMMIT_OFFSETS },
 } = require('../instrumentationEvents')
@@ -22,7 +23,8 @@ module.exports = class OffsetManager {
    * @param {number | null} options.autoCommitThreshold
    * @param {{[topic: string]: { fromBeginning: boolean }}} options.topicConfigurations
    * @param {import("../../instrumentation/emitter")} options.instrumentationEmitter
-   * @param {string} options.groupId
+   * @param {string} [options.groupId] Without group, the offsets are only kept in memory
+   * @param {string} [options.groupInstanceId]
    * @param {number} options.generationId
    * @param {string} options.memberId
    */
@@ -36,6 +38,7 @@ module.exports = class OffsetManager {
     topicConfigurations,
     instrumentationEmitter,
     groupId,
+    groupInstanceId,
     generationId,
     memberId,
   }) {
@@ -52,6 +55,7 @@ module.exports = class OffsetManager {
     this.topicConfigurations = topicConfigurations
     this.instrumentationEmitter = instrumentationEmitter
     this.groupId = groupId
+    this.groupInstanceId = groupInstanceId
     this.generationId = generationId
     this.memberId = memberId
 
@@ -140,19 +144,21 @@ module.exports = class OffsetManager {
   async setDefaultOffset({ topic, partition }) {
     const { groupId, generationId, memberId } = this
     const defaultOffset = this.cluster.defaultOffset(this.topicConfigurations[topic])
-    const coordinator = await this.getCoordinator()
 
-    await coordinator.offsetCommit({
-      groupId,
-      memberId,
-      groupGenerationId: generationId,
-      topics: [
-        {
-          topic,
-          partitions: [{ partition, offset: defaultOffset }],
-        },
-      ],
-    })
+    if (groupId) {
+      const coordinator = await this.getCoordinator()
+      await coordinator.offsetCommit({
+        groupId,
+        memberId,
+        groupGenerationId: generationId,
+        topics: [
+          {
+            topic,
+            partitions: [{ partition, offset: defaultOffset }],
+          },
+        ],
+      })
+    }
 
     this.clearOffsets({ topic, partition })
   }
@@ -244,7 +250,7 @@ module.exports = class OffsetManager {
   }
 
   async commitOffsets(offsets = {}) {
-    const { groupId, generationId, memberId } = this
+    const { groupId, groupInstanceId, generationId, memberId } = this
     const { topics = this.uncommittedOffsets().topics } = offsets
 
     if (topics.length === 0) {
@@ -252,6 +258,10 @@ module.exports = class OffsetManager {
       return
     }
 
+    if (!groupId) {
+      throw new KafkaJSNonRetriableError('Cannot commit offsets without a groupId')
+    }
+
     const payload = {
       groupId,
       memberId,
@@ -261,7 +271,7 @@ module.exports = class OffsetManager {
 
     try {
       const coordinator = await this.getCoordinator()
-      await coordinator.offsetCommit(payload)
+      await coordinator.offsetCommit({ ...payload, groupInstanceId })
       this.instrumentationEmitter.emit(COMMIT_OFFSETS, payload)
 
       // Update local reference of committed offsets
@@ -309,11 +319,13 @@ module.exports = class OffsetManager {
       return
     }
 
-    const coordinator = await this.getCoordinator()
-    const { responses: consumerOffsets } = await coordinator.offsetFetch({
-      groupId,
-      topics: pendingPartitions,
-    })
+    // Without group, the partitions start from the default offset of their topic
+    let consumerOffsets = pendingPartitions
+    if (groupId) {
+      const coordinator = await this.getCoordinator()
+      const { responses } = await coordinator.offsetFetch({ groupId, topics: pendingPartitions })
+      consumerOffsets = responses
+    }
 
     const unresolvedPartitions = consumerOffsets.map(({ topic, partitions }) =>
       assign(
@@ -346,6 +358,43 @@ module.exports = class OffsetManager {
     })
   }
 
+  /**
+   * Offsets of the given partitions, used to keep the position of the partitions a member retains
+   * through a cooperative rebalance
+   *
+   * @param {import("../../../types").TopicPartitions[]} topicPartitions
+   * @returns {Array<{ topic: string, partition: number, committedOffset?: string, resolvedOffset?: string }>}
+   */
+  getOffsets(topicPartitions) {
+    return topicPartitions.flatMap(({ topic, partitions }) =>
+      partitions.map(partition => ({
+        topic,
+        partition,
+        committedOffset: (this.committedOffsets()[topic] || {})[partition],
+        resolvedOffset: (this.resolvedOffsets[topic] || {})[partition],
+      }))
+    )
+  }
+
+  /**
+   * @param {ReturnType<OffsetManager["getOffsets"]>} offsets
+   */
+  restoreOffsets(offsets) {
+    for (const { topic, partition, committedOffset, resolvedOffset } of offsets) {
+      if (!this.resolvedOffsets[topic]) {
+        continue
+      }
+
+      if (committedOffset !== undefined) {
+        this.committedOffsets()[topic][partition] = committedOffset
+      }
+
+      if (resolvedOffset !== undefined) {
+        this.resolvedOffsets[topic][partition] = resolvedOffset
+      }
+    }
+  }
+
   /**
    * @private
    * @param {import("../../../types").TopicPartition} topicPartition
@@ -0,0 +1,13 @@
+/**
+ * Enum for the rebalance protocols supported by the partition assigners
+ * @readonly
+ * @enum {string}
+ */
+module.exports = {
+  // Every member gives up all of its partitions on each rebalance
+  EAGER: 'eager',
+
+  // Members keep their partitions through the rebalance and only give up the ones
+  // moving to another member, which are assigned in a follow-up rebalance (KIP-429)
+  COOPERATIVE: 'cooperative',
+}
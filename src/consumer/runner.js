@@ -61,6 +61,9 @@ module.exports = class Runner extends EventEmitter {
 
     this.running = false
     this.consuming = false
+    this.rebalancing = null
+    this.rebalancingError = null
+    this.batchesInProgress = new Set()
   }
 
   get consuming() {
@@ -124,7 +127,7 @@ module.exports = class Runner extends EventEmitter {
             memberId: this.consumerGroup.memberId,
           })
 
-          await this.consumerGroup.joinAndSync()
+          await this.joinAndSync()
           return
         }
 
@@ -136,10 +139,24 @@ module.exports = class Runner extends EventEmitter {
           })
 
           this.consumerGroup.memberId = null
-          await this.consumerGroup.joinAndSync()
+          await this.joinAndSync()
           return
         }
 
+        if (e.type === 'FENCED_INSTANCE_ID') {
+          this.logger.error(
+            'Another consumer with the same groupInstanceId has joined the group, stopping',
+            {
+              groupId: this.consumerGroup.groupId,
+              memberId: this.consumerGroup.memberId,
+              groupInstanceId: this.consumerGroup.groupInstanceId,
+              error: e.message,
+            }
+          )
+
+          return bail(e)
+        }
+
         if (e.name === 'KafkaJSNotImplemented') {
           return bail(e)
         }
@@ -185,6 +202,11 @@ module.exports = class Runner extends EventEmitter {
     try {
       await this.fetchManager.stop()
       await this.waitForConsumer()
+
+      if (this.rebalancing) {
+        await this.rebalancing.catch(() => {})
+      }
+
       await this.consumerGroup.leave()
     } catch (e) {}
   }
@@ -204,10 +226,72 @@ module.exports = class Runner extends EventEmitter {
     })
   }
 
+  /**
+   * Joins the group again, a single join runs at a time
+   */
+  joinAndSync() {
+    if (!this.rebalancing) {
+      this.rebalancing = this.consumerGroup
+        .joinAndSync({ onPartitionsRevoked: partitions => this.waitForBatches(partitions) })
+        .finally(() => {
+          this.rebalancing = null
+        })
+    }
+
+    return this.rebalancing
+  }
+
+  /**
+   * Waits for the batches of the given partitions being processed
+   *
+   * @param {import("../../types").TopicPartitions[]} topicPartitions
+   */
+  async waitForBatches(topicPartitions) {
+    const batches = [...this.batchesInProgress].filter(({ topic, partition }) =>
+      topicPartitions.some(
+        topicPartition =>
+          topicPartition.topic === topic && topicPartition.partitions.includes(partition)
+      )
+    )
+
+    await Promise.all(batches.map(({ promise }) => promise.catch(() => {})))
+  }
+
   async heartbeat() {
+    // The join and sync requests keep the member in the group while it rejoins
+    if (this.rebalancing) {
+      return
+    }
+
+    if (this.rebalancingError) {
+      const error = this.rebalancingError
+      this.rebalancingError = null
+      throw error
+    }
+
     try {
       await this.consumerGroup.heartbeat({ interval: this.heartbeatInterval })
     } catch (e) {
+      // With the cooperative rebalance protocol the member keeps consuming the partitions assigned
+      // to it while rejoining the group, only the revoked partitions are stopped
+      if (isRebalancing(e) && this.consumerGroup.isCooperative()) {
+        this.logger.warn('The group is rebalancing, re-joining while consuming', {
+          groupId: this.consumerGroup.groupId,
+          memberId: this.consumerGroup.memberId,
+          error: e.message,
+        })
+
+        this.instrumentationEmitter.emit(REBALANCING, {
+          groupId: this.consumerGroup.groupId,
+          memberId: this.consumerGroup.memberId,
+        })
+
+        this.joinAndSync().catch(error => {
+          this.rebalancingError = error
+        })
+        return
+      }
+
       if (isRebalancing(e)) {
         await this.autoCommitOffsets()
       }
@@ -385,8 +469,25 @@ module.exports = class Runner extends EventEmitter {
       return
     }
 
+    // Batches fetched before their partition was paused or revoked are fetched again once the
+    // partition is resumed, or by the member it is assigned to
+    if (!this.consumerGroup.isActive(batch.topic, batch.partition)) {
+      this.logger.debug('partition not active, skipping batch', {
+        groupId: this.consumerGroup.groupId,
+        memberId: this.consumerGroup.memberId,
+        topic: batch.topic,
+        partition: batch.partition,
+      })
+
+      return
+    }
+
     /** @param {import('./batch')} batch */
     const onBatch = async batch => {
+      if (batch.deserializationError) {
+        throw batch.deserializationError
+      }
+
       const startBatchProcess = Date.now()
       const payload = {
         topic: batch.topic,
@@ -458,17 +559,29 @@ module.exports = class Runner extends EventEmitter {
       await this.heartbeat()
     }
 
-    await onBatch(batch)
+    const batchInProgress = {
+      topic: batch.topic,
+      partition: batch.partition,
+      promise: onBatch(batch),
+    }
+
+    this.batchesInProgress.add(batchInProgress)
+    try {
+      await batchInProgress.promise
+    } finally {
+      this.batchesInProgress.delete(batchInProgress)
+    }
   }
 
   autoCommitOffsets() {
-    if (this.autoCommit) {
+    // The offsets are committed with the generation of the group, once the member has rejoined it
+    if (this.autoCommit && !this.rebalancing) {
       return this.consumerGroup.commitOffsets()
     }
   }
 
   autoCommitOffsetsIfNecessary() {
-    if (this.autoCommit) {
+    if (this.autoCommit && !this.rebalancing) {
       return this.consumerGroup.commitOffsetsIfNecessary()
     }
   }
@@ -248,6 +248,75 @@ class KafkaJSAlterPartitionReassignmentsError extends KafkaJSProtocolError {
   }
 }
 
+class KafkaJSAlterReplicaLogDirsError extends KafkaJSProtocolError {
+  constructor(e, topicName, partition) {
+    super(e)
+    this.topic = topicName
+    this.partition = partition
+    this.name = 'KafkaJSAlterReplicaLogDirsError'
+  }
+}
+
+class KafkaJSElectLeadersError extends KafkaJSProtocolError {
+  constructor(e, topicName, partition) {
+    super(e)
+    this.topic = topicName
+    this.partition = partition
+    this.name = 'KafkaJSElectLeadersError'
+  }
+}
+
+class KafkaJSAlterClientQuotasError extends KafkaJSProtocolError {
+  constructor(e, entity) {
+    super(e)
+    this.entity = entity
+    this.name = 'KafkaJSAlterClientQuotasError'
+  }
+}
+
+class KafkaJSUserScramCredentialsError extends KafkaJSProtocolError {
+  constructor(e, user) {
+    super(e)
+    this.user = user
+    this.name = 'KafkaJSUserScramCredentialsError'
+  }
+}
+
+class KafkaJSOffsetDeleteError extends KafkaJSProtocolError {
+  constructor(e, topicName, partition) {
+    super(e)
+    this.topic = topicName
+    this.partition = partition
+    this.name = 'KafkaJSOffsetDeleteError'
+  }
+}
+
+class KafkaJSDescribeProducersError extends KafkaJSProtocolError {
+  constructor(e, topicName, partition) {
+    super(e)
+    this.topic = topicName
+    this.partition = partition
+    this.name = 'KafkaJSDescribeProducersError'
+  }
+}
+
+class KafkaJSDescribeTransactionsError extends KafkaJSProtocolError {
+  constructor(e, transactionalId) {
+    super(e)
+    this.transactionalId = transactionalId
+    this.name = 'KafkaJSDescribeTransactionsError'
+  }
+}
+
+class KafkaJSWriteTxnMarkersError extends KafkaJSProtocolError {
+  constructor(e, topicName, partition) {
+    super(e)
+    this.topic = topicName
+    this.partition = partition
+    this.name = 'KafkaJSWriteTxnMarkersError'
+  }
+}
+
 class KafkaJSAggregateError extends Error {
   constructor(message, errors) {
     super(message)
@@ -265,6 +334,54 @@ class KafkaJSNoBrokerAvailableError extends KafkaJSError {
   }
 }
 
+class KafkaJSSerializationError extends KafkaJSNonRetriableError {
+  /**
+   * @param {string} e
+   * @param {object} options
+   * @param {string} options.topic
+   * @param {number} [options.partition]
+   * @param {string} [options.offset]
+   * @param {Error} [options.cause]
+   */
+  constructor(e, { topic, partition, offset, cause } = {}) {
+    super(e, { cause })
+    this.topic = topic
+    this.partition = partition
+    this.offset = offset
+    this.name = 'KafkaJSSerializationError'
+  }
+}
+
+class KafkaJSSchemaRegistryError extends KafkaJSError {
+  /**
+   * @param {string | Error} e
+   * @param {object} [options]
+   * @param {number} [options.status] HTTP status of the response
+   * @param {number} [options.errorCode] Error code returned by the schema registry
+   */
+  constructor(e, { status, errorCode } = {}) {
+    super(e, { retriable: status === undefined || status >= 500 })
+    this.status = status
+    this.errorCode = errorCode
+    this.name = 'KafkaJSSchemaRegistryError'
+  }
+}
+
+class KafkaJSOAuthBearerTokenError extends KafkaJSError {
+  /**
+   * @param {string | Error} e
+   * @param {object} [options]
+   * @param {number} [options.status] HTTP status of the response
+   * @param {string} [options.error] Error code returned by the token endpoint, e.g. invalid_client
+   */
+  constructor(e, { status, error } = {}) {
+    super(e, { retriable: status === undefined || status >= 500 })
+    this.status = status
+    this.error = error
+    this.name = 'KafkaJSOAuthBearerTokenError'
+  }
+}
+
 const isRebalancing = e =>
   e.type === 'REBALANCE_IN_PROGRESS' ||
   e.type === 'NOT_COORDINATOR_FOR_GROUP' ||
@@ -304,6 +421,17 @@ module.exports = {
   KafkaJSFetcherRebalanceError,
   KafkaJSNoBrokerAvailableError,
   KafkaJSAlterPartitionReassignmentsError,
+  KafkaJSAlterReplicaLogDirsError,
+  KafkaJSElectLeadersError,
+  KafkaJSAlterClientQuotasError,
+  KafkaJSUserScramCredentialsError,
+  KafkaJSOffsetDeleteError,
+  KafkaJSDescribeProducersError,
+  KafkaJSDescribeTransactionsError,
+  KafkaJSWriteTxnMarkersError,
+  KafkaJSSerializationError,
+  KafkaJSSchemaRegistryError,
+  KafkaJSOAuthBearerTokenError,
   isRebalancing,
   isKafkaJSError,
 }
@@ -47,6 +47,7 @@ module.exports = class Client {
    * @param {boolean} [options.enforceRequestTimeout]
    * @param {import("../types").RetryOptions} [options.retry]
    * @param {import("../types").ISocketFactory} [options.socketFactory]
+   * @param {import("../types").ConnectionPoolConfig} [options.connectionPool]
    */
   constructor({
     brokers,
@@ -60,6 +61,7 @@ module.exports = class Client {
     enforceRequestTimeout = true,
     retry,
     socketFactory = defaultSocketFactory(),
+    connectionPool,
     logLevel = INFO,
     logCreator = LoggerConsole,
   }) {
@@ -72,6 +74,7 @@ module.exports = class Client {
       maxInFlightRequests = null,
       instrumentationEmitter = null,
       isolationLevel,
+      idempotent = false,
     }) =>
       new Cluster({
         logger: this[PRIVATE.LOGGER],
@@ -92,6 +95,8 @@ module.exports = class Client {
         allowAutoTopicCreation,
         maxInFlightRequests,
         isolationLevel,
+        connectionPool,
+        idempotent,
       })
   }
 
@@ -107,6 +112,10 @@ module.exports = class Client {
     transactionalId,
     transactionTimeout,
     maxInFlightRequests,
+    lingerMs,
+    batchSize,
+    bufferMemory,
+    serializers,
   } = {}) {
     const instrumentationEmitter = new InstrumentationEventEmitter()
     const cluster = this[PRIVATE.CREATE_CLUSTER]({
@@ -114,6 +123,7 @@ module.exports = class Client {
       allowAutoTopicCreation,
       maxInFlightRequests,
       instrumentationEmitter,
+      idempotent: !!(idempotent || transactionalId),
     })
 
     if (createPartitioner == null) {
@@ -129,6 +139,10 @@ module.exports = class Client {
       transactionalId,
       transactionTimeout,
       instrumentationEmitter,
+      lingerMs,
+      batchSize,
+      bufferMemory,
+      serializers,
     })
   }
 
@@ -137,6 +151,7 @@ module.exports = class Client {
    */
   consumer({
     groupId,
+    groupInstanceId,
     partitionAssigners,
     metadataMaxAge = DEFAULT_METADATA_MAX_AGE,
     sessionTimeout,
@@ -151,6 +166,7 @@ module.exports = class Client {
     maxInFlightRequests,
     readUncommitted = false,
     rackId = '',
+    deserializers,
   } = {}) {
     const isolationLevel = readUncommitted
       ? ISOLATION_LEVEL.READ_UNCOMMITTED
@@ -170,6 +186,7 @@ module.exports = class Client {
       logger: this[PRIVATE.LOGGER],
       cluster,
       groupId,
+      groupInstanceId,
       partitionAssigners,
       sessionTimeout,
       rebalanceTimeout,
@@ -182,6 +199,7 @@ module.exports = class Client {
       instrumentationEmitter,
       rackId,
       metadataMaxAge,
+      deserializers,
     })
   }
 
@@ -48,6 +48,17 @@ describe('Client', () => {
     expect(createProducer).toHaveBeenCalledWith(options)
   })
 
+  it('creates the cluster of idempotent and transactional producers as idempotent', () => {
+    const client = new Client({ brokers: [] })
+    Cluster.mockClear()
+
+    client.producer({})
+    client.producer({ idempotent: true })
+    client.producer({ transactionalId: 'transactional-id' })
+
+    expect(Cluster.mock.calls.map(([{ idempotent }]) => idempotent)).toEqual([false, true, true])
+  })
+
   describe('consumer', () => {
     test('creates a consumer with the correct isolation level', () => {
       const client = new Client({ brokers: [] })
@@ -1,5 +1,5 @@
 const createSocket = require('./socket')
-const createRequest = require('../protocol/request')
+const { createRequest, responseBody } = require('../protocol/request')
 const Decoder = require('../protocol/decoder')
 const { KafkaJSConnectionError, KafkaJSConnectionClosedError } = require('../errors')
 const { INT_32_MAX_VALUE } = require('../constants')
@@ -422,7 +422,7 @@ module.exports = class Connection {
     }
 
     try {
-      const payloadDecoded = await response.decode(payload)
+      const payloadDecoded = await response.decode(responseBody({ request, payload }))
 
       /**
        * @see KIP-219
@@ -1,9 +1,21 @@
-const apiKeys = require('../protocol/requests/apiKeys')
 const Connection = require('./connection')
+const createRouting = require('./connectionPoolRouting')
+
+const PRIVATE = {
+  DISCONNECT_IDLE_CONNECTIONS: Symbol('private:ConnectionPool:disconnectIdleConnections'),
+}
+
+/**
+ * @typedef {Object} ConnectionPoolOptions
+ * @property {import("./connectionPoolRouting").ConnectionPoolRouting} [routing] Connections of the pool
+ *           and the APIs using them, by default one connection for Fetch requests and one for the others
+ * @property {number} [maxIdleMs] Close the connections not used for this many milliseconds. Idle
+ *           connections are closed lazily, when a connection of the pool is requested
+ */
 
 module.exports = class ConnectionPool {
   /**
-   * @param {ConstructorParameters<typeof Connection>[0]} options
+   * @param {ConstructorParameters<typeof Connection>[0] & ConnectionPoolOptions} options
    */
   constructor(options) {
     this.logger = options.logger.namespace('ConnectionPool')
@@ -15,8 +27,52 @@ module.exports = class ConnectionPool {
     this.sasl = options.sasl
     this.clientId = options.clientId
     this.socketFactory = options.socketFactory
+    this.routing = options.routing || createRouting()
+    this.maxIdleMs = options.maxIdleMs == null ? null : options.maxIdleMs
+
+    this.pool = new Array(this.routing.size).fill().map(() => new Connection(options))
+    this.nextConnectionByRoute = this.routing.routes.map(() => 0)
+    this.usage = new Map(this.pool.map(c => [c, { lastUsedAt: Date.now(), inflight: 0 }]))
+
+    this.disconnecting = new Map()
+
+    /**
+     * @private
+     * @param {Connection} requestedConnection
+     */
+    this[PRIVATE.DISCONNECT_IDLE_CONNECTIONS] = async requestedConnection => {
+      const now = Date.now()
+      const idleConnections = this.pool
+        .map(connection => ({ connection, ...this.usage.get(connection) }))
+        .filter(
+          ({ connection, lastUsedAt, inflight }) =>
+            connection.isConnected() &&
+            !this.disconnecting.has(connection) &&
+            inflight === 0 &&
+            now - lastUsedAt >= this.maxIdleMs
+        )
+
+      // The requested connection is marked as used before disconnecting the others, so concurrent
+      // calls cannot close it before the caller sends its request
+      this.usage.get(requestedConnection).lastUsedAt = now
+
+      for (const { connection, lastUsedAt } of idleConnections) {
+        this.logger.debug('Closing idle connection', {
+          broker: `${this.host}:${this.port}`,
+          clientId: this.clientId,
+          connection: this.pool.indexOf(connection),
+          idleMs: now - lastUsedAt,
+        })
+
+        this.disconnecting.set(
+          connection,
+          connection.disconnect().finally(() => this.disconnecting.delete(connection))
+        )
+      }
 
-    this.pool = new Array(2).fill().map(() => new Connection(options))
+      // Only the requested connection has to be disconnected before it can be connected again
+      await this.disconnecting.get(requestedConnection)
+    }
   }
 
   isConnected() {
@@ -41,17 +97,38 @@ module.exports = class ConnectionPool {
 
   async send(protocolRequest) {
     const connection = await this.getConnectionByRequest(protocolRequest)
-    return connection.send(protocolRequest)
+    const usage = this.usage.get(connection)
+
+    usage.inflight++
+    try {
+      return await connection.send(protocolRequest)
+    } finally {
+      usage.inflight--
+      usage.lastUsedAt = Date.now()
+    }
   }
 
+  /**
+   * The connections of a route are used in turn
+   */
   getConnectionByRequest({ request: { apiKey } }) {
-    const index = { [apiKeys.Fetch]: 1 }[apiKey] || 0
-    return this.getConnection(index)
+    const { routes, routeByApiKey } = this.routing
+    const route = routeByApiKey.has(apiKey) ? routeByApiKey.get(apiKey) : 0
+    const connections = routes[route]
+
+    const next = this.nextConnectionByRoute[route]
+    this.nextConnectionByRoute[route] = (next + 1) % connections.length
+
+    return this.getConnection(connections[next])
   }
 
   async getConnection(index = 0) {
     const connection = this.pool[index]
 
+    if (this.maxIdleMs != null) {
+      await this[PRIVATE.DISCONNECT_IDLE_CONNECTIONS](connection)
+    }
+
     if (!connection.isConnected()) {
       await connection.connect()
     }
@@ -1,5 +1,6 @@
 const apiKeys = require('../protocol/requests/apiKeys')
 const { connectionOpts } = require('testHelpers')
+const createRouting = require('./connectionPoolRouting')
 const ConnectionPool = require('./connectionPool')
 
 describe('ConnectionPool', () => {
@@ -26,10 +27,12 @@ describe('ConnectionPool', () => {
   })
 
   it('should return different connection for Fetch requests', async () => {
-    const heartbeatConnection = pool.getConnectionByRequest({
+    const heartbeatConnection = await pool.getConnectionByRequest({
       request: { apiKey: apiKeys.Heartbeat },
     })
-    const fetchConnection = pool.getConnectionByRequest({ request: { apiKey: apiKeys.Fetch } })
+    const fetchConnection = await pool.getConnectionByRequest({
+      request: { apiKey: apiKeys.Fetch },
+    })
     expect(heartbeatConnection !== fetchConnection).toBe(true)
   })
 
@@ -44,3 +47,132 @@ describe('ConnectionPool', () => {
     expect(connection.isConnected()).toBe(true)
   })
 })
+
+describe('ConnectionPool > routing', () => {
+  const now = 1700000000000
+  const request = apiKey => ({ request: { apiKey } })
+
+  /**
+   * Pool with connections that do not open sockets
+   */
+  const createPool = opts => {
+    const pool = new ConnectionPool({ ...connectionOpts(), ...opts })
+
+    pool.map(connection => {
+      let connected = false
+      jest.spyOn(connection, 'isConnected').mockImplementation(() => connected)
+      jest.spyOn(connection, 'connect').mockImplementation(async () => (connected = true))
+      jest.spyOn(connection, 'disconnect').mockImplementation(async () => (connected = false))
+      jest.spyOn(connection, 'send').mockImplementation(async () => ({}))
+    })
+
+    return pool
+  }
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('uses the connections of a route in turn', async () => {
+    const pool = createPool({
+      routing: createRouting({ routes: [{ apis: ['Produce'], size: 2 }] }),
+    })
+
+    const connections = []
+    for (let i = 0; i < 3; i++) {
+      connections.push(await pool.getConnectionByRequest(request(apiKeys.Produce)))
+    }
+
+    expect(connections).toEqual([pool.pool[1], pool.pool[2], pool.pool[1]])
+  })
+
+  it('sends the requests of ordered APIs on a single connection', async () => {
+    const pool = createPool({
+      routing: createRouting({
+        routes: [{ apis: ['Produce'], size: 3 }],
+        orderedApis: ['Produce'],
+      }),
+    })
+
+    for (let i = 0; i < 3; i++) {
+      await pool.send(request(apiKeys.Produce))
+    }
+
+    expect(pool.pool[1].send).toHaveBeenCalledTimes(3)
+    expect(pool.pool[2].send).not.toHaveBeenCalled()
+    expect(pool.pool[3].send).not.toHaveBeenCalled()
+  })
+
+  it('sends the requests without a route to the default connections', async () => {
+    const pool = createPool({
+      routing: createRouting({ size: 2, routes: [{ apis: ['Heartbeat', 'OffsetCommit'] }] }),
+    })
+
+    await pool.send(request(apiKeys.Metadata))
+    await pool.send(request(apiKeys.Fetch))
+    await pool.send(request(apiKeys.Heartbeat))
+    await pool.send(request(apiKeys.OffsetCommit))
+
+    expect(pool.pool[0].send).toHaveBeenCalledWith(request(apiKeys.Metadata))
+    expect(pool.pool[1].send).toHaveBeenCalledWith(request(apiKeys.Fetch))
+    expect(pool.pool[2].send).toHaveBeenCalledWith(request(apiKeys.Heartbeat))
+    expect(pool.pool[2].send).toHaveBeenCalledWith(request(apiKeys.OffsetCommit))
+  })
+
+  it('closes the idle connections when a connection is requested', async () => {
+    const pool = createPool({ maxIdleMs: 1000 })
+    const [connection, fetchConnection] = pool.pool
+
+    await pool.send(request(apiKeys.Metadata))
+    Date.now.mockReturnValue(now + 500)
+    await pool.send(request(apiKeys.Fetch))
+
+    Date.now.mockReturnValue(now + 1000)
+    await pool.send(request(apiKeys.Fetch))
+    expect(connection.disconnect).toHaveBeenCalledTimes(1)
+    expect(connection.isConnected()).toBe(false)
+    expect(fetchConnection.disconnect).not.toHaveBeenCalled()
+
+    // The requested connection is connected again if it has been idle
+    Date.now.mockReturnValue(now + 3000)
+    await pool.send(request(apiKeys.Fetch))
+    expect(fetchConnection.disconnect).toHaveBeenCalledTimes(1)
+    expect(fetchConnection.connect).toHaveBeenCalledTimes(2)
+    expect(fetchConnection.isConnected()).toBe(true)
+  })
+
+  it('does not close connections waiting for a response', async () => {
+    const pool = createPool({ maxIdleMs: 1000 })
+    const [connection, fetchConnection] = pool.pool
+
+    let respond
+    fetchConnection.send.mockImplementationOnce(() => new Promise(resolve => (respond = resolve)))
+    const fetch = pool.send(request(apiKeys.Fetch))
+
+    Date.now.mockReturnValue(now + 5000)
+    await pool.send(request(apiKeys.Metadata))
+    expect(fetchConnection.disconnect).not.toHaveBeenCalled()
+
+    respond({})
+    await fetch
+
+    Date.now.mockReturnValue(now + 5500)
+    await pool.send(request(apiKeys.Metadata))
+    expect(fetchConnection.disconnect).not.toHaveBeenCalled()
+    expect(connection.disconnect).not.toHaveBeenCalled()
+  })
+
+  it('keeps idle connections open without maxIdleMs', async () => {
+    const pool = createPool()
+
+    await pool.send(request(apiKeys.Fetch))
+    Date.now.mockReturnValue(now + 24 * 60 * 60 * 1000)
+    await pool.send(request(apiKeys.Metadata))
+
+    expect(pool.pool[1].disconnect).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,99 @@
+const apiKeys = require('../protocol/requests/apiKeys')
+const { KafkaJSNonRetriableError } = require('../errors')
+
+const API_NAMES = Object.keys(apiKeys)
+const DEFAULT_SIZE = 1
+
+// Fetch requests block on the broker for up to maxWaitTimeInMs, so they have their own connection
+const DEFAULT_ROUTES = [{ apis: ['Fetch'], size: 1 }]
+
+const isValidSize = size => Number.isInteger(size) && size > 0
+
+const range = (start, length) => Array.from({ length }, (_, index) => start + index)
+
+/**
+ * @typedef {Object} ConnectionPoolRouting
+ * @property {number} size Total number of connections of the pool
+ * @property {number[][]} routes Indexes of the connections of each route, the first route being
+ *                               the one of the requests without a route
+ * @property {Map<number, number>} routeByApiKey
+ */
+
+/**
+ * Assigns the connections of a pool to the requests. The first `size` connections are shared
+ * by the requests of the APIs without a route, each route then gets its own connections,
+ * used in turn by the requests of its APIs.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.size=1] Number of connections of the requests without a route
+ * @param {import("../../types").ConnectionPoolRoute[]} [options.routes=[{ apis: ['Fetch'], size: 1 }]]
+ * @param {string[]} [options.orderedApis=[]] APIs whose requests must reach the broker in order,
+ *                                            sent on the first connection of their route
+ * @returns {ConnectionPoolRouting}
+ */
+module.exports = ({ size = DEFAULT_SIZE, routes = DEFAULT_ROUTES, orderedApis = [] } = {}) => {
+  if (!isValidSize(size)) {
+    throw new KafkaJSNonRetriableError(
+      `Invalid connection pool size "${size}", it should be a positive integer`
+    )
+  }
+
+  if (!Array.isArray(routes)) {
+    throw new KafkaJSNonRetriableError(`Invalid connection pool routes, it should be an array`)
+  }
+
+  const routing = {
+    size,
+    routes: [range(0, size)],
+    routeByApiKey: new Map(),
+  }
+
+  routes.forEach(({ apis, size: routeSize = DEFAULT_SIZE }, index) => {
+    if (!Array.isArray(apis) || apis.length === 0) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid connection pool route at index ${index}: apis should be a non-empty array`
+      )
+    }
+
+    if (!isValidSize(routeSize)) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid connection pool route at index ${index}: size "${routeSize}" should be a positive integer`
+      )
+    }
+
+    const routeIndex = routing.routes.length
+    routing.routes.push(range(routing.size, routeSize))
+    routing.size += routeSize
+
+    apis.forEach(api => {
+      if (!API_NAMES.includes(api)) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid connection pool route at index ${index}: unknown API "${api}"`
+        )
+      }
+
+      if (routing.routeByApiKey.has(apiKeys[api])) {
+        throw new KafkaJSNonRetriableError(
+          `Invalid connection pool route at index ${index}: API "${api}" has already been routed`
+        )
+      }
+
+      routing.routeByApiKey.set(apiKeys[api], routeIndex)
+    })
+  })
+
+  // A route of a single connection is added for ordered APIs, sharing the first connection of
+  // the route they would use
+  orderedApis.forEach(api => {
+    const apiKey = apiKeys[api]
+    const route = routing.routeByApiKey.has(apiKey) ? routing.routeByApiKey.get(apiKey) : 0
+    const [connection, ...otherConnections] = routing.routes[route]
+
+    if (otherConnections.length > 0) {
+      routing.routeByApiKey.set(apiKey, routing.routes.length)
+      routing.routes.push([connection])
+    }
+  })
+
+  return routing
+}
@@ -0,0 +1,104 @@
+const apiKeys = require('../protocol/requests/apiKeys')
+const { KafkaJSNonRetriableError } = require('../errors')
+const createRouting = require('./connectionPoolRouting')
+
+describe('Network > ConnectionPoolRouting', () => {
+  it('routes Fetch requests to their own connection by default', () => {
+    expect(createRouting()).toEqual({
+      size: 2,
+      routes: [[0], [1]],
+      routeByApiKey: new Map([[apiKeys.Fetch, 1]]),
+    })
+  })
+
+  it('assigns the connections of each route after the default ones', () => {
+    const routing = createRouting({
+      size: 2,
+      routes: [
+        { apis: ['Fetch'] },
+        { apis: ['JoinGroup', 'SyncGroup', 'Heartbeat'], size: 1 },
+        { apis: ['Produce'], size: 3 },
+      ],
+    })
+
+    expect(routing.size).toEqual(7)
+    expect(routing.routes).toEqual([[0, 1], [2], [3], [4, 5, 6]])
+    expect(routing.routeByApiKey).toEqual(
+      new Map([
+        [apiKeys.Fetch, 1],
+        [apiKeys.JoinGroup, 2],
+        [apiKeys.SyncGroup, 2],
+        [apiKeys.Heartbeat, 2],
+        [apiKeys.Produce, 3],
+      ])
+    )
+  })
+
+  it('shares a single connection between all the requests without routes', () => {
+    expect(createRouting({ routes: [] })).toEqual({
+      size: 1,
+      routes: [[0]],
+      routeByApiKey: new Map(),
+    })
+  })
+
+  it('sends the requests of ordered APIs on the first connection of their route', () => {
+    const routing = createRouting({
+      size: 2,
+      routes: [{ apis: ['Fetch'] }, { apis: ['Produce', 'Metadata'], size: 3 }],
+      orderedApis: ['Produce', 'Fetch'],
+    })
+
+    expect(routing.size).toEqual(6)
+    expect(routing.routes).toEqual([[0, 1], [2], [3, 4, 5], [3]])
+    expect(routing.routeByApiKey.get(apiKeys.Produce)).toEqual(3)
+    expect(routing.routeByApiKey.get(apiKeys.Metadata)).toEqual(2)
+    expect(routing.routeByApiKey.get(apiKeys.Fetch)).toEqual(1)
+  })
+
+  it('sends the requests of ordered APIs without a route on the first default connection', () => {
+    const routing = createRouting({ size: 2, orderedApis: ['Produce'] })
+
+    expect(routing.routes).toEqual([[0, 1], [2], [0]])
+    expect(routing.routeByApiKey.get(apiKeys.Produce)).toEqual(2)
+  })
+
+  it('throws if the size is not a positive integer', () => {
+    expect(() => createRouting({ size: 0 })).toThrow(
+      new KafkaJSNonRetriableError(
+        'Invalid connection pool size "0", it should be a positive integer'
+      )
+    )
+    expect(() => createRouting({ routes: [{ apis: ['Produce'], size: 1.5 }] })).toThrow(
+      new KafkaJSNonRetriableError(
+        'Invalid connection pool route at index 0: size "1.5" should be a positive integer'
+      )
+    )
+  })
+
+  it('throws if a route has no APIs', () => {
+    expect(() => createRouting({ routes: [{ apis: [] }] })).toThrow(
+      new KafkaJSNonRetriableError(
+        'Invalid connection pool route at index 0: apis should be a non-empty array'
+      )
+    )
+  })
+
+  it('throws for unknown APIs', () => {
+    expect(() => createRouting({ routes: [{ apis: ['Fetch', 'toString'] }] })).toThrow(
+      new KafkaJSNonRetriableError(
+        'Invalid connection pool route at index 0: unknown API "toString"'
+      )
+    )
+  })
+
+  it('throws if an API is routed twice', () => {
+    expect(() =>
+      createRouting({ routes: [{ apis: ['Fetch'] }, { apis: ['Produce', 'Fetch'] }] })
+    ).toThrow(
+      new KafkaJSNonRetriableError(
+        'Invalid connection pool route at index 1: API "Fetch" has already been routed'
+      )
+    )
+  })
+})
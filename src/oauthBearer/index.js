@@ -0,0 +1,5 @@
+const createOidcProvider = require('./oidc')
+
+module.exports = {
+  createOidcProvider,
+}
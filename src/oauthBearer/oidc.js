@@ -0,0 +1,168 @@
+const http = require('http')
+const https = require('https')
+const { KafkaJSOAuthBearerTokenError } = require('../errors')
+
+const DEFAULT_REFRESH_THRESHOLD = 60000
+
+/**
+ * The expiration of JWT access tokens is read from the "exp" claim, in seconds
+ *
+ * @param {string} accessToken
+ * @returns {number|null}
+ */
+const jwtExpiration = accessToken => {
+  const parts = accessToken.split('.')
+
+  if (parts.length !== 3) {
+    return null
+  }
+
+  try {
+    const payload = parts[1].replace(/-/g, '+').replace(/_/g, '/')
+    const { exp } = JSON.parse(Buffer.from(payload, 'base64').toString())
+    return typeof exp === 'number' ? exp * 1000 : null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * OAuth bearer token provider using the client credentials grant of an OpenID Connect provider,
+ * the same flow as the OIDC login of the Java client (KIP-768). The token is cached and refreshed
+ * once it expires in less than `refreshThreshold`, so that reauthentications get a new token.
+ *
+ * @see https://cwiki.apache.org/confluence/pages/viewpage.action?pageId=186877575
+ *
+ * @param {object} options
+ * @param {string} options.tokenEndpoint URL of the token endpoint, e.g. https://idp/oauth2/token
+ * @param {string} options.clientId
+ * @param {string} options.clientSecret
+ * @param {string} [options.scope]
+ * @param {Record<string, string>} [options.extensions] SASL extensions sent with the token, e.g.
+ *                                                      logicalCluster and identityPoolId
+ * @param {number} [options.refreshThreshold=60000] Refresh the token when it expires in less than
+ *                                                  this many milliseconds, it must be greater than
+ *                                                  the reauthenticationThreshold of the client
+ * @param {Record<string, string>} [options.headers] Additional headers sent to the token endpoint
+ * @param {number} [options.timeout=10000] Request timeout in milliseconds
+ * @param {http.Agent} [options.agent]
+ * @returns {() => Promise<import('../../types').OauthbearerProviderResponse>}
+ */
+module.exports = ({
+  tokenEndpoint,
+  clientId,
+  clientSecret,
+  scope,
+  extensions,
+  refreshThreshold = DEFAULT_REFRESH_THRESHOLD,
+  headers = {},
+  timeout = 10000,
+  agent,
+}) => {
+  const transport = tokenEndpoint.startsWith('https:') ? https : http
+
+  // The client credentials are form-urlencoded before the basic authentication (RFC 6749 2.3.1)
+  const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+  const authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+
+  const body = new URLSearchParams([
+    ['grant_type', 'client_credentials'],
+    ...(scope ? [['scope', scope]] : []),
+  ]).toString()
+
+  const requestToken = () =>
+    new Promise((resolve, reject) => {
+      const requestedAt = Date.now()
+      const req = transport.request(
+        tokenEndpoint,
+        {
+          method: 'POST',
+          agent,
+          timeout,
+          headers: {
+            ...headers,
+            Authorization: authorization,
+            Accept: 'application/json',
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+        },
+        res => {
+          const chunks = []
+          res.on('data', chunk => chunks.push(chunk))
+          res.on('error', e => reject(new KafkaJSOAuthBearerTokenError(e)))
+          res.on('end', () => {
+            const { statusCode } = res
+            let response
+
+            try {
+              response = JSON.parse(Buffer.concat(chunks).toString())
+            } catch (e) {
+              response = {}
+            }
+
+            if (statusCode >= 400) {
+              return reject(
+                new KafkaJSOAuthBearerTokenError(
+                  response.error_description ||
+                    response.error ||
+                    `Token endpoint responded with status ${statusCode}`,
+                  { status: statusCode, error: response.error }
+                )
+              )
+            }
+
+            const { access_token: value, expires_in: expiresIn } = response
+
+            const invalidResponse = message =>
+              reject(new KafkaJSOAuthBearerTokenError(message, { status: statusCode }))
+
+            if (!value) {
+              return invalidResponse('Token endpoint did not return an access token')
+            }
+
+            const expiresAt =
+              jwtExpiration(value) || (expiresIn != null ? requestedAt + expiresIn * 1000 : null)
+
+            if (expiresAt == null) {
+              return invalidResponse('Unable to find the expiration of the access token')
+            }
+
+            resolve({ value, expiresAt })
+          })
+        }
+      )
+
+      req.on('timeout', () =>
+        req.destroy(new KafkaJSOAuthBearerTokenError('Token endpoint request timed out'))
+      )
+      req.on('error', e =>
+        reject(e instanceof KafkaJSOAuthBearerTokenError ? e : new KafkaJSOAuthBearerTokenError(e))
+      )
+
+      req.write(body)
+      req.end()
+    })
+
+  let token = null
+  let pendingToken = null
+
+  const shouldRefresh = () => token == null || Date.now() >= token.expiresAt - refreshThreshold
+
+  return async () => {
+    if (shouldRefresh()) {
+      // Concurrent authentications share the same request
+      if (pendingToken == null) {
+        pendingToken = requestToken().finally(() => {
+          pendingToken = null
+        })
+      }
+
+      token = await pendingToken
+    }
+
+    return {
+      value: token.value,
+      ...(extensions && { extensions }),
+    }
+  }
+}
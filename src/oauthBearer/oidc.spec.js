@@ -0,0 +1,160 @@
+const http = require('http')
+const createOidcProvider = require('./oidc')
+const { KafkaJSOAuthBearerTokenError } = require('../errors')
+
+describe('OAuthBearer > OIDC provider', () => {
+  let server, requests, respond, tokenEndpoint
+
+  const now = 1700000000000
+  const jwt = claims =>
+    ['{"alg":"none"}', JSON.stringify(claims), '']
+      .map(part => Buffer.from(part).toString('base64'))
+      .join('.')
+
+  const tokenResponse = ({ accessToken = 'token', expiresIn = 3600 } = {}) => ({
+    status: 200,
+    body: Object.fromEntries([
+      ['access_token', accessToken],
+      ['token_type', 'bearer'],
+      ['expires_in', expiresIn],
+    ]),
+  })
+
+  const body = req =>
+    new Promise(resolve => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    })
+
+  beforeEach(async () => {
+    requests = []
+    respond = () => tokenResponse()
+
+    server = http.createServer(async (req, res) => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: await body(req),
+      }
+      requests.push(request)
+
+      const { status, body: responseBody } = respond(request)
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(responseBody))
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    tokenEndpoint = `http://127.0.0.1:${server.address().port}/oauth2/token`
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  test('requests a token with the client credentials grant', async () => {
+    const provider = createOidcProvider({
+      tokenEndpoint,
+      clientId: 'client:id',
+      clientSecret: 'secret',
+      scope: 'kafka',
+    })
+
+    await expect(provider()).resolves.toEqual({ value: 'token' })
+    expect(requests).toEqual([
+      expect.objectContaining({
+        method: 'POST',
+        url: '/oauth2/token',
+        headers: expect.objectContaining({
+          authorization: `Basic ${Buffer.from('client%3Aid:secret').toString('base64')}`,
+          'content-type': 'application/x-www-form-urlencoded',
+        }),
+        body: 'grant_type=client_credentials&scope=kafka',
+      }),
+    ])
+  })
+
+  test('returns the SASL extensions with the token', async () => {
+    const extensions = { logicalCluster: 'lkc-abc123', identityPoolId: 'pool-xyz' }
+    const provider = createOidcProvider({
+      tokenEndpoint,
+      clientId: 'id',
+      clientSecret: 'secret',
+      extensions,
+    })
+
+    await expect(provider()).resolves.toEqual({ value: 'token', extensions })
+  })
+
+  test('caches the token until it expires in less than the refresh threshold', async () => {
+    const provider = createOidcProvider({
+      tokenEndpoint,
+      clientId: 'id',
+      clientSecret: 'secret',
+      refreshThreshold: 30000,
+    })
+
+    await Promise.all([provider(), provider()])
+    Date.now.mockReturnValue(now + 3600 * 1000 - 30001)
+    await provider()
+    expect(requests.length).toEqual(1)
+
+    respond = () => tokenResponse({ accessToken: 'refreshed' })
+    Date.now.mockReturnValue(now + 3600 * 1000 - 30000)
+    await expect(provider()).resolves.toEqual({ value: 'refreshed' })
+    expect(requests.length).toEqual(2)
+  })
+
+  test('uses the expiration claim of JWT access tokens', async () => {
+    const accessToken = jwt({ sub: 'client', exp: now / 1000 + 120 })
+    respond = () => tokenResponse({ accessToken })
+    const provider = createOidcProvider({ tokenEndpoint, clientId: 'id', clientSecret: 'secret' })
+
+    await expect(provider()).resolves.toEqual({ value: accessToken })
+    Date.now.mockReturnValue(now + 60000)
+    await provider()
+    expect(requests.length).toEqual(2)
+  })
+
+  test('throws the error returned by the token endpoint', async () => {
+    respond = () => ({
+      status: 401,
+      body: JSON.parse(
+        '{ "error": "invalid_client", "error_description": "Invalid client credentials" }'
+      ),
+    })
+    const provider = createOidcProvider({ tokenEndpoint, clientId: 'id', clientSecret: 'wrong' })
+
+    const error = await provider().catch(e => e)
+    expect(error).toBeInstanceOf(KafkaJSOAuthBearerTokenError)
+    expect(error).toMatchObject({
+      message: 'Invalid client credentials',
+      status: 401,
+      error: 'invalid_client',
+      retriable: false,
+    })
+  })
+
+  test('does not cache failed requests', async () => {
+    respond = () => ({ status: 503, body: {} })
+    const provider = createOidcProvider({ tokenEndpoint, clientId: 'id', clientSecret: 'secret' })
+
+    await expect(provider()).rejects.toMatchObject({
+      message: 'Token endpoint responded with status 503',
+      retriable: true,
+    })
+
+    respond = () => tokenResponse()
+    await expect(provider()).resolves.toEqual({ value: 'token' })
+  })
+
+  test('throws if the expiration of the token is unknown', async () => {
+    respond = () => tokenResponse({ expiresIn: null })
+    const provider = createOidcProvider({ tokenEndpoint, clientId: 'id', clientSecret: 'secret' })
+
+    await expect(provider()).rejects.toThrow('Unable to find the expiration of the access token')
+  })
+})
@@ -0,0 +1,412 @@
+const Long = require('../utils/long')
+const createSendMessages = require('./sendMessages')
+const { KafkaJSMetadataNotLoaded, KafkaJSNonRetriableError } = require('../errors')
+
+const DEFAULT_BATCH_SIZE = 16384 // 16KB
+const DEFAULT_BUFFER_MEMORY = 32 * 1024 * 1024 // 32MB
+
+// Upper bound of the framing added to each record by the v2 message format
+// (length, attributes, timestamp and offset deltas and the varints of the fields)
+const RECORD_OVERHEAD = 21
+
+const sizeOf = value => {
+  if (value == null) return 0
+  if (Buffer.isBuffer(value)) return value.length
+  return Buffer.byteLength(String(value))
+}
+
+const estimateSize = ({ key, value, headers = {} }) =>
+  Object.entries(headers).reduce(
+    (size, [headerKey, headerValue]) =>
+      size +
+      Buffer.byteLength(headerKey) +
+      [].concat(headerValue).reduce((sum, item) => sum + sizeOf(item), 0),
+    RECORD_OVERHEAD + sizeOf(key) + sizeOf(value)
+  )
+
+/**
+ * Offsets in the response refer to the first record of the batch, this moves them
+ * to the first record of a caller
+ */
+const shiftOffset = (recordMetadata, delta) => {
+  const field = 'baseOffset' in recordMetadata ? 'baseOffset' : 'offset'
+  const offset = recordMetadata[field]
+
+  if (delta === 0 || offset == null || offset === '-1') {
+    return recordMetadata
+  }
+
+  return {
+    ...recordMetadata,
+    [field]: Long.fromString(offset)
+      .add(delta)
+      .toString(),
+  }
+}
+
+/**
+ * The messages of a caller can land in several batches of the same partition, its result for
+ * the partition is the one with the lowest offset
+ */
+const addResult = (results, recordMetadata) => {
+  const index = results.findIndex(
+    ({ topicName, partition }) =>
+      topicName === recordMetadata.topicName && partition === recordMetadata.partition
+  )
+
+  if (index === -1) {
+    results.push(recordMetadata)
+    return
+  }
+
+  const offsetOf = metadata => {
+    const offset = metadata['baseOffset' in metadata ? 'baseOffset' : 'offset']
+    return offset == null || offset === '-1' ? null : Long.fromString(offset)
+  }
+
+  const offset = offsetOf(recordMetadata)
+  const previousOffset = offsetOf(results[index])
+
+  if (offset && (!previousOffset || offset.lessThan(previousOffset))) {
+    results[index] = recordMetadata
+  }
+}
+
+/**
+ * Buffers messages per topic-partition and sends them in shared batches, based on the
+ * RecordAccumulator of the Java client.
+ *
+ * A batch is sent as soon as it reaches `batchSize` bytes. The other pending batches are sent
+ * together `lingerMs` after the first message was appended to them, reducing the number of
+ * produce requests when many small sends happen concurrently.
+ *
+ * @param {Object} options
+ * @param {import("../../types").Logger} options.logger
+ * @param {import("../../types").Cluster} options.cluster
+ * @param {ReturnType<import("../../types").ICustomPartitioner>} options.partitioner
+ * @param {import("./eosManager").EosManager} options.eosManager
+ * @param {import("../retry").Retrier} options.retrier
+ * @param {number} options.lingerMs Time to wait for more messages before sending a batch
+ * @param {number} [options.batchSize=16384] Maximum size in bytes of a batch
+ * @param {number} [options.bufferMemory=33554432] Maximum size in bytes of all buffered messages,
+ *                                                 appending waits for memory to be released
+ */
+module.exports = ({
+  logger,
+  cluster,
+  partitioner,
+  eosManager,
+  retrier,
+  lingerMs,
+  batchSize = DEFAULT_BATCH_SIZE,
+  bufferMemory = DEFAULT_BUFFER_MEMORY,
+}) => {
+  if (!Number.isFinite(lingerMs) || lingerMs < 0) {
+    throw new KafkaJSNonRetriableError(
+      `Invalid lingerMs "${lingerMs}", expected a non-negative number`
+    )
+  }
+
+  for (const [name, value] of Object.entries({ batchSize, bufferMemory })) {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new KafkaJSNonRetriableError(`Invalid ${name} "${value}", expected a positive number`)
+    }
+  }
+
+  // Messages are partitioned when appended, the batches keep their partition when sent
+  const sendMessages = createSendMessages({
+    logger,
+    cluster,
+    retrier,
+    eosManager,
+    partitioner: ({ message }) => message.partition,
+  })
+
+  /** @type {Map<string, Batch>} */
+  const pendingBatches = new Map()
+  const inFlightRequests = new Set()
+  const pendingAppends = new Set()
+  let memoryWaiters = []
+  let bufferedBytes = 0
+  let lingerTimer = null
+
+  /**
+   * @typedef {Object} Batch
+   * @property {Object} options acks, timeout and compression of the produce request
+   * @property {string} topic
+   * @property {number} partition
+   * @property {Array} messages
+   * @property {number} size
+   * @property {Map<Caller, number>} callers Index of the first message of each caller
+   *
+   * @typedef {Object} Caller
+   * @property {Set<Batch>} batches Batches not sent yet
+   * @property {Array} results
+   * @property {Function} resolve
+   * @property {Function} reject
+   */
+
+  const releaseMemory = size => {
+    bufferedBytes -= size
+    const waiters = memoryWaiters
+    memoryWaiters = []
+    waiters.forEach(resolve => resolve())
+  }
+
+  const reserveMemory = async size => {
+    if (size > bufferMemory) {
+      throw new KafkaJSNonRetriableError(
+        `The messages are ${size} bytes, which is larger than the buffer memory (${bufferMemory})`
+      )
+    }
+
+    const hasMemory = () => bufferedBytes + size <= bufferMemory
+    while (!hasMemory()) {
+      await new Promise(resolve => memoryWaiters.push(resolve))
+    }
+
+    bufferedBytes += size
+  }
+
+  const partitionMessages = async topicMessages => {
+    const topics = topicMessages.map(({ topic }) => topic)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      await cluster.addMultipleTargetTopics(topics)
+      await cluster.refreshMetadataIfNecessary()
+
+      try {
+        return topicMessages.map(({ topic, messages }) => {
+          const partitionMetadata = cluster.findTopicPartitionMetadata(topic)
+
+          if (partitionMetadata.length === 0) {
+            throw new KafkaJSMetadataNotLoaded('Producing to topic without metadata')
+          }
+
+          return {
+            topic,
+            messages: messages.map(message => ({
+              ...message,
+              partition: partitioner({ topic, partitionMetadata, message }),
+            })),
+          }
+        })
+      } catch (e) {
+        if (e.name !== 'KafkaJSMetadataNotLoaded') {
+          bail(e)
+          return
+        }
+
+        logger.debug('Producing to topic without metadata', { topics, retryCount, retryTime })
+        await cluster.refreshMetadata()
+        throw e
+      }
+    })
+  }
+
+  const completeBatch = (batch, partitionMetadata, batchOffset) => {
+    for (const [caller, index] of batch.callers) {
+      caller.batches.delete(batch)
+
+      if (partitionMetadata) {
+        addResult(caller.results, shiftOffset(partitionMetadata, batchOffset + index))
+      }
+
+      if (caller.batches.size === 0) {
+        caller.resolve(caller.results)
+      }
+    }
+  }
+
+  const sendBatches = async batches => {
+    const { options } = batches[0]
+    const topicMessages = []
+
+    // Several full batches of the same partition can be sent together, the offsets
+    // of each one start after the messages of the previous ones
+    const messagesPerPartition = new Map()
+    const batchOffsets = batches.map(({ topic, partition, messages }) => {
+      const key = JSON.stringify([topic, partition])
+      const offset = messagesPerPartition.get(key) || 0
+      messagesPerPartition.set(key, offset + messages.length)
+      return offset
+    })
+
+    for (const { topic, messages } of batches) {
+      const entry = topicMessages.find(topicMessage => topicMessage.topic === topic)
+
+      if (entry) {
+        entry.messages.push(...messages)
+      } else {
+        topicMessages.push({ topic, messages: [...messages] })
+      }
+    }
+
+    try {
+      const responses = await sendMessages({ ...options, topicMessages })
+
+      batches.forEach((batch, index) => {
+        const partitionMetadata = responses.find(
+          ({ topicName, partition }) => topicName === batch.topic && partition === batch.partition
+        )
+
+        completeBatch(batch, partitionMetadata, batchOffsets[index])
+      })
+    } catch (e) {
+      for (const batch of batches) {
+        for (const caller of batch.callers.keys()) {
+          caller.reject(e)
+        }
+      }
+    } finally {
+      releaseMemory(batches.reduce((size, batch) => size + batch.size, 0))
+    }
+  }
+
+  /**
+   * One produce request per combination of acks, timeout and compression
+   */
+  const send = batchesToSend => {
+    const batchesPerOptions = new Map()
+    for (const batch of batchesToSend) {
+      const key = JSON.stringify(batch.options)
+      batchesPerOptions.set(key, [...(batchesPerOptions.get(key) || []), batch])
+    }
+
+    for (const batches of batchesPerOptions.values()) {
+      const request = sendBatches(batches)
+      inFlightRequests.add(request)
+      request.finally(() => inFlightRequests.delete(request))
+    }
+  }
+
+  /**
+   * Sends the pending batches
+   */
+  const drain = () => {
+    clearTimeout(lingerTimer)
+    lingerTimer = null
+
+    const batches = [...pendingBatches.values()]
+    pendingBatches.clear()
+    send(batches)
+  }
+
+  /**
+   * Reserves the memory of the messages and adds them to the pending batches. The promise of
+   * the results is wrapped, so that the caller knows when the messages are in the batches
+   *
+   * @returns {Promise<{ results: Promise<Array<import("../../types").RecordMetadata>> }>}
+   */
+  const addToBatches = async ({ acks, timeout, compression, topicMessages }) => {
+    const options = { acks, timeout, compression }
+    const sizes = topicMessages.map(({ messages }) => messages.map(estimateSize))
+    const totalSize = sizes.flat().reduce((sum, size) => sum + size, 0)
+
+    await reserveMemory(totalSize)
+
+    let partitionedTopicMessages
+    try {
+      partitionedTopicMessages = await partitionMessages(topicMessages)
+    } catch (e) {
+      releaseMemory(totalSize)
+      throw e
+    }
+
+    const results = new Promise((resolve, reject) => {
+      /** @type {Caller} */
+      const caller = { batches: new Set(), results: [], resolve, reject }
+      const fullBatches = []
+
+      partitionedTopicMessages.forEach(({ topic, messages }, topicIndex) => {
+        messages.forEach((message, messageIndex) => {
+          const size = sizes[topicIndex][messageIndex]
+          const key = JSON.stringify([acks, timeout, compression, topic, message.partition])
+          let batch = pendingBatches.get(key)
+
+          if (batch && batch.size + size > batchSize) {
+            fullBatches.push(batch)
+            pendingBatches.delete(key)
+            batch = null
+          }
+
+          if (!batch) {
+            batch = {
+              options,
+              topic,
+              partition: message.partition,
+              messages: [],
+              size: 0,
+              callers: new Map(),
+            }
+            pendingBatches.set(key, batch)
+          }
+
+          if (!batch.callers.has(caller)) {
+            batch.callers.set(caller, batch.messages.length)
+            caller.batches.add(batch)
+          }
+
+          batch.messages.push(message)
+          batch.size += size
+        })
+      })
+
+      if (caller.batches.size === 0) {
+        return resolve([])
+      }
+
+      // The batches that are not full keep waiting for the linger time
+      send(fullBatches)
+
+      if (!lingerTimer && pendingBatches.size > 0) {
+        lingerTimer = setTimeout(drain, lingerMs)
+      }
+    })
+
+    return { results }
+  }
+
+  /**
+   * @param {Object} request
+   * @param {number} [request.acks]
+   * @param {number} [request.timeout]
+   * @param {import("../../types").CompressionTypes} [request.compression]
+   * @param {Array<import("../../types").TopicMessages>} request.topicMessages
+   * @returns {Promise<Array<import("../../types").RecordMetadata>>} the metadata of the partitions
+   *          written by this request, with the offset of its first message in each partition
+   */
+  const append = async request => {
+    const adding = addToBatches(request)
+    pendingAppends.add(adding)
+
+    let added
+    try {
+      added = await adding
+    } finally {
+      pendingAppends.delete(adding)
+    }
+
+    return added.results
+  }
+
+  /**
+   * Sends the pending batches without waiting for the linger time and waits for all requests
+   * in flight. The appends waiting for memory or metadata are sent as well once added to the
+   * batches, so that no request is left for after the producer disconnects
+   */
+  const flush = async () => {
+    do {
+      drain()
+      await Promise.all([
+        ...inFlightRequests,
+        ...[...pendingAppends].map(adding => adding.catch(() => {})),
+      ])
+    } while (pendingBatches.size > 0 || pendingAppends.size > 0 || inFlightRequests.size > 0)
+  }
+
+  return {
+    append,
+    flush,
+  }
+}
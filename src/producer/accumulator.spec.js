@@ -0,0 +1,380 @@
+jest.mock('./sendMessages')
+const { newLogger } = require('testHelpers')
+const { KafkaJSNonRetriableError } = require('../errors')
+const { createErrorFromCode } = require('../protocol/error')
+const retry = require('../retry')
+const createSendMessages = require('./sendMessages')
+const createAccumulator = require('./accumulator')
+
+describe('Producer > Accumulator', () => {
+  const topic = 'topic-name'
+  let cluster, partitioner, sendMessages, retrier
+
+  const createProducerResponse = ({ topicMessages }) =>
+    topicMessages.flatMap(({ topic, messages }) =>
+      [...new Set(messages.map(({ partition }) => partition))].map(partition => ({
+        topicName: topic,
+        partition,
+        errorCode: 0,
+        baseOffset: `${partition * 100}`,
+        logAppendTime: '-1',
+        logStartOffset: '0',
+      }))
+    )
+
+  const accumulator = options =>
+    createAccumulator({
+      logger: newLogger(),
+      cluster,
+      partitioner,
+      eosManager: {},
+      retrier,
+      lingerMs: 10,
+      ...options,
+    })
+
+  beforeEach(() => {
+    cluster = {
+      addMultipleTargetTopics: jest.fn(),
+      refreshMetadata: jest.fn(),
+      refreshMetadataIfNecessary: jest.fn(),
+      findTopicPartitionMetadata: jest.fn(() => [{ partitionId: 0 }, { partitionId: 1 }]),
+    }
+    partitioner = jest.fn(({ message }) => Number(message.key))
+    sendMessages = jest.fn(async request => createProducerResponse(request))
+    createSendMessages.mockImplementation(() => sendMessages)
+    retrier = retry({ retries: 2, initialRetryTime: 1 })
+  })
+
+  test('sends the messages with the partition assigned when appended', async () => {
+    await accumulator().append({
+      topicMessages: [{ topic, messages: [{ key: '1', value: 'a' }] }],
+    })
+
+    expect(partitioner).toHaveBeenCalledTimes(1)
+    expect(sendMessages).toHaveBeenCalledWith({
+      acks: undefined,
+      timeout: undefined,
+      compression: undefined,
+      topicMessages: [{ topic, messages: [{ key: '1', value: 'a', partition: 1 }] }],
+    })
+
+    // The messages are not partitioned again when sent
+    const { partitioner: sendPartitioner } = createSendMessages.mock.calls[0][0]
+    expect(sendPartitioner({ message: { key: '0', partition: 1 } })).toEqual(1)
+  })
+
+  test('merges concurrent sends into shared batches', async () => {
+    const { append } = accumulator()
+    const results = await Promise.all([
+      append({
+        topicMessages: [
+          {
+            topic,
+            messages: [
+              { key: '0', value: 'a' },
+              { key: '1', value: 'b' },
+            ],
+          },
+        ],
+      }),
+      append({
+        topicMessages: [
+          {
+            topic,
+            messages: [
+              { key: '0', value: 'c' },
+              { key: '0', value: 'd' },
+            ],
+          },
+        ],
+      }),
+      append({ topicMessages: [{ topic, messages: [{ key: '0', value: 'e' }] }] }),
+    ])
+
+    expect(sendMessages).toHaveBeenCalledTimes(1)
+    expect(sendMessages.mock.calls[0][0].topicMessages).toEqual([
+      {
+        topic,
+        messages: [
+          { key: '0', value: 'a', partition: 0 },
+          { key: '0', value: 'c', partition: 0 },
+          { key: '0', value: 'd', partition: 0 },
+          { key: '0', value: 'e', partition: 0 },
+          { key: '1', value: 'b', partition: 1 },
+        ],
+      },
+    ])
+
+    expect(results).toEqual([
+      [
+        expect.objectContaining({ topicName: topic, partition: 0, baseOffset: '0' }),
+        expect.objectContaining({ topicName: topic, partition: 1, baseOffset: '100' }),
+      ],
+      [expect.objectContaining({ topicName: topic, partition: 0, baseOffset: '1' })],
+      [expect.objectContaining({ topicName: topic, partition: 0, baseOffset: '3' })],
+    ])
+  })
+
+  test('shifts the offset field of responses without base offset', async () => {
+    sendMessages.mockImplementation(async request =>
+      createProducerResponse(request).map(({ topicName, partition }) => ({
+        topicName,
+        partition,
+        errorCode: 0,
+        offset: '10',
+        timestamp: '-1',
+      }))
+    )
+
+    const { append } = accumulator()
+    const message = { key: '0', value: 'a' }
+    const results = await Promise.all([
+      append({ topicMessages: [{ topic, messages: [message] }] }),
+      append({ topicMessages: [{ topic, messages: [message] }] }),
+    ])
+
+    expect(results).toEqual([
+      [expect.objectContaining({ offset: '10' })],
+      [expect.objectContaining({ offset: '11' })],
+    ])
+  })
+
+  test('sends different acks, timeout and compression in separate requests', async () => {
+    const { append } = accumulator()
+    const topicMessages = [{ topic, messages: [{ key: '0', value: 'a' }] }]
+
+    await Promise.all([
+      append({ topicMessages }),
+      append({ topicMessages, acks: 1 }),
+      append({ topicMessages, compression: 1 }),
+      append({ topicMessages, compression: 1 }),
+    ])
+
+    expect(sendMessages).toHaveBeenCalledTimes(3)
+    expect(sendMessages).toHaveBeenCalledWith(expect.objectContaining({ acks: 1 }))
+    expect(sendMessages).toHaveBeenCalledWith(
+      expect.objectContaining({
+        compression: 1,
+        topicMessages: [{ topic, messages: [expect.anything(), expect.anything()] }],
+      })
+    )
+  })
+
+  test('sends a full batch without waiting for the linger time', async () => {
+    const { append, flush } = accumulator({ lingerMs: 60000, batchSize: 100 })
+    const value = Buffer.alloc(60)
+
+    const first = append({ topicMessages: [{ topic, messages: [{ key: '0', value }] }] })
+    await new Promise(resolve => setImmediate(resolve))
+    expect(sendMessages).not.toHaveBeenCalled()
+
+    const second = append({ topicMessages: [{ topic, messages: [{ key: '0', value }] }] })
+    await expect(first).resolves.toEqual([expect.objectContaining({ baseOffset: '0' })])
+
+    expect(sendMessages).toHaveBeenCalledTimes(1)
+    expect(sendMessages.mock.calls[0][0].topicMessages).toEqual([
+      { topic, messages: [expect.objectContaining({ value })] },
+    ])
+
+    // The batch started by the second message waits for the linger time
+    await flush()
+    await expect(second).resolves.toEqual([expect.objectContaining({ baseOffset: '0' })])
+    expect(sendMessages).toHaveBeenCalledTimes(2)
+  })
+
+  test('keeps the batches of other partitions waiting for the linger time', async () => {
+    const { append, flush } = accumulator({ lingerMs: 60000, batchSize: 100 })
+    const value = Buffer.alloc(60)
+
+    const other = append({ topicMessages: [{ topic, messages: [{ key: '1', value: 'a' }] }] })
+    const full = append({
+      topicMessages: [
+        {
+          topic,
+          messages: [
+            { key: '0', value },
+            { key: '0', value },
+          ],
+        },
+      ],
+    })
+
+    await new Promise(resolve => setImmediate(resolve))
+    expect(sendMessages).toHaveBeenCalledTimes(1)
+    expect(sendMessages.mock.calls[0][0].topicMessages).toEqual([
+      { topic, messages: [expect.objectContaining({ partition: 0, value })] },
+    ])
+
+    await flush()
+    await expect(other).resolves.toEqual([expect.objectContaining({ partition: 1 })])
+    await expect(full).resolves.toEqual([expect.objectContaining({ partition: 0 })])
+    expect(sendMessages.mock.calls[1][0].topicMessages).toEqual([
+      {
+        topic,
+        messages: [
+          expect.objectContaining({ partition: 1, value: 'a' }),
+          expect.objectContaining({ partition: 0, value }),
+        ],
+      },
+    ])
+  })
+
+  test('returns the lowest offset of a send spanning several batches of a partition', async () => {
+    let nextOffset = 10
+    sendMessages.mockImplementation(async request =>
+      createProducerResponse(request).map(response => {
+        const count = request.topicMessages[0].messages.length
+        const baseOffset = `${nextOffset}`
+        nextOffset += count
+        return { ...response, baseOffset }
+      })
+    )
+
+    const { append } = accumulator({ batchSize: 100 })
+    const value = Buffer.alloc(60)
+    const results = await append({
+      topicMessages: [
+        {
+          topic,
+          messages: [
+            { key: '0', value },
+            { key: '0', value },
+            { key: '0', value },
+          ],
+        },
+      ],
+    })
+
+    expect(sendMessages).toHaveBeenCalledTimes(2)
+    expect(results).toEqual([
+      expect.objectContaining({ topicName: topic, partition: 0, baseOffset: '10' }),
+    ])
+  })
+
+  test('resolves acks=0 requests without metadata', async () => {
+    sendMessages.mockImplementation(async () => [])
+
+    await expect(
+      accumulator().append({
+        acks: 0,
+        topicMessages: [{ topic, messages: [{ key: '0', value: 'a' }] }],
+      })
+    ).resolves.toEqual([])
+  })
+
+  test('rejects every send of a failed request', async () => {
+    const error = createErrorFromCode(10)
+    sendMessages.mockImplementation(async () => {
+      throw error
+    })
+
+    const { append } = accumulator()
+    const topicMessages = [{ topic, messages: [{ key: '0', value: 'a' }] }]
+    const results = await Promise.allSettled([append({ topicMessages }), append({ topicMessages })])
+
+    expect(results).toEqual([
+      { status: 'rejected', reason: error },
+      { status: 'rejected', reason: error },
+    ])
+  })
+
+  test('waits for the buffer memory to be released', async () => {
+    let completeRequest
+    sendMessages.mockImplementationOnce(
+      request =>
+        new Promise(resolve => (completeRequest = () => resolve(createProducerResponse(request))))
+    )
+
+    const { append } = accumulator({ lingerMs: 0, bufferMemory: 100 })
+    const value = Buffer.alloc(60)
+
+    const first = append({ topicMessages: [{ topic, messages: [{ key: '0', value }] }] })
+    const second = append({ topicMessages: [{ topic, messages: [{ key: '1', value }] }] })
+
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(sendMessages).toHaveBeenCalledTimes(1)
+
+    completeRequest()
+    await expect(first).resolves.toEqual([expect.objectContaining({ partition: 0 })])
+    await expect(second).resolves.toEqual([expect.objectContaining({ partition: 1 })])
+    expect(sendMessages).toHaveBeenCalledTimes(2)
+  })
+
+  test('throws an error if the messages are larger than the buffer memory', async () => {
+    await expect(
+      accumulator({ bufferMemory: 100 }).append({
+        topicMessages: [{ topic, messages: [{ key: '0', value: Buffer.alloc(100) }] }],
+      })
+    ).rejects.toThrow(
+      new KafkaJSNonRetriableError(
+        'The messages are 122 bytes, which is larger than the buffer memory (100)'
+      )
+    )
+  })
+
+  test('retries when the topic metadata is not loaded', async () => {
+    cluster.findTopicPartitionMetadata
+      .mockImplementationOnce(() => [])
+      .mockImplementation(() => [{ partitionId: 0 }])
+
+    await expect(
+      accumulator().append({ topicMessages: [{ topic, messages: [{ key: '0', value: 'a' }] }] })
+    ).resolves.toEqual([expect.objectContaining({ partition: 0 })])
+
+    expect(cluster.refreshMetadata).toHaveBeenCalledTimes(1)
+  })
+
+  test('flush sends the pending batches and waits for them', async () => {
+    const { append, flush } = accumulator({ lingerMs: 60000 })
+    const result = append({ topicMessages: [{ topic, messages: [{ key: '0', value: 'a' }] }] })
+
+    await new Promise(resolve => setImmediate(resolve))
+    await flush()
+
+    expect(sendMessages).toHaveBeenCalledTimes(1)
+    await expect(result).resolves.toEqual([expect.objectContaining({ partition: 0 })])
+  })
+
+  test('flush waits for the appends waiting for the topic metadata', async () => {
+    let loadMetadata
+    cluster.refreshMetadataIfNecessary.mockImplementationOnce(
+      () => new Promise(resolve => (loadMetadata = resolve))
+    )
+
+    const { append, flush } = accumulator({ lingerMs: 60000 })
+    const result = append({ topicMessages: [{ topic, messages: [{ key: '0', value: 'a' }] }] })
+    const flushed = flush()
+
+    await new Promise(resolve => setImmediate(resolve))
+    loadMetadata()
+    await flushed
+
+    expect(sendMessages).toHaveBeenCalledTimes(1)
+    await expect(result).resolves.toEqual([expect.objectContaining({ partition: 0 })])
+  })
+
+  test('flush waits for the appends waiting for the buffer memory', async () => {
+    const { append, flush } = accumulator({ lingerMs: 60000, bufferMemory: 100 })
+    const value = Buffer.alloc(60)
+
+    const first = append({ topicMessages: [{ topic, messages: [{ key: '0', value }] }] })
+    const second = append({ topicMessages: [{ topic, messages: [{ key: '1', value }] }] })
+
+    await new Promise(resolve => setImmediate(resolve))
+    await flush()
+
+    expect(sendMessages).toHaveBeenCalledTimes(2)
+    await expect(first).resolves.toEqual([expect.objectContaining({ partition: 0 })])
+    await expect(second).resolves.toEqual([expect.objectContaining({ partition: 1 })])
+  })
+
+  test('throws an error for invalid options', () => {
+    expect(() => accumulator({ lingerMs: -1 })).toThrow(
+      new KafkaJSNonRetriableError('Invalid lingerMs "-1", expected a non-negative number')
+    )
+    expect(() => accumulator({ batchSize: 0 })).toThrow(
+      new KafkaJSNonRetriableError('Invalid batchSize "0", expected a positive number')
+    )
+  })
+})
@@ -1,6 +1,5 @@
 const createProducer = require('./index')
 const Compression = require('../protocol/message/compression')
-const { KafkaJSNotImplemented } = require('../errors')
 
 const {
   secureRandom,
@@ -9,6 +8,8 @@ const {
   connectionOpts,
   newLogger,
   createCluster,
+  testIfKafkaAtLeast_2_1,
+  testIfKafkaAtMost_2_0,
 } = require('testHelpers')
 
 describe('Producer', () => {
@@ -27,23 +28,44 @@ describe('Producer', () => {
     producer && (await producer.disconnect())
   })
 
-  const codecsUsingExternalLibraries = [
+  const builtInCodecs = [
     { name: 'snappy', codec: Compression.Types.Snappy },
     { name: 'lz4', codec: Compression.Types.LZ4 },
-    { name: 'zstd', codec: Compression.Types.ZSTD },
   ]
 
-  for (const entry of codecsUsingExternalLibraries) {
-    describe(`${entry.name} compression not configured`, () => {
-      it('throws an error', async () => {
+  for (const entry of builtInCodecs) {
+    describe(`${entry.name} compression`, () => {
+      it('produces messages', async () => {
         await expect(
           producer.send({
             topic: topicName,
             compression: entry.codec,
             messages: [{ key: secureRandom(), value: secureRandom() }],
           })
-        ).rejects.toThrow(KafkaJSNotImplemented)
+        ).resolves.toEqual([expect.objectContaining({ topicName, errorCode: 0 })])
       })
     })
   }
+
+  describe('zstd compression', () => {
+    testIfKafkaAtLeast_2_1('produces messages', async () => {
+      await expect(
+        producer.send({
+          topic: topicName,
+          compression: Compression.Types.ZSTD,
+          messages: [{ key: secureRandom(), value: secureRandom() }],
+        })
+      ).resolves.toEqual([expect.objectContaining({ topicName, errorCode: 0 })])
+    })
+
+    testIfKafkaAtMost_2_0('throws an error if the broker does not support Produce v7', async () => {
+      await expect(
+        producer.send({
+          topic: topicName,
+          compression: Compression.Types.ZSTD,
+          messages: [{ key: secureRandom(), value: secureRandom() }],
+        })
+      ).rejects.toHaveProperty('type', 'UNSUPPORTED_COMPRESSION_TYPE')
+    })
+  })
 })
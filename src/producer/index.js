@@ -4,6 +4,7 @@ const { DefaultPartitioner } = require('./partitioners/')
 const InstrumentationEventEmitter = require('../instrumentation/emitter')
 const createEosManager = require('./eosManager')
 const createMessageProducer = require('./messageProducer')
+const createAccumulator = require('./accumulator')
 const { events, wrap: wrapEvent, unwrap: unwrapEvent } = require('./instrumentationEvents')
 const { KafkaJSNonRetriableError } = require('../errors')
 
@@ -26,6 +27,12 @@ const { CONNECT, DISCONNECT } = events
  * @param {string} [params.transactionalId]
  * @param {number} [params.transactionTimeout]
  * @param {InstrumentationEventEmitter} [params.instrumentationEmitter]
+ * @param {number} [params.lingerMs] Enables the batch accumulator, merging the messages of
+ *                                   concurrent sends for up to `lingerMs` milliseconds
+ * @param {number} [params.batchSize] Maximum size in bytes of an accumulated batch
+ * @param {number} [params.bufferMemory] Maximum size in bytes of the accumulated messages
+ * @param {import('../../types').Serializers} [params.serializers] Serialize the key, value and
+ *                                                                headers of the messages
  *
  * @returns {import('../../types').Producer}
  */
@@ -38,6 +45,10 @@ module.exports = ({
   transactionalId,
   transactionTimeout,
   instrumentationEmitter: rootInstrumentationEmitter,
+  lingerMs,
+  batchSize,
+  bufferMemory,
+  serializers,
 }) => {
   let connectionStatus = CONNECTION_STATUS.DISCONNECTED
   retry = retry || { retries: idempotent ? Number.MAX_SAFE_INTEGER : 5 }
@@ -65,6 +76,20 @@ module.exports = ({
     transactionalId,
   })
 
+  const accumulator =
+    lingerMs == null
+      ? null
+      : createAccumulator({
+          logger,
+          cluster,
+          partitioner,
+          eosManager: idempotentEosManager,
+          retrier,
+          lingerMs,
+          batchSize,
+          bufferMemory,
+        })
+
   const { send, sendBatch } = createMessageProducer({
     logger,
     cluster,
@@ -73,6 +98,8 @@ module.exports = ({
     idempotent,
     retrier,
     getConnectionStatus: () => connectionStatus,
+    accumulator,
+    serializers,
   })
 
   let transactionalEosManager
@@ -147,6 +174,7 @@ module.exports = ({
       eosManager: transactionalEosManager,
       idempotent: true,
       getConnectionStatus: () => connectionStatus,
+      serializers,
     })
 
     const isActive = () => transactionalEosManager.isInTransaction() && !transactionDidEnd
@@ -229,6 +257,11 @@ module.exports = ({
      */
     disconnect: async () => {
       connectionStatus = CONNECTION_STATUS.DISCONNECTING
+
+      if (accumulator) {
+        await accumulator.flush()
+      }
+
       await cluster.disconnect()
       connectionStatus = CONNECTION_STATUS.DISCONNECTED
       instrumentationEmitter.emit(DISCONNECT)
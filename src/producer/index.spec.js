@@ -351,6 +351,40 @@ describe('Producer', () => {
     })
   })
 
+  describe('with lingerMs', () => {
+    test('merges concurrent sends into a single produce request', async () => {
+      const emitter = new InstrumentationEventEmitter()
+      const cluster = createCluster({ instrumentationEmitter: emitter })
+      await createTopic({ topic: topicName })
+
+      producer = createProducer({
+        cluster,
+        logger: newLogger(),
+        instrumentationEmitter: emitter,
+        createPartitioner: () => () => 0,
+        lingerMs: 50,
+      })
+      await producer.connect()
+
+      const produceRequests = []
+      producer.on(producer.events.REQUEST, ({ payload }) => {
+        if (payload.apiName === 'Produce') {
+          produceRequests.push(payload)
+        }
+      })
+
+      const results = await Promise.all(
+        [1, 2, 3].map(i =>
+          producer.send({ acks: 1, topic: topicName, messages: [{ value: `value-${i}` }] })
+        )
+      )
+
+      expect(produceRequests).toHaveLength(1)
+      const offsets = results.map(([{ baseOffset, offset }]) => Number(baseOffset || offset))
+      expect(offsets).toEqual([offsets[0], offsets[0] + 1, offsets[0] + 2])
+    })
+  })
+
   function testProduceMessages(idempotent = false) {
     const acks = idempotent ? -1 : 1
 
@@ -1,4 +1,5 @@
 const createSendMessages = require('./sendMessages')
+const serializeMessages = require('./serializeMessages')
 const { KafkaJSError, KafkaJSNonRetriableError } = require('../errors')
 const { CONNECTION_STATUS } = require('../network/connectionStatus')
 
@@ -10,6 +11,8 @@ module.exports = ({
   idempotent,
   retrier,
   getConnectionStatus,
+  accumulator,
+  serializers,
 }) => {
   const sendMessages = createSendMessages({
     logger,
@@ -80,7 +83,11 @@ module.exports = ({
     }
 
     validateConnectionStatus()
-    const mergedTopicMessages = topicMessages.reduce((merged, { topic, messages }) => {
+    const serializedTopicMessages = serializers
+      ? await serializeMessages(serializers, topicMessages)
+      : topicMessages
+
+    const mergedTopicMessages = serializedTopicMessages.reduce((merged, { topic, messages }) => {
       const index = merged.findIndex(({ topic: mergedTopic }) => topic === mergedTopic)
 
       if (index === -1) {
@@ -92,6 +99,15 @@ module.exports = ({
       return merged
     }, [])
 
+    if (accumulator) {
+      return await accumulator.append({
+        acks,
+        timeout,
+        compression,
+        topicMessages: mergedTopicMessages,
+      })
+    }
+
     return await sendMessages({
       acks,
       timeout,
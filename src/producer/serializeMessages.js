@@ -0,0 +1,50 @@
+const mapHeaders = require('../utils/mapHeaders')
+const { KafkaJSSerializationError } = require('../errors')
+
+/**
+ * Applies the serializers configured on the producer to the messages, the messages are
+ * serialized before they are assigned to a partition so the partitioner sees the serialized key.
+ *
+ * The key and value serializers receive the message headers, they can add headers to them.
+ * Null keys and values (e.g. tombstones) are not serialized.
+ *
+ * @param {import('../../types').Serializers} serializers
+ * @param {import('../../types').TopicMessages[]} topicMessages
+ * @returns {Promise<import('../../types').TopicMessages[]>}
+ */
+module.exports = async (serializers, topicMessages) => {
+  const { key: serializeKey, value: serializeValue, headers: serializeHeader } = serializers
+
+  const serialize = (serializer, data, context) =>
+    serializer && data != null ? serializer(data, context) : data
+
+  const serializeMessage = async (topic, message) => {
+    try {
+      const headers =
+        serializeHeader && message.headers
+          ? await mapHeaders(message.headers, (value, header) =>
+              serializeHeader(value, { topic, header })
+            )
+          : { ...message.headers }
+
+      const [key, value] = await Promise.all([
+        serialize(serializeKey, message.key, { topic, headers }),
+        serialize(serializeValue, message.value, { topic, headers }),
+      ])
+
+      return { ...message, key, value, headers }
+    } catch (e) {
+      throw new KafkaJSSerializationError(`Failed to serialize message: ${e.message}`, {
+        topic,
+        cause: e,
+      })
+    }
+  }
+
+  return Promise.all(
+    topicMessages.map(async ({ topic, messages }) => ({
+      topic,
+      messages: await Promise.all(messages.map(message => serializeMessage(topic, message))),
+    }))
+  )
+}
@@ -0,0 +1,83 @@
+const serializeMessages = require('./serializeMessages')
+const { KafkaJSSerializationError } = require('../errors')
+
+describe('Producer > serializeMessages', () => {
+  const topic = 'topic-name'
+  let topicMessages
+
+  beforeEach(() => {
+    topicMessages = [
+      {
+        topic,
+        messages: [
+          { key: { id: 1 }, value: { a: 1 }, headers: { 'trace-id': 1 }, partition: 0 },
+          { key: null, value: null },
+        ],
+      },
+    ]
+  })
+
+  test('serializes the key, value and headers of the messages', async () => {
+    const serializers = {
+      key: jest.fn(async key => JSON.stringify(key)),
+      value: jest.fn(async value => Buffer.from(JSON.stringify(value))),
+      headers: jest.fn(async value => String(value)),
+    }
+
+    await expect(serializeMessages(serializers, topicMessages)).resolves.toEqual([
+      {
+        topic,
+        messages: [
+          {
+            key: '{"id":1}',
+            value: Buffer.from('{"a":1}'),
+            headers: { 'trace-id': '1' },
+            partition: 0,
+          },
+          { key: null, value: null, headers: {} },
+        ],
+      },
+    ])
+
+    expect(serializers.key).toHaveBeenCalledTimes(1)
+    expect(serializers.key).toHaveBeenCalledWith({ id: 1 }, { topic, headers: { 'trace-id': '1' } })
+    expect(serializers.value).toHaveBeenCalledTimes(1)
+    expect(serializers.headers).toHaveBeenCalledWith(1, { topic, header: 'trace-id' })
+  })
+
+  test('allows the key and value serializers to add headers', async () => {
+    const serializers = {
+      value: async (value, { headers }) => {
+        headers['content-type'] = 'application/json'
+        return JSON.stringify(value)
+      },
+    }
+
+    const [{ messages }] = await serializeMessages(serializers, topicMessages)
+    expect(messages[0]).toEqual({
+      key: { id: 1 },
+      value: '{"a":1}',
+      headers: { 'trace-id': 1, 'content-type': 'application/json' },
+      partition: 0,
+    })
+    expect(topicMessages[0].messages[0].headers).toEqual({ 'trace-id': 1 })
+  })
+
+  test('throws a serialization error when a serializer fails', async () => {
+    const cause = new Error('Invalid value')
+    const serializers = {
+      value: async () => {
+        throw cause
+      },
+    }
+
+    const error = await serializeMessages(serializers, topicMessages).catch(e => e)
+    expect(error).toBeInstanceOf(KafkaJSSerializationError)
+    expect(error).toMatchObject({
+      message: 'Failed to serialize message: Invalid value',
+      topic,
+      retriable: false,
+      cause,
+    })
+  })
+})
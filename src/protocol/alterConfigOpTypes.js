@@ -0,0 +1,9 @@
+/**
+ * @see https://github.com/apache/kafka/blob/trunk/clients/src/main/java/org/apache/kafka/clients/admin/AlterConfigOp.java
+ */
+module.exports = {
+  SET: 0,
+  DELETE: 1,
+  APPEND: 2,
+  SUBTRACT: 3,
+}
@@ -0,0 +1,15 @@
+/**
+ * Enum for the ways a client quota filter component matches the entities
+ * @readonly
+ * @enum {number}
+ */
+module.exports = {
+  // Matches the entities with the given name
+  EXACT: 0,
+
+  // Matches the default entity, e.g. the quotas applied to the users without quotas of their own
+  DEFAULT: 1,
+
+  // Matches any entity of the type, except the default entity
+  SPECIFIED: 2,
+}
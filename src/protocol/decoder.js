@@ -44,6 +44,12 @@ module.exports = class Decoder {
     return value
   }
 
+  readUInt16() {
+    const value = this.buffer.readUInt16BE(this.offset)
+    this.offset += INT16_SIZE
+    return value
+  }
+
   canReadInt32() {
     return this.canReadBytes(INT32_SIZE)
   }
@@ -54,6 +60,12 @@ module.exports = class Decoder {
     return value
   }
 
+  readUInt32() {
+    const value = this.buffer.readUInt32BE(this.offset)
+    this.offset += INT32_SIZE
+    return value
+  }
+
   canReadInt64() {
     return this.canReadBytes(INT64_SIZE)
   }
@@ -109,6 +121,11 @@ module.exports = class Decoder {
     return value
   }
 
+  /**
+   * COMPACT_STRING and COMPACT_NULLABLE_STRING of the flexible versions (KIP-482)
+   *
+   * @returns {string|null}
+   */
   readUVarIntString() {
     const byteLength = this.readUVarInt()
 
@@ -149,6 +166,11 @@ module.exports = class Decoder {
     return stringBuffer
   }
 
+  /**
+   * COMPACT_BYTES and COMPACT_NULLABLE_BYTES of the flexible versions (KIP-482)
+   *
+   * @returns {Buffer|null}
+   */
   readUVarIntBytes() {
     const byteLength = this.readUVarInt()
 
@@ -156,7 +178,7 @@ module.exports = class Decoder {
       return null
     }
 
-    const stringBuffer = this.buffer.slice(this.offset, this.offset + byteLength)
+    const stringBuffer = this.buffer.slice(this.offset, this.offset + byteLength - 1)
     this.offset += byteLength - 1
     return stringBuffer
   }
@@ -264,7 +286,15 @@ module.exports = class Decoder {
     return result >>> 0
   }
 
-  readTaggedFields() {
+  /**
+   * Tagged fields section (KIP-482) ending the structs and headers of the flexible versions.
+   * The size of each field is written before its value, so the unknown tags are skipped
+   *
+   * @param {Object<number, (decoder: Decoder) => any>} [readers={}] The reader of each known tag
+   * @returns {Object<number, any>|null} The values of the known tags found, or null when the
+   *                                     section is empty
+   */
+  readTaggedFields(readers = {}) {
     const numberOfTaggedFields = this.readUVarInt()
 
     if (numberOfTaggedFields === 0) {
@@ -274,9 +304,12 @@ module.exports = class Decoder {
     const taggedFields = {}
 
     for (let i = 0; i < numberOfTaggedFields; i++) {
-      // Right now this will read tag, the field length, and then length number of bytes for the field value skipping over the tag
-      this.readUVarInt()
-      this.readUVarIntBytes()
+      const tag = this.readUVarInt()
+      const value = this.readBytes(this.readUVarInt())
+
+      if (readers[tag]) {
+        taggedFields[tag] = readers[tag](new Decoder(value))
+      }
     }
 
     return taggedFields
@@ -0,0 +1,13 @@
+/**
+ * Enum for the types of leader election
+ * @readonly
+ * @enum {number}
+ */
+module.exports = {
+  // Elects the preferred replica, the first replica of the assignment, if it is in sync
+  PREFERRED: 0,
+
+  // Elects an out of sync replica if none of the in sync replicas are available, at the cost of
+  // losing the records the new leader did not replicate
+  UNCLEAN: 1,
+}
@@ -106,6 +106,13 @@ module.exports = class Encoder {
     return this
   }
 
+  writeUInt16(value) {
+    this.ensureAvailable(INT16_SIZE)
+    this.buf.writeUInt16BE(value, this.offset)
+    this.offset += INT16_SIZE
+    return this
+  }
+
   writeInt32(value) {
     this.ensureAvailable(INT32_SIZE)
     this.buf.writeInt32BE(value, this.offset)
@@ -169,6 +176,12 @@ module.exports = class Encoder {
     return this
   }
 
+  /**
+   * COMPACT_STRING and COMPACT_NULLABLE_STRING of the flexible versions (KIP-482), the length is
+   * written as an unsigned varint of length + 1 so that 0 is null
+   *
+   * @param {string|null} value
+   */
   writeUVarIntString(value) {
     if (value == null) {
       this.writeUVarInt(0)
@@ -228,9 +241,14 @@ module.exports = class Encoder {
     return this
   }
 
+  /**
+   * COMPACT_BYTES and COMPACT_NULLABLE_BYTES of the flexible versions (KIP-482)
+   *
+   * @param {Buffer|string|null} value
+   */
   writeUVarIntBytes(value) {
     if (value == null) {
-      this.writeVarInt(0)
+      this.writeUVarInt(0)
       return this
     }
 
@@ -342,12 +360,24 @@ module.exports = class Encoder {
     return this
   }
 
+  /**
+   * COMPACT_ARRAY of the flexible versions (KIP-482), null is encoded with a length of 0
+   *
+   * @param {any[]|null} array
+   * @param {'int32'|'string'|'object'} [type] Primitive values are skipped unless a type is set
+   */
   writeUVarIntArray(array, type) {
-    if (type === 'object') {
+    if (array === null) {
+      this.writeUVarInt(0)
+    } else if (type === 'int32') {
+      this.writeUVarInt(array.length + 1)
+      array.forEach(value => this.writeInt32(value))
+    } else if (type === 'string') {
+      this.writeUVarInt(array.length + 1)
+      array.forEach(value => this.writeUVarIntString(value))
+    } else if (type === 'object') {
       this.writeUVarInt(array.length + 1)
       this.writeEncoderArray(array)
-    } else if (array === null) {
-      this.writeUVarInt(0)
     } else {
       const objectArray = array.filter(v => typeof v === 'object')
       this.writeUVarInt(objectArray.length + 1)
@@ -356,6 +386,33 @@ module.exports = class Encoder {
     return this
   }
 
+  /**
+   * Tagged fields section (KIP-482) ending the structs and headers of the flexible versions.
+   * The fields are written in ascending tag order, as required by the protocol
+   *
+   * @param {Object<number, Encoder>} [taggedFields={}] The encoded value of each tag
+   */
+  writeTaggedFields(taggedFields = {}) {
+    const tags = Object.keys(taggedFields)
+      .map(Number)
+      .sort((a, b) => a - b)
+
+    this.writeUVarInt(tags.length)
+    tags.forEach(tag => {
+      const value = taggedFields[tag]
+
+      if (value == null || !Buffer.isBuffer(value.buf)) {
+        throw new Error(`tagged field ${tag} should be an instance of Encoder`)
+      }
+
+      this.writeUVarInt(tag)
+      this.writeUVarInt(value.size())
+      this.writeEncoder(value)
+    })
+
+    return this
+  }
+
   // Based on:
   // https://en.wikipedia.org/wiki/LEB128 Using LEB128 format similar to VLQ.
   // https://github.com/addthis/stream-lib/blob/master/src/main/java/com/clearspring/analytics/util/Varint.java#L106
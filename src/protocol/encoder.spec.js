@@ -48,6 +48,24 @@ describe('Protocol > Encoder', () => {
       const decoder = new Decoder(encodedArray)
       expect(decoder.readUVarIntArray(decodeUVarInt)).toEqual(array)
     })
+
+    test('encode null uvarint array', () => {
+      expect(uarray(null)).toEqual(B(0x00))
+      expect(new Decoder(uarray(null)).readUVarIntArray(d => d.readInt32())).toEqual(null)
+    })
+
+    test('encode uvarint array of primitive types', () => {
+      const int32Array = new Encoder().writeUVarIntArray([1, 2], 'int32').buffer
+      expect(int32Array).toEqual(B(0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x02))
+      expect(new Decoder(int32Array).readUVarIntArray(d => d.readInt32())).toEqual([1, 2])
+
+      const stringArray = new Encoder().writeUVarIntArray(['a', 'bc'], 'string').buffer
+      expect(stringArray).toEqual(B(0x03, 0x02, 0x61, 0x03, 0x62, 0x63))
+      expect(new Decoder(stringArray).readUVarIntArray(d => d.readUVarIntString())).toEqual([
+        'a',
+        'bc',
+      ])
+    })
   })
 
   describe('Unsigned VarInt Bytes', () => {
@@ -62,6 +80,59 @@ describe('Protocol > Encoder', () => {
       expect(decodeUBytes(ubytes(''))).toEqual(B())
       expect(decodeUBytes(ubytes('kafkajs'))).toEqual(B(0x6b, 0x61, 0x66, 0x6b, 0x61, 0x6a, 0x73))
     })
+
+    test('decode uvarint bytes followed by other fields', () => {
+      const decoder = new Decoder(
+        new Encoder().writeUVarIntBytes(B(0x01, 0x02)).writeInt8(3).buffer
+      )
+      expect(decoder.readUVarIntBytes()).toEqual(B(0x01, 0x02))
+      expect(decoder.readInt8()).toEqual(3)
+    })
+  })
+
+  describe('Tagged Fields', () => {
+    test('encode an empty tagged fields section', () => {
+      expect(new Encoder().writeTaggedFields().buffer).toEqual(B(0x00))
+      expect(new Decoder(B(0x00)).readTaggedFields()).toEqual(null)
+    })
+
+    test('encode the tagged fields in ascending tag order', () => {
+      const encoder = new Encoder().writeTaggedFields({
+        3: new Encoder().writeUVarIntString('kafkajs'),
+        0: new Encoder().writeInt32(1),
+      })
+
+      expect(encoder.buffer).toEqual(
+        B(
+          ...[0x02],
+          ...[0x00, 0x04, 0x00, 0x00, 0x00, 0x01],
+          ...[0x03, 0x08, 0x08, 0x6b, 0x61, 0x66, 0x6b, 0x61, 0x6a, 0x73]
+        )
+      )
+    })
+
+    test('throws if a tagged field is not an Encoder', () => {
+      expect(() => new Encoder().writeTaggedFields({ 0: 'kafkajs' })).toThrow(
+        'tagged field 0 should be an instance of Encoder'
+      )
+    })
+
+    test('decode the known tagged fields and skip the unknown ones', () => {
+      const decoder = new Decoder(
+        new Encoder()
+          .writeTaggedFields({
+            0: new Encoder().writeInt32(1),
+            1: new Encoder().writeUVarIntBytes(B(0x01, 0x02)),
+            3: new Encoder().writeUVarIntString('kafkajs'),
+          })
+          .writeInt8(7).buffer
+      )
+
+      expect(decoder.readTaggedFields({ 3: d => d.readUVarIntString() })).toEqual({
+        3: 'kafkajs',
+      })
+      expect(decoder.readInt8()).toEqual(7)
+    })
   })
 
   describe('Unsigned VarInt String', () => {
@@ -109,6 +180,20 @@ describe('Protocol > Encoder', () => {
     })
   })
 
+  describe('unsigned int', () => {
+    test('encode and decode uint16', () => {
+      const buffer = new Encoder().writeUInt16(65535).buffer
+      expect(buffer).toEqual(B(0xff, 0xff))
+      expect(new Decoder(buffer).readUInt16()).toEqual(65535)
+    })
+
+    test('encode and decode uint32', () => {
+      const buffer = new Encoder().writeUInt32(MAX_SAFE_UNSIGNED_INT).buffer
+      expect(buffer).toEqual(B(0xff, 0xff, 0xff, 0xff))
+      expect(new Decoder(buffer).readUInt32()).toEqual(MAX_SAFE_UNSIGNED_INT)
+    })
+  })
+
   describe('double', () => {
     test('encode double', () => {
       expect(encodeDouble(-3.1415926535897932)).toEqual(
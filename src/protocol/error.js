@@ -564,6 +564,42 @@ const errorCodes = [
     retriable: true,
     message: 'There are unstable offsets that need to be cleared',
   },
+  {
+    type: 'THROTTLING_QUOTA_EXCEEDED',
+    code: 89,
+    retriable: true,
+    message: 'The throttling quota has been exceeded',
+  },
+  {
+    type: 'PRODUCER_FENCED',
+    code: 90,
+    retriable: false,
+    message: 'There is a newer producer with the same transactionalId which fences the current one',
+  },
+  {
+    type: 'RESOURCE_NOT_FOUND',
+    code: 91,
+    retriable: false,
+    message: 'A request illegally referred to a resource that does not exist',
+  },
+  {
+    type: 'DUPLICATE_RESOURCE',
+    code: 92,
+    retriable: false,
+    message: 'A request illegally referred to the same resource twice',
+  },
+  {
+    type: 'UNACCEPTABLE_CREDENTIAL',
+    code: 93,
+    retriable: false,
+    message: 'Requested credential would not meet criteria for acceptability',
+  },
+  {
+    type: 'TRANSACTIONAL_ID_NOT_FOUND',
+    code: 105,
+    retriable: false,
+    message: 'The transactionalId could not be found',
+  },
 ]
 
 const unknownErrorCode = errorCode => ({
@@ -1,5 +1,3 @@
-const { KafkaJSNotImplemented } = require('../../../errors')
-
 const COMPRESSION_CODEC_MASK = 0x07
 
 const Types = {
@@ -12,15 +10,9 @@ const Types = {
 
 const Codecs = {
   [Types.GZIP]: () => require('./gzip'),
-  [Types.Snappy]: () => {
-    throw new KafkaJSNotImplemented('Snappy compression not implemented')
-  },
-  [Types.LZ4]: () => {
-    throw new KafkaJSNotImplemented('LZ4 compression not implemented')
-  },
-  [Types.ZSTD]: () => {
-    throw new KafkaJSNotImplemented('ZSTD compression not implemented')
-  },
+  [Types.Snappy]: () => require('./snappy'),
+  [Types.LZ4]: () => require('./lz4'),
+  [Types.ZSTD]: () => require('./zstd'),
 }
 
 const lookupCodec = type => (Codecs[type] ? Codecs[type]() : null)
@@ -0,0 +1,433 @@
+const { KafkaJSNonRetriableError } = require('../../../errors')
+
+/**
+ * Pure JavaScript implementation of the LZ4 frame format
+ *
+ * Frame format: https://github.com/lz4/lz4/blob/dev/doc/lz4_Frame_format.md
+ * Block format: https://github.com/lz4/lz4/blob/dev/doc/lz4_Block_format.md
+ *
+ * Frame => Magic FrameDescriptor [Block] EndMark ContentChecksum?
+ *  Magic => uint32 (0x184D2204)
+ *  FrameDescriptor => FLG BD ContentSize? DictionaryId? HeaderChecksum
+ *  Block => BlockSize Data BlockChecksum?
+ *  EndMark => uint32 (0)
+ *
+ * Kafka versions before 0.10 computed the header checksum including the magic
+ * number (KAFKA-1493), messages using magic byte 0 are still written this way.
+ */
+
+const MAGIC = 0x184d2204
+const FRAME_VERSION = 1
+
+const FLG_VERSION_SHIFT = 6
+const FLG_BLOCK_INDEPENDENCE = 0x20
+const FLG_BLOCK_CHECKSUM = 0x10
+const FLG_CONTENT_SIZE = 0x08
+const FLG_CONTENT_CHECKSUM = 0x04
+const FLG_DICTIONARY_ID = 0x01
+
+const BD_BLOCK_MAX_SIZE_SHIFT = 4
+const BLOCK_MAX_SIZES = { 4: 64 * 1024, 5: 256 * 1024, 6: 1024 * 1024, 7: 4 * 1024 * 1024 }
+const DEFAULT_BLOCK_MAX_SIZE_ID = 4
+const UNCOMPRESSED_BLOCK_FLAG = 0x80000000
+
+const MIN_MATCH = 4
+const LAST_LITERALS = 5
+const MF_LIMIT = 12
+const MAX_OFFSET = 65535
+const HASH_LOG = 16
+const HASH_MULTIPLIER = 2654435761
+
+const PRIME32_1 = 2654435761
+const PRIME32_2 = 2246822519
+const PRIME32_3 = 3266489917
+const PRIME32_4 = 668265263
+const PRIME32_5 = 374761393
+
+const rotl32 = (value, bits) => (value << bits) | (value >>> (32 - bits))
+
+const xxh32Round = (accumulator, input) =>
+  Math.imul(rotl32((accumulator + Math.imul(input, PRIME32_2)) | 0, 13), PRIME32_1)
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} start
+ * @param {number} end
+ * @returns {number} XXH32 (seed 0) of buffer[start, end)
+ */
+const xxh32 = (buffer, start, end) => {
+  const length = end - start
+  let position = start
+  let hash
+
+  if (length >= 16) {
+    let v1 = (PRIME32_1 + PRIME32_2) | 0
+    let v2 = PRIME32_2 | 0
+    let v3 = 0
+    let v4 = -PRIME32_1 | 0
+    const limit = end - 16
+
+    do {
+      v1 = xxh32Round(v1, buffer.readInt32LE(position))
+      v2 = xxh32Round(v2, buffer.readInt32LE(position + 4))
+      v3 = xxh32Round(v3, buffer.readInt32LE(position + 8))
+      v4 = xxh32Round(v4, buffer.readInt32LE(position + 12))
+      position += 16
+    } while (position <= limit)
+
+    hash = (rotl32(v1, 1) + rotl32(v2, 7) + rotl32(v3, 12) + rotl32(v4, 18)) | 0
+  } else {
+    hash = PRIME32_5 | 0
+  }
+
+  hash = (hash + length) | 0
+
+  for (; position + 4 <= end; position += 4) {
+    hash = (hash + Math.imul(buffer.readInt32LE(position), PRIME32_3)) | 0
+    hash = Math.imul(rotl32(hash, 17), PRIME32_4)
+  }
+
+  for (; position < end; position++) {
+    hash = (hash + Math.imul(buffer[position], PRIME32_5)) | 0
+    hash = Math.imul(rotl32(hash, 11), PRIME32_1)
+  }
+
+  hash = Math.imul(hash ^ (hash >>> 15), PRIME32_2)
+  hash = Math.imul(hash ^ (hash >>> 13), PRIME32_3)
+  return (hash ^ (hash >>> 16)) >>> 0
+}
+
+const invalidInput = reason => new KafkaJSNonRetriableError(`Invalid LZ4 data: ${reason}`)
+
+const writeLength = (output, op, length) => {
+  for (; length >= 255; length -= 255) {
+    output[op++] = 255
+  }
+
+  output[op++] = length
+  return op
+}
+
+const writeSequence = (input, literalStart, literalEnd, output, op, offset, matchLength) => {
+  const literalLength = literalEnd - literalStart
+  const tokenLiteral = Math.min(literalLength, 15)
+  const tokenMatch = matchLength === 0 ? 0 : Math.min(matchLength - MIN_MATCH, 15)
+
+  output[op++] = (tokenLiteral << 4) | tokenMatch
+
+  if (literalLength >= 15) {
+    op = writeLength(output, op, literalLength - 15)
+  }
+
+  input.copy(output, op, literalStart, literalEnd)
+  op += literalLength
+
+  if (matchLength === 0) {
+    return op
+  }
+
+  output[op++] = offset & 0xff
+  output[op++] = offset >>> 8
+
+  if (matchLength - MIN_MATCH >= 15) {
+    op = writeLength(output, op, matchLength - MIN_MATCH - 15)
+  }
+
+  return op
+}
+
+const maxCompressedBlockLength = length => length + Math.floor(length / 255) + 16
+
+/**
+ * @param {Buffer} input
+ * @param {number} start
+ * @param {number} end
+ * @param {Buffer} output
+ * @param {number} op
+ * @returns {number} the output position after the compressed block
+ */
+const compressBlock = (input, start, end, output, op) => {
+  const hashTable = new Int32Array(1 << HASH_LOG)
+  const matchLimit = end - MF_LIMIT
+  const matchEndLimit = end - LAST_LITERALS
+  let literalStart = start
+  let ip = start
+
+  while (ip < matchLimit) {
+    const sequence = input.readInt32LE(ip)
+    const hash = Math.imul(sequence, HASH_MULTIPLIER) >>> (32 - HASH_LOG)
+
+    // Positions are stored + 1 so zero can represent an empty slot
+    const candidate = hashTable[hash] - 1
+    hashTable[hash] = ip + 1
+
+    if (
+      candidate < start ||
+      ip - candidate > MAX_OFFSET ||
+      input.readInt32LE(candidate) !== sequence
+    ) {
+      ip++
+      continue
+    }
+
+    let matchLength = MIN_MATCH
+    while (
+      ip + matchLength < matchEndLimit &&
+      input[ip + matchLength] === input[candidate + matchLength]
+    ) {
+      matchLength++
+    }
+
+    op = writeSequence(input, literalStart, ip, output, op, ip - candidate, matchLength)
+    ip += matchLength
+    literalStart = ip
+  }
+
+  return writeSequence(input, literalStart, end, output, op, 0, 0)
+}
+
+/**
+ * Decompress a block into output[op, ...], back references can point to any data already
+ * written to the output, which supports frames with dependent blocks
+ *
+ * @returns {number} the output position after the decompressed block
+ */
+const decompressBlock = (input, start, end, output, op, outputLimit) => {
+  let ip = start
+
+  while (ip < end) {
+    const token = input[ip++]
+    let literalLength = token >>> 4
+
+    if (literalLength === 15) {
+      let byte
+      do {
+        if (ip >= end) {
+          throw invalidInput('truncated literal length')
+        }
+
+        byte = input[ip++]
+        literalLength += byte
+      } while (byte === 255)
+    }
+
+    if (ip + literalLength > end || op + literalLength > outputLimit) {
+      throw invalidInput('literal out of bounds')
+    }
+
+    input.copy(output, op, ip, ip + literalLength)
+    ip += literalLength
+    op += literalLength
+
+    // The last sequence only contains literals
+    if (ip >= end) {
+      break
+    }
+
+    if (ip + 2 > end) {
+      throw invalidInput('truncated match offset')
+    }
+
+    const offset = input[ip] | (input[ip + 1] << 8)
+    ip += 2
+
+    let matchLength = token & 0x0f
+    if (matchLength === 15) {
+      let byte
+      do {
+        if (ip >= end) {
+          throw invalidInput('truncated match length')
+        }
+
+        byte = input[ip++]
+        matchLength += byte
+      } while (byte === 255)
+    }
+    matchLength += MIN_MATCH
+
+    if (offset === 0 || offset > op || op + matchLength > outputLimit) {
+      throw invalidInput('match out of bounds')
+    }
+
+    // Matches can overlap with the bytes being produced, so copy byte by byte
+    for (let source = op - offset, i = 0; i < matchLength; i++) {
+      output[op++] = output[source + i]
+    }
+  }
+
+  return op
+}
+
+const headerChecksum = (buffer, start, end) => (xxh32(buffer, start, end) >>> 8) & 0xff
+
+/**
+ * @param {Buffer} input
+ * @param {object} [options]
+ * @param {boolean} [options.legacyHeaderChecksum=false] compute the header checksum like Kafka < 0.10
+ * @returns {Buffer}
+ */
+const compressFrame = (input, { legacyHeaderChecksum = false } = {}) => {
+  const blockMaxSize = BLOCK_MAX_SIZES[DEFAULT_BLOCK_MAX_SIZE_ID]
+  const blockCount = Math.ceil(input.length / blockMaxSize)
+  const output = Buffer.alloc(7 + blockCount * (4 + maxCompressedBlockLength(blockMaxSize)) + 4)
+
+  output.writeUInt32LE(MAGIC, 0)
+  output[4] = (FRAME_VERSION << FLG_VERSION_SHIFT) | FLG_BLOCK_INDEPENDENCE
+  output[5] = DEFAULT_BLOCK_MAX_SIZE_ID << BD_BLOCK_MAX_SIZE_SHIFT
+  output[6] = headerChecksum(output, legacyHeaderChecksum ? 0 : 4, 6)
+  let op = 7
+
+  for (let position = 0; position < input.length; position += blockMaxSize) {
+    const end = Math.min(position + blockMaxSize, input.length)
+    const blockStart = op + 4
+    const blockEnd = compressBlock(input, position, end, output, blockStart)
+
+    if (blockEnd - blockStart < end - position) {
+      output.writeUInt32LE(blockEnd - blockStart, op)
+      op = blockEnd
+    } else {
+      // Incompressible data, store the block as is
+      output.writeUInt32LE((UNCOMPRESSED_BLOCK_FLAG | (end - position)) >>> 0, op)
+      op = blockStart + input.copy(output, blockStart, position, end)
+    }
+  }
+
+  output.writeUInt32LE(0, op)
+  return output.slice(0, op + 4)
+}
+
+/**
+ * @param {Buffer} input
+ * @param {object} [options]
+ * @param {boolean} [options.legacyHeaderChecksum=false] also accept header checksums computed like Kafka < 0.10
+ * @returns {Buffer}
+ */
+const decompressFrame = (input, { legacyHeaderChecksum = false } = {}) => {
+  if (input.length < 7 || input.readUInt32LE(0) !== MAGIC) {
+    throw invalidInput('unknown frame magic number')
+  }
+
+  const flg = input[4]
+  const bd = input[5]
+
+  if (flg >>> FLG_VERSION_SHIFT !== FRAME_VERSION) {
+    throw invalidInput(`unsupported frame version ${flg >>> FLG_VERSION_SHIFT}`)
+  }
+
+  if (flg & FLG_DICTIONARY_ID) {
+    throw invalidInput('frames using a dictionary are not supported')
+  }
+
+  const blockMaxSize = BLOCK_MAX_SIZES[(bd >>> BD_BLOCK_MAX_SIZE_SHIFT) & 0x07]
+  if (!blockMaxSize) {
+    throw invalidInput(`invalid block maximum size ${bd}`)
+  }
+
+  let ip = 6
+  let contentSize = null
+
+  if (flg & FLG_CONTENT_SIZE) {
+    if (input.length < ip + 9) {
+      throw invalidInput('truncated frame descriptor')
+    }
+
+    contentSize = input.readUInt32LE(ip) + input.readUInt32LE(ip + 4) * 2 ** 32
+    ip += 8
+  }
+
+  const checksum = input[ip]
+  if (
+    checksum !== headerChecksum(input, 4, ip) &&
+    !(legacyHeaderChecksum && checksum === headerChecksum(input, 0, ip))
+  ) {
+    throw invalidInput('frame descriptor checksum mismatch')
+  }
+  ip += 1
+
+  let output = Buffer.alloc(contentSize !== null ? contentSize : blockMaxSize)
+  let op = 0
+
+  for (;;) {
+    if (ip + 4 > input.length) {
+      throw invalidInput('truncated block size')
+    }
+
+    const blockHeader = input.readUInt32LE(ip)
+    ip += 4
+
+    if (blockHeader === 0) {
+      break
+    }
+
+    const blockSize = (blockHeader & ~UNCOMPRESSED_BLOCK_FLAG) >>> 0
+    const blockEnd = ip + blockSize
+
+    if (blockSize > blockMaxSize || blockEnd > input.length) {
+      throw invalidInput('block out of bounds')
+    }
+
+    if (flg & FLG_BLOCK_CHECKSUM) {
+      if (blockEnd + 4 > input.length) {
+        throw invalidInput('truncated block checksum')
+      }
+
+      if (input.readUInt32LE(blockEnd) !== xxh32(input, ip, blockEnd)) {
+        throw invalidInput('block checksum mismatch')
+      }
+    }
+
+    if (output.length < op + blockMaxSize) {
+      const grown = Buffer.alloc(Math.max(output.length * 2, op + blockMaxSize))
+      output.copy(grown, 0, 0, op)
+      output = grown
+    }
+
+    if (blockHeader & UNCOMPRESSED_BLOCK_FLAG) {
+      op += input.copy(output, op, ip, blockEnd)
+    } else {
+      op = decompressBlock(input, ip, blockEnd, output, op, op + blockMaxSize)
+    }
+
+    ip = blockEnd + (flg & FLG_BLOCK_CHECKSUM ? 4 : 0)
+  }
+
+  if (flg & FLG_CONTENT_CHECKSUM) {
+    if (ip + 4 > input.length) {
+      throw invalidInput('truncated content checksum')
+    }
+
+    if (input.readUInt32LE(ip) !== xxh32(output, 0, op)) {
+      throw invalidInput('content checksum mismatch')
+    }
+  }
+
+  if (contentSize !== null && op !== contentSize) {
+    throw invalidInput(`expected ${contentSize} bytes, got ${op}`)
+  }
+
+  return output.slice(0, op)
+}
+
+module.exports = {
+  /**
+   * @param {Encoder} encoder
+   * @returns {Promise}
+   */
+  async compress(encoder) {
+    return compressFrame(encoder.buffer)
+  },
+
+  /**
+   * @param {Buffer} buffer
+   * @param {object} [context]
+   * @param {number} [context.magicByte] message format of the legacy MessageSet being decoded
+   * @returns {Promise}
+   */
+  async decompress(buffer, { magicByte } = {}) {
+    return decompressFrame(buffer, { legacyHeaderChecksum: magicByte === 0 })
+  },
+
+  compressFrame,
+  decompressFrame,
+  xxh32,
+}
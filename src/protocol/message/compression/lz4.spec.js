@@ -0,0 +1,106 @@
+const Encoder = require('../../encoder')
+const { KafkaJSNonRetriableError } = require('../../../errors')
+const LZ4 = require('./lz4')
+
+describe('Protocol > Message > Compression > LZ4', () => {
+  const encode = buffer => new Encoder().writeBuffer(buffer)
+
+  const samples = {
+    empty: Buffer.alloc(0),
+    'short text': Buffer.from('kafkajs'),
+    repetitive: Buffer.alloc(300 * 1024, 'abcabcabd'),
+    text: Buffer.from(
+      Array.from({ length: 20000 }, (_, i) => `message-${i % 97} key-${i % 13}`).join(',')
+    ),
+    random: Buffer.from(
+      Array.from({ length: 70000 }, (_, i) => (Math.imul(i, 2654435761) >>> 13) & 0xff)
+    ),
+  }
+
+  for (const [name, buffer] of Object.entries(samples)) {
+    test(`compress and decompress ${name} data`, async () => {
+      const compressed = await LZ4.compress(encode(buffer))
+      await expect(LZ4.decompress(compressed)).resolves.toEqual(buffer)
+    })
+  }
+
+  test('compress using the frame format', async () => {
+    const compressed = await LZ4.compress(encode(Buffer.from('kafkajs')))
+    expect(compressed).toEqual(
+      Buffer.from([
+        ...[0x04, 0x22, 0x4d, 0x18, 0x60, 0x40, 0x82],
+        ...[7, 0, 0, 0x80, ...Buffer.from('kafkajs')],
+        ...[0, 0, 0, 0],
+      ])
+    )
+  })
+
+  test('compress repetitive data', async () => {
+    const compressed = await LZ4.compress(encode(samples.repetitive))
+    expect(compressed.length).toBeLessThan(samples.repetitive.length / 10)
+  })
+
+  test('decompress frames with content size, block and content checksums', async () => {
+    const content = Buffer.from('kafkajskafkajs')
+    // "kafkajs" followed by a 7 byte match with offset 7
+    const block = Buffer.from([0x73, ...Buffer.from('kafkajs'), 7, 0, 0x00])
+    const descriptor = Buffer.from([0x7c, 0x40, content.length, 0, 0, 0, 0, 0, 0, 0])
+
+    const frame = Buffer.concat([
+      Buffer.from([0x04, 0x22, 0x4d, 0x18]),
+      descriptor,
+      Buffer.from([(LZ4.xxh32(descriptor, 0, descriptor.length) >>> 8) & 0xff]),
+      Buffer.from([block.length, 0, 0, 0]),
+      block,
+      uint32(LZ4.xxh32(block, 0, block.length)),
+      Buffer.from([0, 0, 0, 0]),
+      uint32(LZ4.xxh32(content, 0, content.length)),
+    ])
+
+    await expect(LZ4.decompress(frame)).resolves.toEqual(content)
+
+    frame[frame.length - 1] ^= 0xff
+    await expect(LZ4.decompress(frame)).rejects.toThrow(
+      'Invalid LZ4 data: content checksum mismatch'
+    )
+  })
+
+  describe('legacy header checksum', () => {
+    const legacyFrame = LZ4.compressFrame(Buffer.from('kafkajs'), { legacyHeaderChecksum: true })
+
+    test('is accepted for magic byte 0', async () => {
+      await expect(LZ4.decompress(legacyFrame, { magicByte: 0 })).resolves.toEqual(
+        Buffer.from('kafkajs')
+      )
+    })
+
+    test('is rejected for other message formats', async () => {
+      await expect(LZ4.decompress(legacyFrame, { magicByte: 1 })).rejects.toThrow(
+        'Invalid LZ4 data: frame descriptor checksum mismatch'
+      )
+      await expect(LZ4.decompress(legacyFrame)).rejects.toThrow(KafkaJSNonRetriableError)
+    })
+  })
+
+  test('throw an error when the data is corrupted', async () => {
+    await expect(LZ4.decompress(Buffer.from('kafkajs'))).rejects.toThrow(
+      'Invalid LZ4 data: unknown frame magic number'
+    )
+
+    const compressed = await LZ4.compress(encode(samples.text))
+    await expect(LZ4.decompress(compressed.slice(0, compressed.length - 10))).rejects.toThrow(
+      KafkaJSNonRetriableError
+    )
+  })
+
+  test('xxh32', () => {
+    expect(LZ4.xxh32(Buffer.alloc(0), 0, 0)).toEqual(0x02cc5d05)
+    expect(LZ4.xxh32(Buffer.from('abc'), 0, 3)).toEqual(0x32d153ff)
+  })
+})
+
+const uint32 = value => {
+  const buffer = Buffer.alloc(4)
+  buffer.writeUInt32LE(value)
+  return buffer
+}
@@ -0,0 +1,378 @@
+const { KafkaJSNonRetriableError } = require('../../../errors')
+
+/**
+ * Pure JavaScript implementation of the Snappy block format, plus the
+ * xerial framing used by the Java clients (SnappyOutputStream).
+ *
+ * Block format: https://github.com/google/snappy/blob/main/format_description.txt
+ * Xerial framing: https://github.com/xerial/snappy-java
+ *
+ * Xerial => Header [Chunk]
+ *  Header => Magic Version CompatibleVersion
+ *    Magic => 8 bytes (0x82 'SNAPPY' 0x00)
+ *    Version => int32
+ *    CompatibleVersion => int32
+ *  Chunk => Size SnappyBlock
+ *    Size => int32
+ */
+
+const XERIAL_HEADER = Buffer.from([0x82, 0x53, 0x4e, 0x41, 0x50, 0x50, 0x59, 0x00])
+const XERIAL_VERSION = 1
+const XERIAL_COMPATIBLE_VERSION = 1
+const XERIAL_HEADER_SIZE = 16
+const XERIAL_BLOCK_SIZE = 32 * 1024
+
+const FRAGMENT_SIZE = 1 << 16
+const MAX_HASH_TABLE_BITS = 14
+const INPUT_MARGIN = 15
+const HASH_MULTIPLIER = 0x1e35a7bd
+
+const TAG_LITERAL = 0
+const TAG_COPY_1 = 1
+const TAG_COPY_2 = 2
+const TAG_COPY_4 = 3
+
+// A copy of 64 bytes takes 3 bytes of input, a block can't expand more than that
+const maxUncompressedLength = compressedLength => Math.ceil((compressedLength * 64) / 3)
+
+const load32 = (buffer, position) =>
+  buffer[position] |
+  (buffer[position + 1] << 8) |
+  (buffer[position + 2] << 16) |
+  (buffer[position + 3] << 24)
+
+const equals32 = (buffer, a, b) =>
+  buffer[a] === buffer[b] &&
+  buffer[a + 1] === buffer[b + 1] &&
+  buffer[a + 2] === buffer[b + 2] &&
+  buffer[a + 3] === buffer[b + 3]
+
+const hash = (value, shift) => Math.imul(value, HASH_MULTIPLIER) >>> shift
+
+const maxCompressedLength = length => 32 + length + Math.floor(length / 6)
+
+const emitLiteral = (input, start, length, output, op) => {
+  const n = length - 1
+
+  if (n < 60) {
+    output[op++] = (n << 2) | TAG_LITERAL
+  } else if (n < 1 << 8) {
+    output[op++] = (60 << 2) | TAG_LITERAL
+    output[op++] = n
+  } else {
+    output[op++] = (61 << 2) | TAG_LITERAL
+    output[op++] = n & 0xff
+    output[op++] = n >>> 8
+  }
+
+  input.copy(output, op, start, start + length)
+  return op + length
+}
+
+const emitCopyAtMost64 = (output, op, offset, length) => {
+  if (length < 12 && offset < 2048) {
+    output[op++] = TAG_COPY_1 | ((length - 4) << 2) | ((offset >>> 8) << 5)
+    output[op++] = offset & 0xff
+  } else {
+    output[op++] = TAG_COPY_2 | ((length - 1) << 2)
+    output[op++] = offset & 0xff
+    output[op++] = offset >>> 8
+  }
+
+  return op
+}
+
+const emitCopy = (output, op, offset, length) => {
+  // Emit 64 byte copies but make sure to keep at least four bytes reserved,
+  // the shortest copy is 4 bytes long
+  while (length >= 68) {
+    op = emitCopyAtMost64(output, op, offset, 64)
+    length -= 64
+  }
+
+  if (length > 64) {
+    op = emitCopyAtMost64(output, op, offset, 60)
+    length -= 60
+  }
+
+  return emitCopyAtMost64(output, op, offset, length)
+}
+
+const compressFragment = (input, start, length, output, op) => {
+  let hashTableBits = 1
+  while (1 << hashTableBits <= length && hashTableBits <= MAX_HASH_TABLE_BITS) {
+    hashTableBits++
+  }
+  hashTableBits--
+
+  const shift = 32 - hashTableBits
+  const hashTable = new Uint16Array(1 << hashTableBits)
+  const end = start + length
+  let ip = start
+  let nextEmit = start
+
+  if (length >= INPUT_MARGIN) {
+    const ipLimit = end - INPUT_MARGIN
+    let nextHash = hash(load32(input, ++ip), shift)
+    let done = false
+
+    while (!done) {
+      let skip = 32
+      let nextIp = ip
+      let candidate
+
+      // Look for a 4 byte match, skipping bytes faster the longer
+      // it takes to find one (incompressible data)
+      do {
+        ip = nextIp
+        const currentHash = nextHash
+        nextIp = ip + (skip++ >>> 5)
+
+        if (nextIp > ipLimit) {
+          done = true
+          break
+        }
+
+        nextHash = hash(load32(input, nextIp), shift)
+        candidate = start + hashTable[currentHash]
+        hashTable[currentHash] = ip - start
+      } while (!equals32(input, ip, candidate))
+
+      if (done) {
+        break
+      }
+
+      op = emitLiteral(input, nextEmit, ip - nextEmit, output, op)
+
+      // Emit copies for as long as the next 4 bytes also match
+      do {
+        const base = ip
+        let matched = 4
+        while (ip + matched < end && input[ip + matched] === input[candidate + matched]) {
+          matched++
+        }
+
+        ip += matched
+        op = emitCopy(output, op, base - candidate, matched)
+        nextEmit = ip
+
+        if (ip >= ipLimit) {
+          done = true
+          break
+        }
+
+        hashTable[hash(load32(input, ip - 1), shift)] = ip - 1 - start
+        const currentHash = hash(load32(input, ip), shift)
+        candidate = start + hashTable[currentHash]
+        hashTable[currentHash] = ip - start
+      } while (equals32(input, ip, candidate))
+
+      if (!done) {
+        nextHash = hash(load32(input, ++ip), shift)
+      }
+    }
+  }
+
+  if (nextEmit < end) {
+    op = emitLiteral(input, nextEmit, end - nextEmit, output, op)
+  }
+
+  return op
+}
+
+/**
+ * @param {Buffer} input
+ * @returns {Buffer} the input as a single snappy block
+ */
+const compressBlock = input => {
+  const output = Buffer.alloc(maxCompressedLength(input.length))
+  let op = 0
+
+  // Preamble: uncompressed length as an unsigned varint
+  let remaining = input.length
+  while (remaining >= 0x80) {
+    output[op++] = (remaining & 0x7f) | 0x80
+    remaining >>>= 7
+  }
+  output[op++] = remaining
+
+  for (let position = 0; position < input.length; position += FRAGMENT_SIZE) {
+    const fragmentLength = Math.min(FRAGMENT_SIZE, input.length - position)
+    op = compressFragment(input, position, fragmentLength, output, op)
+  }
+
+  return output.slice(0, op)
+}
+
+const invalidInput = reason => new KafkaJSNonRetriableError(`Invalid snappy data: ${reason}`)
+
+/**
+ * @param {Buffer} input a single snappy block
+ * @returns {Buffer}
+ */
+const decompressBlock = input => {
+  let ip = 0
+  let length = 0
+  let shift = 0
+  let byte
+
+  do {
+    if (ip >= input.length || shift > 28) {
+      throw invalidInput('malformed uncompressed length')
+    }
+
+    byte = input[ip++]
+    length += (byte & 0x7f) * 2 ** shift
+    shift += 7
+  } while (byte & 0x80)
+
+  if (length > maxUncompressedLength(input.length - ip)) {
+    throw invalidInput(`uncompressed length ${length} exceeds the maximum for the input`)
+  }
+
+  const output = Buffer.alloc(length)
+  let op = 0
+
+  while (ip < input.length) {
+    const tag = input[ip++]
+    let offset
+    let size
+
+    switch (tag & 0x03) {
+      case TAG_LITERAL: {
+        size = (tag >>> 2) + 1
+
+        if (size > 60) {
+          const lengthBytes = size - 60
+          if (ip + lengthBytes > input.length) {
+            throw invalidInput('truncated literal length')
+          }
+
+          size = input.readUIntLE(ip, lengthBytes) + 1
+          ip += lengthBytes
+        }
+
+        if (ip + size > input.length || op + size > length) {
+          throw invalidInput('literal out of bounds')
+        }
+
+        input.copy(output, op, ip, ip + size)
+        ip += size
+        op += size
+        continue
+      }
+
+      case TAG_COPY_1:
+        if (ip + 1 > input.length) {
+          throw invalidInput('truncated copy')
+        }
+
+        size = ((tag >>> 2) & 0x07) + 4
+        offset = ((tag >>> 5) << 8) | input[ip]
+        ip += 1
+        break
+
+      case TAG_COPY_2:
+        if (ip + 2 > input.length) {
+          throw invalidInput('truncated copy')
+        }
+
+        size = (tag >>> 2) + 1
+        offset = input.readUInt16LE(ip)
+        ip += 2
+        break
+
+      case TAG_COPY_4:
+        if (ip + 4 > input.length) {
+          throw invalidInput('truncated copy')
+        }
+
+        size = (tag >>> 2) + 1
+        offset = input.readUInt32LE(ip)
+        ip += 4
+        break
+    }
+
+    if (offset === 0 || offset > op || op + size > length) {
+      throw invalidInput('copy out of bounds')
+    }
+
+    // Copies can overlap with the bytes being produced, so copy byte by byte
+    for (let source = op - offset, i = 0; i < size; i++) {
+      output[op++] = output[source + i]
+    }
+  }
+
+  if (op !== length) {
+    throw invalidInput(`expected ${length} bytes, got ${op}`)
+  }
+
+  return output
+}
+
+const isXerialFramed = buffer =>
+  buffer.length >= XERIAL_HEADER_SIZE && buffer.slice(0, XERIAL_HEADER.length).equals(XERIAL_HEADER)
+
+const decompressXerial = buffer => {
+  const chunks = []
+  let position = XERIAL_HEADER_SIZE
+
+  while (position < buffer.length) {
+    if (position + 4 > buffer.length) {
+      throw invalidInput('truncated xerial chunk size')
+    }
+
+    const size = buffer.readInt32BE(position)
+    position += 4
+
+    if (size < 0 || position + size > buffer.length) {
+      throw invalidInput('truncated xerial chunk')
+    }
+
+    chunks.push(decompressBlock(buffer.slice(position, position + size)))
+    position += size
+  }
+
+  return Buffer.concat(chunks)
+}
+
+const compressXerial = buffer => {
+  const header = Buffer.alloc(XERIAL_HEADER_SIZE)
+  XERIAL_HEADER.copy(header)
+  header.writeInt32BE(XERIAL_VERSION, 8)
+  header.writeInt32BE(XERIAL_COMPATIBLE_VERSION, 12)
+
+  const chunks = [header]
+  for (let position = 0; position < buffer.length; position += XERIAL_BLOCK_SIZE) {
+    const block = compressBlock(buffer.slice(position, position + XERIAL_BLOCK_SIZE))
+    const size = Buffer.alloc(4)
+    size.writeInt32BE(block.length)
+    chunks.push(size, block)
+  }
+
+  return Buffer.concat(chunks)
+}
+
+module.exports = {
+  /**
+   * Java clients write (and brokers expect) xerial framed snappy, so use the
+   * same format when compressing
+   *
+   * @param {Encoder} encoder
+   * @returns {Promise}
+   */
+  async compress(encoder) {
+    return compressXerial(encoder.buffer)
+  },
+
+  /**
+   * @param {Buffer} buffer xerial framed or a raw snappy block
+   * @returns {Promise}
+   */
+  async decompress(buffer) {
+    return isXerialFramed(buffer) ? decompressXerial(buffer) : decompressBlock(buffer)
+  },
+
+  compressBlock,
+  decompressBlock,
+}
@@ -0,0 +1,75 @@
+const Encoder = require('../../encoder')
+const { KafkaJSNonRetriableError } = require('../../../errors')
+const Snappy = require('./snappy')
+
+const XERIAL_HEADER = [0x82, 0x53, 0x4e, 0x41, 0x50, 0x50, 0x59, 0x00, 0, 0, 0, 1, 0, 0, 0, 1]
+
+describe('Protocol > Message > Compression > Snappy', () => {
+  const encode = buffer => new Encoder().writeBuffer(buffer)
+
+  const samples = {
+    empty: Buffer.alloc(0),
+    'short text': Buffer.from('kafkajs'),
+    repetitive: Buffer.alloc(100 * 1024, 'abcabcabd'),
+    text: Buffer.from(
+      Array.from({ length: 20000 }, (_, i) => `message-${i % 97} key-${i % 13}`).join(',')
+    ),
+    random: Buffer.from(
+      Array.from({ length: 70000 }, (_, i) => (Math.imul(i, 2654435761) >>> 13) & 0xff)
+    ),
+  }
+
+  for (const [name, buffer] of Object.entries(samples)) {
+    test(`compress and decompress ${name} data`, async () => {
+      const compressed = await Snappy.compress(encode(buffer))
+      await expect(Snappy.decompress(compressed)).resolves.toEqual(buffer)
+    })
+  }
+
+  test('compress using the xerial framing', async () => {
+    const compressed = await Snappy.compress(encode(Buffer.from('kafkajs')))
+    expect(compressed).toEqual(
+      Buffer.from([...XERIAL_HEADER, 0, 0, 0, 9, 7, 0x18, ...Buffer.from('kafkajs')])
+    )
+  })
+
+  test('compress repetitive data', async () => {
+    const compressed = await Snappy.compress(encode(samples.repetitive))
+    expect(compressed.length).toBeLessThan(samples.repetitive.length / 10)
+  })
+
+  test('decompress raw snappy blocks', async () => {
+    // "kafkajs" followed by a 7 byte copy with offset 7
+    const block = Buffer.from([14, 0x18, ...Buffer.from('kafkajs'), 0x0d, 7])
+    await expect(Snappy.decompress(block)).resolves.toEqual(Buffer.from('kafkajskafkajs'))
+  })
+
+  test('decompress xerial framed data with multiple chunks', async () => {
+    const chunk = text => [0, 0, 0, text.length + 2, text.length, (text.length - 1) << 2, ...text]
+    const buffer = Buffer.from([
+      ...XERIAL_HEADER,
+      ...chunk(Buffer.from('kafka')),
+      ...chunk(Buffer.from('js')),
+    ])
+
+    await expect(Snappy.decompress(buffer)).resolves.toEqual(Buffer.from('kafkajs'))
+  })
+
+  test('throw an error when the data is corrupted', async () => {
+    // copy with an offset pointing before the start of the output
+    const block = Buffer.from([14, 0x18, ...Buffer.from('kafkajs'), 0x0d, 8])
+    await expect(Snappy.decompress(block)).rejects.toThrow(KafkaJSNonRetriableError)
+
+    // shorter than the declared uncompressed length
+    await expect(Snappy.decompress(Buffer.from([10, 0x00, 0x61]))).rejects.toThrow(
+      'Invalid snappy data: expected 10 bytes, got 1'
+    )
+  })
+
+  test('throw an error when the uncompressed length is larger than the data can expand to', async () => {
+    const block = Buffer.from([0xff, 0xff, 0xff, 0xff, 0x0f, 0x00])
+    await expect(Snappy.decompress(block)).rejects.toThrow(
+      'Invalid snappy data: uncompressed length 4294967295 exceeds the maximum for the input'
+    )
+  })
+})
@@ -0,0 +1,139 @@
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+
+const MAX_BYTES_PER_READ = 6
+
+const highestSetBit = value => 31 - Math.clz32(value)
+
+/**
+ * Reads `count` (<= 32) bits starting at bit `position` of buffer[start, end), bits are numbered
+ * from the least significant bit of the first byte
+ */
+const extractBits = (buffer, start, end, position, count) => {
+  if (count === 0) {
+    return 0
+  }
+
+  const firstByte = start + (position >>> 3)
+  const byteCount = Math.min(MAX_BYTES_PER_READ, end - firstByte)
+  const value = buffer.readUIntLE(firstByte, byteCount)
+
+  return Math.floor(value / 2 ** (position & 7)) % 2 ** count
+}
+
+/**
+ * Little endian bitstream read from the first byte, used by FSE table descriptions
+ */
+class ForwardBitReader {
+  constructor(buffer, start, end) {
+    this.buffer = buffer
+    this.start = start
+    this.end = end
+    this.position = 0
+  }
+
+  readBits(count) {
+    if (this.position + count > (this.end - this.start) * 8) {
+      throw new KafkaJSNonRetriableError('Invalid zstd data: truncated bitstream')
+    }
+
+    const value = extractBits(this.buffer, this.start, this.end, this.position, count)
+    this.position += count
+    return value
+  }
+
+  rewindBits(count) {
+    this.position -= count
+  }
+
+  /**
+   * @returns {number} the buffer offset after the last partially read byte
+   */
+  alignedOffset() {
+    return this.start + Math.ceil(this.position / 8)
+  }
+}
+
+/**
+ * Bitstream read backwards, starting from the highest set bit of the last byte. Used by
+ * Huffman and FSE encoded streams.
+ *
+ * Reading past the beginning of the stream returns zeros, `remaining` becomes negative
+ */
+class BackwardBitReader {
+  constructor(buffer, start, end) {
+    const lastByte = end > start ? buffer[end - 1] : 0
+
+    if (lastByte === 0) {
+      throw new KafkaJSNonRetriableError('Invalid zstd data: missing bitstream end mark')
+    }
+
+    this.buffer = buffer
+    this.start = start
+    this.end = end
+    this.remaining = (end - start - 1) * 8 + highestSetBit(lastByte)
+  }
+
+  readBits(count) {
+    const position = this.remaining - count
+    this.remaining = position
+
+    if (position >= 0) {
+      return extractBits(this.buffer, this.start, this.end, position, count)
+    }
+
+    const available = count + position
+    if (available <= 0) {
+      return 0
+    }
+
+    return extractBits(this.buffer, this.start, this.end, 0, available) * 2 ** -position
+  }
+}
+
+/**
+ * Little endian bitstream writer, closed with an end mark so it can be read backwards
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = []
+    this.accumulator = 0
+    this.bitCount = 0
+  }
+
+  writeBits(value, count) {
+    for (let written = 0; written < count; ) {
+      const chunk = Math.min(count - written, 8 - this.bitCount)
+      const bits = Math.floor(value / 2 ** written) % 2 ** chunk
+
+      this.accumulator |= bits << this.bitCount
+      this.bitCount += chunk
+      written += chunk
+
+      if (this.bitCount === 8) {
+        this.bytes.push(this.accumulator)
+        this.accumulator = 0
+        this.bitCount = 0
+      }
+    }
+  }
+
+  /**
+   * @returns {Buffer}
+   */
+  close() {
+    this.writeBits(1, 1)
+
+    if (this.bitCount > 0) {
+      this.bytes.push(this.accumulator)
+    }
+
+    return Buffer.from(this.bytes)
+  }
+}
+
+module.exports = {
+  ForwardBitReader,
+  BackwardBitReader,
+  BitWriter,
+  highestSetBit,
+}
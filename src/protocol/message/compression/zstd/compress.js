@@ -0,0 +1,402 @@
+const { BitWriter, highestSetBit } = require('./bitStream')
+const fse = require('./fse')
+const huffman = require('./huffman')
+const {
+  MAGIC_NUMBER,
+  BLOCK_MAX_SIZE,
+  BlockTypes,
+  LiteralsBlockTypes,
+  SymbolCompressionModes,
+  LITERALS_LENGTH_BASELINES,
+  LITERALS_LENGTH_EXTRA_BITS,
+  MATCH_LENGTH_BASELINES,
+  MATCH_LENGTH_EXTRA_BITS,
+  LITERALS_LENGTH_DEFAULT_DISTRIBUTION,
+  MATCH_LENGTH_DEFAULT_DISTRIBUTION,
+  OFFSET_CODE_DEFAULT_DISTRIBUTION,
+  INITIAL_REPEAT_OFFSETS,
+} = require('./constants')
+
+/**
+ * Zstandard encoder
+ *
+ * Matches are found greedily with two hash tables and the repeat offsets, literals are Huffman
+ * coded and the sequences are encoded with the predefined FSE distributions. This trades
+ * compression ratio for a small implementation, the output is a regular zstd frame any decoder
+ * accepts.
+ */
+
+const MIN_MATCH = 4
+const HASH_LOG = 16
+const HASH_MULTIPLIER = 2654435761
+const LONG_HASH_MULTIPLIER = 2246822519
+const SKIP_STEP_LOG = 8
+const MAX_WINDOW_LOG = 23
+const MIN_WINDOW_LOG = 10
+
+// Hashes read 8 bytes ahead, stop searching for matches a few bytes before the end of the block
+const LAST_LITERALS = 8
+
+// Below this size the Huffman tree description outweighs the savings
+const MIN_HUFFMAN_LITERALS = 64
+
+const TABLES = {
+  literalsLength: fse.buildEncodingTable(LITERALS_LENGTH_DEFAULT_DISTRIBUTION),
+  matchLength: fse.buildEncodingTable(MATCH_LENGTH_DEFAULT_DISTRIBUTION),
+  offset: fse.buildEncodingTable(OFFSET_CODE_DEFAULT_DISTRIBUTION),
+}
+
+const findCode = (baselines, value) => {
+  let code = baselines.length - 1
+  while (baselines[code] > value) {
+    code--
+  }
+
+  return code
+}
+
+const writeFrameHeader = (length, windowLog) => {
+  const header = Buffer.alloc(14)
+  header.writeUInt32LE(MAGIC_NUMBER, 0)
+
+  // Frame content size flag: 2 (4 bytes) or 3 (8 bytes), no checksum, no dictionary
+  const largeContent = length > 0xffffffff
+  header[4] = (largeContent ? 3 : 2) << 6
+
+  // Window descriptor: exponent only, window size = 2^windowLog
+  header[5] = (windowLog - MIN_WINDOW_LOG) << 3
+
+  if (largeContent) {
+    header.writeUInt32LE(length % 2 ** 32, 6)
+    header.writeUInt32LE(Math.floor(length / 2 ** 32), 10)
+    return header
+  }
+
+  header.writeUInt32LE(length, 6)
+  return header.slice(0, 10)
+}
+
+const writeBlockHeader = (type, size, lastBlock) => {
+  const header = Buffer.alloc(3)
+  header.writeUIntLE((size << 3) | (type << 1) | (lastBlock ? 1 : 0), 0, 3)
+  return header
+}
+
+const writeLiteralsHeader = (type, size) => {
+  if (size < 32) {
+    return Buffer.from([(size << 3) | type])
+  }
+
+  if (size < 4096) {
+    return Buffer.from([(1 << 2) | ((size & 0x0f) << 4) | type, size >>> 4])
+  }
+
+  return Buffer.from([(3 << 2) | ((size & 0x0f) << 4) | type, (size >>> 4) & 0xff, size >>> 12])
+}
+
+const writeSequencesHeader = count => {
+  if (count < 128) {
+    return Buffer.from([count])
+  }
+
+  if (count < 0x7f00) {
+    return Buffer.from([(count >>> 8) + 128, count & 0xff])
+  }
+
+  return Buffer.from([255, (count - 0x7f00) & 0xff, (count - 0x7f00) >>> 8])
+}
+
+/**
+ * Literals section header for Huffman coded literals: one stream for small sections, four
+ * streams with a jump table otherwise
+ */
+const writeCompressedLiteralsHeader = (regeneratedSize, compressedSize, fourStreams) => {
+  const maxSize = Math.max(regeneratedSize, compressedSize)
+  const sizeFormat = !fourStreams ? 0 : maxSize < 1024 ? 1 : maxSize < 16384 ? 2 : 3
+  const sizeBits = [10, 10, 14, 18][sizeFormat]
+  const headerSize = [3, 3, 4, 5][sizeFormat]
+  const value =
+    LiteralsBlockTypes.COMPRESSED +
+    (sizeFormat << 2) +
+    regeneratedSize * 2 ** 4 +
+    compressedSize * 2 ** (4 + sizeBits)
+
+  const header = Buffer.alloc(headerSize)
+  header.writeUIntLE(value, 0, headerSize)
+  return header
+}
+
+/**
+ * @returns {Buffer} the literals section, Huffman coded when it makes it smaller
+ */
+const encodeLiteralsSection = literals => {
+  const raw = [writeLiteralsHeader(LiteralsBlockTypes.RAW, literals.length), literals]
+
+  if (literals.length < MIN_HUFFMAN_LITERALS) {
+    return Buffer.concat(raw)
+  }
+
+  if (literals.every(byte => byte === literals[0])) {
+    return Buffer.concat([
+      writeLiteralsHeader(LiteralsBlockTypes.RLE, literals.length),
+      literals.slice(0, 1),
+    ])
+  }
+
+  const table = huffman.buildEncodingTable(literals)
+  if (!table) {
+    return Buffer.concat(raw)
+  }
+
+  const fourStreams = literals.length >= 1024
+  const streams = huffman.encodeLiterals(table, literals, fourStreams)
+  const compressedSize = table.description.length + streams.length
+
+  if (compressedSize >= literals.length) {
+    return Buffer.concat(raw)
+  }
+
+  return Buffer.concat([
+    writeCompressedLiteralsHeader(literals.length, compressedSize, fourStreams),
+    table.description,
+    streams,
+  ])
+}
+
+/**
+ * Offsets matching one of the repeat offsets are encoded as its index, the repeat offsets are
+ * updated the way the decoder does
+ *
+ * @returns {number} the offset value: 1 to 3 for repeat offsets, the offset + 3 otherwise
+ */
+const encodeOffset = (offset, literalsLength, repeatOffsets) => {
+  const [rep0, rep1, rep2] = repeatOffsets
+  const candidates = literalsLength === 0 ? [rep1, rep2, rep0 - 1] : [rep0, rep1, rep2]
+  const index = candidates.indexOf(offset)
+
+  if (index === -1) {
+    repeatOffsets[2] = rep1
+    repeatOffsets[1] = rep0
+    repeatOffsets[0] = offset
+    return offset + 3
+  }
+
+  const repeatIndex = literalsLength === 0 ? index + 1 : index
+  if (repeatIndex > 0) {
+    if (repeatIndex > 1) {
+      repeatOffsets[2] = rep1
+    }
+
+    repeatOffsets[1] = rep0
+    repeatOffsets[0] = offset
+  }
+
+  return index + 1
+}
+
+/**
+ * Sequences are written in reverse order, the decoder reads the bitstream backwards
+ */
+const encodeSequences = sequences => {
+  const writer = new BitWriter()
+  const codes = sequences.map(({ literalsLength, matchLength, offsetValue }) => ({
+    llCode: findCode(LITERALS_LENGTH_BASELINES, literalsLength),
+    mlCode: findCode(MATCH_LENGTH_BASELINES, matchLength),
+    ofCode: highestSetBit(offsetValue),
+  }))
+
+  const writeExtraBits = index => {
+    const { literalsLength, matchLength, offsetValue } = sequences[index]
+    const { llCode, mlCode, ofCode } = codes[index]
+
+    writer.writeBits(
+      literalsLength - LITERALS_LENGTH_BASELINES[llCode],
+      LITERALS_LENGTH_EXTRA_BITS[llCode]
+    )
+    writer.writeBits(matchLength - MATCH_LENGTH_BASELINES[mlCode], MATCH_LENGTH_EXTRA_BITS[mlCode])
+    writer.writeBits(offsetValue - 2 ** ofCode, ofCode)
+  }
+
+  const last = sequences.length - 1
+  let mlState = fse.initEncoderState(TABLES.matchLength, codes[last].mlCode)
+  let ofState = fse.initEncoderState(TABLES.offset, codes[last].ofCode)
+  let llState = fse.initEncoderState(TABLES.literalsLength, codes[last].llCode)
+  writeExtraBits(last)
+
+  for (let index = last - 1; index >= 0; index--) {
+    const { llCode, mlCode, ofCode } = codes[index]
+    ofState = fse.encodeSymbol(TABLES.offset, ofState, ofCode, writer)
+    mlState = fse.encodeSymbol(TABLES.matchLength, mlState, mlCode, writer)
+    llState = fse.encodeSymbol(TABLES.literalsLength, llState, llCode, writer)
+    writeExtraBits(index)
+  }
+
+  fse.flushEncoderState(TABLES.matchLength, mlState, writer)
+  fse.flushEncoderState(TABLES.offset, ofState, writer)
+  fse.flushEncoderState(TABLES.literalsLength, llState, writer)
+
+  return writer.close()
+}
+
+const hash4 = (input, position) =>
+  Math.imul(input.readInt32LE(position), HASH_MULTIPLIER) >>> (32 - HASH_LOG)
+
+const hash8 = (input, position) =>
+  (Math.imul(input.readInt32LE(position), HASH_MULTIPLIER) ^
+    Math.imul(input.readInt32LE(position + 4), LONG_HASH_MULTIPLIER)) >>>
+  (32 - HASH_LOG)
+
+const matchLengthAt = (input, position, candidate, end) => {
+  let length = 0
+  while (position + length < end && input[position + length] === input[candidate + length]) {
+    length++
+  }
+
+  return length
+}
+
+/**
+ * Matches are searched at the last offset used, then in a table of 8 byte sequences for long
+ * matches and a table of 4 byte sequences, keeping the longest. Positions are stored + 1 so zero
+ * can represent an empty slot.
+ *
+ * @param {object} state hash tables and repeat offsets, kept across the blocks of the frame
+ * @returns {Buffer|null} the compressed block content, or null if it is not worth compressing
+ */
+const compressBlock = (input, start, end, state, windowSize) => {
+  const { shortTable, longTable } = state
+  const repeatOffsets = [...state.repeatOffsets]
+  const sequences = []
+  const literals = []
+  const matchLimit = end - LAST_LITERALS
+  let literalsStart = start
+  let position = start
+
+  const insert = at => {
+    shortTable[hash4(input, at)] = at + 1
+    longTable[hash8(input, at)] = at + 1
+  }
+
+  while (position + MIN_MATCH <= matchLimit) {
+    const shortHash = hash4(input, position)
+    const longHash = hash8(input, position)
+    const shortCandidate = shortTable[shortHash] - 1
+    const longCandidate = longTable[longHash] - 1
+    shortTable[shortHash] = position + 1
+    longTable[longHash] = position + 1
+
+    let matchLength = 0
+    let candidate = -1
+
+    for (const offset of [repeatOffsets[0], position - longCandidate, position - shortCandidate]) {
+      const from = position - offset
+      if (offset <= 0 || offset > windowSize || from < 0 || from === candidate) {
+        continue
+      }
+
+      const length = matchLengthAt(input, position, from, end)
+      if (length >= MIN_MATCH && length > matchLength) {
+        matchLength = length
+        candidate = from
+      }
+    }
+
+    if (candidate === -1) {
+      // Skip faster through data without matches
+      position += 1 + ((position - literalsStart) >>> SKIP_STEP_LOG)
+      continue
+    }
+
+    let matchStart = position
+    while (
+      matchStart > literalsStart &&
+      candidate > 0 &&
+      input[matchStart - 1] === input[candidate - 1]
+    ) {
+      matchStart--
+      candidate--
+      matchLength++
+    }
+
+    const literalsLength = matchStart - literalsStart
+    literals.push(input.slice(literalsStart, matchStart))
+    sequences.push({
+      literalsLength,
+      matchLength,
+      offsetValue: encodeOffset(matchStart - candidate, literalsLength, repeatOffsets),
+    })
+
+    position = matchStart + matchLength
+    literalsStart = position
+
+    for (const at of [matchStart + 2, position - 2]) {
+      if (at > matchStart && at + 8 <= end) {
+        insert(at)
+      }
+    }
+  }
+
+  if (sequences.length === 0) {
+    return null
+  }
+
+  literals.push(input.slice(literalsStart, end))
+
+  const modes = Buffer.from([
+    (SymbolCompressionModes.PREDEFINED << 6) |
+      (SymbolCompressionModes.PREDEFINED << 4) |
+      (SymbolCompressionModes.PREDEFINED << 2),
+  ])
+
+  const block = Buffer.concat([
+    encodeLiteralsSection(Buffer.concat(literals)),
+    writeSequencesHeader(sequences.length),
+    modes,
+    encodeSequences(sequences),
+  ])
+
+  if (block.length >= end - start) {
+    return null
+  }
+
+  // The decoder only updates its repeat offsets for compressed blocks
+  state.repeatOffsets = repeatOffsets
+  return block
+}
+
+/**
+ * @param {Buffer} input
+ * @returns {Buffer} a single zstd frame
+ */
+module.exports = input => {
+  const windowLog = Math.min(
+    MAX_WINDOW_LOG,
+    Math.max(MIN_WINDOW_LOG, Math.ceil(Math.log2(input.length || 1)))
+  )
+  const windowSize = 2 ** windowLog
+  const blockMaxSize = Math.min(BLOCK_MAX_SIZE, windowSize)
+  const state = {
+    shortTable: new Int32Array(1 << HASH_LOG),
+    longTable: new Int32Array(1 << HASH_LOG),
+    repeatOffsets: [...INITIAL_REPEAT_OFFSETS],
+  }
+  const chunks = [writeFrameHeader(input.length, windowLog)]
+
+  if (input.length === 0) {
+    chunks.push(writeBlockHeader(BlockTypes.RAW, 0, true))
+  }
+
+  for (let start = 0; start < input.length; start += blockMaxSize) {
+    const end = Math.min(start + blockMaxSize, input.length)
+    const lastBlock = end === input.length
+    const block = compressBlock(input, start, end, state, windowSize)
+
+    if (block) {
+      chunks.push(writeBlockHeader(BlockTypes.COMPRESSED, block.length, lastBlock), block)
+    } else {
+      chunks.push(writeBlockHeader(BlockTypes.RAW, end - start, lastBlock), input.slice(start, end))
+    }
+  }
+
+  return Buffer.concat(chunks)
+}
@@ -0,0 +1,133 @@
+/**
+ * Zstandard constants
+ * @see https://github.com/facebook/zstd/blob/dev/doc/zstd_compression_format.md
+ */
+
+const MAGIC_NUMBER = 0xfd2fb528
+const SKIPPABLE_FRAME_MAGIC_MIN = 0x184d2a50
+const SKIPPABLE_FRAME_MAGIC_MAX = 0x184d2a5f
+
+const BLOCK_MAX_SIZE = 128 * 1024
+
+const BlockTypes = {
+  RAW: 0,
+  RLE: 1,
+  COMPRESSED: 2,
+}
+
+const LiteralsBlockTypes = {
+  RAW: 0,
+  RLE: 1,
+  COMPRESSED: 2,
+  TREELESS: 3,
+}
+
+const SymbolCompressionModes = {
+  PREDEFINED: 0,
+  RLE: 1,
+  FSE_COMPRESSED: 2,
+  REPEAT: 3,
+}
+
+// prettier-ignore
+const LITERALS_LENGTH_BASELINES = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096,
+  8192, 16384, 32768, 65536,
+]
+
+// prettier-ignore
+const LITERALS_LENGTH_EXTRA_BITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12,
+  13, 14, 15, 16,
+]
+
+// prettier-ignore
+const MATCH_LENGTH_BASELINES = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18,
+  19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
+  35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051,
+  4099, 8195, 16387, 32771, 65539,
+]
+
+// prettier-ignore
+const MATCH_LENGTH_EXTRA_BITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11,
+  12, 13, 14, 15, 16,
+]
+
+/**
+ * Default distributions, used when the symbol compression mode is "predefined"
+ */
+const LITERALS_LENGTH_DEFAULT_DISTRIBUTION = {
+  accuracyLog: 6,
+  // prettier-ignore
+  normalizedCounts: [
+    4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1,
+    2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+    -1, -1, -1, -1,
+  ]
+}
+
+const MATCH_LENGTH_DEFAULT_DISTRIBUTION = {
+  accuracyLog: 6,
+  // prettier-ignore
+  normalizedCounts: [
+    1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1,
+    -1, -1, -1, -1, -1,
+  ]
+}
+
+const OFFSET_CODE_DEFAULT_DISTRIBUTION = {
+  accuracyLog: 5,
+  // prettier-ignore
+  normalizedCounts: [
+    1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1,
+  ]
+}
+
+const LITERALS_LENGTH_MAX_ACCURACY_LOG = 9
+const MATCH_LENGTH_MAX_ACCURACY_LOG = 9
+const OFFSET_CODE_MAX_ACCURACY_LOG = 8
+const HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG = 6
+
+const LITERALS_LENGTH_MAX_SYMBOL = 35
+const MATCH_LENGTH_MAX_SYMBOL = 52
+const OFFSET_CODE_MAX_SYMBOL = 31
+const HUFFMAN_MAX_SYMBOL = 255
+const HUFFMAN_MAX_BITS = 11
+
+const INITIAL_REPEAT_OFFSETS = [1, 4, 8]
+
+module.exports = {
+  MAGIC_NUMBER,
+  SKIPPABLE_FRAME_MAGIC_MIN,
+  SKIPPABLE_FRAME_MAGIC_MAX,
+  BLOCK_MAX_SIZE,
+  BlockTypes,
+  LiteralsBlockTypes,
+  SymbolCompressionModes,
+  LITERALS_LENGTH_BASELINES,
+  LITERALS_LENGTH_EXTRA_BITS,
+  MATCH_LENGTH_BASELINES,
+  MATCH_LENGTH_EXTRA_BITS,
+  LITERALS_LENGTH_DEFAULT_DISTRIBUTION,
+  MATCH_LENGTH_DEFAULT_DISTRIBUTION,
+  OFFSET_CODE_DEFAULT_DISTRIBUTION,
+  LITERALS_LENGTH_MAX_ACCURACY_LOG,
+  MATCH_LENGTH_MAX_ACCURACY_LOG,
+  OFFSET_CODE_MAX_ACCURACY_LOG,
+  HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG,
+  LITERALS_LENGTH_MAX_SYMBOL,
+  MATCH_LENGTH_MAX_SYMBOL,
+  OFFSET_CODE_MAX_SYMBOL,
+  HUFFMAN_MAX_SYMBOL,
+  HUFFMAN_MAX_BITS,
+  INITIAL_REPEAT_OFFSETS,
+}
@@ -0,0 +1,493 @@
+const {
+  constants: { MAX_LENGTH },
+} = require('buffer')
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+const { ForwardBitReader, BackwardBitReader } = require('./bitStream')
+const fse = require('./fse')
+const huffman = require('./huffman')
+const {
+  MAGIC_NUMBER,
+  SKIPPABLE_FRAME_MAGIC_MIN,
+  SKIPPABLE_FRAME_MAGIC_MAX,
+  BLOCK_MAX_SIZE,
+  BlockTypes,
+  LiteralsBlockTypes,
+  SymbolCompressionModes,
+  LITERALS_LENGTH_BASELINES,
+  LITERALS_LENGTH_EXTRA_BITS,
+  MATCH_LENGTH_BASELINES,
+  MATCH_LENGTH_EXTRA_BITS,
+  LITERALS_LENGTH_DEFAULT_DISTRIBUTION,
+  MATCH_LENGTH_DEFAULT_DISTRIBUTION,
+  OFFSET_CODE_DEFAULT_DISTRIBUTION,
+  LITERALS_LENGTH_MAX_ACCURACY_LOG,
+  MATCH_LENGTH_MAX_ACCURACY_LOG,
+  OFFSET_CODE_MAX_ACCURACY_LOG,
+  LITERALS_LENGTH_MAX_SYMBOL,
+  MATCH_LENGTH_MAX_SYMBOL,
+  OFFSET_CODE_MAX_SYMBOL,
+  INITIAL_REPEAT_OFFSETS,
+} = require('./constants')
+
+/**
+ * Zstandard decoder
+ * @see https://github.com/facebook/zstd/blob/dev/doc/zstd_compression_format.md
+ *
+ * Frame => Magic FrameHeader [Block] ContentChecksum?
+ *  FrameHeader => FrameHeaderDescriptor WindowDescriptor? DictionaryId? FrameContentSize?
+ *  Block => BlockHeader BlockContent
+ *
+ * The content checksum (XXH64) is not verified, Kafka brokers validate the record batches.
+ */
+
+const invalidInput = reason => new KafkaJSNonRetriableError(`Invalid zstd data: ${reason}`)
+
+// Larger frames grow the output as their blocks are decoded
+const MAX_PREALLOCATED_SIZE = 1024 * 1024
+
+// Blocks take at least 4 bytes (RLE) and regenerate at most BLOCK_MAX_SIZE bytes
+const maxContentSize = compressedLength => Math.ceil(compressedLength / 4) * BLOCK_MAX_SIZE
+
+const DEFAULT_TABLES = {
+  literalsLength: fse.buildDecodingTable(LITERALS_LENGTH_DEFAULT_DISTRIBUTION),
+  matchLength: fse.buildDecodingTable(MATCH_LENGTH_DEFAULT_DISTRIBUTION),
+  offset: fse.buildDecodingTable(OFFSET_CODE_DEFAULT_DISTRIBUTION),
+}
+
+class Output {
+  constructor(size) {
+    this.buffer = Buffer.alloc(size)
+    this.length = 0
+  }
+
+  ensure(size) {
+    const required = this.length + size
+
+    if (required <= this.buffer.length) {
+      return
+    }
+
+    if (required > MAX_LENGTH) {
+      throw invalidInput(`decompressed size ${required} exceeds the maximum buffer size`)
+    }
+
+    const grown = Buffer.alloc(Math.min(MAX_LENGTH, Math.max(this.buffer.length * 2, required)))
+    this.buffer.copy(grown, 0, 0, this.length)
+    this.buffer = grown
+  }
+
+  write(source, start, end) {
+    this.ensure(end - start)
+    this.length += source.copy(this.buffer, this.length, start, end)
+  }
+
+  fill(byte, count) {
+    this.ensure(count)
+    this.buffer.fill(byte, this.length, this.length + count)
+    this.length += count
+  }
+
+  copyMatch(offset, length, frameStart) {
+    if (offset > this.length - frameStart) {
+      throw invalidInput(`match offset ${offset} out of bounds`)
+    }
+
+    this.ensure(length)
+
+    // Matches can overlap with the bytes being produced, so copy byte by byte
+    const buffer = this.buffer
+    for (let source = this.length - offset, i = 0; i < length; i++) {
+      buffer[this.length++] = buffer[source + i]
+    }
+  }
+}
+
+const readFrameHeader = (input, offset) => {
+  if (offset >= input.length) {
+    throw invalidInput('truncated frame header')
+  }
+
+  const descriptor = input[offset++]
+  const contentSizeFlag = descriptor >>> 6
+  const singleSegment = (descriptor & 0x20) !== 0
+  const hasChecksum = (descriptor & 0x04) !== 0
+  const dictionaryIdFlag = descriptor & 0x03
+
+  if (descriptor & 0x08) {
+    throw invalidInput('reserved frame header bit is set')
+  }
+
+  const dictionaryIdSize = [0, 1, 2, 4][dictionaryIdFlag]
+  const contentSizeBytes = [singleSegment ? 1 : 0, 2, 4, 8][contentSizeFlag]
+  const windowDescriptorSize = singleSegment ? 0 : 1
+
+  if (offset + windowDescriptorSize + dictionaryIdSize + contentSizeBytes > input.length) {
+    throw invalidInput('truncated frame header')
+  }
+
+  // The window size is ignored, the whole frame is kept in memory
+  offset += windowDescriptorSize
+
+  if (dictionaryIdSize > 0 && input.readUIntLE(offset, dictionaryIdSize) !== 0) {
+    throw invalidInput('frames using a dictionary are not supported')
+  }
+  offset += dictionaryIdSize
+
+  let contentSize = null
+
+  if (contentSizeBytes === 1) {
+    contentSize = input[offset]
+  } else if (contentSizeBytes === 2) {
+    contentSize = input.readUInt16LE(offset) + 256
+  } else if (contentSizeBytes === 4) {
+    contentSize = input.readUInt32LE(offset)
+  } else if (contentSizeBytes === 8) {
+    contentSize = input.readUInt32LE(offset) + input.readUInt32LE(offset + 4) * 2 ** 32
+  }
+  offset += contentSizeBytes
+
+  return { offset, contentSize, hasChecksum }
+}
+
+/**
+ * @returns {{ literals: Buffer, offset: number }}
+ */
+const readLiterals = (input, start, end, context) => {
+  const byte0 = input[start]
+  const type = byte0 & 0x03
+  const sizeFormat = (byte0 >>> 2) & 0x03
+
+  if (type === LiteralsBlockTypes.RAW || type === LiteralsBlockTypes.RLE) {
+    let size
+    let offset
+
+    if (sizeFormat === 0 || sizeFormat === 2) {
+      size = byte0 >>> 3
+      offset = start + 1
+    } else if (sizeFormat === 1) {
+      size = (byte0 >>> 4) + (input[start + 1] << 4)
+      offset = start + 2
+    } else {
+      size = (byte0 >>> 4) + (input[start + 1] << 4) + (input[start + 2] << 12)
+      offset = start + 3
+    }
+
+    if (type === LiteralsBlockTypes.RLE) {
+      if (offset + 1 > end) {
+        throw invalidInput('truncated literals section')
+      }
+
+      return { literals: Buffer.alloc(size, input[offset]), offset: offset + 1 }
+    }
+
+    if (offset + size > end) {
+      throw invalidInput('truncated literals section')
+    }
+
+    return { literals: input.slice(offset, offset + size), offset: offset + size }
+  }
+
+  const headerSize = [3, 3, 4, 5][sizeFormat]
+  const fourStreams = sizeFormat !== 0
+
+  if (start + headerSize > end) {
+    throw invalidInput('truncated literals section header')
+  }
+
+  const header = input.readUIntLE(start, headerSize)
+  const sizeBits = [10, 10, 14, 18][sizeFormat]
+  const sizeMask = 2 ** sizeBits
+  const regeneratedSize = Math.floor(header / 16) % sizeMask
+  const compressedSize = Math.floor(header / 2 ** (4 + sizeBits)) % sizeMask
+
+  let offset = start + headerSize
+  const literalsEnd = offset + compressedSize
+
+  if (literalsEnd > end) {
+    throw invalidInput('truncated literals section')
+  }
+
+  if (type === LiteralsBlockTypes.COMPRESSED) {
+    const description = huffman.readTable(input, offset, literalsEnd)
+    context.huffmanTable = description.table
+    offset = description.offset
+  } else if (!context.huffmanTable) {
+    throw invalidInput('treeless literals block without a previous Huffman table')
+  }
+
+  const literals = huffman.decodeLiterals(
+    context.huffmanTable,
+    input,
+    offset,
+    literalsEnd,
+    regeneratedSize,
+    fourStreams
+  )
+
+  return { literals, offset: literalsEnd }
+}
+
+const readSequenceTable = (input, offset, end, mode, name, context, limits) => {
+  switch (mode) {
+    case SymbolCompressionModes.PREDEFINED:
+      context.tables[name] = DEFAULT_TABLES[name]
+      return offset
+
+    case SymbolCompressionModes.RLE:
+      if (offset >= end) {
+        throw invalidInput('truncated sequences section')
+      }
+
+      context.tables[name] = fse.buildRleDecodingTable(input[offset])
+      return offset + 1
+
+    case SymbolCompressionModes.FSE_COMPRESSED: {
+      const reader = new ForwardBitReader(input, offset, end)
+      const distribution = fse.readDistribution(reader, limits.maxAccuracyLog, limits.maxSymbol)
+      context.tables[name] = fse.buildDecodingTable(distribution)
+      return reader.alignedOffset()
+    }
+
+    case SymbolCompressionModes.REPEAT:
+      if (!context.tables[name]) {
+        throw invalidInput('repeat mode without a previous table')
+      }
+
+      return offset
+  }
+}
+
+const resolveOffset = (offsetValue, literalsLength, repeatOffsets) => {
+  if (offsetValue > 3) {
+    const offset = offsetValue - 3
+    repeatOffsets[2] = repeatOffsets[1]
+    repeatOffsets[1] = repeatOffsets[0]
+    repeatOffsets[0] = offset
+    return offset
+  }
+
+  // Repeat offsets are shifted by one when the literals length is zero
+  const index = offsetValue - 1 + (literalsLength === 0 ? 1 : 0)
+
+  if (index === 0) {
+    return repeatOffsets[0]
+  }
+
+  const offset = index < 3 ? repeatOffsets[index] : repeatOffsets[0] - 1
+  if (index > 1) {
+    repeatOffsets[2] = repeatOffsets[1]
+  }
+  repeatOffsets[1] = repeatOffsets[0]
+  repeatOffsets[0] = offset
+
+  if (offset === 0) {
+    throw invalidInput('invalid repeat offset')
+  }
+
+  return offset
+}
+
+/**
+ * Reads the sequences section and executes them against the output
+ */
+const executeSequences = (input, start, end, literals, output, context) => {
+  let offset = start
+  const byte0 = input[offset++]
+  let count
+
+  if (byte0 < 128) {
+    count = byte0
+  } else if (byte0 < 255) {
+    count = ((byte0 - 128) << 8) + input[offset++]
+  } else {
+    count = input[offset] + (input[offset + 1] << 8) + 0x7f00
+    offset += 2
+  }
+
+  if (count === 0) {
+    output.write(literals, 0, literals.length)
+    return
+  }
+
+  const modes = input[offset++]
+  offset = readSequenceTable(input, offset, end, modes >>> 6, 'literalsLength', context, {
+    maxAccuracyLog: LITERALS_LENGTH_MAX_ACCURACY_LOG,
+    maxSymbol: LITERALS_LENGTH_MAX_SYMBOL,
+  })
+  offset = readSequenceTable(input, offset, end, (modes >>> 4) & 0x03, 'offset', context, {
+    maxAccuracyLog: OFFSET_CODE_MAX_ACCURACY_LOG,
+    maxSymbol: OFFSET_CODE_MAX_SYMBOL,
+  })
+  offset = readSequenceTable(input, offset, end, (modes >>> 2) & 0x03, 'matchLength', context, {
+    maxAccuracyLog: MATCH_LENGTH_MAX_ACCURACY_LOG,
+    maxSymbol: MATCH_LENGTH_MAX_SYMBOL,
+  })
+
+  const { literalsLength: llTable, offset: ofTable, matchLength: mlTable } = context.tables
+  const reader = new BackwardBitReader(input, offset, end)
+  let llState = fse.initState(llTable, reader)
+  let ofState = fse.initState(ofTable, reader)
+  let mlState = fse.initState(mlTable, reader)
+  let literalsPosition = 0
+
+  for (let i = 0; i < count; i++) {
+    const ofCode = ofTable.symbols[ofState]
+    const mlCode = mlTable.symbols[mlState]
+    const llCode = llTable.symbols[llState]
+
+    if (
+      ofCode > OFFSET_CODE_MAX_SYMBOL ||
+      llCode > LITERALS_LENGTH_MAX_SYMBOL ||
+      mlCode > MATCH_LENGTH_MAX_SYMBOL
+    ) {
+      throw invalidInput('invalid sequence code')
+    }
+
+    const offsetValue = 2 ** ofCode + reader.readBits(ofCode)
+    const matchLength =
+      MATCH_LENGTH_BASELINES[mlCode] + reader.readBits(MATCH_LENGTH_EXTRA_BITS[mlCode])
+    const literalsLength =
+      LITERALS_LENGTH_BASELINES[llCode] + reader.readBits(LITERALS_LENGTH_EXTRA_BITS[llCode])
+
+    if (i < count - 1) {
+      llState = fse.updateState(llTable, llState, reader)
+      mlState = fse.updateState(mlTable, mlState, reader)
+      ofState = fse.updateState(ofTable, ofState, reader)
+    }
+
+    if (literalsPosition + literalsLength > literals.length) {
+      throw invalidInput('sequence literals out of bounds')
+    }
+
+    output.write(literals, literalsPosition, literalsPosition + literalsLength)
+    literalsPosition += literalsLength
+
+    const matchOffset = resolveOffset(offsetValue, literalsLength, context.repeatOffsets)
+    output.copyMatch(matchOffset, matchLength, context.frameStart)
+  }
+
+  if (reader.remaining !== 0) {
+    throw invalidInput('sequences bitstream not fully consumed')
+  }
+
+  output.write(literals, literalsPosition, literals.length)
+}
+
+const decompressBlock = (input, start, end, output, context) => {
+  const { literals, offset } = readLiterals(input, start, end, context)
+
+  if (offset >= end) {
+    throw invalidInput('truncated sequences section')
+  }
+
+  executeSequences(input, offset, end, literals, output, context)
+}
+
+const decompressFrame = (input, offset, output) => {
+  const header = readFrameHeader(input, offset)
+  const context = {
+    frameStart: output.length,
+    huffmanTable: null,
+    tables: {},
+    repeatOffsets: [...INITIAL_REPEAT_OFFSETS],
+  }
+
+  if (header.contentSize !== null) {
+    if (header.contentSize > maxContentSize(input.length - header.offset)) {
+      throw invalidInput(
+        `frame content size ${header.contentSize} exceeds the maximum for the input`
+      )
+    }
+
+    output.ensure(Math.min(header.contentSize, MAX_PREALLOCATED_SIZE))
+  }
+
+  offset = header.offset
+
+  for (let lastBlock = false; !lastBlock; ) {
+    if (offset + 3 > input.length) {
+      throw invalidInput('truncated block header')
+    }
+
+    const blockHeader = input.readUIntLE(offset, 3)
+    const type = (blockHeader >>> 1) & 0x03
+    const size = blockHeader >>> 3
+    lastBlock = (blockHeader & 0x01) === 1
+    offset += 3
+
+    switch (type) {
+      case BlockTypes.RAW:
+        if (offset + size > input.length) {
+          throw invalidInput('truncated raw block')
+        }
+
+        output.write(input, offset, offset + size)
+        offset += size
+        break
+
+      case BlockTypes.RLE:
+        if (size > BLOCK_MAX_SIZE || offset + 1 > input.length) {
+          throw invalidInput('RLE block out of bounds')
+        }
+
+        output.fill(input[offset], size)
+        offset += 1
+        break
+
+      case BlockTypes.COMPRESSED:
+        if (size > BLOCK_MAX_SIZE || offset + size > input.length) {
+          throw invalidInput('compressed block out of bounds')
+        }
+
+        decompressBlock(input, offset, offset + size, output, context)
+        offset += size
+        break
+
+      default:
+        throw invalidInput('reserved block type')
+    }
+  }
+
+  if (header.contentSize !== null && output.length - context.frameStart !== header.contentSize) {
+    throw invalidInput(
+      `expected ${header.contentSize} bytes, got ${output.length - context.frameStart}`
+    )
+  }
+
+  return header.hasChecksum ? offset + 4 : offset
+}
+
+/**
+ * @param {Buffer} input one or more zstd frames
+ * @returns {Buffer}
+ */
+module.exports = input => {
+  const output = new Output(input.length * 4)
+  let offset = 0
+
+  while (offset < input.length) {
+    if (offset + 4 > input.length) {
+      throw invalidInput('truncated frame')
+    }
+
+    const magic = input.readUInt32LE(offset)
+    offset += 4
+
+    if (magic >= SKIPPABLE_FRAME_MAGIC_MIN && magic <= SKIPPABLE_FRAME_MAGIC_MAX) {
+      offset += 4 + input.readUInt32LE(offset)
+      continue
+    }
+
+    if (magic !== MAGIC_NUMBER) {
+      throw invalidInput('unknown frame magic number')
+    }
+
+    offset = decompressFrame(input, offset, output)
+  }
+
+  if (offset > input.length) {
+    throw invalidInput('truncated frame')
+  }
+
+  return output.buffer.slice(0, output.length)
+}
@@ -0,0 +1,217 @@
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+const { highestSetBit } = require('./bitStream')
+
+/**
+ * Finite State Entropy tables
+ * @see https://github.com/facebook/zstd/blob/dev/doc/zstd_compression_format.md#fse
+ */
+
+const invalidInput = reason => new KafkaJSNonRetriableError(`Invalid zstd data: ${reason}`)
+
+/**
+ * Symbols with a "less than 1" probability (-1) take the last cells of the table, the others are
+ * spread using the same step the reference implementation uses
+ *
+ * @returns {{ symbols: Uint8Array, highThreshold: number }}
+ */
+const spreadSymbols = ({ accuracyLog, normalizedCounts }) => {
+  const tableSize = 1 << accuracyLog
+  const mask = tableSize - 1
+  const step = (tableSize >>> 1) + (tableSize >>> 3) + 3
+  const symbols = new Uint8Array(tableSize)
+  let highThreshold = tableSize
+
+  normalizedCounts.forEach((count, symbol) => {
+    if (count === -1) {
+      symbols[--highThreshold] = symbol
+    }
+  })
+
+  let position = 0
+  normalizedCounts.forEach((count, symbol) => {
+    for (let i = 0; i < count; i++) {
+      symbols[position] = symbol
+      do {
+        position = (position + step) & mask
+      } while (position >= highThreshold)
+    }
+  })
+
+  if (position !== 0) {
+    throw invalidInput('invalid FSE distribution')
+  }
+
+  return { symbols, highThreshold }
+}
+
+/**
+ * @returns {{ accuracyLog: number, symbols: Uint8Array, bits: Uint8Array, baselines: Uint16Array }}
+ */
+const buildDecodingTable = distribution => {
+  const { accuracyLog, normalizedCounts } = distribution
+  const tableSize = 1 << accuracyLog
+  const { symbols } = spreadSymbols(distribution)
+  const bits = new Uint8Array(tableSize)
+  const baselines = new Uint16Array(tableSize)
+  const nextStates = normalizedCounts.map(count => (count === -1 ? 1 : count))
+
+  for (let state = 0; state < tableSize; state++) {
+    const nextState = nextStates[symbols[state]]++
+    bits[state] = accuracyLog - highestSetBit(nextState)
+    baselines[state] = (nextState << bits[state]) - tableSize
+  }
+
+  return { accuracyLog, symbols, bits, baselines }
+}
+
+/**
+ * Table used by the RLE symbol compression mode, always returns the same symbol without
+ * consuming any bits
+ */
+const buildRleDecodingTable = symbol => ({
+  accuracyLog: 0,
+  symbols: Uint8Array.of(symbol),
+  bits: Uint8Array.of(0),
+  baselines: Uint16Array.of(0),
+})
+
+/**
+ * Reads a FSE table description
+ *
+ * @param {ForwardBitReader} reader
+ * @param {number} maxAccuracyLog
+ * @param {number} maxSymbol
+ * @returns {{ accuracyLog: number, normalizedCounts: number[] }}
+ */
+const readDistribution = (reader, maxAccuracyLog, maxSymbol) => {
+  const accuracyLog = reader.readBits(4) + 5
+
+  if (accuracyLog > maxAccuracyLog) {
+    throw invalidInput(`FSE accuracy log ${accuracyLog} is too large`)
+  }
+
+  const normalizedCounts = []
+  let remaining = 1 << accuracyLog
+
+  while (remaining > 0) {
+    if (normalizedCounts.length > maxSymbol) {
+      throw invalidInput('too many symbols in FSE distribution')
+    }
+
+    const bits = highestSetBit(remaining + 1) + 1
+    const lowerMask = (1 << (bits - 1)) - 1
+    const threshold = (1 << bits) - 1 - (remaining + 1)
+    let value = reader.readBits(bits)
+
+    // Small values are written using one bit less
+    if ((value & lowerMask) < threshold) {
+      reader.rewindBits(1)
+      value = value & lowerMask
+    } else if (value > lowerMask) {
+      value = value - threshold
+    }
+
+    const probability = value - 1
+    remaining -= Math.abs(probability)
+    normalizedCounts.push(probability)
+
+    if (probability === 0) {
+      let repeat
+      do {
+        repeat = reader.readBits(2)
+        for (let i = 0; i < repeat; i++) {
+          normalizedCounts.push(0)
+        }
+      } while (repeat === 3)
+    }
+  }
+
+  if (remaining !== 0 || normalizedCounts.length > maxSymbol + 1) {
+    throw invalidInput('invalid FSE distribution')
+  }
+
+  return { accuracyLog, normalizedCounts }
+}
+
+/**
+ * @param {BackwardBitReader} reader
+ */
+const initState = (table, reader) => reader.readBits(table.accuracyLog)
+
+const updateState = (table, state, reader) =>
+  table.baselines[state] + reader.readBits(table.bits[state])
+
+/**
+ * @returns {{ accuracyLog: number, stateTable: Uint16Array, deltaNbBits: number[], deltaFindState: number[] }}
+ */
+const buildEncodingTable = distribution => {
+  const { accuracyLog, normalizedCounts } = distribution
+  const tableSize = 1 << accuracyLog
+  const { symbols } = spreadSymbols(distribution)
+
+  const cumulative = [0]
+  normalizedCounts.forEach((count, symbol) => {
+    cumulative[symbol + 1] = cumulative[symbol] + (count === -1 ? 1 : count)
+  })
+
+  const stateTable = new Uint16Array(tableSize)
+  for (let position = 0; position < tableSize; position++) {
+    stateTable[cumulative[symbols[position]]++] = tableSize + position
+  }
+
+  const deltaNbBits = []
+  const deltaFindState = []
+  let total = 0
+
+  normalizedCounts.forEach((count, symbol) => {
+    if (count === 0) {
+      deltaNbBits[symbol] = ((accuracyLog + 1) << 16) - tableSize
+      deltaFindState[symbol] = 0
+    } else if (count === -1 || count === 1) {
+      deltaNbBits[symbol] = (accuracyLog << 16) - tableSize
+      deltaFindState[symbol] = total - 1
+      total++
+    } else {
+      const maxBitsOut = accuracyLog - highestSetBit(count - 1)
+      const minStatePlus = count << maxBitsOut
+      deltaNbBits[symbol] = (maxBitsOut << 16) - minStatePlus
+      deltaFindState[symbol] = total - count
+      total += count
+    }
+  })
+
+  return { accuracyLog, stateTable, deltaNbBits, deltaFindState }
+}
+
+/**
+ * The encoder state of the first encoded symbol (the last one decoded) does not output bits
+ */
+const initEncoderState = (table, symbol) => {
+  const bits = (table.deltaNbBits[symbol] + (1 << 15)) >>> 16
+  const value = (bits << 16) - table.deltaNbBits[symbol]
+  return table.stateTable[(value >>> bits) + table.deltaFindState[symbol]]
+}
+
+/**
+ * @param {BitWriter} writer
+ * @returns {number} the next state
+ */
+const encodeSymbol = (table, state, symbol, writer) => {
+  const bits = (state + table.deltaNbBits[symbol]) >>> 16
+  writer.writeBits(state, bits)
+  return table.stateTable[(state >>> bits) + table.deltaFindState[symbol]]
+}
+
+const flushEncoderState = (table, state, writer) => writer.writeBits(state, table.accuracyLog)
+
+module.exports = {
+  buildDecodingTable,
+  buildRleDecodingTable,
+  readDistribution,
+  initState,
+  updateState,
+  buildEncodingTable,
+  initEncoderState,
+  encodeSymbol,
+  flushEncoderState,
+}
@@ -0,0 +1,381 @@
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+const { ForwardBitReader, BackwardBitReader, BitWriter, highestSetBit } = require('./bitStream')
+const fse = require('./fse')
+const {
+  HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG,
+  HUFFMAN_MAX_SYMBOL,
+  HUFFMAN_MAX_BITS,
+} = require('./constants')
+
+/**
+ * Huffman coded literals
+ * @see https://github.com/facebook/zstd/blob/dev/doc/zstd_compression_format.md#huffman-coding
+ */
+
+const invalidInput = reason => new KafkaJSNonRetriableError(`Invalid zstd data: ${reason}`)
+
+/**
+ * Weights compressed with FSE, decoded using two interleaved states
+ */
+const decodeCompressedWeights = (buffer, start, end) => {
+  const headerReader = new ForwardBitReader(buffer, start, end)
+  const table = fse.buildDecodingTable(
+    fse.readDistribution(headerReader, HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG, HUFFMAN_MAX_SYMBOL)
+  )
+
+  const reader = new BackwardBitReader(buffer, headerReader.alignedOffset(), end)
+  const weights = []
+  let state1 = fse.initState(table, reader)
+  let state2 = fse.initState(table, reader)
+
+  // Decode until the stream overflows, the other state still holds a symbol
+  for (;;) {
+    if (weights.length >= HUFFMAN_MAX_SYMBOL) {
+      throw invalidInput('too many Huffman weights')
+    }
+
+    weights.push(table.symbols[state1])
+    state1 = fse.updateState(table, state1, reader)
+    if (reader.remaining < 0) {
+      weights.push(table.symbols[state2])
+      break
+    }
+
+    weights.push(table.symbols[state2])
+    state2 = fse.updateState(table, state2, reader)
+    if (reader.remaining < 0) {
+      weights.push(table.symbols[state1])
+      break
+    }
+  }
+
+  return weights
+}
+
+/**
+ * Reads the Huffman tree description
+ *
+ * @returns {{ table: object, offset: number }} the decoding table and the offset after the description
+ */
+const readTable = (buffer, start, end) => {
+  if (start >= end) {
+    throw invalidInput('truncated Huffman tree description')
+  }
+
+  const header = buffer[start]
+  let weights
+  let offset
+
+  if (header < 128) {
+    offset = start + 1 + header
+    if (offset > end) {
+      throw invalidInput('truncated Huffman tree description')
+    }
+
+    weights = decodeCompressedWeights(buffer, start + 1, offset)
+  } else {
+    const symbolCount = header - 127
+    offset = start + 1 + Math.ceil(symbolCount / 2)
+    if (offset > end) {
+      throw invalidInput('truncated Huffman tree description')
+    }
+
+    weights = []
+    for (let i = 0; i < symbolCount; i++) {
+      const byte = buffer[start + 1 + (i >>> 1)]
+      weights.push(i % 2 === 0 ? byte >>> 4 : byte & 0x0f)
+    }
+  }
+
+  return { table: buildTable(weights), offset }
+}
+
+/**
+ * The weight of the last symbol is not stored, it is the one completing the total to the next
+ * power of two
+ */
+const buildTable = weights => {
+  let weightSum = 0
+  for (const weight of weights) {
+    if (weight > HUFFMAN_MAX_BITS) {
+      throw invalidInput(`invalid Huffman weight ${weight}`)
+    }
+
+    weightSum += weight > 0 ? 1 << (weight - 1) : 0
+  }
+
+  if (weightSum === 0) {
+    throw invalidInput('invalid Huffman weights')
+  }
+
+  const maxBits = highestSetBit(weightSum) + 1
+  const leftOver = (1 << maxBits) - weightSum
+
+  if (maxBits > HUFFMAN_MAX_BITS || (leftOver & (leftOver - 1)) !== 0) {
+    throw invalidInput('invalid Huffman weights')
+  }
+
+  const allWeights = [...weights, highestSetBit(leftOver) + 1]
+  const tableSize = 1 << maxBits
+  const symbols = new Uint8Array(tableSize)
+  const bits = new Uint8Array(tableSize)
+
+  // Longer codes (smaller weights) take the lowest prefixes
+  const rankCounts = new Array(maxBits + 1).fill(0)
+  allWeights.forEach(weight => {
+    if (weight > 0) {
+      rankCounts[maxBits + 1 - weight]++
+    }
+  })
+
+  const rankStarts = new Array(maxBits + 2).fill(0)
+  for (let length = maxBits; length >= 1; length--) {
+    rankStarts[length - 1] = rankStarts[length] + rankCounts[length] * (1 << (maxBits - length))
+  }
+
+  allWeights.forEach((weight, symbol) => {
+    if (weight === 0) {
+      return
+    }
+
+    const length = maxBits + 1 - weight
+    const size = 1 << (maxBits - length)
+    const position = rankStarts[length]
+    symbols.fill(symbol, position, position + size)
+    bits.fill(length, position, position + size)
+    rankStarts[length] += size
+  })
+
+  return { maxBits, symbols, bits }
+}
+
+const decodeStream = (table, buffer, start, end, output, outputStart, count) => {
+  const reader = new BackwardBitReader(buffer, start, end)
+  const mask = (1 << table.maxBits) - 1
+  let state = reader.readBits(table.maxBits)
+
+  for (let i = 0; i < count; i++) {
+    const length = table.bits[state]
+    output[outputStart + i] = table.symbols[state]
+    state = ((state << length) & mask) | reader.readBits(length)
+  }
+
+  if (reader.remaining !== -table.maxBits) {
+    throw invalidInput('Huffman stream not fully consumed')
+  }
+}
+
+/**
+ * @param {object} table
+ * @param {Buffer} buffer
+ * @param {number} start
+ * @param {number} end
+ * @param {number} size regenerated size
+ * @param {boolean} fourStreams
+ * @returns {Buffer}
+ */
+const decodeLiterals = (table, buffer, start, end, size, fourStreams) => {
+  const output = Buffer.alloc(size)
+
+  if (!fourStreams) {
+    decodeStream(table, buffer, start, end, output, 0, size)
+    return output
+  }
+
+  if (start + 6 > end) {
+    throw invalidInput('truncated Huffman jump table')
+  }
+
+  const streamSizes = [
+    buffer.readUInt16LE(start),
+    buffer.readUInt16LE(start + 2),
+    buffer.readUInt16LE(start + 4),
+  ]
+
+  const segmentSize = Math.floor((size + 3) / 4)
+  let streamStart = start + 6
+
+  for (let i = 0; i < 4; i++) {
+    const streamEnd = i < 3 ? streamStart + streamSizes[i] : end
+    const outputStart = i * segmentSize
+    const count = i < 3 ? segmentSize : size - 3 * segmentSize
+
+    if (streamEnd > end || count < 0) {
+      throw invalidInput('Huffman stream out of bounds')
+    }
+
+    decodeStream(table, buffer, streamStart, streamEnd, output, outputStart, count)
+    streamStart = streamEnd
+  }
+
+  return output
+}
+
+/**
+ * Huffman code lengths of the symbols present in the counts, at most HUFFMAN_MAX_BITS long
+ *
+ * @param {number[]} counts occurrences of each symbol
+ * @returns {number[]} the code length of each symbol, zero for absent symbols
+ */
+const buildCodeLengths = counts => {
+  const leaves = []
+  counts.forEach((count, symbol) => count > 0 && leaves.push({ count, symbol, parent: null }))
+  leaves.sort((a, b) => a.count - b.count || a.symbol - b.symbol)
+
+  // Two queues: the sorted leaves and the internal nodes, created in increasing count order
+  const nodes = []
+  let leafIndex = 0
+  let nodeIndex = 0
+  const takeSmallest = () =>
+    leafIndex < leaves.length &&
+    (nodeIndex >= nodes.length || leaves[leafIndex].count <= nodes[nodeIndex].count)
+      ? leaves[leafIndex++]
+      : nodes[nodeIndex++]
+
+  while (leaves.length - leafIndex + nodes.length - nodeIndex > 1) {
+    const first = takeSmallest()
+    const second = takeSmallest()
+    const node = { count: first.count + second.count, parent: null }
+    first.parent = node
+    second.parent = node
+    nodes.push(node)
+  }
+
+  const lengths = new Array(counts.length).fill(0)
+  for (const leaf of leaves) {
+    let length = 0
+    for (let node = leaf; node.parent; node = node.parent) {
+      length++
+    }
+
+    lengths[leaf.symbol] = Math.min(length, HUFFMAN_MAX_BITS)
+  }
+
+  // Clamping the longest codes overflows the code space: lengthen the least frequent of the
+  // longest codes until it fits, then shorten the most frequent codes while there is room left
+  const capacity = 1 << HUFFMAN_MAX_BITS
+  const cost = length => 1 << (HUFFMAN_MAX_BITS - length)
+  let total = leaves.reduce((sum, { symbol }) => sum + cost(lengths[symbol]), 0)
+
+  for (let i = 0; total > capacity; i++) {
+    const { symbol } = leaves[i % leaves.length]
+    if (lengths[symbol] < HUFFMAN_MAX_BITS) {
+      total -= cost(lengths[symbol] + 1)
+      lengths[symbol]++
+    }
+  }
+
+  for (let i = leaves.length - 1; i >= 0 && total < capacity; i--) {
+    const { symbol } = leaves[i]
+    while (lengths[symbol] > 1 && total + cost(lengths[symbol]) <= capacity) {
+      total += cost(lengths[symbol])
+      lengths[symbol]--
+    }
+  }
+
+  return lengths
+}
+
+/**
+ * Builds the codes of the literals and their tree description, using the direct representation
+ * of the weights
+ *
+ * @param {Buffer} literals
+ * @returns {{ description: Buffer, codes: number[], lengths: number[] }|null} null if the
+ * literals use a single symbol or a symbol the direct representation cannot describe
+ */
+const buildEncodingTable = literals => {
+  const counts = new Array(HUFFMAN_MAX_SYMBOL + 1).fill(0)
+  for (let i = 0; i < literals.length; i++) {
+    counts[literals[i]]++
+  }
+
+  let lastSymbol = HUFFMAN_MAX_SYMBOL
+  while (counts[lastSymbol] === 0) {
+    lastSymbol--
+  }
+
+  // The header byte holds 127 + the number of weights, the last symbol's weight is implicit
+  if (lastSymbol === 0 || lastSymbol > 128 || counts[lastSymbol] === literals.length) {
+    return null
+  }
+
+  const lengths = buildCodeLengths(counts.slice(0, lastSymbol + 1))
+  const maxBits = Math.max(...lengths)
+  const weights = lengths.map(length => (length > 0 ? maxBits + 1 - length : 0))
+
+  const description = Buffer.alloc(1 + Math.ceil(lastSymbol / 2))
+  description[0] = 127 + lastSymbol
+  for (let i = 0; i < lastSymbol; i++) {
+    description[1 + (i >>> 1)] |= i % 2 === 0 ? weights[i] << 4 : weights[i]
+  }
+
+  // Same prefix assignment as the decoding table
+  const rankCounts = new Array(maxBits + 1).fill(0)
+  lengths.forEach(length => length > 0 && rankCounts[length]++)
+
+  const rankStarts = new Array(maxBits + 2).fill(0)
+  for (let length = maxBits; length >= 1; length--) {
+    rankStarts[length - 1] = rankStarts[length] + rankCounts[length] * (1 << (maxBits - length))
+  }
+
+  const codes = lengths.map(length => {
+    if (length === 0) {
+      return 0
+    }
+
+    const position = rankStarts[length]
+    rankStarts[length] += 1 << (maxBits - length)
+    return position >>> (maxBits - length)
+  })
+
+  return { description, codes, lengths }
+}
+
+/**
+ * Symbols are written in reverse order, the decoder reads the bitstream backwards
+ */
+const encodeStream = (table, literals, start, end) => {
+  const writer = new BitWriter()
+  for (let i = end - 1; i >= start; i--) {
+    writer.writeBits(table.codes[literals[i]], table.lengths[literals[i]])
+  }
+
+  return writer.close()
+}
+
+/**
+ * @param {object} table
+ * @param {Buffer} literals
+ * @param {boolean} fourStreams
+ * @returns {Buffer} the encoded streams, preceded by the jump table when there are four
+ */
+const encodeLiterals = (table, literals, fourStreams) => {
+  if (!fourStreams) {
+    return encodeStream(table, literals, 0, literals.length)
+  }
+
+  const segmentSize = Math.floor((literals.length + 3) / 4)
+  const streams = [0, 1, 2, 3].map(i =>
+    encodeStream(
+      table,
+      literals,
+      Math.min(i * segmentSize, literals.length),
+      i < 3 ? Math.min((i + 1) * segmentSize, literals.length) : literals.length
+    )
+  )
+
+  const jumpTable = Buffer.alloc(6)
+  for (let i = 0; i < 3; i++) {
+    jumpTable.writeUInt16LE(streams[i].length, i * 2)
+  }
+
+  return Buffer.concat([jumpTable, ...streams])
+}
+
+module.exports = {
+  readTable,
+  decodeLiterals,
+  buildEncodingTable,
+  encodeLiterals,
+}
@@ -0,0 +1,20 @@
+const compress = require('./compress')
+const decompress = require('./decompress')
+
+module.exports = {
+  /**
+   * @param {Encoder} encoder
+   * @returns {Promise}
+   */
+  async compress(encoder) {
+    return compress(encoder.buffer)
+  },
+
+  /**
+   * @param {Buffer} buffer
+   * @returns {Promise}
+   */
+  async decompress(buffer) {
+    return decompress(buffer)
+  },
+}
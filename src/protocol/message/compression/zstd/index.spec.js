@@ -0,0 +1,101 @@
+const Encoder = require('../../../encoder')
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+const ZSTD = require('./index')
+
+describe('Protocol > Message > Compression > ZSTD', () => {
+  const encode = buffer => new Encoder().writeBuffer(buffer)
+
+  const samples = {
+    empty: Buffer.alloc(0),
+    'short text': Buffer.from('kafkajs'),
+    repetitive: Buffer.alloc(300 * 1024, 'abcabcabd'),
+    text: Buffer.from(
+      Array.from({ length: 20000 }, (_, i) => `message-${i % 97} key-${i % 13}`).join(',')
+    ),
+    json: Buffer.from(
+      Array.from(
+        { length: 300 },
+        (_, i) => `{"id":${i},"name":"message-${i % 97}","key":"key-${(i * 7) % 13}"}`
+      ).join('\n')
+    ),
+    'high bytes': Buffer.from(Array.from({ length: 20000 }, (_, i) => 128 + ((i * i) % 127))),
+    random: Buffer.from(
+      Array.from({ length: 70000 }, (_, i) => (Math.imul(i, 2654435761) >>> 13) & 0xff)
+    ),
+  }
+
+  for (const [name, buffer] of Object.entries(samples)) {
+    test(`compress and decompress ${name} data`, async () => {
+      const compressed = await ZSTD.compress(encode(buffer))
+      await expect(ZSTD.decompress(compressed)).resolves.toEqual(buffer)
+    })
+  }
+
+  test('compress repetitive data', async () => {
+    const compressed = await ZSTD.compress(encode(samples.repetitive))
+    expect(compressed.length).toBeLessThan(samples.repetitive.length / 100)
+  })
+
+  test('compress text data', async () => {
+    const compressed = await ZSTD.compress(encode(samples.text))
+    expect(compressed.length).toBeLessThan(samples.text.length / 50)
+  })
+
+  test('compress within twice the size of the reference implementation', async () => {
+    const reference = Buffer.from(require('./fixtures/sample_level3.json'))
+    const compressed = await ZSTD.compress(encode(samples.json))
+    expect(compressed.length).toBeLessThan(reference.length * 2)
+  })
+
+  test('compress using a single frame', async () => {
+    const compressed = await ZSTD.compress(encode(Buffer.from('kafkajs')))
+    expect(compressed).toEqual(
+      Buffer.from([
+        ...[0x28, 0xb5, 0x2f, 0xfd], // magic number
+        ...[0x80, 0x00, 7, 0, 0, 0], // frame header with the content size
+        ...[0x39, 0x00, 0x00, ...Buffer.from('kafkajs')], // last block, raw
+      ])
+    )
+  })
+
+  describe('decompress data compressed by the reference implementation', () => {
+    for (const level of [3, 19, 22]) {
+      test(`level ${level}`, async () => {
+        const buffer = Buffer.from(require(`./fixtures/sample_level${level}.json`))
+        await expect(ZSTD.decompress(buffer)).resolves.toEqual(samples.json)
+      })
+    }
+  })
+
+  test('decompress concatenated and skippable frames', async () => {
+    const frame1 = await ZSTD.compress(encode(Buffer.from('kafka')))
+    const frame2 = await ZSTD.compress(encode(Buffer.from('js')))
+    const skippable = Buffer.from([0x50, 0x2a, 0x4d, 0x18, 2, 0, 0, 0, 0xff, 0xff])
+
+    await expect(ZSTD.decompress(Buffer.concat([frame1, skippable, frame2]))).resolves.toEqual(
+      Buffer.from('kafkajs')
+    )
+  })
+
+  test('throw an error when the data is corrupted', async () => {
+    await expect(ZSTD.decompress(Buffer.from('kafkajs'))).rejects.toThrow(
+      'Invalid zstd data: unknown frame magic number'
+    )
+
+    const compressed = await ZSTD.compress(encode(samples.text))
+    await expect(ZSTD.decompress(compressed.slice(0, compressed.length - 10))).rejects.toThrow(
+      KafkaJSNonRetriableError
+    )
+  })
+
+  test('throw an error when the content size is larger than the frame can expand to', async () => {
+    const magic = [0x28, 0xb5, 0x2f, 0xfd]
+    const contentSize = [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00]
+    const emptyLastBlock = [0x01, 0x00, 0x00]
+    const frame = Buffer.from([...magic, 0xe0, ...contentSize, ...emptyLastBlock])
+
+    await expect(ZSTD.decompress(frame)).rejects.toThrow(
+      'Invalid zstd data: frame content size 281474976710656 exceeds the maximum for the input'
+    )
+  })
+})
@@ -22,7 +22,9 @@ module.exports = async (primaryDecoder, size = null) => {
       const codec = lookupCodecByAttributes(message.attributes)
 
       if (codec) {
-        const buffer = await codec.decompress(message.value)
+        // The magic byte allows codecs to handle legacy framing, e.g. the LZ4
+        // header checksum computed by Kafka < 0.10 for magic byte 0
+        const buffer = await codec.decompress(message.value, { magicByte: message.magicByte })
         messages.push(...EntriesDecoder(new Decoder(buffer), message))
       } else {
         messages.push(message)
@@ -43,6 +43,14 @@ const Fixtures = {
       data: require('./fixtures/messages_v0_GZIP.json'),
       output: messages,
     },
+    snappy: {
+      data: require('./fixtures/messages_v0_Snappy.json'),
+      output: messages,
+    },
+    lz4: {
+      data: require('./fixtures/messages_v0_LZ4.json'),
+      output: messages,
+    },
   },
 }
 
@@ -1,5 +1,6 @@
 const Decoder = require('../../decoder')
 const recordBatchDecoder = require('./decoder')
+const { Types: Compression } = require('../../message/compression')
 
 describe('Protocol > RecordBatch > v0', () => {
   test('decodes', async () => {
@@ -21,4 +22,15 @@ describe('Protocol > RecordBatch > v0', () => {
       records: expect.any(Object),
     })
   })
+
+  test('decodes zstd compressed records', async () => {
+    const buffer = Buffer.from(require('../fixtures/v0_recordbatch_zstd.json'))
+    // The fixture was produced without the compression attribute (see #912)
+    buffer.writeInt16BE(Compression.ZSTD, 21)
+
+    const decoded = await recordBatchDecoder(new Decoder(buffer))
+    expect(decoded.records).toHaveLength(1)
+    expect(decoded.records[0].key).toEqual(Buffer.from('lorem'))
+    expect(decoded.records[0].value.toString()).toMatch(/^Lorem ipsum dolor sit amet/)
+  })
 })
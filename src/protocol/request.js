@@ -1,13 +1,70 @@
 const Encoder = require('./encoder')
+const Decoder = require('./decoder')
+const { ApiVersions } = require('./requests/apiKeys')
 
-module.exports = async ({ correlationId, clientId, request: { apiKey, apiVersion, encode } }) => {
+/**
+ * Flexible versions (KIP-482) are declared with `flexible: true` by the requests, they use the
+ * request header v2, which ends with tagged fields
+ *
+ * @param {Object} request
+ * @param {boolean} [request.flexible=false]
+ * @returns {number}
+ */
+const requestHeaderVersion = ({ flexible = false }) => (flexible ? 2 : 1)
+
+/**
+ * Responses to flexible versions use the response header v1, which ends with tagged fields.
+ * ApiVersions responses always use the header v0, so that they can be read before knowing the
+ * versions supported by the broker
+ *
+ * @param {Object} request
+ * @param {number} request.apiKey
+ * @param {boolean} [request.flexible=false]
+ * @returns {number}
+ */
+const responseHeaderVersion = ({ apiKey, flexible = false }) =>
+  flexible && apiKey !== ApiVersions ? 1 : 0
+
+const createRequest = async ({ correlationId, clientId, request }) => {
+  const { apiKey, apiVersion, encode } = request
   const payload = await encode()
   const requestPayload = new Encoder()
     .writeInt16(apiKey)
     .writeInt16(apiVersion)
     .writeInt32(correlationId)
     .writeString(clientId)
-    .writeEncoder(payload)
+
+  if (requestHeaderVersion(request) >= 2) {
+    requestPayload.writeTaggedFields()
+  }
+
+  requestPayload.writeEncoder(payload)
 
   return new Encoder().writeInt32(requestPayload.size()).writeEncoder(requestPayload)
 }
+
+/**
+ * Skip what remains of the response header, the correlation id is read by the connection
+ * to find the request
+ *
+ * @param {Object} options
+ * @param {Object} options.request
+ * @param {Buffer} options.payload The response following the correlation id
+ * @returns {Buffer} The response body, as expected by the decode function of the request
+ */
+const responseBody = ({ request, payload }) => {
+  if (responseHeaderVersion(request) < 1) {
+    return payload
+  }
+
+  const decoder = new Decoder(payload)
+  decoder.readTaggedFields()
+  return decoder.readAll()
+}
+
+module.exports = {
+  createRequest,
+  requestHeaderVersion,
+  responseHeaderVersion,
+  responseBody,
+}
@@ -0,0 +1,90 @@
+const Encoder = require('./encoder')
+const Decoder = require('./decoder')
+const apiKeys = require('./requests/apiKeys')
+const {
+  createRequest,
+  requestHeaderVersion,
+  responseHeaderVersion,
+  responseBody,
+} = require('./request')
+
+describe('Protocol > Request', () => {
+  const B = (...args) => Buffer.from(args)
+  const encode = async () => new Encoder().writeInt8(1)
+
+  describe('createRequest', () => {
+    test('encodes the request header v1', async () => {
+      const request = { apiKey: apiKeys.Metadata, apiVersion: 1, encode }
+      const { buffer } = await createRequest({ correlationId: 2, clientId: 'a', request })
+
+      expect(buffer).toEqual(
+        B(
+          ...[0x00, 0x00, 0x00, 0x0c], // size
+          ...[0x00, 0x03], // api key
+          ...[0x00, 0x01], // api version
+          ...[0x00, 0x00, 0x00, 0x02], // correlation id
+          ...[0x00, 0x01, 0x61], // client id
+          0x01 // body
+        )
+      )
+    })
+
+    test('encodes the request header v2 of flexible versions', async () => {
+      const request = { apiKey: apiKeys.DescribeProducers, apiVersion: 0, flexible: true, encode }
+      const { buffer } = await createRequest({ correlationId: 2, clientId: 'a', request })
+
+      expect(buffer).toEqual(
+        B(
+          ...[0x00, 0x00, 0x00, 0x0d], // size
+          ...[0x00, 0x3d], // api key
+          ...[0x00, 0x00], // api version
+          ...[0x00, 0x00, 0x00, 0x02], // correlation id
+          ...[0x00, 0x01, 0x61], // client id, still a nullable string
+          0x00, // tagged fields
+          0x01 // body
+        )
+      )
+    })
+  })
+
+  describe('header versions', () => {
+    test('flexible versions use the request header v2 and response header v1', () => {
+      const request = { apiKey: apiKeys.DescribeProducers, flexible: true }
+      expect(requestHeaderVersion(request)).toEqual(2)
+      expect(responseHeaderVersion(request)).toEqual(1)
+    })
+
+    test('other versions use the request header v1 and response header v0', () => {
+      const request = { apiKey: apiKeys.Metadata }
+      expect(requestHeaderVersion(request)).toEqual(1)
+      expect(responseHeaderVersion(request)).toEqual(0)
+    })
+
+    test('ApiVersions responses always use the response header v0', () => {
+      const request = { apiKey: apiKeys.ApiVersions, flexible: true }
+      expect(requestHeaderVersion(request)).toEqual(2)
+      expect(responseHeaderVersion(request)).toEqual(0)
+    })
+  })
+
+  describe('responseBody', () => {
+    test('returns the payload of responses with the header v0', () => {
+      const payload = B(0x00, 0x01)
+      expect(responseBody({ request: { apiKey: apiKeys.Metadata }, payload })).toEqual(payload)
+    })
+
+    test('skips the tagged fields of the response header v1', () => {
+      const payload = new Encoder()
+        .writeTaggedFields({ 0: new Encoder().writeInt32(1) })
+        .writeInt16(5).buffer
+
+      const body = responseBody({
+        request: { apiKey: apiKeys.DescribeProducers, flexible: true },
+        payload,
+      })
+
+      expect(new Decoder(body).readInt16()).toEqual(5)
+      expect(body).toEqual(B(0x00, 0x05))
+    })
+  })
+})
@@ -0,0 +1,12 @@
+const versions = {
+  0: ({ entries, validateOnly }) => {
+    const request = require('./v0/request')
+    const response = require('./v0/response')
+    return { request: request({ entries, validateOnly }), response }
+  },
+}
+
+module.exports = {
+  versions: Object.keys(versions),
+  protocol: ({ version }) => versions[version],
+}
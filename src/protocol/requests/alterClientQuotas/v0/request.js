@@ -0,0 +1,47 @@
+const Encoder = require('../../../encoder')
+const { AlterClientQuotas: apiKey } = require('../../apiKeys')
+
+/**
+ * AlterClientQuotas Request (Version: 0) => [entries] validate_only
+ *   entries => [entity] [ops]
+ *     entity => entity_type entity_name
+ *       entity_type => STRING
+ *       entity_name => NULLABLE_STRING
+ *     ops => key value remove
+ *       key => STRING
+ *       value => FLOAT64
+ *       remove => BOOLEAN
+ *   validate_only => BOOLEAN
+ */
+
+/**
+ * @param {Object} options
+ * @param {Array<Object>} options.entries
+ * @param {Array<{ entityType: string, entityName?: string }>} options.entries[].entity An entity
+ *                                         without name is the default entity of its type
+ * @param {Array<{ key: string, value?: number, remove?: boolean }>} options.entries[].ops
+ * @param {boolean} [options.validateOnly=false]
+ */
+module.exports = ({ entries, validateOnly = false }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'AlterClientQuotas',
+  encode: async () => {
+    return new Encoder().writeArray(entries.map(encodeEntry)).writeBoolean(validateOnly)
+  },
+})
+
+const encodeEntry = ({ entity, ops }) => {
+  return new Encoder().writeArray(entity.map(encodeEntity)).writeArray(ops.map(encodeOp))
+}
+
+const encodeEntity = ({ entityType, entityName = null }) => {
+  return new Encoder().writeString(entityType).writeString(entityName)
+}
+
+const encodeOp = ({ key, value = 0, remove = false }) => {
+  return new Encoder()
+    .writeString(key)
+    .writeDouble(value)
+    .writeBoolean(remove)
+}
@@ -0,0 +1,23 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > AlterClientQuotas > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      entries: [
+        {
+          entity: [{ entityType: 'user', entityName: 'alice' }],
+          ops: [
+            { key: 'producer_byte_rate', value: 1024 },
+            { key: 'consumer_byte_rate', remove: true },
+          ],
+        },
+        {
+          entity: [{ entityType: 'client-id' }],
+          ops: [{ key: 'request_percentage', value: 12.5 }],
+        },
+      ],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
@@ -0,0 +1,40 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > AlterClientQuotas > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      entries: [
+        {
+          errorCode: 0,
+          errorMessage: null,
+          entity: [{ entityType: 'user', entityName: 'alice' }],
+        },
+        {
+          errorCode: 0,
+          errorMessage: null,
+          entity: [{ entityType: 'client-id', entityName: null }],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSAggregateError with the errors of each entity', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toMatchObject({
+      name: 'KafkaJSAggregateError',
+      message: 'Errors altering client quotas',
+      errors: [
+        expect.objectContaining({
+          name: 'KafkaJSAlterClientQuotasError',
+          type: 'INVALID_REQUEST',
+          entity: [{ entityType: 'client-id', entityName: null }],
+        }),
+      ],
+    })
+  })
+})
@@ -15,12 +15,12 @@ module.exports = ({ topics, timeout = 5000 }) => ({
   apiKey,
   apiVersion: 0,
   apiName: 'AlterPartitionReassignments',
+  flexible: true,
   encode: async () => {
     return new Encoder()
-      .writeUVarIntBytes()
       .writeInt32(timeout)
       .writeUVarIntArray(topics.map(encodeTopics))
-      .writeUVarIntBytes()
+      .writeTaggedFields()
   },
 })
 
@@ -28,16 +28,12 @@ const encodeTopics = ({ topic, partitionAssignment }) => {
   return new Encoder()
     .writeUVarIntString(topic)
     .writeUVarIntArray(partitionAssignment.map(encodePartitionAssignment))
-    .writeUVarIntBytes()
+    .writeTaggedFields()
 }
 
 const encodePartitionAssignment = ({ partition, replicas }) => {
   return new Encoder()
     .writeInt32(partition)
-    .writeUVarIntArray(replicas.map(encodeReplicas))
-    .writeUVarIntBytes()
-}
-
-const encodeReplicas = replica => {
-  return new Encoder().writeInt32(replica)
+    .writeUVarIntArray(replicas, 'int32')
+    .writeTaggedFields()
 }
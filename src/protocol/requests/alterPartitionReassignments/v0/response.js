@@ -40,7 +40,6 @@ const decodePartitions = decoder => {
 
 const decode = async rawData => {
   const decoder = new Decoder(rawData)
-  decoder.readTaggedFields()
   const throttleTime = decoder.readInt32()
   const errorCode = decoder.readInt16()
   decoder.readUVarIntString()
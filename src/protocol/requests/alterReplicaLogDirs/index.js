@@ -0,0 +1,17 @@
+const versions = {
+  0: ({ dirs }) => {
+    const request = require('./v0/request')
+    const response = require('./v0/response')
+    return { request: request({ dirs }), response }
+  },
+  1: ({ dirs }) => {
+    const request = require('./v1/request')
+    const response = require('./v1/response')
+    return { request: request({ dirs }), response }
+  },
+}
+
+module.exports = {
+  versions: Object.keys(versions),
+  protocol: ({ version }) => versions[version],
+}
@@ -0,0 +1,32 @@
+const Encoder = require('../../../encoder')
+const { AlterReplicaLogDirs: apiKey } = require('../../apiKeys')
+
+/**
+ * AlterReplicaLogDirs Request (Version: 0) => [dirs]
+ *   dirs => path [topics]
+ *     path => STRING
+ *     topics => name [partitions]
+ *       name => STRING
+ *       partitions => INT32
+ */
+
+/**
+ * @param {Array<{ path: string, topics: Array<{ topic: string, partitions: number[] }> }>} dirs
+ *                                              The log dirs the replicas are moved to
+ */
+module.exports = ({ dirs }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'AlterReplicaLogDirs',
+  encode: async () => {
+    return new Encoder().writeArray(dirs.map(encodeDirs))
+  },
+})
+
+const encodeDirs = ({ path, topics }) => {
+  return new Encoder().writeString(path).writeArray(topics.map(encodeTopics))
+}
+
+const encodeTopics = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions, 'int32')
+}
@@ -0,0 +1,15 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > AlterReplicaLogDirs > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      dirs: [
+        {
+          path: '/var/lib/kafka/data-2',
+          topics: [{ topic: 'test-topic-1', partitions: [0, 1] }],
+        },
+      ],
+    }).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
@@ -0,0 +1,59 @@
+const { KafkaJSAggregateError, KafkaJSAlterReplicaLogDirsError } = require('../../../../errors')
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * AlterReplicaLogDirs Response (Version: 0) => throttle_time_ms [results]
+ *   throttle_time_ms => INT32
+ *   results => topic_name [partitions]
+ *     topic_name => STRING
+ *     partitions => partition_index error_code
+ *       partition_index => INT32
+ *       error_code => INT16
+ */
+
+const decodePartitions = decoder => ({
+  partition: decoder.readInt32(),
+  errorCode: decoder.readInt16(),
+})
+
+const decodeResults = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartitions),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const results = decoder.readArray(decodeResults)
+
+  return {
+    throttleTime,
+    results,
+  }
+}
+
+const parse = async data => {
+  const topicPartitionsWithError = data.results.flatMap(({ topic, partitions }) =>
+    partitions
+      .filter(partition => failure(partition.errorCode))
+      .map(partition => ({ ...partition, topic }))
+  )
+
+  if (topicPartitionsWithError.length > 0) {
+    throw new KafkaJSAggregateError(
+      'Errors altering replica log dirs',
+      topicPartitionsWithError.map(
+        ({ topic, partition, errorCode }) =>
+          new KafkaJSAlterReplicaLogDirsError(createErrorFromCode(errorCode), topic, partition)
+      )
+    )
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,37 @@
+const { decode, parse } = require('./response')
+const { KafkaJSAggregateError, KafkaJSAlterReplicaLogDirsError } = require('../../../../errors')
+
+describe('Protocol > Requests > AlterReplicaLogDirs > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      results: [
+        {
+          topic: 'test-topic-1',
+          partitions: [
+            { partition: 0, errorCode: 0 },
+            { partition: 1, errorCode: 0 },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+
+  test('response with partition errors', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+    const error = await parse(data).catch(e => e)
+
+    expect(error).toBeInstanceOf(KafkaJSAggregateError)
+    expect(error.message).toEqual('Errors altering replica log dirs')
+    expect(error.errors).toHaveLength(1)
+    expect(error.errors[0]).toBeInstanceOf(KafkaJSAlterReplicaLogDirsError)
+    expect(error.errors[0]).toMatchObject({
+      type: 'LOG_DIR_NOT_FOUND',
+      topic: 'test-topic-1',
+      partition: 1,
+    })
+  })
+})
@@ -0,0 +1,12 @@
+const requestV0 = require('../v0/request')
+
+/**
+ * AlterReplicaLogDirs Request (Version: 1) => [dirs]
+ *   dirs => path [topics]
+ *     path => STRING
+ *     topics => name [partitions]
+ *       name => STRING
+ *       partitions => INT32
+ */
+
+module.exports = ({ dirs }) => Object.assign(requestV0({ dirs }), { apiVersion: 1 })
@@ -0,0 +1,22 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > AlterReplicaLogDirs > v1', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      clientSideThrottleTime: 0,
+      results: [
+        {
+          topic: 'test-topic-1',
+          partitions: [
+            { partition: 0, errorCode: 0 },
+            { partition: 1, errorCode: 0 },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+})
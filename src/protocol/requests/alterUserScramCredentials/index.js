@@ -0,0 +1,12 @@
+const versions = {
+  0: ({ deletions, upsertions }) => {
+    const request = require('./v0/request')
+    const response = require('./v0/response')
+    return { request: request({ deletions, upsertions }), response }
+  },
+}
+
+module.exports = {
+  versions: Object.keys(versions),
+  protocol: ({ version }) => versions[version],
+}
@@ -0,0 +1,50 @@
+const Encoder = require('../../../encoder')
+const { AlterUserScramCredentials: apiKey } = require('../../apiKeys')
+
+/**
+ * AlterUserScramCredentials Request (Version: 0) => [deletions] [upsertions] TAG_BUFFER
+ *  deletions => name mechanism TAG_BUFFER
+ *    name => COMPACT_STRING
+ *    mechanism => INT8
+ *  upsertions => name mechanism iterations salt salted_password TAG_BUFFER
+ *    name => COMPACT_STRING
+ *    mechanism => INT8
+ *    iterations => INT32
+ *    salt => COMPACT_BYTES
+ *    salted_password => COMPACT_BYTES
+ */
+
+/**
+ * @param {Object} options
+ * @param {Array<{ name: string, mechanism: number }>} [options.deletions=[]]
+ * @param {Array<{ name: string, mechanism: number, iterations: number, salt: Buffer, saltedPassword: Buffer }>} [options.upsertions=[]]
+ */
+module.exports = ({ deletions = [], upsertions = [] }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'AlterUserScramCredentials',
+  flexible: true,
+  encode: async () => {
+    return new Encoder()
+      .writeUVarIntArray(deletions.map(encodeDeletions))
+      .writeUVarIntArray(upsertions.map(encodeUpsertions))
+      .writeTaggedFields()
+  },
+})
+
+const encodeDeletions = ({ name, mechanism }) => {
+  return new Encoder()
+    .writeUVarIntString(name)
+    .writeInt8(mechanism)
+    .writeTaggedFields()
+}
+
+const encodeUpsertions = ({ name, mechanism, iterations, salt, saltedPassword }) => {
+  return new Encoder()
+    .writeUVarIntString(name)
+    .writeInt8(mechanism)
+    .writeInt32(iterations)
+    .writeUVarIntBytes(salt)
+    .writeUVarIntBytes(saltedPassword)
+    .writeTaggedFields()
+}
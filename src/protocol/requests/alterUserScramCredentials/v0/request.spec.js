@@ -0,0 +1,20 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > AlterUserScramCredentials > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      deletions: [{ name: 'bob', mechanism: 2 }],
+      upsertions: [
+        {
+          name: 'alice',
+          mechanism: 1,
+          iterations: 4096,
+          salt: Buffer.from('salt-0123456789'),
+          saltedPassword: Buffer.from('0123456789abcdef0123456789abcdef'),
+        },
+      ],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
@@ -0,0 +1,56 @@
+const Decoder = require('../../../decoder')
+const { KafkaJSAggregateError, KafkaJSUserScramCredentialsError } = require('../../../../errors')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * AlterUserScramCredentials Response (Version: 0) => throttle_time_ms [results] TAG_BUFFER
+ *  throttle_time_ms => INT32
+ *  results => user error_code error_message TAG_BUFFER
+ *    user => COMPACT_STRING
+ *    error_code => INT16
+ *    error_message => COMPACT_NULLABLE_STRING
+ */
+
+const decodeResults = decoder => {
+  const result = {
+    user: decoder.readUVarIntString(),
+    errorCode: decoder.readInt16(),
+    errorMessage: decoder.readUVarIntString(),
+  }
+
+  decoder.readTaggedFields()
+  return result
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const results = decoder.readUVarIntArray(decodeResults)
+  decoder.readTaggedFields()
+
+  return {
+    throttleTime,
+    results,
+  }
+}
+
+const parse = async data => {
+  const resultsWithError = data.results.filter(({ errorCode }) => failure(errorCode))
+
+  if (resultsWithError.length > 0) {
+    throw new KafkaJSAggregateError(
+      'Errors altering user SCRAM credentials',
+      resultsWithError.map(
+        ({ errorCode, user }) =>
+          new KafkaJSUserScramCredentialsError(createErrorFromCode(errorCode), user)
+      )
+    )
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
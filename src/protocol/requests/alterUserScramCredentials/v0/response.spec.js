@@ -0,0 +1,32 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > AlterUserScramCredentials > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      results: [
+        { user: 'bob', errorCode: 0, errorMessage: null },
+        { user: 'alice', errorCode: 0, errorMessage: null },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSAggregateError with the errors of each user', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toMatchObject({
+      name: 'KafkaJSAggregateError',
+      message: 'Errors altering user SCRAM credentials',
+      errors: [
+        expect.objectContaining({
+          name: 'KafkaJSUserScramCredentialsError',
+          type: 'RESOURCE_NOT_FOUND',
+          user: 'bob',
+        }),
+      ],
+    })
+  })
+})
@@ -42,8 +42,16 @@ module.exports = {
   ExpireDelegationToken: 40,
   DescribeDelegationToken: 41,
   DeleteGroups: 42, // ApiVersions v2 on Kafka 1.0
-  ElectPreferredLeaders: 43,
+  ElectLeaders: 43,
   IncrementalAlterConfigs: 44,
   AlterPartitionReassignments: 45,
   ListPartitionReassignments: 46,
+  OffsetDelete: 47,
+  DescribeClientQuotas: 48,
+  AlterClientQuotas: 49,
+  DescribeUserScramCredentials: 50,
+  AlterUserScramCredentials: 51,
+  DescribeProducers: 61,
+  DescribeTransactions: 65,
+  ListTransactions: 66,
 }
@@ -0,0 +1,30 @@
+const Encoder = require('../../../encoder')
+const { CreateDelegationToken: apiKey } = require('../../apiKeys')
+
+/**
+ * CreateDelegationToken Request (Version: 0) => [renewers] max_lifetime_ms
+ *   renewers => principal_type principal_name
+ *     principal_type => STRING
+ *     principal_name => STRING
+ *   max_lifetime_ms => INT64
+ */
+
+/**
+ * @param {Object} options
+ * @param {Array<{ principalType: string, principalName: string }>} [options.renewers] The
+ *                                                          principals allowed to renew the token
+ * @param {number} [options.maxLifetime=-1] The maximum lifetime of the token in milliseconds, -1
+ *                                          to use the broker default
+ */
+module.exports = ({ renewers = [], maxLifetime = -1 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'CreateDelegationToken',
+  encode: async () => {
+    return new Encoder().writeArray(renewers.map(encodePrincipal)).writeInt64(maxLifetime)
+  },
+})
+
+const encodePrincipal = ({ principalType, principalName }) => {
+  return new Encoder().writeString(principalType).writeString(principalName)
+}
@@ -0,0 +1,12 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > CreateDelegationToken > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      renewers: [{ principalType: 'User', principalName: 'bob' }],
+      maxLifetime: 86400000,
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
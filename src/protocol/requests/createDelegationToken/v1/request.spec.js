@@ -0,0 +1,12 @@
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > CreateDelegationToken > v1', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV1Protocol({
+      renewers: [{ principalType: 'User', principalName: 'bob' }],
+      maxLifetime: 86400000,
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
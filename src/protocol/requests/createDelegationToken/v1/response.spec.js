@@ -0,0 +1,21 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > CreateDelegationToken > v1', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      errorCode: 0,
+      principalType: 'User',
+      principalName: 'alice',
+      issueTimestamp: '1600000000000',
+      expiryTimestamp: '1600086400000',
+      maxTimestamp: '1600604800000',
+      tokenId: 'H2Jm1Z3yTHmyIJ6wYW4eTQ',
+      hmac: Buffer.from('5a1b3c9d2e8f4a6b7c0d1e2f3a4b5c6d', 'hex'),
+      throttleTime: 0,
+      clientSideThrottleTime: 0,
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+})
@@ -0,0 +1,33 @@
+const Encoder = require('../../../encoder')
+const { DescribeClientQuotas: apiKey } = require('../../apiKeys')
+
+/**
+ * DescribeClientQuotas Request (Version: 0) => [components] strict
+ *   components => entity_type match_type match
+ *     entity_type => STRING
+ *     match_type => INT8
+ *     match => NULLABLE_STRING
+ *   strict => BOOLEAN
+ */
+
+/**
+ * @param {Object} options
+ * @param {Array<{ entityType: string, matchType: number, match?: string }>} options.components
+ * @param {boolean} [options.strict=false] Only return the entities with exactly the components
+ *                                         of the filter
+ */
+module.exports = ({ components, strict = false }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DescribeClientQuotas',
+  encode: async () => {
+    return new Encoder().writeArray(components.map(encodeComponent)).writeBoolean(strict)
+  },
+})
+
+const encodeComponent = ({ entityType, matchType, match = null }) => {
+  return new Encoder()
+    .writeString(entityType)
+    .writeInt8(matchType)
+    .writeString(match)
+}
@@ -0,0 +1,15 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeClientQuotas > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      components: [
+        { entityType: 'user', matchType: 0, match: 'alice' },
+        { entityType: 'client-id', matchType: 1 },
+      ],
+      strict: true,
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
@@ -0,0 +1,38 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > DescribeClientQuotas > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      errorMessage: null,
+      entries: [
+        {
+          entity: [
+            { entityType: 'user', entityName: 'alice' },
+            { entityType: 'client-id', entityName: null },
+          ],
+          values: [
+            { key: 'consumer_byte_rate', value: 2048 },
+            { key: 'producer_byte_rate', value: 1024 },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSProtocolError if the request failed', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 42,
+      errorMessage: 'Invalid match type',
+      entries: [],
+    })
+
+    await expect(parse(data)).rejects.toHaveProperty('type', 'INVALID_REQUEST')
+  })
+})
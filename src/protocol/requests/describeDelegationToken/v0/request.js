@@ -0,0 +1,28 @@
+const Encoder = require('../../../encoder')
+const { DescribeDelegationToken: apiKey } = require('../../apiKeys')
+
+/**
+ * DescribeDelegationToken Request (Version: 0) => [owners]
+ *   owners => principal_type principal_name
+ *     principal_type => STRING
+ *     principal_name => STRING
+ */
+
+/**
+ * @param {Object} options
+ * @param {Array<{ principalType: string, principalName: string }>} [options.owners] The owners of
+ *                                                          the tokens to describe, all of them
+ *                                                          when empty
+ */
+module.exports = ({ owners = [] }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DescribeDelegationToken',
+  encode: async () => {
+    return new Encoder().writeNullableArray(owners.map(encodePrincipal))
+  },
+})
+
+const encodePrincipal = ({ principalType, principalName }) => {
+  return new Encoder().writeString(principalType).writeString(principalName)
+}
@@ -0,0 +1,16 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeDelegationToken > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      owners: [{ principalType: 'User', principalName: 'alice' }],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+
+  test('request for all the owners', async () => {
+    const { buffer } = await RequestV0Protocol({}).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request_all_owners.json')))
+  })
+})
@@ -0,0 +1,57 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * DescribeDelegationToken Response (Version: 0) => error_code [tokens] throttle_time_ms
+ *   error_code => INT16
+ *   tokens => principal_type principal_name issue_timestamp expiry_timestamp max_timestamp token_id hmac [renewers]
+ *     principal_type => STRING
+ *     principal_name => STRING
+ *     issue_timestamp => INT64
+ *     expiry_timestamp => INT64
+ *     max_timestamp => INT64
+ *     token_id => STRING
+ *     hmac => BYTES
+ *     renewers => principal_type principal_name
+ *       principal_type => STRING
+ *       principal_name => STRING
+ *   throttle_time_ms => INT32
+ */
+
+const decodePrincipal = decoder => ({
+  principalType: decoder.readString(),
+  principalName: decoder.readString(),
+})
+
+const decodeTokens = decoder => ({
+  ...decodePrincipal(decoder),
+  issueTimestamp: decoder.readInt64().toString(),
+  expiryTimestamp: decoder.readInt64().toString(),
+  maxTimestamp: decoder.readInt64().toString(),
+  tokenId: decoder.readString(),
+  hmac: decoder.readBytes(),
+  renewers: decoder.readArray(decodePrincipal),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+
+  return {
+    errorCode: decoder.readInt16(),
+    tokens: decoder.readArray(decodeTokens),
+    throttleTime: decoder.readInt32(),
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
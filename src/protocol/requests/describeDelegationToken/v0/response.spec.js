@@ -0,0 +1,31 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > DescribeDelegationToken > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      errorCode: 0,
+      tokens: [
+        {
+          principalType: 'User',
+          principalName: 'alice',
+          issueTimestamp: '1600000000000',
+          expiryTimestamp: '1600086400000',
+          maxTimestamp: '1600604800000',
+          tokenId: 'H2Jm1Z3yTHmyIJ6wYW4eTQ',
+          hmac: Buffer.from('5a1b3c9d2e8f4a6b7c0d1e2f3a4b5c6d', 'hex'),
+          renewers: [{ principalType: 'User', principalName: 'bob' }],
+        },
+      ],
+      throttleTime: 0,
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+
+  test('response with error', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toHaveProperty('type', 'DELEGATION_TOKEN_AUTH_DISABLED')
+  })
+})
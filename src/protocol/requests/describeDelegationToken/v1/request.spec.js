@@ -0,0 +1,11 @@
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeDelegationToken > v1', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV1Protocol({
+      owners: [{ principalType: 'User', principalName: 'alice' }],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
@@ -0,0 +1,26 @@
+const Encoder = require('../../../encoder')
+const { DescribeLogDirs: apiKey } = require('../../apiKeys')
+
+/**
+ * DescribeLogDirs Request (Version: 0) => [topics]
+ *   topics => topic [partitions]
+ *     topic => STRING
+ *     partitions => INT32
+ */
+
+/**
+ * @param {Array<{ topic: string, partitions: number[] }>} [topics] The topic partitions to
+ *                                                          describe, all of them when empty
+ */
+module.exports = ({ topics = [] }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DescribeLogDirs',
+  encode: async () => {
+    return new Encoder().writeNullableArray(topics.map(encodeTopics))
+  },
+})
+
+const encodeTopics = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions, 'int32')
+}
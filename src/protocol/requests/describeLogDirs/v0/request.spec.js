@@ -0,0 +1,15 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeLogDirs > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      topics: [{ topic: 'test-topic-1', partitions: [0, 1] }],
+    }).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+
+  test('request for all topics', async () => {
+    const { buffer } = await RequestV0Protocol({}).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request_all_topics.json')))
+  })
+})
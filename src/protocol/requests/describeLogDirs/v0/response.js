@@ -0,0 +1,63 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * DescribeLogDirs Response (Version: 0) => throttle_time_ms [results]
+ *   throttle_time_ms => INT32
+ *   results => error_code log_dir [topics]
+ *     error_code => INT16
+ *     log_dir => STRING
+ *     topics => name [partitions]
+ *       name => STRING
+ *       partitions => partition_index partition_size offset_lag is_future_key
+ *         partition_index => INT32
+ *         partition_size => INT64
+ *         offset_lag => INT64
+ *         is_future_key => BOOLEAN
+ */
+
+const decodePartitions = decoder => ({
+  partition: decoder.readInt32(),
+  size: decoder.readInt64().toString(),
+  offsetLag: decoder.readInt64().toString(),
+  isFuture: decoder.readBoolean(),
+})
+
+const decodeTopics = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartitions),
+})
+
+const decodeResults = decoder => ({
+  errorCode: decoder.readInt16(),
+  logDir: decoder.readString(),
+  topics: decoder.readArray(decodeTopics),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const results = decoder.readArray(decodeResults)
+
+  for (const result of results) {
+    if (failure(result.errorCode)) {
+      result.error = createErrorFromCode(result.errorCode)
+    }
+  }
+
+  return {
+    throttleTime,
+    results,
+  }
+}
+
+/**
+ * Errors are reported per log dir, e.g. KAFKA_STORAGE_ERROR for offline log dirs, they are
+ * returned with the description of the log dirs instead of failing the whole request
+ */
+const parse = async data => data
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,33 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > DescribeLogDirs > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      results: [
+        {
+          errorCode: 0,
+          logDir: '/var/lib/kafka/data',
+          topics: [
+            {
+              topic: 'test-topic-1',
+              partitions: [
+                { partition: 0, size: '1024', offsetLag: '0', isFuture: false },
+                { partition: 1, size: '2048', offsetLag: '3', isFuture: false },
+              ],
+            },
+          ],
+        },
+        {
+          errorCode: 56,
+          error: expect.objectContaining({ type: 'KAFKA_STORAGE_ERROR' }),
+          logDir: '/var/lib/kafka/data-2',
+          topics: [],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+})
@@ -0,0 +1,10 @@
+const requestV0 = require('../v0/request')
+
+/**
+ * DescribeLogDirs Request (Version: 1) => [topics]
+ *   topics => topic [partitions]
+ *     topic => STRING
+ *     partitions => INT32
+ */
+
+module.exports = ({ topics }) => Object.assign(requestV0({ topics }), { apiVersion: 1 })
@@ -0,0 +1,13 @@
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeLogDirs > v1', () => {
+  test('request', async () => {
+    const request = RequestV1Protocol({
+      topics: [{ topic: 'test-topic-1', partitions: [0, 1] }],
+    })
+
+    expect(request.apiVersion).toEqual(1)
+    const { buffer } = await request.encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
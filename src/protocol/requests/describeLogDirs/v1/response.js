@@ -0,0 +1,34 @@
+const { parse, decode: decodeV0 } = require('../v0/response')
+
+/**
+ * Starting in version 1, on quota violation, brokers send out responses before throttling.
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-219+-+Improve+quota+communication
+ *
+ * DescribeLogDirs Response (Version: 1) => throttle_time_ms [results]
+ *   throttle_time_ms => INT32
+ *   results => error_code log_dir [topics]
+ *     error_code => INT16
+ *     log_dir => STRING
+ *     topics => name [partitions]
+ *       name => STRING
+ *       partitions => partition_index partition_size offset_lag is_future_key
+ *         partition_index => INT32
+ *         partition_size => INT64
+ *         offset_lag => INT64
+ *         is_future_key => BOOLEAN
+ */
+
+const decode = async rawData => {
+  const decoded = await decodeV0(rawData)
+
+  return {
+    ...decoded,
+    throttleTime: 0,
+    clientSideThrottleTime: decoded.throttleTime,
+  }
+}
+
+module.exports = {
+  decode,
+  parse,
+}
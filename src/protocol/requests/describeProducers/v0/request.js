@@ -0,0 +1,30 @@
+const Encoder = require('../../../encoder')
+const { DescribeProducers: apiKey } = require('../../apiKeys')
+
+/**
+ * DescribeProducers Request (Version: 0) => [topics] TAG_BUFFER
+ *  topics => name [partition_indexes] TAG_BUFFER
+ *    name => COMPACT_STRING
+ *    partition_indexes => INT32
+ */
+
+/**
+ * @param {Object} options
+ * @param {import("../../../../../types").TopicPartitions[]} options.topics
+ */
+module.exports = ({ topics }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DescribeProducers',
+  flexible: true,
+  encode: async () => {
+    return new Encoder().writeUVarIntArray(topics.map(encodeTopics)).writeTaggedFields()
+  },
+})
+
+const encodeTopics = ({ topic, partitions }) => {
+  return new Encoder()
+    .writeUVarIntString(topic)
+    .writeUVarIntArray(partitions, 'int32')
+    .writeTaggedFields()
+}
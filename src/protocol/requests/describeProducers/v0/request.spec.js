@@ -0,0 +1,11 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeProducers > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      topics: [{ topic: 'test-topic-5c1f0a3e9d8b7a6f5e4d', partitions: [0, 1] }],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
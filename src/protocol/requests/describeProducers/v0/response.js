@@ -0,0 +1,94 @@
+const Decoder = require('../../../decoder')
+const { KafkaJSAggregateError, KafkaJSDescribeProducersError } = require('../../../../errors')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * DescribeProducers Response (Version: 0) => throttle_time_ms [topics] TAG_BUFFER
+ *  throttle_time_ms => INT32
+ *  topics => name [partitions] TAG_BUFFER
+ *    name => COMPACT_STRING
+ *    partitions => partition_index error_code error_message [active_producers] TAG_BUFFER
+ *      partition_index => INT32
+ *      error_code => INT16
+ *      error_message => COMPACT_NULLABLE_STRING
+ *      active_producers => producer_id producer_epoch last_sequence last_timestamp coordinator_epoch current_txn_start_offset TAG_BUFFER
+ *        producer_id => INT64
+ *        producer_epoch => INT32
+ *        last_sequence => INT32
+ *        last_timestamp => INT64
+ *        coordinator_epoch => INT32
+ *        current_txn_start_offset => INT64
+ */
+
+const decodeActiveProducers = decoder => {
+  const producer = {
+    producerId: decoder.readInt64().toString(),
+    producerEpoch: decoder.readInt32(),
+    lastSequence: decoder.readInt32(),
+    lastTimestamp: decoder.readInt64().toString(),
+    coordinatorEpoch: decoder.readInt32(),
+    currentTransactionStartOffset: decoder.readInt64().toString(),
+  }
+
+  decoder.readTaggedFields()
+  return producer
+}
+
+const decodePartitions = decoder => {
+  const partition = {
+    partition: decoder.readInt32(),
+    errorCode: decoder.readInt16(),
+    errorMessage: decoder.readUVarIntString(),
+    activeProducers: decoder.readUVarIntArray(decodeActiveProducers),
+  }
+
+  decoder.readTaggedFields()
+  return partition
+}
+
+const decodeTopics = decoder => {
+  const topic = {
+    topic: decoder.readUVarIntString(),
+    partitions: decoder.readUVarIntArray(decodePartitions),
+  }
+
+  decoder.readTaggedFields()
+  return topic
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const topics = decoder.readUVarIntArray(decodeTopics)
+  decoder.readTaggedFields()
+
+  return {
+    throttleTime,
+    topics,
+  }
+}
+
+const parse = async data => {
+  const partitionsWithError = data.topics.flatMap(({ topic, partitions }) =>
+    partitions
+      .filter(({ errorCode }) => failure(errorCode))
+      .map(partition => ({ ...partition, topic }))
+  )
+
+  if (partitionsWithError.length > 0) {
+    throw new KafkaJSAggregateError(
+      'Errors describing producers',
+      partitionsWithError.map(
+        ({ topic, partition, errorCode }) =>
+          new KafkaJSDescribeProducersError(createErrorFromCode(errorCode), topic, partition)
+      )
+    )
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,54 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > DescribeProducers > v0', () => {
+  const topic = 'test-topic-5c1f0a3e9d8b7a6f5e4d'
+
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      topics: [
+        {
+          topic,
+          partitions: [
+            {
+              partition: 0,
+              errorCode: 0,
+              errorMessage: null,
+              activeProducers: [
+                {
+                  producerId: '4000',
+                  producerEpoch: 2,
+                  lastSequence: 9,
+                  lastTimestamp: '1633000000000',
+                  coordinatorEpoch: 5,
+                  currentTransactionStartOffset: '42',
+                },
+              ],
+            },
+            { partition: 1, errorCode: 0, errorMessage: null, activeProducers: [] },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSAggregateError with the errors of each partition', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toMatchObject({
+      name: 'KafkaJSAggregateError',
+      message: 'Errors describing producers',
+      errors: [
+        expect.objectContaining({
+          name: 'KafkaJSDescribeProducersError',
+          type: 'NOT_LEADER_FOR_PARTITION',
+          topic,
+          partition: 1,
+        }),
+      ],
+    })
+  })
+})
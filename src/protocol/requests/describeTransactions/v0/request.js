@@ -0,0 +1,21 @@
+const Encoder = require('../../../encoder')
+const { DescribeTransactions: apiKey } = require('../../apiKeys')
+
+/**
+ * DescribeTransactions Request (Version: 0) => [transactional_ids] TAG_BUFFER
+ *  transactional_ids => COMPACT_STRING
+ */
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.transactionalIds
+ */
+module.exports = ({ transactionalIds }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DescribeTransactions',
+  flexible: true,
+  encode: async () => {
+    return new Encoder().writeUVarIntArray(transactionalIds, 'string').writeTaggedFields()
+  },
+})
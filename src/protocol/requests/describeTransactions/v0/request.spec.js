@@ -0,0 +1,11 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeTransactions > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      transactionalIds: ['test-transactional-id-8f7e6d5c4b3a', 'another-id'],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
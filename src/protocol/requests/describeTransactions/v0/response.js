@@ -0,0 +1,80 @@
+const Decoder = require('../../../decoder')
+const { KafkaJSAggregateError, KafkaJSDescribeTransactionsError } = require('../../../../errors')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * DescribeTransactions Response (Version: 0) => throttle_time_ms [transaction_states] TAG_BUFFER
+ *  throttle_time_ms => INT32
+ *  transaction_states => error_code transactional_id transaction_state transaction_timeout_ms transaction_start_time_ms producer_id producer_epoch [topics] TAG_BUFFER
+ *    error_code => INT16
+ *    transactional_id => COMPACT_STRING
+ *    transaction_state => COMPACT_STRING
+ *    transaction_timeout_ms => INT32
+ *    transaction_start_time_ms => INT64
+ *    producer_id => INT64
+ *    producer_epoch => INT16
+ *    topics => topic [partitions] TAG_BUFFER
+ *      topic => COMPACT_STRING
+ *      partitions => INT32
+ */
+
+const decodePartitions = decoder => decoder.readInt32()
+
+const decodeTopics = decoder => {
+  const topic = {
+    topic: decoder.readUVarIntString(),
+    partitions: decoder.readUVarIntArray(decodePartitions),
+  }
+
+  decoder.readTaggedFields()
+  return topic
+}
+
+const decodeTransactionStates = decoder => {
+  const transactionState = {
+    errorCode: decoder.readInt16(),
+    transactionalId: decoder.readUVarIntString(),
+    transactionState: decoder.readUVarIntString(),
+    transactionTimeout: decoder.readInt32(),
+    transactionStartTime: decoder.readInt64().toString(),
+    producerId: decoder.readInt64().toString(),
+    producerEpoch: decoder.readInt16(),
+    topics: decoder.readUVarIntArray(decodeTopics),
+  }
+
+  decoder.readTaggedFields()
+  return transactionState
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const transactionStates = decoder.readUVarIntArray(decodeTransactionStates)
+  decoder.readTaggedFields()
+
+  return {
+    throttleTime,
+    transactionStates,
+  }
+}
+
+const parse = async data => {
+  const statesWithError = data.transactionStates.filter(({ errorCode }) => failure(errorCode))
+
+  if (statesWithError.length > 0) {
+    throw new KafkaJSAggregateError(
+      'Errors describing transactions',
+      statesWithError.map(
+        ({ transactionalId, errorCode }) =>
+          new KafkaJSDescribeTransactionsError(createErrorFromCode(errorCode), transactionalId)
+      )
+    )
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,40 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > DescribeTransactions > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      transactionStates: [
+        {
+          errorCode: 0,
+          transactionalId: 'test-transactional-id-8f7e6d5c4b3a',
+          transactionState: 'Ongoing',
+          transactionTimeout: 60000,
+          transactionStartTime: '1633000000000',
+          producerId: '4000',
+          producerEpoch: 2,
+          topics: [{ topic: 'test-topic-5c1f0a3e9d8b7a6f5e4d', partitions: [0, 1] }],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSAggregateError with the errors of each transactional id', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toMatchObject({
+      name: 'KafkaJSAggregateError',
+      message: 'Errors describing transactions',
+      errors: [
+        expect.objectContaining({
+          name: 'KafkaJSDescribeTransactionsError',
+          type: 'TRANSACTIONAL_ID_NOT_FOUND',
+          transactionalId: 'another-id',
+        }),
+      ],
+    })
+  })
+})
@@ -0,0 +1,28 @@
+const Encoder = require('../../../encoder')
+const { DescribeUserScramCredentials: apiKey } = require('../../apiKeys')
+
+/**
+ * DescribeUserScramCredentials Request (Version: 0) => [users] TAG_BUFFER
+ *  users => name TAG_BUFFER
+ *    name => COMPACT_STRING
+ */
+
+/**
+ * @param {Object} options
+ * @param {string[]|null} [options.users=null] The users to describe, all of them when null
+ */
+module.exports = ({ users = null }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DescribeUserScramCredentials',
+  flexible: true,
+  encode: async () => {
+    return new Encoder()
+      .writeUVarIntArray(users === null ? users : users.map(encodeUsers))
+      .writeTaggedFields()
+  },
+})
+
+const encodeUsers = name => {
+  return new Encoder().writeUVarIntString(name).writeTaggedFields()
+}
@@ -0,0 +1,13 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeUserScramCredentials > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({ users: ['alice', 'bob'] }).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+
+  test('request all the users', async () => {
+    const { buffer } = await RequestV0Protocol({}).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request_all_users.json')))
+  })
+})
@@ -0,0 +1,80 @@
+const Decoder = require('../../../decoder')
+const { KafkaJSAggregateError, KafkaJSUserScramCredentialsError } = require('../../../../errors')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * DescribeUserScramCredentials Response (Version: 0) => throttle_time_ms error_code error_message [results] TAG_BUFFER
+ *  throttle_time_ms => INT32
+ *  error_code => INT16
+ *  error_message => COMPACT_NULLABLE_STRING
+ *  results => user error_code error_message [credential_infos] TAG_BUFFER
+ *    user => COMPACT_STRING
+ *    error_code => INT16
+ *    error_message => COMPACT_NULLABLE_STRING
+ *    credential_infos => mechanism iterations TAG_BUFFER
+ *      mechanism => INT8
+ *      iterations => INT32
+ */
+
+const decodeCredentialInfos = decoder => {
+  const credentialInfo = {
+    mechanism: decoder.readInt8(),
+    iterations: decoder.readInt32(),
+  }
+
+  decoder.readTaggedFields()
+  return credentialInfo
+}
+
+const decodeResults = decoder => {
+  const result = {
+    user: decoder.readUVarIntString(),
+    errorCode: decoder.readInt16(),
+    errorMessage: decoder.readUVarIntString(),
+    credentialInfos: decoder.readUVarIntArray(decodeCredentialInfos),
+  }
+
+  decoder.readTaggedFields()
+  return result
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const errorCode = decoder.readInt16()
+  const errorMessage = decoder.readUVarIntString()
+  const results = decoder.readUVarIntArray(decodeResults)
+  decoder.readTaggedFields()
+
+  return {
+    throttleTime,
+    errorCode,
+    errorMessage,
+    results,
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  const resultsWithError = data.results.filter(({ errorCode }) => failure(errorCode))
+
+  if (resultsWithError.length > 0) {
+    throw new KafkaJSAggregateError(
+      'Errors describing user SCRAM credentials',
+      resultsWithError.map(
+        ({ errorCode, user }) =>
+          new KafkaJSUserScramCredentialsError(createErrorFromCode(errorCode), user)
+      )
+    )
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,41 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > DescribeUserScramCredentials > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      errorMessage: null,
+      results: [
+        {
+          user: 'alice',
+          errorCode: 0,
+          errorMessage: null,
+          credentialInfos: [
+            { mechanism: 1, iterations: 4096 },
+            { mechanism: 2, iterations: 8192 },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSAggregateError with the errors of each user', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toMatchObject({
+      name: 'KafkaJSAggregateError',
+      message: 'Errors describing user SCRAM credentials',
+      errors: [
+        expect.objectContaining({
+          name: 'KafkaJSUserScramCredentialsError',
+          type: 'RESOURCE_NOT_FOUND',
+          user: 'bob',
+        }),
+      ],
+    })
+  })
+})
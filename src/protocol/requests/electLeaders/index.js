@@ -0,0 +1,39 @@
+const { KafkaJSProtocolError } = require('../../../errors')
+const { errorCodes } = require('../../error')
+const ElectionTypes = require('../../electionTypes')
+
+const UNCLEAN_ELECTION_MIN_VERSION = 1
+
+const versions = {
+  0: ({ topicPartitions, timeout }) => {
+    const request = require('./v0/request')
+    const response = require('./v0/response')
+    return { request: request({ topicPartitions, timeout }), response }
+  },
+  1: ({ electionType = ElectionTypes.PREFERRED, topicPartitions, timeout }) => {
+    const request = require('./v1/request')
+    const response = require('./v1/response')
+    return { request: request({ electionType, topicPartitions, timeout }), response }
+  },
+}
+
+const failIfElectionTypeNotSupported = (version, electionType = ElectionTypes.PREFERRED) => {
+  if (electionType !== ElectionTypes.PREFERRED && version < UNCLEAN_ELECTION_MIN_VERSION) {
+    const error = errorCodes.find(e => e.type === 'UNSUPPORTED_VERSION')
+    throw new KafkaJSProtocolError({
+      ...error,
+      message: `Unclean leader election requires ElectLeaders v${UNCLEAN_ELECTION_MIN_VERSION}, the broker supports up to v${version}`,
+    })
+  }
+}
+
+module.exports = {
+  versions: Object.keys(versions),
+  protocol: ({ version }) => {
+    const electLeaders = versions[version]
+    return options => {
+      failIfElectionTypeNotSupported(Number(version), options.electionType)
+      return electLeaders(options)
+    }
+  },
+}
@@ -0,0 +1,24 @@
+const { protocol } = require('./index')
+const { KafkaJSProtocolError } = require('../../../errors')
+const ElectionTypes = require('../../electionTypes')
+
+describe('Protocol > Requests > ElectLeaders', () => {
+  const topicPartitions = [{ topic: 'test-topic-1', partitions: [0] }]
+
+  test('throws if unclean leader election is not supported by the broker', () => {
+    const electLeaders = protocol({ version: '0' })
+
+    expect(() => electLeaders({ electionType: ElectionTypes.UNCLEAN, topicPartitions })).toThrow(
+      new KafkaJSProtocolError({
+        type: 'UNSUPPORTED_VERSION',
+        message: 'Unclean leader election requires ElectLeaders v1, the broker supports up to v0',
+      })
+    )
+  })
+
+  test('elects the preferred leaders with v0', () => {
+    const electLeaders = protocol({ version: '0' })
+    const { request } = electLeaders({ electionType: ElectionTypes.PREFERRED, topicPartitions })
+    expect(request.apiVersion).toEqual(0)
+  })
+})
@@ -0,0 +1,31 @@
+const Encoder = require('../../../encoder')
+const { ElectLeaders: apiKey } = require('../../apiKeys')
+
+/**
+ * ElectPreferredLeaders Request (Version: 0) => [topic_partitions] timeout_ms
+ *   topic_partitions => topic [partition_id]
+ *     topic => STRING
+ *     partition_id => INT32
+ *   timeout_ms => INT32
+ */
+
+/**
+ * @param {Object} options
+ * @param {Array<{ topic: string, partitions: number[] }>} [options.topicPartitions] The partitions
+ *                                                          to elect, all of them when empty
+ * @param {number} [options.timeout]
+ */
+module.exports = ({ topicPartitions = [], timeout = 5000 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'ElectLeaders',
+  encode: async () => {
+    return new Encoder()
+      .writeNullableArray(topicPartitions.map(encodeTopicPartitions))
+      .writeInt32(timeout)
+  },
+})
+
+const encodeTopicPartitions = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions, 'int32')
+}
@@ -0,0 +1,15 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > ElectLeaders > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      topicPartitions: [{ topic: 'test-topic-1', partitions: [0, 1] }],
+    }).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+
+  test('request for all the partitions', async () => {
+    const { buffer } = await RequestV0Protocol({}).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request_all_partitions.json')))
+  })
+})
@@ -0,0 +1,73 @@
+const { KafkaJSAggregateError, KafkaJSElectLeadersError } = require('../../../../errors')
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode, errorCodes } = require('../../../error')
+
+/**
+ * ElectPreferredLeaders Response (Version: 0) => throttle_time_ms [replica_election_results]
+ *   throttle_time_ms => INT32
+ *   replica_election_results => topic [partition_result]
+ *     topic => STRING
+ *     partition_result => partition_id error_code error_message
+ *       partition_id => INT32
+ *       error_code => INT16
+ *       error_message => NULLABLE_STRING
+ */
+
+const { code: ELECTION_NOT_NEEDED_ERROR_CODE } = errorCodes.find(
+  e => e.type === 'ELECTION_NOT_NEEDED'
+)
+
+const decodePartitions = decoder => ({
+  partition: decoder.readInt32(),
+  errorCode: decoder.readInt16(),
+  errorMessage: decoder.readString(),
+})
+
+const decodeResults = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartitions),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const results = decoder.readArray(decodeResults)
+
+  return {
+    throttleTime,
+    results,
+  }
+}
+
+// The leader of a partition that does not need an election is already the expected one
+const electionFailed = errorCode =>
+  failure(errorCode) && errorCode !== ELECTION_NOT_NEEDED_ERROR_CODE
+
+const parse = async data => {
+  if (data.errorCode != null && failure(data.errorCode)) {
+    throw new KafkaJSElectLeadersError(createErrorFromCode(data.errorCode))
+  }
+
+  const topicPartitionsWithError = data.results.flatMap(({ topic, partitions }) =>
+    partitions
+      .filter(partition => electionFailed(partition.errorCode))
+      .map(partition => ({ ...partition, topic }))
+  )
+
+  if (topicPartitionsWithError.length > 0) {
+    throw new KafkaJSAggregateError(
+      'Errors electing leaders',
+      topicPartitionsWithError.map(
+        ({ topic, partition, errorCode }) =>
+          new KafkaJSElectLeadersError(createErrorFromCode(errorCode), topic, partition)
+      )
+    )
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,25 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > ElectLeaders > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      results: [
+        {
+          topic: 'test-topic-1',
+          partitions: [
+            { partition: 0, errorCode: 0, errorMessage: null },
+            {
+              partition: 1,
+              errorCode: 84,
+              errorMessage: 'Leader election not needed for topic partition',
+            },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+})
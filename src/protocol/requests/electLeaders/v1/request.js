@@ -0,0 +1,34 @@
+const Encoder = require('../../../encoder')
+const { ElectLeaders: apiKey } = require('../../apiKeys')
+
+/**
+ * ElectLeaders Request (Version: 1) => election_type [topic_partitions] timeout_ms
+ *   election_type => INT8
+ *   topic_partitions => topic [partition_id]
+ *     topic => STRING
+ *     partition_id => INT32
+ *   timeout_ms => INT32
+ */
+
+/**
+ * @param {Object} options
+ * @param {import("../../../electionTypes")} options.electionType
+ * @param {Array<{ topic: string, partitions: number[] }>} [options.topicPartitions] The partitions
+ *                                                          to elect, all of them when empty
+ * @param {number} [options.timeout]
+ */
+module.exports = ({ electionType, topicPartitions = [], timeout = 5000 }) => ({
+  apiKey,
+  apiVersion: 1,
+  apiName: 'ElectLeaders',
+  encode: async () => {
+    return new Encoder()
+      .writeInt8(electionType)
+      .writeNullableArray(topicPartitions.map(encodeTopicPartitions))
+      .writeInt32(timeout)
+  },
+})
+
+const encodeTopicPartitions = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions, 'int32')
+}
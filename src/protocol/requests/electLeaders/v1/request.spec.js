@@ -0,0 +1,12 @@
+const RequestV1Protocol = require('./request')
+const ElectionTypes = require('../../../electionTypes')
+
+describe('Protocol > Requests > ElectLeaders > v1', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV1Protocol({
+      electionType: ElectionTypes.UNCLEAN,
+      topicPartitions: [{ topic: 'test-topic-1', partitions: [0, 1] }],
+    }).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v1_request.json')))
+  })
+})
@@ -0,0 +1,43 @@
+const Decoder = require('../../../decoder')
+const { parse: parseV0 } = require('../v0/response')
+
+/**
+ * ElectLeaders Response (Version: 1) => throttle_time_ms error_code [replica_election_results]
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ *   replica_election_results => topic [partition_result]
+ *     topic => STRING
+ *     partition_result => partition_id error_code error_message
+ *       partition_id => INT32
+ *       error_code => INT16
+ *       error_message => NULLABLE_STRING
+ */
+
+const decodePartitions = decoder => ({
+  partition: decoder.readInt32(),
+  errorCode: decoder.readInt16(),
+  errorMessage: decoder.readString(),
+})
+
+const decodeResults = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartitions),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const errorCode = decoder.readInt16()
+  const results = decoder.readArray(decodeResults)
+
+  return {
+    throttleTime,
+    errorCode,
+    results,
+  }
+}
+
+module.exports = {
+  decode,
+  parse: parseV0,
+}
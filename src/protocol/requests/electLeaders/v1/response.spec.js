@@ -0,0 +1,49 @@
+const { decode, parse } = require('./response')
+const { KafkaJSAggregateError, KafkaJSElectLeadersError } = require('../../../../errors')
+const { createErrorFromCode } = require('../../../error')
+
+describe('Protocol > Requests > ElectLeaders > v1', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v1_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      results: [
+        {
+          topic: 'test-topic-1',
+          partitions: [
+            { partition: 0, errorCode: 0, errorMessage: null },
+            {
+              partition: 1,
+              errorCode: 84,
+              errorMessage: 'Leader election not needed for topic partition',
+            },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+
+  test('response with partition errors', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v1_response_error.json')))
+    const error = await parse(data).catch(e => e)
+
+    expect(error).toBeInstanceOf(KafkaJSAggregateError)
+    expect(error.message).toEqual('Errors electing leaders')
+    expect(error.errors).toHaveLength(1)
+    expect(error.errors[0]).toBeInstanceOf(KafkaJSElectLeadersError)
+    expect(error.errors[0]).toMatchObject({
+      type: 'ELIGIBLE_LEADERS_NOT_AVAILABLE',
+      topic: 'test-topic-1',
+      partition: 1,
+    })
+  })
+
+  test('response with a top level error', async () => {
+    const data = { throttleTime: 0, errorCode: 31, results: [] }
+
+    await expect(parse(data)).rejects.toThrow(new KafkaJSElectLeadersError(createErrorFromCode(31)))
+  })
+})
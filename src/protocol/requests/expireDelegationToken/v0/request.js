@@ -0,0 +1,22 @@
+const Encoder = require('../../../encoder')
+const { ExpireDelegationToken: apiKey } = require('../../apiKeys')
+
+/**
+ * ExpireDelegationToken Request (Version: 0) => hmac expiry_time_period_ms
+ *   hmac => BYTES
+ *   expiry_time_period_ms => INT64
+ */
+
+/**
+ * @param {Object} options
+ * @param {Buffer} options.hmac The HMAC of the delegation token
+ * @param {number} [options.expiryTimePeriod=-1] The period in milliseconds until the token expires, a negative value expires it immediately
+ */
+module.exports = ({ hmac, expiryTimePeriod = -1 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'ExpireDelegationToken',
+  encode: async () => {
+    return new Encoder().writeBytes(hmac).writeInt64(expiryTimePeriod)
+  },
+})
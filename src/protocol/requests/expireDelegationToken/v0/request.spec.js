@@ -0,0 +1,12 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > ExpireDelegationToken > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      hmac: Buffer.from('5a1b3c9d2e8f4a6b7c0d1e2f3a4b5c6d', 'hex'),
+      expiryTimePeriod: -1,
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
@@ -0,0 +1,16 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > ExpireDelegationToken > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({ errorCode: 0, expiryTimestamp: '1600000100000', throttleTime: 0 })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+
+  test('response with error', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toHaveProperty('type', 'DELEGATION_TOKEN_EXPIRED')
+  })
+})
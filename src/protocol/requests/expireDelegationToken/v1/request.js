@@ -0,0 +1,10 @@
+const requestV0 = require('../v0/request')
+
+/**
+ * ExpireDelegationToken Request (Version: 1) => hmac expiry_time_period_ms
+ *   hmac => BYTES
+ *   expiry_time_period_ms => INT64
+ */
+
+module.exports = ({ hmac, expiryTimePeriod }) =>
+  Object.assign(requestV0({ hmac, expiryTimePeriod }), { apiVersion: 1 })
@@ -1,9 +1,14 @@
 const ISOLATION_LEVEL = require('../../isolationLevel')
+const { KafkaJSProtocolError } = require('../../../errors')
+const { errorCodes } = require('../../error')
 
 // For normal consumers, use -1
 const REPLICA_ID = -1
 const NETWORK_DELAY = 100
 
+// ZSTD requires Fetch v10, brokers answer UNSUPPORTED_COMPRESSION_TYPE on older versions (KIP-110)
+const ZSTD_MIN_VERSION = 10
+
 /**
  * The FETCH request can block up to maxWaitTime, which can be bigger than the configured
  * request timeout. It's safer to always use the maxWaitTime
@@ -245,7 +250,41 @@ const versions = {
   },
 }
 
+/**
+ * The compression of the records is only known by the broker, so the error of the partitions
+ * compressed with ZSTD is replaced by one explaining the version required
+ */
+const failIfCompressionNotSupported = (version, response) => ({
+  ...response,
+  parse: async data => {
+    try {
+      return await response.parse(data)
+    } catch (e) {
+      if (e.type !== 'UNSUPPORTED_COMPRESSION_TYPE') {
+        throw e
+      }
+
+      const error = errorCodes.find(({ type }) => type === 'UNSUPPORTED_COMPRESSION_TYPE')
+      throw new KafkaJSProtocolError({
+        ...error,
+        message: `ZSTD compressed records require Fetch v${ZSTD_MIN_VERSION}, the broker supports up to v${version}`,
+      })
+    }
+  },
+})
+
 module.exports = {
   versions: Object.keys(versions),
-  protocol: ({ version }) => versions[version],
+  protocol: ({ version }) => {
+    const fetch = versions[version]
+
+    if (Number(version) >= ZSTD_MIN_VERSION) {
+      return fetch
+    }
+
+    return options => {
+      const protocol = fetch(options)
+      return { ...protocol, response: failIfCompressionNotSupported(version, protocol.response) }
+    }
+  },
 }
@@ -42,4 +42,64 @@ describe('Protocol > Requests > Fetch', () => {
       })
     })
   }
+
+  describe('ZSTD compression', () => {
+    const UNSUPPORTED_COMPRESSION_TYPE = 76
+    const topics = [{ topic: 'test-topic', partitions: [{ partition: 0, fetchOffset: 0 }] }]
+    const data = {
+      throttleTime: 0,
+      errorCode: 0,
+      responses: [
+        {
+          topicName: 'test-topic',
+          partitions: [
+            {
+              partition: 0,
+              errorCode: UNSUPPORTED_COMPRESSION_TYPE,
+              highWatermark: '-1',
+              messages: [],
+            },
+          ],
+        },
+      ],
+    }
+
+    const parse = version =>
+      FetchVersions.protocol({ version })({ maxWaitTime: 100, minBytes: 1, topics }).response.parse(
+        data
+      )
+
+    test('explains the version required when the broker is capped below v10', async () => {
+      for (const version of FetchVersions.versions.filter(version => Number(version) < 10)) {
+        await expect(parse(version)).rejects.toMatchObject({
+          name: 'KafkaJSProtocolError',
+          type: 'UNSUPPORTED_COMPRESSION_TYPE',
+          retriable: false,
+          message: `ZSTD compressed records require Fetch v10, the broker supports up to v${version}`,
+        })
+      }
+    })
+
+    test('keeps the error of the broker from v10', async () => {
+      await expect(parse('10')).rejects.toMatchObject({
+        type: 'UNSUPPORTED_COMPRESSION_TYPE',
+        message: 'The requesting client does not support the compression type of given partition',
+      })
+    })
+
+    test('does not affect the other errors', async () => {
+      const { response } = FetchVersions.protocol({ version: '9' })({ topics })
+      await expect(
+        response.parse({
+          ...data,
+          responses: [
+            {
+              ...data.responses[0],
+              partitions: [{ ...data.responses[0].partitions[0], errorCode: 3 }],
+            },
+          ],
+        })
+      ).rejects.toMatchObject({ type: 'UNKNOWN_TOPIC_OR_PARTITION' })
+    })
+  })
 })
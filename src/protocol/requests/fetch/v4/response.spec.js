@@ -1,5 +1,4 @@
 const { decode, parse } = require('./response')
-const { KafkaJSNotImplemented } = require('../../../../errors')
 
 describe('Protocol > Requests > Fetch > v4', () => {
   const batchContext = {
@@ -310,11 +309,22 @@ describe('Protocol > Requests > Fetch > v4', () => {
     })
   })
 
-  describe('response with an unconfigured compression codec (snappy)', () => {
-    test('throws KafkaJSNotImplemented error', async () => {
-      await expect(
-        decode(Buffer.from(require('../fixtures/v4_response_snappy.json')))
-      ).rejects.toThrow(KafkaJSNotImplemented)
+  describe('response with snappy compression', () => {
+    test('decodes the compressed records', async () => {
+      const data = await decode(Buffer.from(require('../fixtures/v4_response_snappy.json')))
+      expect(data.responses[0].partitions[0].messages).toEqual([
+        {
+          magicByte: 2,
+          attributes: 0,
+          timestamp: '1549293228209',
+          offset: '0',
+          key: Buffer.from('key-149'),
+          value: Buffer.from('value-149-2019-02-04T15:13:48.187Z'),
+          headers: {},
+          isControlRecord: false,
+          batchContext,
+        },
+      ])
     })
   })
 })
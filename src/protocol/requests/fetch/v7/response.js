@@ -1,4 +1,5 @@
 const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
 const { parse: parseV1 } = require('../v1/response')
 const decodeMessages = require('../v4/decodeMessages')
 
@@ -57,7 +58,18 @@ const decode = async rawData => {
   }
 }
 
+/**
+ * Fetch session errors (KIP-227) are returned in the top level error code
+ */
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return parseV1(data)
+}
+
 module.exports = {
   decode,
-  parse: parseV1,
+  parse,
 }
@@ -76,4 +76,9 @@ describe('Protocol > Requests > Fetch > v7', () => {
 
     await expect(parse(data)).resolves.toBeTruthy()
   })
+
+  test('throws fetch session errors', async () => {
+    const data = { throttleTime: 0, errorCode: 70, sessionId: 0, responses: [] }
+    await expect(parse(data)).rejects.toHaveProperty('type', 'FETCH_SESSION_ID_NOT_FOUND')
+  })
 })
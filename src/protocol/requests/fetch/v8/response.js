@@ -1,5 +1,5 @@
 const Decoder = require('../../../decoder')
-const { parse: parseV1 } = require('../v1/response')
+const { parse: parseV7 } = require('../v7/response')
 const decodeMessages = require('../v4/decodeMessages')
 
 /**
@@ -63,5 +63,5 @@ const decode = async rawData => {
 
 module.exports = {
   decode,
-  parse: parseV1,
+  parse: parseV7,
 }
@@ -0,0 +1,23 @@
+const RequestV0Protocol = require('./request')
+const CONFIG_RESOURCE_TYPES = require('../../../configResourceTypes')
+const ALTER_CONFIG_OP_TYPES = require('../../../alterConfigOpTypes')
+
+describe('Protocol > Requests > IncrementalAlterConfigs > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      resources: [
+        {
+          type: CONFIG_RESOURCE_TYPES.TOPIC,
+          name: 'test-topic-1',
+          configEntries: [
+            { name: 'cleanup.policy', operation: ALTER_CONFIG_OP_TYPES.APPEND, value: 'compact' },
+            { name: 'retention.ms', operation: ALTER_CONFIG_OP_TYPES.DELETE },
+            { name: 'segment.ms', operation: ALTER_CONFIG_OP_TYPES.SET, value: '3600000' },
+          ],
+        },
+      ],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
@@ -0,0 +1,27 @@
+const { decode, parse } = require('./response')
+const CONFIG_RESOURCE_TYPES = require('../../../configResourceTypes')
+
+describe('Protocol > Requests > IncrementalAlterConfigs > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      resources: [
+        {
+          errorCode: 0,
+          errorMessage: null,
+          resourceType: CONFIG_RESOURCE_TYPES.TOPIC,
+          resourceName: 'test-topic-1',
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+
+  test('response with errors', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toHaveProperty('type', 'INVALID_CONFIG')
+  })
+})
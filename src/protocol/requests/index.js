@@ -54,26 +54,34 @@ const requests = {
   AddPartitionsToTxn: require('./addPartitionsToTxn'),
   AddOffsetsToTxn: require('./addOffsetsToTxn'),
   EndTxn: require('./endTxn'),
-  WriteTxnMarkers: noImplementedRequestDefinitions,
+  WriteTxnMarkers: require('./writeTxnMarkers'),
   TxnOffsetCommit: require('./txnOffsetCommit'),
   DescribeAcls: require('./describeAcls'),
   CreateAcls: require('./createAcls'),
   DeleteAcls: require('./deleteAcls'),
   DescribeConfigs: require('./describeConfigs'),
   AlterConfigs: require('./alterConfigs'),
-  AlterReplicaLogDirs: noImplementedRequestDefinitions,
-  DescribeLogDirs: noImplementedRequestDefinitions,
+  AlterReplicaLogDirs: require('./alterReplicaLogDirs'),
+  DescribeLogDirs: require('./describeLogDirs'),
   SaslAuthenticate: require('./saslAuthenticate'),
   CreatePartitions: require('./createPartitions'),
-  CreateDelegationToken: noImplementedRequestDefinitions,
-  RenewDelegationToken: noImplementedRequestDefinitions,
-  ExpireDelegationToken: noImplementedRequestDefinitions,
-  DescribeDelegationToken: noImplementedRequestDefinitions,
+  CreateDelegationToken: require('./createDelegationToken'),
+  RenewDelegationToken: require('./renewDelegationToken'),
+  ExpireDelegationToken: require('./expireDelegationToken'),
+  DescribeDelegationToken: require('./describeDelegationToken'),
   DeleteGroups: require('./deleteGroups'),
-  ElectLeaders: noImplementedRequestDefinitions,
-  IncrementalAlterConfigs: noImplementedRequestDefinitions,
+  ElectLeaders: require('./electLeaders'),
+  IncrementalAlterConfigs: require('./incrementalAlterConfigs'),
   AlterPartitionReassignments: require('./alterPartitionReassignments'),
   ListPartitionReassignments: require('./listPartitionReassignments'),
+  OffsetDelete: require('./offsetDelete'),
+  DescribeClientQuotas: require('./describeClientQuotas'),
+  AlterClientQuotas: require('./alterClientQuotas'),
+  DescribeUserScramCredentials: require('./describeUserScramCredentials'),
+  AlterUserScramCredentials: require('./alterUserScramCredentials'),
+  DescribeProducers: require('./describeProducers'),
+  DescribeTransactions: require('./describeTransactions'),
+  ListTransactions: require('./listTransactions'),
 }
 
 const names = Object.keys(apiKeys)
@@ -13,22 +13,18 @@ module.exports = ({ topics = null, timeout = 5000 }) => ({
   apiKey,
   apiVersion: 0,
   apiName: 'ListPartitionReassignments',
+  flexible: true,
   encode: async () => {
     return new Encoder()
-      .writeUVarIntBytes()
       .writeInt32(timeout)
       .writeUVarIntArray(topics === null ? topics : topics.map(encodeTopics))
-      .writeUVarIntBytes()
+      .writeTaggedFields()
   },
 })
 
 const encodeTopics = ({ topic, partitions }) => {
   return new Encoder()
     .writeUVarIntString(topic)
-    .writeUVarIntArray(partitions.map(encodePartitions))
-    .writeUVarIntBytes()
-}
-
-const encodePartitions = partition => {
-  return new Encoder().writeInt32(partition)
+    .writeUVarIntArray(partitions, 'int32')
+    .writeTaggedFields()
 }
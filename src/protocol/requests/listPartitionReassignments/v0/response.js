@@ -44,9 +44,6 @@ const decodeTopics = decoder => {
 }
 const decode = async rawData => {
   const decoder = new Decoder(rawData)
-
-  // Read tagged fields
-  decoder.readTaggedFields()
   const throttleTime = decoder.readInt32()
   const errorCode = decoder.readInt16()
   // Read error message
@@ -0,0 +1,32 @@
+const Encoder = require('../../../encoder')
+const { ListTransactions: apiKey } = require('../../apiKeys')
+
+/**
+ * ListTransactions Request (Version: 0) => [state_filters] [producer_id_filters] TAG_BUFFER
+ *  state_filters => COMPACT_STRING
+ *  producer_id_filters => INT64
+ */
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.stateFilters=[]] Only list the transactions in these states, all of
+ *                                             them when empty
+ * @param {string[]} [options.producerIdFilters=[]] Only list the transactions of these producers,
+ *                                                  all of them when empty
+ */
+module.exports = ({ stateFilters = [], producerIdFilters = [] }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'ListTransactions',
+  flexible: true,
+  encode: async () => {
+    return new Encoder()
+      .writeUVarIntArray(stateFilters, 'string')
+      .writeUVarIntArray(producerIdFilters.map(encodeProducerIdFilters))
+      .writeTaggedFields()
+  },
+})
+
+const encodeProducerIdFilters = producerId => {
+  return new Encoder().writeInt64(producerId)
+}
@@ -0,0 +1,17 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > ListTransactions > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      stateFilters: ['Ongoing', 'PrepareAbort'],
+      producerIdFilters: ['4000'],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+
+  test('request without filters', async () => {
+    const { buffer } = await RequestV0Protocol({}).encode()
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request_no_filters.json')))
+  })
+})
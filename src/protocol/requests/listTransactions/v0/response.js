@@ -0,0 +1,55 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * ListTransactions Response (Version: 0) => throttle_time_ms error_code [unknown_state_filters] [transaction_states] TAG_BUFFER
+ *  throttle_time_ms => INT32
+ *  error_code => INT16
+ *  unknown_state_filters => COMPACT_STRING
+ *  transaction_states => transactional_id producer_id transaction_state TAG_BUFFER
+ *    transactional_id => COMPACT_STRING
+ *    producer_id => INT64
+ *    transaction_state => COMPACT_STRING
+ */
+
+const decodeUnknownStateFilters = decoder => decoder.readUVarIntString()
+
+const decodeTransactionStates = decoder => {
+  const transactionState = {
+    transactionalId: decoder.readUVarIntString(),
+    producerId: decoder.readInt64().toString(),
+    transactionState: decoder.readUVarIntString(),
+  }
+
+  decoder.readTaggedFields()
+  return transactionState
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const errorCode = decoder.readInt16()
+  const unknownStateFilters = decoder.readUVarIntArray(decodeUnknownStateFilters)
+  const transactionStates = decoder.readUVarIntArray(decodeTransactionStates)
+  decoder.readTaggedFields()
+
+  return {
+    throttleTime,
+    errorCode,
+    unknownStateFilters,
+    transactionStates,
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
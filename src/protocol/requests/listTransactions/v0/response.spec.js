@@ -0,0 +1,21 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > ListTransactions > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      unknownStateFilters: ['Unknown'],
+      transactionStates: [
+        {
+          transactionalId: 'test-transactional-id-8f7e6d5c4b3a',
+          producerId: '4000',
+          transactionState: 'Ongoing',
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+})
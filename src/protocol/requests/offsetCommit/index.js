@@ -67,6 +67,33 @@ const versions = {
       response,
     }
   },
+  6: ({ groupId, groupGenerationId, memberId, topics }) => {
+    const request = require('./v6/request')
+    const response = require('./v6/response')
+    return {
+      request: request({
+        groupId,
+        groupGenerationId,
+        memberId,
+        topics,
+      }),
+      response,
+    }
+  },
+  7: ({ groupId, groupGenerationId, memberId, groupInstanceId, topics }) => {
+    const request = require('./v7/request')
+    const response = require('./v7/response')
+    return {
+      request: request({
+        groupId,
+        groupGenerationId,
+        memberId,
+        groupInstanceId,
+        topics,
+      }),
+      response,
+    }
+  },
 }
 
 module.exports = {
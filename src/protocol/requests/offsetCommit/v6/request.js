@@ -0,0 +1,44 @@
+const Encoder = require('../../../encoder')
+const { OffsetCommit: apiKey } = require('../../apiKeys')
+
+/**
+ * Version 6 adds the leader epoch of the committed offset, -1 when unknown
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-320%3A+Allow+fetchers+to+detect+and+handle+log+truncation
+ *
+ * OffsetCommit Request (Version: 6) => group_id generation_id member_id [topics]
+ *   group_id => STRING
+ *   generation_id => INT32
+ *   member_id => STRING
+ *   topics => topic [partitions]
+ *     topic => STRING
+ *     partitions => partition offset leader_epoch metadata
+ *       partition => INT32
+ *       offset => INT64
+ *       leader_epoch => INT32
+ *       metadata => NULLABLE_STRING
+ */
+
+module.exports = ({ groupId, groupGenerationId, memberId, topics }) => ({
+  apiKey,
+  apiVersion: 6,
+  apiName: 'OffsetCommit',
+  encode: async () => {
+    return new Encoder()
+      .writeString(groupId)
+      .writeInt32(groupGenerationId)
+      .writeString(memberId)
+      .writeArray(topics.map(encodeTopic))
+  },
+})
+
+const encodeTopic = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions.map(encodePartition))
+}
+
+const encodePartition = ({ partition, offset, leaderEpoch = -1, metadata = null }) => {
+  return new Encoder()
+    .writeInt32(partition)
+    .writeInt64(offset)
+    .writeInt32(leaderEpoch)
+    .writeString(metadata)
+}
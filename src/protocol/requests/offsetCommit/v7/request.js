@@ -0,0 +1,46 @@
+const Encoder = require('../../../encoder')
+const { OffsetCommit: apiKey } = require('../../apiKeys')
+
+/**
+ * Version 7 adds group_instance_id to indicate member identity across restarts.
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-345%3A+Introduce+static+membership+protocol+to+reduce+consumer+rebalances
+ *
+ * OffsetCommit Request (Version: 7) => group_id generation_id member_id group_instance_id [topics]
+ *   group_id => STRING
+ *   generation_id => INT32
+ *   member_id => STRING
+ *   group_instance_id => NULLABLE_STRING
+ *   topics => topic [partitions]
+ *     topic => STRING
+ *     partitions => partition offset leader_epoch metadata
+ *       partition => INT32
+ *       offset => INT64
+ *       leader_epoch => INT32
+ *       metadata => NULLABLE_STRING
+ */
+
+module.exports = ({ groupId, groupGenerationId, memberId, groupInstanceId = null, topics }) => ({
+  apiKey,
+  apiVersion: 7,
+  apiName: 'OffsetCommit',
+  encode: async () => {
+    return new Encoder()
+      .writeString(groupId)
+      .writeInt32(groupGenerationId)
+      .writeString(memberId)
+      .writeString(groupInstanceId)
+      .writeArray(topics.map(encodeTopic))
+  },
+})
+
+const encodeTopic = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions.map(encodePartition))
+}
+
+const encodePartition = ({ partition, offset, leaderEpoch = -1, metadata = null }) => {
+  return new Encoder()
+    .writeInt32(partition)
+    .writeInt64(offset)
+    .writeInt32(leaderEpoch)
+    .writeString(metadata)
+}
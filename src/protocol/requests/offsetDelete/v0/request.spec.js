@@ -0,0 +1,12 @@
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > OffsetDelete > v0', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV0Protocol({
+      groupId: 'consumer-group-id-4a1b4e5e7c5d2fd4e6b5',
+      topics: [{ topic: 'test-topic-d7b0e6d5f4e3c2b1a0f9', partitions: [0, 1] }],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+  })
+})
@@ -0,0 +1,65 @@
+const Decoder = require('../../../decoder')
+const { KafkaJSAggregateError, KafkaJSOffsetDeleteError } = require('../../../../errors')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * OffsetDelete Response (Version: 0) => error_code throttle_time_ms [topics]
+ *   error_code => INT16
+ *   throttle_time_ms => INT32
+ *   topics => name [partitions]
+ *     name => STRING
+ *     partitions => partition_index error_code
+ *       partition_index => INT32
+ *       error_code => INT16
+ */
+
+const decodePartition = decoder => ({
+  partition: decoder.readInt32(),
+  errorCode: decoder.readInt16(),
+})
+
+const decodeTopic = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartition),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const errorCode = decoder.readInt16()
+  const throttleTime = decoder.readInt32()
+
+  return {
+    errorCode,
+    throttleTime,
+    topics: decoder.readArray(decodeTopic),
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  const partitionsWithError = data.topics.flatMap(({ topic, partitions }) =>
+    partitions
+      .filter(({ errorCode }) => failure(errorCode))
+      .map(partition => ({ ...partition, topic }))
+  )
+
+  if (partitionsWithError.length > 0) {
+    throw new KafkaJSAggregateError(
+      'Errors deleting consumer group offsets',
+      partitionsWithError.map(
+        ({ topic, partition, errorCode }) =>
+          new KafkaJSOffsetDeleteError(createErrorFromCode(errorCode), topic, partition)
+      )
+    )
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
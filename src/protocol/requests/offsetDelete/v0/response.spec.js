@@ -0,0 +1,54 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > OffsetDelete > v0', () => {
+  const topic = 'test-topic-d7b0e6d5f4e3c2b1a0f9'
+
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      errorCode: 0,
+      throttleTime: 0,
+      topics: [
+        {
+          topic,
+          partitions: [
+            { partition: 0, errorCode: 0 },
+            { partition: 1, errorCode: 0 },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSProtocolError if the group failed', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+    expect(data).toEqual({ errorCode: 69, throttleTime: 0, topics: [] })
+
+    await expect(parse(data)).rejects.toHaveProperty('type', 'GROUP_ID_NOT_FOUND')
+  })
+
+  test('throws KafkaJSAggregateError with the errors of each partition', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_partition_error.json')))
+
+    await expect(parse(data)).rejects.toMatchObject({
+      name: 'KafkaJSAggregateError',
+      message: 'Errors deleting consumer group offsets',
+      errors: [
+        expect.objectContaining({
+          name: 'KafkaJSOffsetDeleteError',
+          type: 'GROUP_SUBSCRIBED_TO_TOPIC',
+          topic,
+          partition: 0,
+        }),
+        expect.objectContaining({
+          name: 'KafkaJSOffsetDeleteError',
+          type: 'GROUP_SUBSCRIBED_TO_TOPIC',
+          topic,
+          partition: 1,
+        }),
+      ],
+    })
+  })
+})
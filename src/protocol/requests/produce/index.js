@@ -1,3 +1,10 @@
+const { KafkaJSProtocolError } = require('../../../errors')
+const { errorCodes } = require('../../error')
+const { Types: Compression } = require('../../message/compression')
+
+// ZSTD requires Produce v7, brokers reject it on older versions (KIP-110)
+const ZSTD_MIN_VERSION = 7
+
 const versions = {
   0: ({ acks, timeout, topicData }) => {
     const request = require('./v0/request')
@@ -96,7 +103,23 @@ const versions = {
   },
 }
 
+const failIfCompressionNotSupported = (version, compression) => {
+  if (compression === Compression.ZSTD && version < ZSTD_MIN_VERSION) {
+    const error = errorCodes.find(e => e.type === 'UNSUPPORTED_COMPRESSION_TYPE')
+    throw new KafkaJSProtocolError({
+      ...error,
+      message: `ZSTD compression requires Produce v${ZSTD_MIN_VERSION}, the broker supports up to v${version}`,
+    })
+  }
+}
+
 module.exports = {
   versions: Object.keys(versions),
-  protocol: ({ version }) => versions[version],
+  protocol: ({ version }) => {
+    const produce = versions[version]
+    return options => {
+      failIfCompressionNotSupported(Number(version), options.compression)
+      return produce(options)
+    }
+  },
 }
@@ -1,4 +1,6 @@
 const { versions, protocol } = require('./index')
+const { Types: Compression } = require('../../message/compression')
+const { KafkaJSProtocolError } = require('../../../errors')
 
 describe('Protocol > Requests > Produce', () => {
   versions.forEach(version => {
@@ -9,4 +11,32 @@ describe('Protocol > Requests > Produce', () => {
       })
     })
   })
+
+  describe('ZSTD compression', () => {
+    const topicData = [{ topic: 'test-topic', partitions: [{ partition: 0, messages: [] }] }]
+
+    test('is not supported before v7', () => {
+      for (const version of versions.filter(version => Number(version) < 7)) {
+        expect(() => protocol({ version })({ compression: Compression.ZSTD, topicData })).toThrow(
+          expect.objectContaining({
+            name: 'KafkaJSProtocolError',
+            type: 'UNSUPPORTED_COMPRESSION_TYPE',
+            retriable: false,
+            message: `ZSTD compression requires Produce v7, the broker supports up to v${version}`,
+          })
+        )
+      }
+    })
+
+    test('is supported on v7', () => {
+      const { request } = protocol({ version: 7 })({ compression: Compression.ZSTD, topicData })
+      expect(request.apiVersion).toEqual(7)
+    })
+
+    test('does not affect other codecs', () => {
+      expect(() =>
+        protocol({ version: 3 })({ compression: Compression.GZIP, topicData })
+      ).not.toThrow(KafkaJSProtocolError)
+    })
+  })
 })
@@ -0,0 +1,22 @@
+const Encoder = require('../../../encoder')
+const { RenewDelegationToken: apiKey } = require('../../apiKeys')
+
+/**
+ * RenewDelegationToken Request (Version: 0) => hmac renew_period_ms
+ *   hmac => BYTES
+ *   renew_period_ms => INT64
+ */
+
+/**
+ * @param {Object} options
+ * @param {Buffer} options.hmac The HMAC of the delegation token
+ * @param {number} [options.renewPeriod=-1] The renewal period in milliseconds, -1 to use the broker default
+ */
+module.exports = ({ hmac, renewPeriod = -1 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'RenewDelegationToken',
+  encode: async () => {
+    return new Encoder().writeBytes(hmac).writeInt64(renewPeriod)
+  },
+})
@@ -0,0 +1,32 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * RenewDelegationToken Response (Version: 0) => error_code expiry_timestamp_ms throttle_time_ms
+ *   error_code => INT16
+ *   expiry_timestamp_ms => INT64
+ *   throttle_time_ms => INT32
+ */
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+
+  return {
+    errorCode: decoder.readInt16(),
+    expiryTimestamp: decoder.readInt64().toString(),
+    throttleTime: decoder.readInt32(),
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,10 @@
+const requestV0 = require('../v0/request')
+
+/**
+ * RenewDelegationToken Request (Version: 1) => hmac renew_period_ms
+ *   hmac => BYTES
+ *   renew_period_ms => INT64
+ */
+
+module.exports = ({ hmac, renewPeriod }) =>
+  Object.assign(requestV0({ hmac, renewPeriod }), { apiVersion: 1 })
@@ -0,0 +1,15 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > RenewDelegationToken > v1', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      errorCode: 0,
+      expiryTimestamp: '1600090000000',
+      throttleTime: 0,
+      clientSideThrottleTime: 0,
+    })
+
+    await expect(parse(data)).resolves.toEqual(data)
+  })
+})
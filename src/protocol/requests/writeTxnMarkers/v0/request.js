@@ -0,0 +1,52 @@
+const Encoder = require('../../../encoder')
+const { WriteTxnMarkers: apiKey } = require('../../apiKeys')
+
+/**
+ * WriteTxnMarkers Request (Version: 0) => [markers]
+ *   markers => producer_id producer_epoch transaction_result [topics] coordinator_epoch
+ *     producer_id => INT64
+ *     producer_epoch => INT16
+ *     transaction_result => BOOLEAN
+ *     topics => name [partition_indexes]
+ *       name => STRING
+ *       partition_indexes => INT32
+ *     coordinator_epoch => INT32
+ */
+
+/**
+ * @param {Object} options
+ * @param {Array<Object>} options.markers
+ * @param {string} options.markers[].producerId
+ * @param {number} options.markers[].producerEpoch
+ * @param {boolean} options.markers[].transactionResult true to commit the transaction, false
+ *                                                      to abort it
+ * @param {import("../../../../../types").TopicPartitions[]} options.markers[].topics
+ * @param {number} options.markers[].coordinatorEpoch
+ */
+module.exports = ({ markers }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'WriteTxnMarkers',
+  encode: async () => {
+    return new Encoder().writeArray(markers.map(encodeMarker))
+  },
+})
+
+const encodeMarker = ({
+  producerId,
+  producerEpoch,
+  transactionResult,
+  topics,
+  coordinatorEpoch,
+}) => {
+  return new Encoder()
+    .writeInt64(producerId)
+    .writeInt16(producerEpoch)
+    .writeBoolean(transactionResult)
+    .writeArray(topics.map(encodeTopic))
+    .writeInt32(coordinatorEpoch)
+}
+
+const encodeTopic = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions)
+}
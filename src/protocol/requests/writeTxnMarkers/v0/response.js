@@ -0,0 +1,64 @@
+const Decoder = require('../../../decoder')
+const { KafkaJSAggregateError, KafkaJSWriteTxnMarkersError } = require('../../../../errors')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * WriteTxnMarkers Response (Version: 0) => [markers]
+ *   markers => producer_id [topics]
+ *     producer_id => INT64
+ *     topics => name [partitions]
+ *       name => STRING
+ *       partitions => partition_index error_code
+ *         partition_index => INT32
+ *         error_code => INT16
+ */
+
+const decodePartition = decoder => ({
+  partition: decoder.readInt32(),
+  errorCode: decoder.readInt16(),
+})
+
+const decodeTopic = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartition),
+})
+
+const decodeMarker = decoder => ({
+  producerId: decoder.readInt64().toString(),
+  topics: decoder.readArray(decodeTopic),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+
+  return {
+    markers: decoder.readArray(decodeMarker),
+  }
+}
+
+const parse = async data => {
+  const partitionsWithError = data.markers.flatMap(({ topics }) =>
+    topics.flatMap(({ topic, partitions }) =>
+      partitions
+        .filter(({ errorCode }) => failure(errorCode))
+        .map(partition => ({ ...partition, topic }))
+    )
+  )
+
+  if (partitionsWithError.length > 0) {
+    throw new KafkaJSAggregateError(
+      'Errors writing transaction markers',
+      partitionsWithError.map(
+        ({ topic, partition, errorCode }) =>
+          new KafkaJSWriteTxnMarkersError(createErrorFromCode(errorCode), topic, partition)
+      )
+    )
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,44 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > WriteTxnMarkers > v0', () => {
+  const topic = 'test-topic-5c1f0a3e9d8b7a6f5e4d'
+
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      markers: [
+        {
+          producerId: '4000',
+          topics: [
+            {
+              topic,
+              partitions: [
+                { partition: 0, errorCode: 0 },
+                { partition: 1, errorCode: 0 },
+              ],
+            },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSAggregateError with the errors of each partition', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response_error.json')))
+
+    await expect(parse(data)).rejects.toMatchObject({
+      name: 'KafkaJSAggregateError',
+      message: 'Errors writing transaction markers',
+      errors: [
+        expect.objectContaining({
+          name: 'KafkaJSWriteTxnMarkersError',
+          type: 'NOT_LEADER_FOR_PARTITION',
+          topic,
+          partition: 1,
+        }),
+      ],
+    })
+  })
+})
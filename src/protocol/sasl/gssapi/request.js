@@ -0,0 +1,19 @@
+/**
+ * https://tools.ietf.org/html/rfc4752
+ *
+ * The client and the server exchange the GSS-API tokens produced by the
+ * security context establishment (the Kerberos AP-REQ and AP-REP), until the
+ * context is established. The server then sends a token wrapping the security
+ * layers it supports and the maximum size of the messages it can receive, and
+ * the client answers with a token wrapping the security layer it selected, its
+ * maximum message size and the authorization identity.
+ *
+ * Every message is a token sent as bytes, the client first message being the
+ * initial context token.
+ */
+
+const Encoder = require('../../encoder')
+
+module.exports = ({ token }) => ({
+  encode: async () => new Encoder().writeBytes(token).buffer,
+})
@@ -0,0 +1,8 @@
+const Decoder = require('../../decoder')
+
+const EMPTY_TOKEN = Buffer.alloc(0)
+
+module.exports = {
+  decode: async rawData => new Decoder(rawData).readBytes() || EMPTY_TOKEN,
+  parse: async data => data,
+}
@@ -0,0 +1,25 @@
+const Decoder = require('../../decoder')
+const request = require('./request')
+
+describe('Protocol > sasl > oauthBearer > request', () => {
+  const decode = async ({ encode }) => new Decoder(await encode()).readBytes().toString()
+
+  test('encodes the token', async () => {
+    await expect(decode(await request({}, { value: 'token' }))).resolves.toEqual(
+      'n,,\u0001auth=Bearer token\u0001\u0001'
+    )
+  })
+
+  test('encodes the authorization identity in the GS2 header', async () => {
+    await expect(
+      decode(await request({ authorizationIdentity: 'user' }, { value: 'token' }))
+    ).resolves.toEqual('n,a=user,\u0001auth=Bearer token\u0001\u0001')
+  })
+
+  test('encodes the extensions after the token', async () => {
+    const extensions = { logicalCluster: 'lkc-abc123', identityPoolId: 'pool-xyz' }
+    await expect(decode(await request({}, { value: 'token', extensions }))).resolves.toEqual(
+      'n,,\u0001auth=Bearer token\u0001logicalCluster=lkc-abc123\u0001identityPoolId=pool-xyz\u0001\u0001'
+    )
+  })
+})
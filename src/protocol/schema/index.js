@@ -0,0 +1,75 @@
+const compileMessage = require('./message')
+const { failure, createErrorFromCode } = require('../error')
+
+/**
+ * Only the top-level error code is checked by default, the errors of the topics, partitions or
+ * resources are left for the caller
+ *
+ * @param {Object} data
+ */
+const parseErrorCode = async data => {
+  if (data.errorCode != null && failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return data
+}
+
+/**
+ * Creates the request definitions expected by `src/protocol/requests/index.js` out of the
+ * message specs of Apache Kafka, so that new APIs and versions are data driven:
+ *
+ * @example
+ * module.exports = createRequestDefinitions({
+ *   request: require('./request.json'),
+ *   response: require('./response.json'),
+ * })
+ *
+ * The request options and the decoded responses are keyed by the camel-cased field names of
+ * the specs, e.g. { throttleTimeMs, errorCode }
+ *
+ * @param {Object} options
+ * @param {Object} options.request The request message spec, e.g. ListTransactionsRequest.json
+ * @param {Object} options.response The response message spec, e.g. ListTransactionsResponse.json
+ * @param {(data: Object) => Promise<Object>} [options.parse] Parses the decoded response, throws
+ *                                                            the top-level error code by default
+ * @returns {import("../requests").RequestDefinitions}
+ */
+const createRequestDefinitions = ({ request, response, parse = parseErrorCode }) => {
+  const requestMessage = compileMessage(request)
+  const responseMessage = compileMessage(response)
+  const apiName = requestMessage.name.replace(/Request$/, '')
+
+  const protocol = ({ version }) => {
+    const apiVersion = Number(version)
+
+    if (!requestMessage.versions.includes(apiVersion)) {
+      return
+    }
+
+    return (options = {}) => ({
+      request: {
+        apiKey: requestMessage.apiKey,
+        apiVersion,
+        apiName,
+        flexible: requestMessage.isFlexible(apiVersion),
+        encode: async () => requestMessage.encode(options, apiVersion),
+      },
+      response: {
+        decode: async rawData => responseMessage.decode(rawData, apiVersion),
+        parse,
+      },
+    })
+  }
+
+  return {
+    versions: requestMessage.versions.map(String),
+    protocol,
+  }
+}
+
+module.exports = {
+  compileMessage,
+  createRequestDefinitions,
+  parseErrorCode,
+}
@@ -0,0 +1,76 @@
+const { createRequestDefinitions } = require('./index')
+const { lookup } = require('../requests')
+const apiKeys = require('../requests/apiKeys')
+
+describe('Protocol > Schema', () => {
+  const fixture = name => Buffer.from(require(`../requests/${name}.json`))
+
+  const heartbeat = createRequestDefinitions({
+    request: require('./fixtures/HeartbeatRequest.json'),
+    response: require('./fixtures/HeartbeatResponse.json'),
+  })
+
+  test('lists the versions of the request', () => {
+    expect(heartbeat.versions).toEqual(['0', '1', '2', '3', '4'])
+  })
+
+  test('returns undefined for the versions of the request that are not valid', () => {
+    expect(heartbeat.protocol({ version: 5 })).toBeUndefined()
+  })
+
+  test('creates the request and response of a version', async () => {
+    const { request, response } = heartbeat.protocol({ version: 3 })({
+      groupId: 'consumer-group-id-4c456000151f094b600d-26762-fd6a6ae7-3f66-408e-802e-d261d6983d0d',
+      generationId: 1,
+      memberId:
+        'test-14da1b41ac688a6dcb78-26762-4dac8e12-dc28-4db2-8456-95bc6c1589bb-7bad1e84-c2de-4cc6-8071-badb27c86166',
+      groupInstanceId:
+        'test-14da1b41ac688a6dcb78-26762-4dac8e12-dc28-4db2-8456-95bc6c1589bb-7bad1e84-c2de-4cc6-8071-badb27c86166',
+    })
+
+    expect(request).toEqual({
+      apiKey: apiKeys.Heartbeat,
+      apiVersion: 3,
+      apiName: 'Heartbeat',
+      flexible: false,
+      encode: expect.any(Function),
+    })
+
+    const { buffer } = await request.encode()
+    expect(buffer).toEqual(fixture('heartbeat/fixtures/v3_request'))
+
+    const data = await response.decode(fixture('heartbeat/fixtures/v3_response'))
+    expect(data).toEqual({ throttleTimeMs: 0, errorCode: 0 })
+    await expect(response.parse(data)).resolves.toEqual(data)
+  })
+
+  test('flags the flexible versions', () => {
+    const { request } = heartbeat.protocol({ version: '4' })({})
+    expect(request).toMatchObject({ apiVersion: 4, flexible: true })
+  })
+
+  test('throws the top-level error code by default', async () => {
+    const { response } = heartbeat.protocol({ version: 3 })()
+    await expect(response.parse({ throttleTimeMs: 0, errorCode: 27 })).rejects.toMatchObject({
+      type: 'REBALANCE_IN_PROGRESS',
+    })
+  })
+
+  test('accepts a custom parse', async () => {
+    const parse = jest.fn(async data => data)
+    const definitions = createRequestDefinitions({
+      request: require('./fixtures/ListTransactionsRequest.json'),
+      response: require('./fixtures/ListTransactionsResponse.json'),
+      parse,
+    })
+
+    const { response } = definitions.protocol({ version: 0 })()
+    expect(response.parse).toBe(parse)
+  })
+
+  test('picks the best version supported by the broker', () => {
+    const versions = { [apiKeys.Heartbeat]: { minVersion: 0, maxVersion: 3 } }
+    const requestProtocol = lookup(versions)(apiKeys.Heartbeat, heartbeat)
+    expect(requestProtocol({}).request.apiVersion).toEqual(3)
+  })
+})
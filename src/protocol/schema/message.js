@@ -0,0 +1,409 @@
+const Encoder = require('../encoder')
+const Decoder = require('../decoder')
+const VersionRange = require('./versionRange')
+const { KafkaJSNonRetriableError } = require('../../errors')
+
+const ARRAY_PREFIX = '[]'
+const UUID_SIZE = 16
+
+const primitive = ({ write, read, defaultValue, parseDefault = value => value }) => ({
+  kind: 'primitive',
+  write,
+  read,
+  defaultValue,
+  parseDefault,
+})
+
+/**
+ * The flexible versions (KIP-482) use the compact encoding of strings, bytes and arrays
+ */
+const PRIMITIVES = {
+  bool: primitive({
+    write: (encoder, value) => encoder.writeBoolean(value),
+    read: decoder => decoder.readBoolean(),
+    defaultValue: () => false,
+    parseDefault: value => value === true || value === 'true',
+  }),
+  int8: primitive({
+    write: (encoder, value) => encoder.writeInt8(value),
+    read: decoder => decoder.readInt8(),
+    defaultValue: () => 0,
+    parseDefault: Number,
+  }),
+  int16: primitive({
+    write: (encoder, value) => encoder.writeInt16(value),
+    read: decoder => decoder.readInt16(),
+    defaultValue: () => 0,
+    parseDefault: Number,
+  }),
+  uint16: primitive({
+    write: (encoder, value) => encoder.writeUInt16(value),
+    read: decoder => decoder.readUInt16(),
+    defaultValue: () => 0,
+    parseDefault: Number,
+  }),
+  int32: primitive({
+    write: (encoder, value) => encoder.writeInt32(value),
+    read: decoder => decoder.readInt32(),
+    defaultValue: () => 0,
+    parseDefault: Number,
+  }),
+  uint32: primitive({
+    write: (encoder, value) => encoder.writeUInt32(value),
+    read: decoder => decoder.readUInt32(),
+    defaultValue: () => 0,
+    parseDefault: Number,
+  }),
+  int64: primitive({
+    write: (encoder, value) => encoder.writeInt64(value),
+    read: decoder => decoder.readInt64().toString(),
+    defaultValue: () => '0',
+    parseDefault: value => BigInt(value).toString(),
+  }),
+  float64: primitive({
+    write: (encoder, value) => encoder.writeDouble(value),
+    read: decoder => decoder.readDouble(),
+    defaultValue: () => 0,
+    parseDefault: Number,
+  }),
+  uuid: primitive({
+    write: (encoder, value) => {
+      if (!Buffer.isBuffer(value) || value.length !== UUID_SIZE) {
+        throw new KafkaJSNonRetriableError(`Invalid uuid, must be a Buffer of ${UUID_SIZE} bytes`)
+      }
+
+      return encoder.writeBuffer(value)
+    },
+    read: decoder => decoder.readBytes(UUID_SIZE),
+    defaultValue: () => Buffer.alloc(UUID_SIZE),
+  }),
+  string: primitive({
+    write: (encoder, value, flexible) =>
+      flexible ? encoder.writeUVarIntString(value) : encoder.writeString(value),
+    read: (decoder, flexible) => (flexible ? decoder.readUVarIntString() : decoder.readString()),
+    defaultValue: () => '',
+    parseDefault: String,
+  }),
+  bytes: primitive({
+    write: (encoder, value, flexible) =>
+      flexible ? encoder.writeUVarIntBytes(value) : encoder.writeBytes(value),
+    read: (decoder, flexible) => (flexible ? decoder.readUVarIntBytes() : decoder.readBytes()),
+    defaultValue: () => Buffer.alloc(0),
+  }),
+  records: primitive({
+    write: (encoder, value, flexible) =>
+      flexible ? encoder.writeUVarIntBytes(value) : encoder.writeBytes(value),
+    read: (decoder, flexible) => (flexible ? decoder.readUVarIntBytes() : decoder.readBytes()),
+    defaultValue: () => null,
+  }),
+}
+
+/**
+ * ThrottleTimeMs => throttleTimeMs
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+const fieldKey = name => name.charAt(0).toLowerCase() + name.slice(1)
+
+const typeDefaultValue = type => {
+  switch (type.kind) {
+    case 'array':
+      return []
+    case 'struct':
+      return structDefaultValue(type.fields)
+    default:
+      return type.defaultValue()
+  }
+}
+
+const structDefaultValue = fields =>
+  fields.reduce((struct, field) => ({ ...struct, [field.key]: field.defaultValue() }), {})
+
+const compileDefaultValue = (field, type) => {
+  if (field.default === undefined) {
+    return () => typeDefaultValue(type)
+  }
+
+  if (field.default === 'null') {
+    return () => null
+  }
+
+  if (type.kind !== 'primitive') {
+    throw new KafkaJSNonRetriableError(
+      `Invalid default ${field.default} of field ${field.name}, only null is supported`
+    )
+  }
+
+  const defaultValue = type.parseDefault(field.default)
+  return () => defaultValue
+}
+
+const compileType = (typeName, field, commonStructs) => {
+  if (typeName.startsWith(ARRAY_PREFIX)) {
+    return {
+      kind: 'array',
+      items: compileType(typeName.slice(ARRAY_PREFIX.length), field, commonStructs),
+    }
+  }
+
+  if (PRIMITIVES[typeName]) {
+    return PRIMITIVES[typeName]
+  }
+
+  const fields = field.fields || (commonStructs[typeName] && commonStructs[typeName].fields)
+
+  if (!fields) {
+    throw new KafkaJSNonRetriableError(`Unknown type ${typeName} of field ${field.name}`)
+  }
+
+  return { kind: 'struct', name: typeName, fields: compileFields(fields, commonStructs) }
+}
+
+const compileField = (field, commonStructs) => {
+  const type = compileType(field.type, field, commonStructs)
+  const taggedVersions = VersionRange.parse(field.taggedVersions)
+
+  if (taggedVersions !== VersionRange.NONE && field.tag == null) {
+    throw new KafkaJSNonRetriableError(`Tagged field ${field.name} has no tag`)
+  }
+
+  return {
+    name: field.name,
+    key: fieldKey(field.name),
+    type,
+    tag: field.tag,
+    ignorable: field.ignorable === true,
+    versions: VersionRange.parse(field.versions),
+    nullableVersions: VersionRange.parse(field.nullableVersions),
+    taggedVersions,
+    defaultValue: compileDefaultValue(field, type),
+  }
+}
+
+const compileFields = (fields = [], commonStructs) =>
+  fields.map(field => compileField(field, commonStructs))
+
+const isDefaultValue = (field, value) => {
+  const defaultValue = field.defaultValue()
+
+  if (value == null || defaultValue == null) {
+    return value == null && defaultValue == null
+  }
+
+  if (Array.isArray(value)) {
+    return value.length === 0
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return value.equals(defaultValue)
+  }
+
+  if (typeof value === 'object') {
+    return false
+  }
+
+  return String(value) === String(defaultValue)
+}
+
+const isTagged = (field, { version, flexible }) =>
+  flexible && VersionRange.contains(field.taggedVersions, version)
+
+const writeValue = (encoder, type, value, context) => {
+  switch (type.kind) {
+    case 'array':
+      if (value == null) {
+        return context.flexible ? encoder.writeUVarInt(0) : encoder.writeInt32(-1)
+      }
+
+      context.flexible ? encoder.writeUVarInt(value.length + 1) : encoder.writeInt32(value.length)
+      value.forEach(item => writeValue(encoder, type.items, item, context))
+      return encoder
+    case 'struct':
+      return writeStruct(encoder, type.fields, value, context)
+    default:
+      type.write(encoder, value, context.flexible)
+      return encoder
+  }
+}
+
+const writeField = (encoder, field, value, context) => {
+  const nullable = VersionRange.contains(field.nullableVersions, context.version)
+
+  if (value == null && !nullable) {
+    throw new KafkaJSNonRetriableError(
+      `Field ${field.name} cannot be null in version ${context.version}`
+    )
+  }
+
+  // Nullable structs are prefixed with -1 when null and 1 otherwise
+  if (field.type.kind === 'struct' && nullable) {
+    encoder.writeInt8(value == null ? -1 : 1)
+
+    if (value == null) {
+      return encoder
+    }
+  }
+
+  return writeValue(encoder, field.type, value, context)
+}
+
+const writeStruct = (encoder, fields, data, context) => {
+  const { version, flexible } = context
+  const taggedFields = {}
+
+  fields.forEach(field => {
+    const value = data[field.key]
+
+    if (!VersionRange.contains(field.versions, version)) {
+      if (value !== undefined && !field.ignorable && !isDefaultValue(field, value)) {
+        throw new KafkaJSNonRetriableError(
+          `Field ${field.name} is not supported in version ${version}`
+        )
+      }
+
+      return
+    }
+
+    const fieldValue = value === undefined ? field.defaultValue() : value
+
+    if (isTagged(field, context)) {
+      if (!isDefaultValue(field, fieldValue)) {
+        taggedFields[field.tag] = writeField(new Encoder(), field, fieldValue, context)
+      }
+
+      return
+    }
+
+    writeField(encoder, field, fieldValue, context)
+  })
+
+  if (flexible) {
+    encoder.writeTaggedFields(taggedFields)
+  }
+
+  return encoder
+}
+
+const readValue = (decoder, type, context) => {
+  switch (type.kind) {
+    case 'array': {
+      const length = context.flexible ? decoder.readUVarInt() - 1 : decoder.readInt32()
+
+      if (length < 0) {
+        return null
+      }
+
+      return Array.from({ length }, () => readValue(decoder, type.items, context))
+    }
+    case 'struct':
+      return readStruct(decoder, type.fields, context)
+    default:
+      return type.read(decoder, context.flexible)
+  }
+}
+
+const readField = (decoder, field, context) => {
+  if (
+    field.type.kind === 'struct' &&
+    VersionRange.contains(field.nullableVersions, context.version) &&
+    decoder.readInt8() < 0
+  ) {
+    return null
+  }
+
+  return readValue(decoder, field.type, context)
+}
+
+const readStruct = (decoder, fields, context) => {
+  const { version, flexible } = context
+  const data = {}
+  const taggedFieldReaders = {}
+  const taggedFieldKeys = {}
+
+  fields.forEach(field => {
+    if (!VersionRange.contains(field.versions, version)) {
+      data[field.key] = field.defaultValue()
+      return
+    }
+
+    if (isTagged(field, context)) {
+      data[field.key] = field.defaultValue()
+      taggedFieldKeys[field.tag] = field.key
+      taggedFieldReaders[field.tag] = fieldDecoder => readField(fieldDecoder, field, context)
+      return
+    }
+
+    data[field.key] = readField(decoder, field, context)
+  })
+
+  if (flexible) {
+    const taggedFields = decoder.readTaggedFields(taggedFieldReaders) || {}
+    Object.keys(taggedFields).forEach(tag => {
+      data[taggedFieldKeys[tag]] = taggedFields[tag]
+    })
+  }
+
+  return data
+}
+
+/**
+ * Compiles a message spec of Apache Kafka (clients/src/main/resources/common/message/*.json)
+ * into an encoder and a decoder of all its valid versions. The fields are keyed by their
+ * camel-cased name, e.g. ThrottleTimeMs => throttleTimeMs
+ *
+ * @see https://github.com/apache/kafka/blob/trunk/clients/src/main/resources/common/message/README.md
+ *
+ * @param {Object} spec
+ * @param {string} spec.name
+ * @param {number} [spec.apiKey]
+ * @param {string} spec.validVersions
+ * @param {string} [spec.flexibleVersions]
+ * @param {Object[]} spec.fields
+ * @param {Object[]} [spec.commonStructs]
+ */
+module.exports = spec => {
+  const commonStructs = (spec.commonStructs || []).reduce(
+    (structs, struct) => ({ ...structs, [struct.name]: struct }),
+    {}
+  )
+
+  const fields = compileFields(spec.fields, commonStructs)
+  const validVersions = VersionRange.parse(spec.validVersions)
+  const flexibleVersions = VersionRange.parse(spec.flexibleVersions)
+
+  const createContext = version => {
+    if (!VersionRange.contains(validVersions, version)) {
+      throw new KafkaJSNonRetriableError(`Version ${version} of ${spec.name} is not valid`)
+    }
+
+    return { version, flexible: VersionRange.contains(flexibleVersions, version) }
+  }
+
+  return {
+    name: spec.name,
+    apiKey: spec.apiKey,
+    versions: VersionRange.toArray(validVersions),
+
+    /**
+     * @param {number} version
+     * @returns {boolean}
+     */
+    isFlexible: version => VersionRange.contains(flexibleVersions, version),
+
+    /**
+     * @param {Object} data
+     * @param {number} version
+     * @returns {Encoder}
+     */
+    encode: (data = {}, version) =>
+      writeStruct(new Encoder(), fields, data, createContext(version)),
+
+    /**
+     * @param {Buffer} buffer
+     * @param {number} version
+     * @returns {Object}
+     */
+    decode: (buffer, version) => readStruct(new Decoder(buffer), fields, createContext(version)),
+  }
+}
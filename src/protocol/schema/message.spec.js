@@ -0,0 +1,267 @@
+const compileMessage = require('./message')
+
+describe('Protocol > Schema > Message', () => {
+  const B = (...args) => Buffer.from(args)
+  const fixture = name => Buffer.from(require(`../requests/${name}.json`))
+
+  const spec = {
+    name: 'TestRequest',
+    validVersions: '0-2',
+    flexibleVersions: '2+',
+    fields: [
+      { name: 'Name', type: 'string', versions: '0+' },
+      {
+        name: 'Description',
+        type: 'string',
+        versions: '1+',
+        nullableVersions: '1+',
+        default: 'null',
+      },
+      { name: 'TimeoutMs', type: 'int32', versions: '0+', default: '60000' },
+      { name: 'Offset', type: 'int64', versions: '0+', default: '-1' },
+      { name: 'Topics', type: '[]Topic', versions: '0+', nullableVersions: '2+' },
+      { name: 'Leader', type: 'Leader', versions: '2+', nullableVersions: '2+', default: 'null' },
+      { name: 'TopicId', type: 'uuid', versions: '2+' },
+      {
+        name: 'ClusterId',
+        type: 'string',
+        versions: '2+',
+        nullableVersions: '2+',
+        taggedVersions: '2+',
+        tag: 0,
+        default: 'null',
+      },
+      { name: 'Priority', type: 'int8', versions: '2+', taggedVersions: '2+', tag: 1 },
+    ],
+    commonStructs: [
+      {
+        name: 'Topic',
+        versions: '0+',
+        fields: [
+          { name: 'Name', type: 'string', versions: '0+' },
+          { name: 'Partitions', type: '[]int32', versions: '0+' },
+        ],
+      },
+      {
+        name: 'Leader',
+        versions: '2+',
+        fields: [
+          { name: 'LeaderId', type: 'int32', versions: '2+' },
+          { name: 'LeaderEpoch', type: 'int32', versions: '2+', default: '-1' },
+        ],
+      },
+    ],
+  }
+
+  const message = compileMessage(spec)
+
+  test('lists the valid versions', () => {
+    expect(message.versions).toEqual([0, 1, 2])
+    expect(message.isFlexible(1)).toEqual(false)
+    expect(message.isFlexible(2)).toEqual(true)
+  })
+
+  test('encodes the non-flexible versions with the fields of the version and their defaults', () => {
+    const { buffer } = message.encode({ name: 'a', topics: [{ name: 't', partitions: [1] }] }, 0)
+
+    // prettier-ignore
+    expect(buffer).toEqual(B(
+      0x00, 0x01, 0x61, // name
+      0x00, 0x00, 0xea, 0x60, // timeout_ms
+      0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, // offset
+      0x00, 0x00, 0x00, 0x01, // topics
+      0x00, 0x01, 0x74, // topics.name
+      0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01 // topics.partitions
+    ))
+  })
+
+  test('encodes the flexible versions with compact types and tagged fields', () => {
+    const { buffer } = message.encode({ name: 'a', topics: [], clusterId: 'c' }, 2)
+
+    // prettier-ignore
+    expect(buffer).toEqual(B(
+      0x02, 0x61, // name
+      0x00, // description
+      0x00, 0x00, 0xea, 0x60, // timeout_ms
+      0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, // offset
+      0x01, // topics
+      0xff, // leader
+      ...Buffer.alloc(16), // topic_id
+      0x01, 0x00, 0x02, 0x02, 0x63 // tagged fields, only cluster_id is not the default
+    ))
+  })
+
+  test('decodes the fields of the version and the defaults of the others', () => {
+    const data = { name: 'a', description: 'b', topics: [{ name: 't', partitions: [1, 2] }] }
+    expect(message.decode(message.encode(data, 1).buffer, 1)).toEqual({
+      name: 'a',
+      description: 'b',
+      timeoutMs: 60000,
+      offset: '-1',
+      topics: [{ name: 't', partitions: [1, 2] }],
+      leader: null,
+      topicId: Buffer.alloc(16),
+      clusterId: null,
+      priority: 0,
+    })
+  })
+
+  test('decodes the nullable structs and tagged fields', () => {
+    const topicId = Buffer.from('5c1f0a3e9d8b7a6f5e4d3c2b1a091807', 'hex')
+    const data = {
+      name: 'a',
+      offset: '42',
+      topics: null,
+      leader: { leaderId: 1 },
+      topicId,
+      clusterId: 'cluster',
+      priority: 5,
+    }
+
+    expect(message.decode(message.encode(data, 2).buffer, 2)).toEqual({
+      name: 'a',
+      description: null,
+      timeoutMs: 60000,
+      offset: '42',
+      topics: null,
+      leader: { leaderId: 1, leaderEpoch: -1 },
+      topicId,
+      clusterId: 'cluster',
+      priority: 5,
+    })
+  })
+
+  test('throws if a field cannot be null in the version', () => {
+    expect(() => message.encode({ name: null }, 0)).toThrow(
+      'Field Name cannot be null in version 0'
+    )
+  })
+
+  test('throws if a field is set in a version that does not support it', () => {
+    expect(() => message.encode({ name: 'a', description: 'b' }, 0)).toThrow(
+      'Field Description is not supported in version 0'
+    )
+  })
+
+  test('throws if the version is not valid', () => {
+    expect(() => message.encode({ name: 'a' }, 3)).toThrow('Version 3 of TestRequest is not valid')
+  })
+
+  test('throws on unknown types', () => {
+    expect(() =>
+      compileMessage({
+        name: 'TestRequest',
+        validVersions: '0',
+        fields: [{ name: 'Unknown', type: 'Unknown', versions: '0+' }],
+      })
+    ).toThrow('Unknown type Unknown of field Unknown')
+  })
+
+  test('throws on tagged fields without a tag', () => {
+    expect(() =>
+      compileMessage({
+        name: 'TestRequest',
+        validVersions: '0',
+        flexibleVersions: '0+',
+        fields: [{ name: 'Tagged', type: 'int32', versions: '0+', taggedVersions: '0+' }],
+      })
+    ).toThrow('Tagged field Tagged has no tag')
+  })
+
+  describe('Kafka message specs', () => {
+    test('HeartbeatRequest', () => {
+      const heartbeat = compileMessage(require('./fixtures/HeartbeatRequest.json'))
+      const data = {
+        groupId:
+          'consumer-group-id-4c456000151f094b600d-26762-fd6a6ae7-3f66-408e-802e-d261d6983d0d',
+        generationId: 1,
+        memberId:
+          'test-14da1b41ac688a6dcb78-26762-4dac8e12-dc28-4db2-8456-95bc6c1589bb-7bad1e84-c2de-4cc6-8071-badb27c86166',
+        groupInstanceId:
+          'test-14da1b41ac688a6dcb78-26762-4dac8e12-dc28-4db2-8456-95bc6c1589bb-7bad1e84-c2de-4cc6-8071-badb27c86166',
+      }
+
+      expect(heartbeat.encode(data, 3).buffer).toEqual(fixture('heartbeat/fixtures/v3_request'))
+      expect(heartbeat.decode(heartbeat.encode(data, 4).buffer, 4)).toEqual(data)
+    })
+
+    test('HeartbeatResponse', () => {
+      const heartbeat = compileMessage(require('./fixtures/HeartbeatResponse.json'))
+      expect(heartbeat.decode(fixture('heartbeat/fixtures/v3_response'), 3)).toEqual({
+        throttleTimeMs: 0,
+        errorCode: 0,
+      })
+    })
+
+    test('ListTransactionsRequest', () => {
+      const listTransactions = compileMessage(require('./fixtures/ListTransactionsRequest.json'))
+      const { buffer } = listTransactions.encode(
+        { stateFilters: ['Ongoing', 'PrepareAbort'], producerIdFilters: ['4000'] },
+        0
+      )
+
+      expect(buffer).toEqual(fixture('listTransactions/fixtures/v0_request'))
+      expect(listTransactions.encode({}, 0).buffer).toEqual(
+        fixture('listTransactions/fixtures/v0_request_no_filters')
+      )
+    })
+
+    test('ListTransactionsResponse', () => {
+      const listTransactions = compileMessage(require('./fixtures/ListTransactionsResponse.json'))
+      expect(listTransactions.decode(fixture('listTransactions/fixtures/v0_response'), 0)).toEqual({
+        throttleTimeMs: 0,
+        errorCode: 0,
+        unknownStateFilters: ['Unknown'],
+        transactionStates: [
+          {
+            transactionalId: 'test-transactional-id-8f7e6d5c4b3a',
+            producerId: '4000',
+            transactionState: 'Ongoing',
+          },
+        ],
+      })
+    })
+
+    test('DescribeProducersRequest', () => {
+      const describeProducers = compileMessage(require('./fixtures/DescribeProducersRequest.json'))
+      const { buffer } = describeProducers.encode(
+        { topics: [{ name: 'test-topic-5c1f0a3e9d8b7a6f5e4d', partitionIndexes: [0, 1] }] },
+        0
+      )
+
+      expect(buffer).toEqual(fixture('describeProducers/fixtures/v0_request'))
+    })
+
+    test('DescribeProducersResponse', () => {
+      const describeProducers = compileMessage(require('./fixtures/DescribeProducersResponse.json'))
+      const data = describeProducers.decode(fixture('describeProducers/fixtures/v0_response'), 0)
+
+      expect(data).toEqual({
+        throttleTimeMs: 0,
+        topics: [
+          {
+            name: 'test-topic-5c1f0a3e9d8b7a6f5e4d',
+            partitions: [
+              {
+                partitionIndex: 0,
+                errorCode: 0,
+                errorMessage: null,
+                activeProducers: [
+                  {
+                    producerId: '4000',
+                    producerEpoch: 2,
+                    lastSequence: 9,
+                    lastTimestamp: '1633000000000',
+                    coordinatorEpoch: 5,
+                    currentTxnStartOffset: '42',
+                  },
+                ],
+              },
+              { partitionIndex: 1, errorCode: 0, errorMessage: null, activeProducers: [] },
+            ],
+          },
+        ],
+      })
+    })
+  })
+})
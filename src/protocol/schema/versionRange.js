@@ -0,0 +1,54 @@
+const { KafkaJSNonRetriableError } = require('../../errors')
+
+const NONE = { lowest: 0, highest: -1 }
+
+/**
+ * Version ranges of the Kafka message specs: "none", "3" (only), "3+" (and above) or
+ * "1-3" (inclusive)
+ *
+ * @param {string} [range]
+ * @returns {{ lowest: number, highest: number }}
+ */
+const parse = range => {
+  if (range == null || range === 'none') {
+    return NONE
+  }
+
+  const match = /^(\d+)(?:(\+)|-(\d+))?$/.exec(String(range).trim())
+
+  if (!match) {
+    throw new KafkaJSNonRetriableError(`Invalid version range ${range}`)
+  }
+
+  const [, lowest, orAbove, highest] = match
+  return {
+    lowest: Number(lowest),
+    highest: orAbove ? Infinity : Number(highest != null ? highest : lowest),
+  }
+}
+
+/**
+ * @param {{ lowest: number, highest: number }} range
+ * @param {number} version
+ * @returns {boolean}
+ */
+const contains = ({ lowest, highest }, version) => version >= lowest && version <= highest
+
+/**
+ * @param {{ lowest: number, highest: number }} range
+ * @returns {number[]}
+ */
+const toArray = ({ lowest, highest }) => {
+  if (highest === Infinity) {
+    throw new KafkaJSNonRetriableError(`Unbounded version range ${lowest}+`)
+  }
+
+  return Array.from({ length: Math.max(highest - lowest + 1, 0) }, (_, i) => lowest + i)
+}
+
+module.exports = {
+  NONE,
+  parse,
+  contains,
+  toArray,
+}
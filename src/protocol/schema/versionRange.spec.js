@@ -0,0 +1,42 @@
+const VersionRange = require('./versionRange')
+
+describe('Protocol > Schema > VersionRange', () => {
+  test('parses a single version', () => {
+    expect(VersionRange.parse('3')).toEqual({ lowest: 3, highest: 3 })
+  })
+
+  test('parses an inclusive range', () => {
+    expect(VersionRange.parse('1-3')).toEqual({ lowest: 1, highest: 3 })
+  })
+
+  test('parses an open range', () => {
+    expect(VersionRange.parse('2+')).toEqual({ lowest: 2, highest: Infinity })
+  })
+
+  test('parses "none" and missing ranges as an empty range', () => {
+    expect(VersionRange.parse('none')).toBe(VersionRange.NONE)
+    expect(VersionRange.parse(undefined)).toBe(VersionRange.NONE)
+    expect(VersionRange.contains(VersionRange.NONE, 0)).toEqual(false)
+  })
+
+  test('throws on invalid ranges', () => {
+    expect(() => VersionRange.parse('1..3')).toThrow('Invalid version range 1..3')
+  })
+
+  test('contains', () => {
+    const range = VersionRange.parse('1-3')
+    expect(VersionRange.contains(range, 0)).toEqual(false)
+    expect(VersionRange.contains(range, 1)).toEqual(true)
+    expect(VersionRange.contains(range, 3)).toEqual(true)
+    expect(VersionRange.contains(range, 4)).toEqual(false)
+    expect(VersionRange.contains(VersionRange.parse('2+'), 100)).toEqual(true)
+  })
+
+  test('toArray', () => {
+    expect(VersionRange.toArray(VersionRange.parse('0-4'))).toEqual([0, 1, 2, 3, 4])
+    expect(VersionRange.toArray(VersionRange.NONE)).toEqual([])
+    expect(() => VersionRange.toArray(VersionRange.parse('2+'))).toThrow(
+      'Unbounded version range 2+'
+    )
+  })
+})
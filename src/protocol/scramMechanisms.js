@@ -0,0 +1,10 @@
+/**
+ * Enum for the SCRAM mechanisms of the user credentials
+ * @readonly
+ * @enum {number}
+ */
+module.exports = {
+  UNKNOWN: 0,
+  SCRAM_SHA_256: 1,
+  SCRAM_SHA_512: 2,
+}
@@ -0,0 +1,147 @@
+const http = require('http')
+const https = require('https')
+const { KafkaJSSchemaRegistryError } = require('../errors')
+
+const CONTENT_TYPE = 'application/vnd.schemaregistry.v1+json'
+const DEFAULT_SCHEMA_TYPE = 'AVRO'
+
+/**
+ * Minimal client of the schema registry REST API, schemas and ids are cached for the lifetime
+ * of the client since a registered schema never changes.
+ *
+ * @see https://docs.confluent.io/platform/current/schema-registry/develop/api.html
+ *
+ * @param {object} options
+ * @param {string} options.host Base URL of the schema registry, e.g. http://localhost:8081
+ * @param {{ username: string, password: string }} [options.auth] Basic authentication
+ * @param {Record<string, string>} [options.headers] Additional headers sent with the requests
+ * @param {number} [options.timeout=10000] Request timeout in milliseconds
+ * @param {http.Agent} [options.agent]
+ * @returns {import('../../types').SchemaRegistryClient}
+ */
+module.exports = ({ host, auth, headers = {}, timeout = 10000, agent }) => {
+  const baseUrl = host.replace(/\/+$/, '')
+  const transport = baseUrl.startsWith('https:') ? https : http
+  const authorization = auth
+    ? {
+        Authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString(
+          'base64'
+        )}`,
+      }
+    : {}
+
+  const request = ({ method = 'GET', path, body }) =>
+    new Promise((resolve, reject) => {
+      const req = transport.request(
+        `${baseUrl}${path}`,
+        {
+          method,
+          agent,
+          timeout,
+          headers: {
+            ...headers,
+            ...authorization,
+            Accept: CONTENT_TYPE,
+            ...(body && { 'Content-Type': CONTENT_TYPE }),
+          },
+        },
+        res => {
+          const chunks = []
+          res.on('data', chunk => chunks.push(chunk))
+          res.on('error', e => reject(new KafkaJSSchemaRegistryError(e)))
+          res.on('end', () => {
+            const { statusCode } = res
+            let response
+
+            try {
+              response = JSON.parse(Buffer.concat(chunks).toString())
+            } catch (e) {
+              response = {}
+            }
+
+            if (statusCode >= 400) {
+              return reject(
+                new KafkaJSSchemaRegistryError(
+                  response.message || `Schema registry responded with status ${statusCode}`,
+                  { status: statusCode, errorCode: response.error_code }
+                )
+              )
+            }
+
+            resolve(response)
+          })
+        }
+      )
+
+      req.on('timeout', () =>
+        req.destroy(new KafkaJSSchemaRegistryError(`Schema registry request timed out`))
+      )
+      req.on('error', e =>
+        reject(e instanceof KafkaJSSchemaRegistryError ? e : new KafkaJSSchemaRegistryError(e))
+      )
+
+      if (body) {
+        req.write(JSON.stringify(body))
+      }
+
+      req.end()
+    })
+
+  // Concurrent lookups of the same schema share the same request, failed requests are not cached
+  const cached = (cache, key, fn) => {
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        fn().catch(e => {
+          cache.delete(key)
+          throw e
+        })
+      )
+    }
+
+    return cache.get(key)
+  }
+
+  const idsBySchema = new Map()
+  const schemasById = new Map()
+
+  /**
+   * Registers the schema under the subject, the registry returns the id of the existing schema
+   * if it was already registered
+   *
+   * @param {object} options
+   * @param {string} options.subject
+   * @param {string} options.schema
+   * @param {string} [options.schemaType='AVRO']
+   * @returns {Promise<number>}
+   */
+  const register = ({ subject, schema, schemaType = DEFAULT_SCHEMA_TYPE }) =>
+    cached(idsBySchema, JSON.stringify([subject, schemaType, schema]), async () => {
+      const { id } = await request({
+        method: 'POST',
+        path: `/subjects/${encodeURIComponent(subject)}/versions`,
+        // Registries older than 5.5 only support Avro and don't accept the schema type
+        body: schemaType === DEFAULT_SCHEMA_TYPE ? { schema } : { schema, schemaType },
+      })
+
+      return id
+    })
+
+  /**
+   * @param {number} id
+   * @returns {Promise<{ schema: string, schemaType: string }>}
+   */
+  const getSchema = id =>
+    cached(schemasById, id, async () => {
+      const { schema, schemaType = DEFAULT_SCHEMA_TYPE } = await request({
+        path: `/schemas/ids/${id}`,
+      })
+
+      return { schema, schemaType }
+    })
+
+  return {
+    register,
+    getSchema,
+  }
+}
@@ -0,0 +1,159 @@
+const http = require('http')
+const createClient = require('./client')
+const { KafkaJSSchemaRegistryError } = require('../errors')
+
+describe('SchemaRegistry > client', () => {
+  let server, requests, respond, client
+
+  const body = req =>
+    new Promise(resolve => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => resolve(chunks.length ? JSON.parse(Buffer.concat(chunks)) : undefined))
+    })
+
+  beforeEach(async () => {
+    requests = []
+    respond = () => ({ status: 200, body: {} })
+
+    server = http.createServer(async (req, res) => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: await body(req),
+      }
+      requests.push(request)
+
+      const { status, body: responseBody } = respond(request)
+      res.writeHead(status, { 'Content-Type': 'application/vnd.schemaregistry.v1+json' })
+      res.end(JSON.stringify(responseBody))
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    client = createClient({ host: `http://127.0.0.1:${server.address().port}/` })
+  })
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  describe('register', () => {
+    test('registers the schema under the subject', async () => {
+      respond = () => ({ status: 200, body: { id: 42 } })
+
+      await expect(
+        client.register({ subject: 'topic-value', schema: '{"type":"object"}', schemaType: 'JSON' })
+      ).resolves.toEqual(42)
+
+      expect(requests).toEqual([
+        expect.objectContaining({
+          method: 'POST',
+          url: '/subjects/topic-value/versions',
+          headers: expect.objectContaining({
+            'content-type': 'application/vnd.schemaregistry.v1+json',
+          }),
+          body: { schema: '{"type":"object"}', schemaType: 'JSON' },
+        }),
+      ])
+    })
+
+    test('does not send the schema type of Avro schemas', async () => {
+      respond = () => ({ status: 200, body: { id: 1 } })
+      await client.register({ subject: 'topic-value', schema: '"string"' })
+
+      expect(requests[0].body).toEqual({ schema: '"string"' })
+    })
+
+    test('caches the schema id', async () => {
+      respond = () => ({ status: 200, body: { id: 42 } })
+      const schema = { subject: 'topic-value', schema: '"string"' }
+
+      await Promise.all([client.register(schema), client.register(schema)])
+      await client.register(schema)
+
+      expect(requests.length).toEqual(1)
+    })
+
+    test('throws the error returned by the registry', async () => {
+      respond = () => ({
+        status: 422,
+        body: JSON.parse('{ "error_code": 42201, "message": "Invalid schema" }'),
+      })
+
+      const error = await client
+        .register({ subject: 'topic-value', schema: 'invalid' })
+        .catch(e => e)
+
+      expect(error).toBeInstanceOf(KafkaJSSchemaRegistryError)
+      expect(error).toMatchObject({
+        message: 'Invalid schema',
+        status: 422,
+        errorCode: 42201,
+        retriable: false,
+      })
+    })
+
+    test('does not cache failed requests', async () => {
+      respond = () => ({ status: 503, body: {} })
+      const schema = { subject: 'topic-value', schema: '"string"' }
+
+      await expect(client.register(schema)).rejects.toMatchObject({
+        message: 'Schema registry responded with status 503',
+        retriable: true,
+      })
+
+      respond = () => ({ status: 200, body: { id: 42 } })
+      await expect(client.register(schema)).resolves.toEqual(42)
+    })
+  })
+
+  describe('getSchema', () => {
+    test('fetches the schema by id', async () => {
+      respond = () => ({ status: 200, body: { schema: '{"type":"object"}', schemaType: 'JSON' } })
+
+      await expect(client.getSchema(42)).resolves.toEqual({
+        schema: '{"type":"object"}',
+        schemaType: 'JSON',
+      })
+      await client.getSchema(42)
+
+      expect(requests).toEqual([expect.objectContaining({ method: 'GET', url: '/schemas/ids/42' })])
+    })
+
+    test('defaults to Avro schemas', async () => {
+      respond = () => ({ status: 200, body: { schema: '"string"' } })
+
+      await expect(client.getSchema(1)).resolves.toEqual({ schema: '"string"', schemaType: 'AVRO' })
+    })
+  })
+
+  test('sends the basic authentication and the configured headers', async () => {
+    client = createClient({
+      host: `http://127.0.0.1:${server.address().port}`,
+      auth: { username: 'user', password: 'secret' },
+      headers: { 'X-Custom': 'custom' },
+    })
+
+    respond = () => ({ status: 200, body: { schema: '"string"' } })
+    await client.getSchema(1)
+
+    expect(requests[0].headers).toMatchObject({
+      authorization: `Basic ${Buffer.from('user:secret').toString('base64')}`,
+      'x-custom': 'custom',
+    })
+  })
+
+  test('throws a retriable error when the registry is not reachable', async () => {
+    const unreachable = http.createServer()
+    await new Promise(resolve => unreachable.listen(0, '127.0.0.1', resolve))
+    const { port } = unreachable.address()
+    await new Promise(resolve => unreachable.close(resolve))
+
+    client = createClient({ host: `http://127.0.0.1:${port}` })
+    await expect(client.getSchema(1)).rejects.toMatchObject({
+      name: 'KafkaJSSchemaRegistryError',
+      retriable: true,
+    })
+  })
+})
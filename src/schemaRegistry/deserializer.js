@@ -0,0 +1,26 @@
+const wireFormat = require('./wireFormat')
+const { KafkaJSNonRetriableError } = require('../errors')
+
+const decodeJSON = (payload, { schemaType }) => {
+  if (schemaType !== 'JSON') {
+    throw new KafkaJSNonRetriableError(`A decode function is required for ${schemaType} schemas`)
+  }
+
+  return JSON.parse(payload.toString())
+}
+
+/**
+ * Deserializer decoding data encoded with the Confluent wire format, the schema is fetched from
+ * the schema registry using the id of the message. The payload is decoded as JSON unless a
+ * `decode` function is given.
+ *
+ * @param {object} options
+ * @param {import('../../types').SchemaRegistryClient} options.registry
+ * @param {(payload: Buffer, context: { schemaId: number, schema: string, schemaType: string }) => any} [options.decode]
+ * @returns {import('../../types').Deserializer}
+ */
+module.exports = ({ registry, decode = decodeJSON }) => async data => {
+  const { schemaId, payload } = wireFormat.decode(data)
+  const { schema, schemaType } = await registry.getSchema(schemaId)
+  return decode(payload, { schemaId, schema, schemaType })
+}
@@ -0,0 +1,41 @@
+const createDeserializer = require('./deserializer')
+const wireFormat = require('./wireFormat')
+
+describe('SchemaRegistry > deserializer', () => {
+  let registry, schemaType
+
+  beforeEach(() => {
+    schemaType = 'JSON'
+    registry = { getSchema: jest.fn(async () => ({ schema: '{}', schemaType })) }
+  })
+
+  test('decodes JSON payloads', async () => {
+    const deserialize = createDeserializer({ registry })
+    const data = wireFormat.encode({ schemaId: 42, payload: Buffer.from('{"a":1}') })
+
+    await expect(deserialize(data)).resolves.toEqual({ a: 1 })
+    expect(registry.getSchema).toHaveBeenCalledWith(42)
+  })
+
+  test('decodes the payload with the given decode function', async () => {
+    schemaType = 'AVRO'
+    const decode = jest.fn(payload => payload.toString().toUpperCase())
+    const deserialize = createDeserializer({ registry, decode })
+
+    const payload = Buffer.from('value')
+    await expect(deserialize(wireFormat.encode({ schemaId: 42, payload }))).resolves.toEqual(
+      'VALUE'
+    )
+    expect(decode).toHaveBeenCalledWith(payload, { schemaId: 42, schema: '{}', schemaType })
+  })
+
+  test('requires a decode function for schemas other than JSON', async () => {
+    schemaType = 'PROTOBUF'
+    const deserialize = createDeserializer({ registry })
+    const data = wireFormat.encode({ schemaId: 42, payload: Buffer.from('') })
+
+    await expect(deserialize(data)).rejects.toThrow(
+      'A decode function is required for PROTOBUF schemas'
+    )
+  })
+})
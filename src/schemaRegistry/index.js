@@ -0,0 +1,11 @@
+const createClient = require('./client')
+const createSerializer = require('./serializer')
+const createDeserializer = require('./deserializer')
+const wireFormat = require('./wireFormat')
+
+module.exports = {
+  createClient,
+  createSerializer,
+  createDeserializer,
+  wireFormat,
+}
@@ -0,0 +1,46 @@
+const wireFormat = require('./wireFormat')
+const { KafkaJSNonRetriableError } = require('../errors')
+
+const encodeJSON = data => Buffer.from(JSON.stringify(data))
+
+/**
+ * Serializer registering the schema in the schema registry and encoding the data with the
+ * Confluent wire format. The data is encoded as JSON unless an `encode` function is given,
+ * e.g. to encode Avro or Protobuf payloads with the library of your choice.
+ *
+ * @param {object} options
+ * @param {import('../../types').SchemaRegistryClient} options.registry
+ * @param {string | object} options.schema
+ * @param {string} [options.schemaType='JSON'] AVRO, JSON or PROTOBUF
+ * @param {boolean} [options.isKey=false] Used by the default subject name strategy
+ * @param {(context: { topic: string }) => string} [options.subject] Subject name strategy,
+ *                                     defaults to `<topic>-key` or `<topic>-value`
+ * @param {(data: any, context: { schema: string, schemaType: string }) => Buffer | Promise<Buffer>} [options.encode]
+ * @returns {import('../../types').Serializer}
+ */
+module.exports = ({
+  registry,
+  schema,
+  schemaType = 'JSON',
+  isKey = false,
+  subject = ({ topic }) => `${topic}-${isKey ? 'key' : 'value'}`,
+  encode,
+}) => {
+  if (!encode && schemaType !== 'JSON') {
+    throw new KafkaJSNonRetriableError(`An encode function is required for ${schemaType} schemas`)
+  }
+
+  const encodePayload = encode || encodeJSON
+  const schemaString = typeof schema === 'string' ? schema : JSON.stringify(schema)
+
+  return async (data, { topic }) => {
+    const schemaId = await registry.register({
+      subject: subject({ topic }),
+      schema: schemaString,
+      schemaType,
+    })
+
+    const payload = await encodePayload(data, { schema: schemaString, schemaType })
+    return wireFormat.encode({ schemaId, payload })
+  }
+}
@@ -0,0 +1,56 @@
+const createSerializer = require('./serializer')
+const wireFormat = require('./wireFormat')
+
+describe('SchemaRegistry > serializer', () => {
+  let registry
+
+  beforeEach(() => {
+    registry = { register: jest.fn(async () => 42) }
+  })
+
+  test('encodes the data as JSON with the id of the registered schema', async () => {
+    const schema = { type: 'object' }
+    const serialize = createSerializer({ registry, schema })
+
+    const buffer = await serialize({ a: 1 }, { topic: 'topic-name' })
+    expect(wireFormat.decode(buffer)).toEqual({ schemaId: 42, payload: Buffer.from('{"a":1}') })
+    expect(registry.register).toHaveBeenCalledWith({
+      subject: 'topic-name-value',
+      schema: '{"type":"object"}',
+      schemaType: 'JSON',
+    })
+  })
+
+  test('uses the key subject for keys', async () => {
+    const serialize = createSerializer({ registry, schema: '{}', isKey: true })
+    await serialize('key', { topic: 'topic-name' })
+
+    expect(registry.register).toHaveBeenCalledWith(
+      expect.objectContaining({ subject: 'topic-name-key' })
+    )
+  })
+
+  test('accepts a custom subject name strategy', async () => {
+    const serialize = createSerializer({ registry, schema: '{}', subject: () => 'my-subject' })
+    await serialize('value', { topic: 'topic-name' })
+
+    expect(registry.register).toHaveBeenCalledWith(
+      expect.objectContaining({ subject: 'my-subject' })
+    )
+  })
+
+  test('encodes the payload with the given encode function', async () => {
+    const encode = jest.fn(async data => Buffer.from(data.toUpperCase()))
+    const serialize = createSerializer({ registry, schema: '"string"', schemaType: 'AVRO', encode })
+
+    const buffer = await serialize('value', { topic: 'topic-name' })
+    expect(wireFormat.decode(buffer).payload).toEqual(Buffer.from('VALUE'))
+    expect(encode).toHaveBeenCalledWith('value', { schema: '"string"', schemaType: 'AVRO' })
+  })
+
+  test('requires an encode function for schemas other than JSON', () => {
+    expect(() => createSerializer({ registry, schema: '"string"', schemaType: 'AVRO' })).toThrow(
+      'An encode function is required for AVRO schemas'
+    )
+  })
+})
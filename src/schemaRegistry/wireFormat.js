@@ -0,0 +1,45 @@
+const { KafkaJSNonRetriableError } = require('../errors')
+
+const MAGIC_BYTE = 0
+const HEADER_SIZE = 5
+
+/**
+ * Confluent wire format: a magic byte, the 4 bytes id of the schema in the registry followed by
+ * the encoded payload
+ *
+ * @see https://docs.confluent.io/platform/current/schema-registry/fundamentals/serdes-develop/index.html#wire-format
+ *
+ * @param {object} options
+ * @param {number} options.schemaId
+ * @param {Buffer} options.payload
+ * @returns {Buffer}
+ */
+const encode = ({ schemaId, payload }) => {
+  const header = Buffer.alloc(HEADER_SIZE)
+  header.writeUInt8(MAGIC_BYTE, 0)
+  header.writeInt32BE(schemaId, 1)
+  return Buffer.concat([header, payload])
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {{ schemaId: number, payload: Buffer }}
+ */
+const decode = buffer => {
+  if (buffer.length < HEADER_SIZE || buffer.readUInt8(0) !== MAGIC_BYTE) {
+    throw new KafkaJSNonRetriableError(
+      'Message is not encoded with the Confluent wire format, unknown magic byte'
+    )
+  }
+
+  return {
+    schemaId: buffer.readInt32BE(1),
+    payload: buffer.slice(HEADER_SIZE),
+  }
+}
+
+module.exports = {
+  MAGIC_BYTE,
+  encode,
+  decode,
+}
@@ -0,0 +1,25 @@
+const wireFormat = require('./wireFormat')
+
+describe('SchemaRegistry > wireFormat', () => {
+  const payload = Buffer.from('{"a":1}')
+
+  test('encode', () => {
+    expect(wireFormat.encode({ schemaId: 258, payload })).toEqual(
+      Buffer.concat([Buffer.from([0, 0, 0, 1, 2]), payload])
+    )
+  })
+
+  test('decode', () => {
+    const buffer = Buffer.concat([Buffer.from([0, 0, 0, 1, 2]), payload])
+    expect(wireFormat.decode(buffer)).toEqual({ schemaId: 258, payload })
+  })
+
+  test('throws when decoding data with an unknown magic byte', () => {
+    expect(() => wireFormat.decode(Buffer.from([1, 0, 0, 0, 1]))).toThrow(
+      'Message is not encoded with the Confluent wire format, unknown magic byte'
+    )
+    expect(() => wireFormat.decode(Buffer.from([0, 0]))).toThrow(
+      'Message is not encoded with the Confluent wire format, unknown magic byte'
+    )
+  })
+})
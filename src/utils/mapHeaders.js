@@ -0,0 +1,25 @@
+const { keys } = Object
+
+/**
+ * Maps the values of message headers with a possibly async mapper. A header can have a single
+ * value or an array of values, the mapper is called once per value.
+ *
+ * @param {import('../../types').IHeaders} headers
+ * @param {(value: any, header: string) => any} mapper
+ * @returns {Promise<import('../../types').IHeaders>}
+ */
+module.exports = async (headers, mapper) => {
+  const mapValue = (value, header) => (value == null ? value : mapper(value, header))
+  const mappedHeaders = {}
+
+  await Promise.all(
+    keys(headers).map(async header => {
+      const value = headers[header]
+      mappedHeaders[header] = Array.isArray(value)
+        ? await Promise.all(value.map(item => mapValue(item, header)))
+        : await mapValue(value, header)
+    })
+  )
+
+  return mappedHeaders
+}
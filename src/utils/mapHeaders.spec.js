@@ -0,0 +1,30 @@
+const mapHeaders = require('./mapHeaders')
+
+describe('Utils > mapHeaders', () => {
+  it('maps the value of each header', async () => {
+    const headers = { a: 'value-a', b: Buffer.from('value-b') }
+    const mapper = async (value, header) => `${header}:${value.toString()}`
+
+    await expect(mapHeaders(headers, mapper)).resolves.toEqual({
+      a: 'a:value-a',
+      b: 'b:value-b',
+    })
+  })
+
+  it('maps each value of headers with multiple values', async () => {
+    const headers = { a: ['value-1', 'value-2'] }
+    const mapper = value => value.toUpperCase()
+
+    await expect(mapHeaders(headers, mapper)).resolves.toEqual({ a: ['VALUE-1', 'VALUE-2'] })
+  })
+
+  it('does not map undefined or null values', async () => {
+    const mapper = jest.fn()
+
+    await expect(mapHeaders({ a: undefined, b: null }, mapper)).resolves.toEqual({
+      a: undefined,
+      b: null,
+    })
+    expect(mapper).not.toHaveBeenCalled()
+  })
+})
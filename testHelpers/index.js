@@ -295,8 +295,13 @@ const testIfKafkaVersionLTE = version => testIfKafkaVersion(version, semver.lte)
 const testIfKafkaVersionGTE = version => testIfKafkaVersion(version, semver.gte)
 
 const testIfKafkaAtMost_0_10 = testIfKafkaVersionLTE('0.10')
+const testIfKafkaAtMost_2_0 = testIfKafkaVersionLTE('2.0')
 const testIfKafkaAtLeast_0_11 = testIfKafkaVersionGTE('0.11')
 const testIfKafkaAtLeast_1_1_0 = testIfKafkaVersionGTE('1.1')
+const testIfKafkaAtLeast_2_1 = testIfKafkaVersionGTE('2.1')
+const testIfKafkaAtLeast_2_6 = testIfKafkaVersionGTE('2.6')
+const testIfKafkaAtLeast_2_7 = testIfKafkaVersionGTE('2.7')
+const testIfKafkaAtLeast_3_0 = testIfKafkaVersionGTE('3.0')
 
 const flakyTest = (description, callback, testFn = test) =>
   testFn(`[flaky] ${description}`, callback)
@@ -365,8 +370,13 @@ module.exports = {
   waitForNextEvent,
   waitForConsumerToJoinGroup,
   testIfKafkaAtMost_0_10,
+  testIfKafkaAtMost_2_0,
   testIfKafkaAtLeast_0_11,
   testIfKafkaAtLeast_1_1_0,
+  testIfKafkaAtLeast_2_1,
+  testIfKafkaAtLeast_2_6,
+  testIfKafkaAtLeast_2_7,
+  testIfKafkaAtLeast_3_0,
   flakyTest,
   describeIfOauthbearerEnabled,
   describeIfOauthbearerDisabled,
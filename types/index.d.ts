@@ -2,6 +2,7 @@
 
 import * as tls from 'tls'
 import * as net from 'net'
+import * as http from 'http'
 
 type Without<T, U> = { [P in Exclude<keyof T, keyof U>]?: never }
 type XOR<T, U> = T | U extends object ? (Without<T, U> & U) | (Without<U, T> & T) : T | U
@@ -9,7 +10,7 @@ type XOR<T, U> = T | U extends object ? (Without<T, U> & U) | (Without<U, T> & T
 export class Kafka {
   constructor(config: KafkaConfig)
   producer(config?: ProducerConfig): Producer
-  consumer(config: ConsumerConfig): Consumer
+  consumer(config?: ConsumerConfig): Consumer
   admin(config?: AdminConfig): Admin
   logger(): Logger
 }
@@ -59,10 +60,22 @@ export interface KafkaConfig {
   enforceRequestTimeout?: boolean
   retry?: RetryOptions
   socketFactory?: ISocketFactory
+  connectionPool?: ConnectionPoolConfig
   logLevel?: logLevel
   logCreator?: logCreator
 }
 
+export interface ConnectionPoolRoute {
+  apis: string[]
+  size?: number
+}
+
+export interface ConnectionPoolConfig {
+  size?: number
+  routes?: ConnectionPoolRoute[]
+  maxIdleMs?: number
+}
+
 export interface ISocketFactoryArgs {
   host: string
   port: number
@@ -74,19 +87,50 @@ export type ISocketFactory = (args: ISocketFactoryArgs) => net.Socket
 
 export interface OauthbearerProviderResponse {
   value: string
+  extensions?: Record<string, string>
+}
+
+export interface GSSAPIClient {
+  step(token: Buffer): Promise<Buffer>
+  isComplete(): boolean
+  wrap(message: Buffer): Promise<Buffer>
+  unwrap(token: Buffer): Promise<Buffer>
+  dispose?(): Promise<void>
 }
 
+export interface GSSAPIClientOptions {
+  host: string
+  port: number
+  serviceName: string
+  principal?: string
+  keytab?: string
+}
+
+export type GSSAPIClientFactory = (
+  options: GSSAPIClientOptions
+) => GSSAPIClient | Promise<GSSAPIClient>
+
 type SASLMechanismOptionsMap = {
   plain: { username: string; password: string }
-  'scram-sha-256': { username: string; password: string }
-  'scram-sha-512': { username: string; password: string }
+  'scram-sha-256': { username: string; password: string; tokenAuth?: boolean }
+  'scram-sha-512': { username: string; password: string; tokenAuth?: boolean }
   aws: {
     authorizationIdentity: string
     accessKeyId: string
     secretAccessKey: string
     sessionToken?: string
   }
-  oauthbearer: { oauthBearerProvider: () => Promise<OauthbearerProviderResponse> }
+  oauthbearer: {
+    oauthBearerProvider: () => Promise<OauthbearerProviderResponse>
+    authorizationIdentity?: string
+  }
+  gssapi: {
+    gssapiClient: GSSAPIClientFactory
+    serviceName?: string
+    principal?: string
+    keytab?: string
+    authorizationIdentity?: string
+  }
 }
 
 export type SASLMechanism = keyof SASLMechanismOptionsMap
@@ -104,6 +148,10 @@ export interface ProducerConfig {
   transactionalId?: string
   transactionTimeout?: number
   maxInFlightRequests?: number
+  lingerMs?: number
+  batchSize?: number
+  bufferMemory?: number
+  serializers?: Serializers
 }
 
 export interface Message {
@@ -150,7 +198,8 @@ export interface IHeaders {
 }
 
 export interface ConsumerConfig {
-  groupId: string
+  groupId?: string
+  groupInstanceId?: string
   partitionAssigners?: PartitionAssigner[]
   metadataMaxAge?: number
   sessionTimeout?: number
@@ -165,6 +214,7 @@ export interface ConsumerConfig {
   maxInFlightRequests?: number
   readUncommitted?: boolean
   rackId?: string
+  deserializers?: Deserializers
 }
 
 export type PartitionAssigner = (config: {
@@ -221,10 +271,17 @@ export type GroupState = { name: string; metadata: Buffer }
 export type Assigner = {
   name: string
   version: number
+  rebalanceProtocol?: RebalanceProtocol
   assign(group: { members: GroupMember[]; topics: string[] }): Promise<GroupMemberAssignment[]>
-  protocol(subscription: { topics: string[] }): GroupState
+  protocol(subscription: {
+    topics: string[]
+    ownedPartitions?: TopicPartitions[]
+    generationId?: number
+  }): GroupState
 }
 
+export type RebalanceProtocol = 'eager' | 'cooperative'
+
 export interface RetryOptions {
   maxRetryTime?: number
   initialRetryTime?: number
@@ -284,6 +341,19 @@ export enum ConfigResourceTypes {
   BROKER_LOGGER = 8,
 }
 
+export enum AlterConfigOpTypes {
+  SET = 0,
+  DELETE = 1,
+  APPEND = 2,
+  SUBTRACT = 3,
+}
+
+export enum ClientQuotaMatchTypes {
+  EXACT = 0,
+  DEFAULT = 1,
+  SPECIFIED = 2,
+}
+
 export enum ConfigSource {
   UNKNOWN = 0,
   TOPIC_CONFIG = 1,
@@ -369,6 +439,18 @@ export interface IResourceConfig {
   configEntries: IResourceConfigEntry[]
 }
 
+export interface IncrementalResourceConfigEntry {
+  name: string
+  operation?: AlterConfigOpTypes
+  value?: string
+}
+
+export interface IncrementalResourceConfig {
+  type: ConfigResourceTypes
+  name: string
+  configEntries: IncrementalResourceConfigEntry[]
+}
+
 type ValueOf<T> = T[keyof T]
 
 export type AdminEvents = {
@@ -498,6 +580,138 @@ export interface OngoingPartitionReassignment {
   removingReplicas?: number[]
 }
 
+export interface LogDirPartition {
+  partition: number
+  size: string
+  offsetLag: string
+  isFuture: boolean
+}
+
+export interface LogDirDescription {
+  logDir: string
+  errorCode: number
+  error?: KafkaJSProtocolError
+  topics: Array<{ topic: string; partitions: LogDirPartition[] }>
+}
+
+export interface DescribeLogDirsResponse {
+  brokers: Array<{ nodeId: number; logDirs: LogDirDescription[] }>
+}
+
+export interface ReplicaLogDirAssignment {
+  topic: string
+  partition: number
+  broker: number
+  logDir: string
+}
+
+export type ElectionType = 'PREFERRED' | 'UNCLEAN'
+
+export interface ElectLeadersResult {
+  topic: string
+  partitions: Array<{ partition: number; errorCode: number; errorMessage: string | null }>
+}
+
+export interface DelegationToken {
+  owner: string
+  tokenId: string
+  hmac: Buffer
+  issueTimestamp: string
+  expiryTimestamp: string
+  maxTimestamp: string
+  renewers: string[]
+}
+
+export type ClientQuotaEntityType = 'user' | 'client-id' | 'ip'
+
+export interface ClientQuotaEntityComponent {
+  entityType: ClientQuotaEntityType
+  entityName?: string | null
+}
+
+export interface ClientQuotaFilterComponent {
+  entityType: ClientQuotaEntityType
+  matchType?: ClientQuotaMatchTypes
+  match?: string
+}
+
+export interface ClientQuotaEntry {
+  entity: ClientQuotaEntityComponent[]
+  values: Array<{ key: string; value: number }>
+}
+
+export interface ClientQuotaAlteration {
+  entity: ClientQuotaEntityComponent[]
+  ops: Array<{ key: string; value?: number; remove?: boolean }>
+}
+
+export type ScramMechanism = 'scram-sha-256' | 'scram-sha-512'
+
+export interface UserScramCredentialsDescription {
+  user: string
+  credentialInfos: Array<{ mechanism: ScramMechanism | 'unknown'; iterations: number }>
+}
+
+export interface UserScramCredentialUpsertion {
+  user: string
+  mechanism: ScramMechanism
+  password: string
+  iterations?: number
+  salt?: Buffer
+}
+
+export interface UserScramCredentialDeletion {
+  user: string
+  mechanism: ScramMechanism
+}
+
+export interface TransactionListing {
+  transactionalId: string
+  producerId: string
+  state: string
+  coordinatorId: number
+}
+
+export interface TransactionDescription {
+  transactionalId: string
+  state: string
+  timeout: number
+  startTimestamp: string
+  producerId: string
+  producerEpoch: number
+  topics: TopicPartitions[]
+  coordinatorId: number
+}
+
+export interface ProducerState {
+  producerId: string
+  producerEpoch: number
+  lastSequence: number
+  lastTimestamp: string
+  coordinatorEpoch: number
+  currentTransactionStartOffset: string
+}
+
+export interface TopicProducersDescription {
+  topic: string
+  partitions: Array<{ partition: number; activeProducers: ProducerState[] }>
+}
+
+export interface PartitionLag {
+  partition: number
+  committedOffset: string
+  logEndOffset: string | null
+  lag: string | null
+  member: { memberId: string; clientId: string; clientHost: string } | null
+}
+
+export interface ConsumerGroupLag {
+  groupId: string
+  state: ConsumerGroupState | null
+  topics: Array<{ topic: string; partitions: PartitionLag[] }>
+  totalLag: string
+}
+
 export type Admin = {
   connect(): Promise<void>
   disconnect(): Promise<void>
@@ -528,12 +742,34 @@ export type Admin = {
     clusterId: string
   }>
   setOffsets(options: { groupId: string; topic: string; partitions: SeekEntry[] }): Promise<void>
-  resetOffsets(options: { groupId: string; topic: string; earliest: boolean }): Promise<void>
+  resetOffsets(options: {
+    groupId: string
+    topic: string
+    earliest?: boolean
+    toDatetime?: Date | string | number
+    byDuration?: string | number
+    shiftBy?: number
+    toCurrent?: boolean
+    dryRun?: boolean
+  }): Promise<SeekEntry[]>
+  deleteConsumerGroupOffsets(options: {
+    groupId: string
+    topic: string
+    partitions?: number[]
+  }): Promise<void>
+  describeConsumerGroupLag(options: {
+    groupIds: string[]
+    topics?: string[]
+  }): Promise<{ groups: ConsumerGroupLag[] }>
   describeConfigs(configs: {
     resources: ResourceConfigQuery[]
     includeSynonyms: boolean
   }): Promise<DescribeConfigResponse>
   alterConfigs(configs: { validateOnly: boolean; resources: IResourceConfig[] }): Promise<any>
+  incrementalAlterConfigs(configs: {
+    validateOnly?: boolean
+    resources: IncrementalResourceConfig[]
+  }): Promise<any>
   listGroups(): Promise<{ groups: GroupOverview[] }>
   deleteGroups(groupIds: string[]): Promise<DeleteGroupsResult[]>
   describeGroups(groupIds: string[]): Promise<GroupDescriptions>
@@ -549,6 +785,61 @@ export type Admin = {
     topics?: TopicPartitions[]
     timeout?: number
   }): Promise<ListPartitionReassignmentsResponse>
+  describeLogDirs(options?: {
+    brokers?: number[]
+    topics?: TopicPartitions[]
+  }): Promise<DescribeLogDirsResponse>
+  alterReplicaLogDirs(options: { replicas: ReplicaLogDirAssignment[] }): Promise<void>
+  electLeaders(options?: {
+    electionType?: ElectionType
+    topicPartitions?: TopicPartitions[]
+    timeout?: number
+  }): Promise<ElectLeadersResult[]>
+  createDelegationToken(options?: {
+    renewers?: string[]
+    maxLifetime?: number
+  }): Promise<DelegationToken>
+  renewDelegationToken(options: {
+    hmac: Buffer
+    renewPeriod?: number
+  }): Promise<{ expiryTimestamp: string }>
+  expireDelegationToken(options: {
+    hmac: Buffer
+    expiryTimePeriod?: number
+  }): Promise<{ expiryTimestamp: string }>
+  describeDelegationTokens(options?: { owners?: string[] }): Promise<{ tokens: DelegationToken[] }>
+  describeClientQuotas(options: {
+    components: ClientQuotaFilterComponent[]
+    strict?: boolean
+  }): Promise<{ entries: ClientQuotaEntry[] }>
+  alterClientQuotas(
+    entries: ClientQuotaAlteration[],
+    options?: { validateOnly?: boolean }
+  ): Promise<void>
+  describeUserScramCredentials(
+    users?: string[]
+  ): Promise<{ users: UserScramCredentialsDescription[] }>
+  alterUserScramCredentials(options: {
+    upsertions?: UserScramCredentialUpsertion[]
+    deletions?: UserScramCredentialDeletion[]
+  }): Promise<void>
+  listTransactions(options?: {
+    states?: string[]
+    producerIds?: Array<string | number>
+  }): Promise<{ transactions: TransactionListing[] }>
+  describeTransactions(
+    transactionalIds: string[]
+  ): Promise<{ transactions: TransactionDescription[] }>
+  describeProducers(options: {
+    topics: TopicPartitions[]
+  }): Promise<{ topics: TopicProducersDescription[] }>
+  abortTransaction(options: {
+    topic: string
+    partition: number
+    producerId: string | number
+    producerEpoch: number
+    coordinatorEpoch: number
+  }): Promise<void>
   logger(): Logger
   on(
     eventName: AdminEvents['CONNECT'],
@@ -577,7 +868,12 @@ export type Admin = {
   readonly events: AdminEvents
 }
 
-export const PartitionAssigners: { roundRobin: PartitionAssigner }
+export const PartitionAssigners: {
+  roundRobin: PartitionAssigner
+  range: PartitionAssigner
+  sticky: PartitionAssigner
+  cooperativeSticky: PartitionAssigner
+}
 
 export interface ISerializer<T> {
   encode(value: T): Buffer
@@ -588,6 +884,7 @@ export type MemberMetadata = {
   version: number
   topics: string[]
   userData: Buffer
+  ownedPartitions?: TopicPartitions[]
 }
 
 export type MemberAssignment = {
@@ -596,9 +893,102 @@ export type MemberAssignment = {
   userData: Buffer
 }
 
+export type StickyAssignerUserData = {
+  previousAssignment: TopicPartitions[]
+  generation?: number
+}
+
+export type CooperativeStickyAssignerUserData = {
+  generation: number
+}
+
 export const AssignerProtocol: {
   MemberMetadata: ISerializer<MemberMetadata>
   MemberAssignment: ISerializer<MemberAssignment>
+  StickyAssignerUserData: ISerializer<StickyAssignerUserData>
+  CooperativeStickyAssignerUserData: ISerializer<CooperativeStickyAssignerUserData>
+}
+
+type Awaitable<T> = T | Promise<T>
+
+export type Serializer<Context = { topic: string; headers: IHeaders }> = (
+  data: any,
+  context: Context
+) => Awaitable<Buffer | string | null>
+
+export type Deserializer<
+  Context = { topic: string; partition: number; headers?: IHeaders }
+> = (data: Buffer, context: Context) => Awaitable<any>
+
+export interface Serializers {
+  key?: Serializer
+  value?: Serializer
+  headers?: Serializer<{ topic: string; header: string }>
+}
+
+export interface Deserializers {
+  key?: Deserializer
+  value?: Deserializer
+  headers?: Deserializer<{ topic: string; partition: number; header: string }>
+}
+
+export type SchemaType = 'AVRO' | 'JSON' | 'PROTOBUF' | string
+
+export interface SchemaRegistryClient {
+  register(options: { subject: string; schema: string; schemaType?: SchemaType }): Promise<number>
+  getSchema(id: number): Promise<{ schema: string; schemaType: SchemaType }>
+}
+
+export interface SchemaRegistryClientConfig {
+  host: string
+  auth?: { username: string; password: string }
+  headers?: Record<string, string>
+  timeout?: number
+  agent?: http.Agent
+}
+
+export interface SchemaRegistrySerializerConfig {
+  registry: SchemaRegistryClient
+  schema: string | object
+  schemaType?: SchemaType
+  isKey?: boolean
+  subject?: (context: { topic: string }) => string
+  encode?: (data: any, context: { schema: string; schemaType: SchemaType }) => Awaitable<Buffer>
+}
+
+export interface SchemaRegistryDeserializerConfig {
+  registry: SchemaRegistryClient
+  decode?: (
+    payload: Buffer,
+    context: { schemaId: number; schema: string; schemaType: SchemaType }
+  ) => any
+}
+
+export const SchemaRegistry: {
+  createClient(config: SchemaRegistryClientConfig): SchemaRegistryClient
+  createSerializer(config: SchemaRegistrySerializerConfig): Serializer
+  createDeserializer(config: SchemaRegistryDeserializerConfig): Deserializer
+  wireFormat: {
+    MAGIC_BYTE: number
+    encode(data: { schemaId: number; payload: Buffer }): Buffer
+    decode(buffer: Buffer): { schemaId: number; payload: Buffer }
+  }
+}
+
+export interface OidcProviderConfig {
+  tokenEndpoint: string
+  clientId: string
+  clientSecret: string
+  scope?: string
+  extensions?: Record<string, string>
+  refreshThreshold?: number
+  headers?: Record<string, string>
+  timeout?: number
+  agent?: http.Agent
+}
+
+export const OAuthBearer: {
+  createOidcProvider(config: OidcProviderConfig): () => Promise<OauthbearerProviderResponse>
 }
 
 export enum logLevel {
@@ -661,6 +1051,7 @@ export type Broker = {
     groupId: string
     groupGenerationId: number
     memberId: string
+    groupInstanceId?: string
     retentionTime?: number
     topics: TopicOffsets[]
   }): Promise<any>
@@ -670,6 +1061,7 @@ export type Broker = {
   }): Promise<{
     responses: TopicOffsets[]
   }>
+  offsetDelete(request: { groupId: string; topics: TopicPartitions[] }): Promise<any>
   fetch(request: {
     replicaId?: number
     isolationLevel?: number
@@ -702,6 +1094,63 @@ export type Broker = {
     topics?: TopicPartitions[]
     timeout?: number
   }): Promise<ListPartitionReassignmentsResponse>
+  describeLogDirs(request?: {
+    topics?: TopicPartitions[]
+  }): Promise<{ throttleTime: number; results: LogDirDescription[] }>
+  alterReplicaLogDirs(request: {
+    dirs: Array<{ path: string; topics: TopicPartitions[] }>
+  }): Promise<{
+    throttleTime: number
+    results: Array<{ topic: string; partitions: Array<{ partition: number; errorCode: number }> }>
+  }>
+  electLeaders(request: {
+    electionType?: number
+    topicPartitions?: TopicPartitions[]
+    timeout?: number
+  }): Promise<{ throttleTime: number; errorCode?: number; results: ElectLeadersResult[] }>
+  createDelegationToken(request: {
+    renewers?: Array<{ principalType: string; principalName: string }>
+    maxLifetime?: number
+  }): Promise<any>
+  renewDelegationToken(request: { hmac: Buffer; renewPeriod?: number }): Promise<any>
+  expireDelegationToken(request: { hmac: Buffer; expiryTimePeriod?: number }): Promise<any>
+  describeDelegationToken(request?: {
+    owners?: Array<{ principalType: string; principalName: string }>
+  }): Promise<any>
+  describeClientQuotas(request: {
+    components: Array<{ entityType: ClientQuotaEntityType; matchType: number; match?: string }>
+    strict?: boolean
+  }): Promise<any>
+  alterClientQuotas(request: {
+    entries: ClientQuotaAlteration[]
+    validateOnly?: boolean
+  }): Promise<any>
+  describeUserScramCredentials(request?: { users?: string[] | null }): Promise<any>
+  alterUserScramCredentials(request: {
+    deletions?: Array<{ name: string; mechanism: number }>
+    upsertions?: Array<{
+      name: string
+      mechanism: number
+      iterations: number
+      salt: Buffer
+      saltedPassword: Buffer
+    }>
+  }): Promise<any>
+  listTransactions(request?: {
+    stateFilters?: string[]
+    producerIdFilters?: Array<string | number>
+  }): Promise<any>
+  describeTransactions(request: { transactionalIds: string[] }): Promise<any>
+  describeProducers(request: { topics: TopicPartitions[] }): Promise<any>
+  writeTxnMarkers(request: {
+    markers: Array<{
+      producerId: string | number
+      producerEpoch: number
+      transactionResult: boolean
+      topics: TopicPartitions[]
+      coordinatorEpoch: number
+    }>
+  }): Promise<any>
 }
 
 interface MessageSetEntry {
@@ -1028,11 +1477,17 @@ export type ConsumerRunConfig = {
  */
 export type ConsumerSubscribeTopic = { topic: string | RegExp; fromBeginning?: boolean }
 export type ConsumerSubscribeTopics = { topics: (string | RegExp)[]; fromBeginning?: boolean }
+export type ConsumerAssignTopicPartitions = {
+  topic: string
+  partitions: number[]
+  fromBeginning?: boolean
+}
 
 export type Consumer = {
   connect(): Promise<void>
   disconnect(): Promise<void>
   subscribe(subscription: ConsumerSubscribeTopics | ConsumerSubscribeTopic): Promise<void>
+  assign(topicPartitions: ConsumerAssignTopicPartitions[]): Promise<void>
   stop(): Promise<void>
   run(config?: ConsumerRunConfig): Promise<void>
   commitOffsets(topicPartitions: Array<TopicPartitionOffsetAndMetadata>): Promise<void>
@@ -1148,6 +1603,12 @@ export class KafkaJSProtocolError extends KafkaJSError {
   constructor(e: Error | string)
 }
 
+export class KafkaJSOffsetDeleteError extends KafkaJSProtocolError {
+  readonly topic?: string
+  readonly partition?: number
+  constructor(e: Error | string, topic?: string, partition?: number)
+}
+
 export class KafkaJSAggregateError extends Error {
   readonly errors: (Error | string)[]
   constructor(message: Error | string, errors: (Error | string)[])
@@ -1165,6 +1626,45 @@ export class KafkaJSAlterPartitionReassignmentsError extends KafkaJSProtocolErro
   constructor(e: Error | string, topic?: string, partition?: number)
 }
 
+export class KafkaJSAlterReplicaLogDirsError extends KafkaJSProtocolError {
+  readonly topic?: string
+  readonly partition?: number
+  constructor(e: Error | string, topic?: string, partition?: number)
+}
+
+export class KafkaJSElectLeadersError extends KafkaJSProtocolError {
+  readonly topic?: string
+  readonly partition?: number
+  constructor(e: Error | string, topic?: string, partition?: number)
+}
+
+export class KafkaJSAlterClientQuotasError extends KafkaJSProtocolError {
+  readonly entity?: ClientQuotaEntityComponent[]
+  constructor(e: Error | string, entity?: ClientQuotaEntityComponent[])
+}
+
+export class KafkaJSUserScramCredentialsError extends KafkaJSProtocolError {
+  readonly user?: string
+  constructor(e: Error | string, user?: string)
+}
+
+export class KafkaJSDescribeProducersError extends KafkaJSProtocolError {
+  readonly topic?: string
+  readonly partition?: number
+  constructor(e: Error | string, topic?: string, partition?: number)
+}
+
+export class KafkaJSDescribeTransactionsError extends KafkaJSProtocolError {
+  readonly transactionalId?: string
+  constructor(e: Error | string, transactionalId?: string)
+}
+
+export class KafkaJSWriteTxnMarkersError extends KafkaJSProtocolError {
+  readonly topic?: string
+  readonly partition?: number
+  constructor(e: Error | string, topic?: string, partition?: number)
+}
+
 export class KafkaJSNumberOfRetriesExceeded extends KafkaJSNonRetriableError {
   readonly stack: string
   readonly retryCount: number
@@ -1239,6 +1739,25 @@ export class KafkaJSUnsupportedMagicByteInMessageSet extends KafkaJSError {
   constructor()
 }
 
+export class KafkaJSSerializationError extends KafkaJSNonRetriableError {
+  readonly topic: string
+  readonly partition?: number
+  readonly offset?: string
+  constructor(e: Error | string, metadata?: KafkaJSSerializationErrorMetadata)
+}
+
+export class KafkaJSSchemaRegistryError extends KafkaJSError {
+  readonly status?: number
+  readonly errorCode?: number
+  constructor(e: Error | string, metadata?: KafkaJSSchemaRegistryErrorMetadata)
+}
+
+export class KafkaJSOAuthBearerTokenError extends KafkaJSError {
+  readonly status?: number
+  readonly error?: string
+  constructor(e: Error | string, metadata?: KafkaJSOAuthBearerTokenErrorMetadata)
+}
+
 export class KafkaJSDeleteGroupsError extends KafkaJSError {
   readonly groups: DeleteGroupsResult[]
   constructor(e: Error | string, groups?: KafkaJSDeleteGroupsErrorGroups[])
@@ -1272,6 +1791,23 @@ export interface KafkaJSErrorMetadata {
   metadata?: PartitionMetadata
 }
 
+export interface KafkaJSSerializationErrorMetadata {
+  topic: string
+  partition?: number
+  offset?: string
+  cause?: Error
+}
+
+export interface KafkaJSSchemaRegistryErrorMetadata {
+  status?: number
+  errorCode?: number
+}
+
+export interface KafkaJSOAuthBearerTokenErrorMetadata {
+  status?: number
+  error?: string
+}
+
 export interface KafkaJSOffsetOutOfRangeMetadata {
   topic: string
   partition: number
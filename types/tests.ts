@@ -7,10 +7,14 @@ import {
   CompressionTypes,
   CompressionCodecs,
   ConfigResourceTypes,
+  AlterConfigOpTypes,
+  ClientQuotaMatchTypes,
   AclResourceTypes,
   AclOperationTypes,
   AclPermissionTypes,
   ResourcePatternTypes,
+  SchemaRegistry,
+  OAuthBearer,
   LogEntry,
   KafkaJSError,
   KafkaJSOffsetOutOfRange,
@@ -116,6 +120,68 @@ const runConsumer = async () => {
 
 runConsumer().catch(console.error)
 
+const runAssignedConsumer = async () => {
+  const assignedConsumer = kafka.consumer()
+  await assignedConsumer.connect()
+  await assignedConsumer.assign([{ topic, partitions: [0, 1], fromBeginning: true }])
+  await assignedConsumer.run({ eachMessage: async ({ message }) => console.log(message.offset) })
+  assignedConsumer.seek({ topic, partition: 0, offset: '42' })
+  await assignedConsumer.disconnect()
+}
+
+runAssignedConsumer().catch(console.error)
+
+const oauthBearerKafka = new Kafka({
+  brokers: ['kafka1:9092'],
+  ssl: true,
+  sasl: {
+    mechanism: 'oauthbearer',
+    oauthBearerProvider: OAuthBearer.createOidcProvider({
+      tokenEndpoint: 'https://idp.example.com/oauth2/token',
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      scope: 'kafka',
+      extensions: { logicalCluster: 'lkc-abc123', identityPoolId: 'pool-xyz' },
+      refreshThreshold: 60000,
+    }),
+  },
+  reauthenticationThreshold: 10000,
+})
+oauthBearerKafka.producer()
+
+const pooledKafka = new Kafka({
+  brokers: ['kafka1:9092'],
+  connectionPool: {
+    size: 1,
+    routes: [
+      { apis: ['Fetch'] },
+      { apis: ['JoinGroup', 'SyncGroup', 'Heartbeat', 'LeaveGroup', 'OffsetCommit'], size: 1 },
+      { apis: ['Produce'], size: 3 },
+    ],
+    maxIdleMs: 540000,
+  },
+})
+pooledKafka.producer()
+
+const registry = SchemaRegistry.createClient({ host: 'http://localhost:8081' })
+const serializingProducer = kafka.producer({
+  serializers: {
+    key: (key: number) => String(key),
+    value: SchemaRegistry.createSerializer({ registry, schema: { type: 'object' } }),
+    headers: async (value, { header }) => `${header}:${value}`,
+  },
+})
+const deserializingConsumer = kafka.consumer({
+  groupId: 'test-group',
+  deserializers: {
+    key: (key, { topic, partition }) => Number(key.toString()),
+    value: SchemaRegistry.createDeserializer({
+      registry,
+      decode: (payload, { schemaType }) => JSON.parse(payload.toString()),
+    }),
+  },
+})
+
 // PRODUCER
 const producer = kafka.producer({ allowAutoTopicCreation: true })
 producer.logger().debug('Instantiated producer')
@@ -183,6 +249,26 @@ const runAdmin = async () => {
 
   await admin.fetchOffsets({ groupId: 'test-group' })
   await admin.fetchOffsets({ groupId: 'test-group', topics: ['topic1', 'topic2'] })
+  await admin.resetOffsets({ groupId: 'test-group', topic: 'topic1', earliest: true })
+  const plan = await admin.resetOffsets({
+    groupId: 'test-group',
+    topic: 'topic1',
+    byDuration: 'PT2H',
+    dryRun: true,
+  })
+  plan.forEach(({ partition, offset }) => console.log(partition, offset))
+  await admin.resetOffsets({ groupId: 'test-group', topic: 'topic1', shiftBy: -1000 })
+  await admin.deleteConsumerGroupOffsets({ groupId: 'test-group', topic: 'topic1' })
+  await admin.deleteConsumerGroupOffsets({
+    groupId: 'test-group',
+    topic: 'topic2',
+    partitions: [0],
+  })
+  const { groups: lags } = await admin.describeConsumerGroupLag({
+    groupIds: ['test-group'],
+    topics: ['topic1'],
+  })
+  lags.forEach(({ groupId, totalLag, topics }) => console.log(groupId, totalLag, topics))
 
   await admin.createTopics({
     topics: [{ topic, numPartitions: 10, replicationFactor: 1 }],
@@ -190,6 +276,19 @@ const runAdmin = async () => {
     waitForLeaders: true,
   })
 
+  await admin.incrementalAlterConfigs({
+    resources: [
+      {
+        type: ConfigResourceTypes.TOPIC,
+        name: 'topic1',
+        configEntries: [
+          { name: 'cleanup.policy', operation: AlterConfigOpTypes.APPEND, value: 'compact' },
+          { name: 'retention.ms', operation: AlterConfigOpTypes.DELETE },
+        ],
+      },
+    ],
+  })
+
   await admin.describeConfigs({
     includeSynonyms: false,
     resources: [
@@ -269,6 +368,111 @@ const runAdmin = async () => {
   const groupDescription = await admin.describeGroups(groupIds)
   await admin.deleteGroups(groupDescription.groups.map(({ groupId }) => groupId))
 
+  const { brokers: logDirs } = await admin.describeLogDirs({
+    topics: [{ topic: 'topic1', partitions: [0] }],
+  })
+  const [{ logDir }] = logDirs[0].logDirs
+  await admin.alterReplicaLogDirs({
+    replicas: [{ topic: 'topic1', partition: 0, broker: logDirs[0].nodeId, logDir }],
+  })
+
+  const elections = await admin.electLeaders({
+    electionType: 'PREFERRED',
+    topicPartitions: [{ topic: 'topic1', partitions: [0] }],
+  })
+  elections.forEach(({ topic, partitions }) =>
+    partitions.forEach(({ partition, errorCode }) => console.log(topic, partition, errorCode))
+  )
+
+  const token = await admin.createDelegationToken({ renewers: ['User:bob'] })
+  await admin.renewDelegationToken({ hmac: token.hmac, renewPeriod: 3600000 })
+  const { tokens } = await admin.describeDelegationTokens({ owners: [token.owner] })
+  tokens.forEach(({ tokenId, expiryTimestamp }) => console.log(tokenId, expiryTimestamp))
+  await admin.expireDelegationToken({ hmac: token.hmac })
+
+  await admin.alterClientQuotas([
+    {
+      entity: [{ entityType: 'user', entityName: 'alice' }, { entityType: 'client-id' }],
+      ops: [
+        { key: 'producer_byte_rate', value: 1024 },
+        { key: 'consumer_byte_rate', remove: true },
+      ],
+    },
+  ])
+  const { entries: quotas } = await admin.describeClientQuotas({
+    components: [
+      { entityType: 'user', match: 'alice' },
+      { entityType: 'client-id', matchType: ClientQuotaMatchTypes.DEFAULT },
+    ],
+    strict: true,
+  })
+  quotas.forEach(({ entity, values }) => console.log(entity, values))
+
+  await admin.alterUserScramCredentials({
+    upsertions: [
+      { user: 'alice', mechanism: 'scram-sha-512', password: 'secret', iterations: 8192 },
+    ],
+    deletions: [{ user: 'bob', mechanism: 'scram-sha-256' }],
+  })
+  const { users } = await admin.describeUserScramCredentials(['alice'])
+  users.forEach(({ user, credentialInfos }) => console.log(user, credentialInfos))
+
+  const { transactions: ongoing } = await admin.listTransactions({ states: ['Ongoing'] })
+  const { transactions } = await admin.describeTransactions(
+    ongoing.map(({ transactionalId }) => transactionalId)
+  )
+  transactions.forEach(({ transactionalId, state, topics }) =>
+    console.log(transactionalId, state, topics)
+  )
+
+  const { topics: producerStates } = await admin.describeProducers({
+    topics: [{ topic: 'topic-name', partitions: [0] }],
+  })
+  const [hangingProducer] = producerStates[0].partitions[0].activeProducers
+  await admin.abortTransaction({
+    topic: 'topic-name',
+    partition: 0,
+    producerId: hangingProducer.producerId,
+    producerEpoch: hangingProducer.producerEpoch,
+    coordinatorEpoch: hangingProducer.coordinatorEpoch,
+  })
+
+  const gssapiKafka = new Kafka({
+    brokers: [`${host}:9094`],
+    ssl: true,
+    sasl: {
+      mechanism: 'gssapi',
+      serviceName: 'kafka',
+      principal: 'kafkajs@EXAMPLE.COM',
+      keytab: '/etc/security/kafkajs.keytab',
+      gssapiClient: async ({ host, serviceName }) => {
+        let complete = false
+        return {
+          step: async (token: Buffer) => {
+            complete = token.length > 0
+            return Buffer.from(`${serviceName}@${host}`)
+          },
+          isComplete: () => complete,
+          wrap: async (message: Buffer) => message,
+          unwrap: async (token: Buffer) => token,
+        }
+      },
+    },
+  })
+  await gssapiKafka.producer().connect()
+
+  const tokenKafka = new Kafka({
+    brokers: [`${host}:9094`],
+    ssl: true,
+    sasl: {
+      mechanism: 'scram-sha-256',
+      username: token.tokenId,
+      password: token.hmac.toString('base64'),
+      tokenAuth: true,
+    },
+  })
+  await tokenKafka.producer().connect()
+
   await admin.disconnect()
 }
 